@@ -0,0 +1,330 @@
+/**
+ * Recorded responses for the mock vision backend
+ *
+ * Objects were captured from the Python backend on the 640x480 test image
+ * and trimmed to the fields the nodes use. Values are fixed so flows and CI
+ * runs see identical results every time.
+ */
+
+const IMAGE_WIDTH = 640;
+const IMAGE_HEIGHT = 480;
+
+const TEMPLATES = [
+    { id: 'tmpl_demo', name: 'Demo Part', description: 'Bracket on the test image', size: { width: 50, height: 60 } }
+];
+
+const TEST_IMAGES = [
+    { id: 'test_demo', filename: 'demo.png', size: { width: IMAGE_WIDTH, height: IMAGE_HEIGHT } }
+];
+
+const CAMERAS = [
+    { id: 'test', name: 'Test Camera', type: 'test', connected: true, resolution: { width: IMAGE_WIDTH, height: IMAGE_HEIGHT } }
+];
+
+const TEMPLATE_MATCHES = [
+    {
+        object_id: 'match_0',
+        object_type: 'template_match',
+        confidence: 0.953,
+        bbox: { x: 100, y: 200, width: 50, height: 60 },
+        center: { x: 125, y: 230 },
+        angle: null,
+        metadata: { match_method: 'TM_CCOEFF_NORMED', scale: 1.0 }
+    },
+    {
+        object_id: 'match_1',
+        object_type: 'template_match',
+        confidence: 0.871,
+        bbox: { x: 420, y: 180, width: 50, height: 60 },
+        center: { x: 445, y: 210 },
+        angle: 30.0,
+        metadata: { match_method: 'TM_CCOEFF_NORMED', scale: 1.0 }
+    }
+];
+
+const EDGE_CONTOURS = [
+    {
+        object_id: 'contour_0',
+        object_type: 'edge_contour',
+        confidence: 1.0,
+        bbox: { x: 90, y: 190, width: 70, height: 80 },
+        center: { x: 125, y: 230 },
+        contour: [[90, 190], [160, 190], [160, 270], [90, 270]],
+        area: 5600,
+        perimeter: 300,
+        metadata: { is_closed: true, vertex_count: 4 }
+    },
+    {
+        object_id: 'contour_1',
+        object_type: 'edge_contour',
+        confidence: 1.0,
+        bbox: { x: 410, y: 170, width: 70, height: 80 },
+        center: { x: 445, y: 210 },
+        contour: [[410, 170], [480, 170], [480, 250], [410, 250]],
+        area: 5600,
+        perimeter: 300,
+        metadata: { is_closed: true, vertex_count: 4 }
+    },
+    {
+        object_id: 'contour_2',
+        object_type: 'edge_contour',
+        confidence: 1.0,
+        bbox: { x: 300, y: 380, width: 12, height: 12 },
+        center: { x: 306, y: 386 },
+        contour: [[300, 380], [312, 380], [312, 392], [300, 392]],
+        area: 144,
+        perimeter: 48,
+        metadata: { is_closed: true, vertex_count: 4 }
+    }
+];
+
+const COLOR_REGION = {
+    object_id: 'color_0',
+    object_type: 'color_region',
+    confidence: 0.88,
+    bbox: { x: 0, y: 0, width: IMAGE_WIDTH, height: IMAGE_HEIGHT },
+    center: { x: IMAGE_WIDTH / 2, y: IMAGE_HEIGHT / 2 },
+    area: IMAGE_WIDTH * IMAGE_HEIGHT,
+    metadata: { dominant_color: 'red', percentage: 65.5, color_percentages: { red: 65.5, white: 20.1, gray: 14.4 } }
+};
+
+const ARUCO_MARKERS = [
+    {
+        object_id: 'aruco_0',
+        object_type: 'aruco_marker',
+        confidence: 1.0,
+        bbox: { x: 20, y: 20, width: 60, height: 60 },
+        center: { x: 50, y: 50 },
+        angle: 0.0,
+        metadata: { marker_id: 0, corners: [[20, 20], [80, 20], [80, 80], [20, 80]] }
+    },
+    {
+        object_id: 'aruco_1',
+        object_type: 'aruco_marker',
+        confidence: 1.0,
+        bbox: { x: 560, y: 20, width: 60, height: 60 },
+        center: { x: 590, y: 50 },
+        angle: 0.0,
+        metadata: { marker_id: 1, corners: [[560, 20], [620, 20], [620, 80], [560, 80]] }
+    },
+    {
+        object_id: 'aruco_2',
+        object_type: 'aruco_marker',
+        confidence: 1.0,
+        bbox: { x: 560, y: 400, width: 60, height: 60 },
+        center: { x: 590, y: 430 },
+        angle: 0.0,
+        metadata: { marker_id: 2, corners: [[560, 400], [620, 400], [620, 460], [560, 460]] }
+    },
+    {
+        object_id: 'aruco_3',
+        object_type: 'aruco_marker',
+        confidence: 1.0,
+        bbox: { x: 20, y: 400, width: 60, height: 60 },
+        center: { x: 50, y: 430 },
+        angle: 0.0,
+        metadata: { marker_id: 3, corners: [[20, 400], [80, 400], [80, 460], [20, 460]] }
+    }
+];
+
+const BARCODES = [
+    {
+        object_id: 'barcode_0',
+        object_type: 'barcode',
+        confidence: 1.0,
+        bbox: { x: 120, y: 300, width: 40, height: 40 },
+        center: { x: 140, y: 320 },
+        angle: 0.0,
+        metadata: { text: 'LOT-2025-0042;SN-000317', symbology: 'datamatrix', corners: [[120, 300], [160, 300], [160, 340], [120, 340]] }
+    },
+    {
+        object_id: 'barcode_1',
+        object_type: 'barcode',
+        confidence: 1.0,
+        bbox: { x: 500, y: 200, width: 80, height: 80 },
+        center: { x: 540, y: 240 },
+        angle: 0.0,
+        metadata: { text: 'https://example.com/part/4711', symbology: 'qr', corners: [[500, 200], [580, 200], [580, 280], [500, 280]] }
+    }
+];
+
+/** Dark blobs on the bright test image: two good parts, a washer, debris and a scratch */
+const BLOBS = [
+    {
+        object_id: 'blob_0',
+        object_type: 'blob',
+        confidence: 1.0,
+        bbox: { x: 100, y: 100, width: 80, height: 60 },
+        center: { x: 140, y: 130 },
+        contour: [[100, 100], [180, 100], [180, 160], [100, 160]],
+        area: 4800,
+        perimeter: 280,
+        metadata: { circularity: 0.77, convexity: 0.98, eccentricity: 0.66, holes: 0 }
+    },
+    {
+        object_id: 'blob_1',
+        object_type: 'blob',
+        confidence: 1.0,
+        bbox: { x: 410, y: 170, width: 70, height: 80 },
+        center: { x: 445, y: 210 },
+        contour: [[410, 170], [480, 170], [480, 250], [410, 250]],
+        area: 5600,
+        perimeter: 300,
+        metadata: { circularity: 0.78, convexity: 0.97, eccentricity: 0.48, holes: 0 }
+    },
+    {
+        object_id: 'blob_2',
+        object_type: 'blob',
+        confidence: 1.0,
+        bbox: { x: 250, y: 300, width: 50, height: 50 },
+        center: { x: 275, y: 325 },
+        contour: [[275, 300], [293, 307], [300, 325], [293, 343], [275, 350], [257, 343], [250, 325], [257, 307]],
+        area: 1570,
+        perimeter: 157,
+        metadata: { circularity: 0.8, convexity: 0.99, eccentricity: 0.05, holes: 1 }
+    },
+    {
+        object_id: 'blob_3',
+        object_type: 'blob',
+        confidence: 1.0,
+        bbox: { x: 300, y: 380, width: 12, height: 12 },
+        center: { x: 305, y: 387 },
+        contour: [[300, 380], [312, 383], [309, 392], [301, 390]],
+        area: 90,
+        perimeter: 38,
+        metadata: { circularity: 0.78, convexity: 0.62, eccentricity: 0.55, holes: 0 }
+    },
+    {
+        object_id: 'blob_4',
+        object_type: 'blob',
+        confidence: 1.0,
+        bbox: { x: 520, y: 330, width: 90, height: 6 },
+        center: { x: 565, y: 333 },
+        contour: [[520, 330], [610, 330], [610, 336], [520, 336]],
+        area: 540,
+        perimeter: 192,
+        metadata: { circularity: 0.18, convexity: 1.0, eccentricity: 0.998, holes: 0 }
+    }
+];
+
+/** Washer outline and hole, and a mounting hole */
+const CIRCLES = [
+    { object_id: 'circle_0', object_type: 'circle', confidence: 0.94, center: { x: 275, y: 325 }, metadata: { radius: 25 } },
+    { object_id: 'circle_1', object_type: 'circle', confidence: 0.88, center: { x: 275, y: 325 }, metadata: { radius: 8 } },
+    { object_id: 'circle_2', object_type: 'circle', confidence: 0.91, center: { x: 140, y: 130 }, metadata: { radius: 12 } }
+];
+
+/** Top edge of the bracket, left edge of the second part and the scratch */
+const LINES = [
+    {
+        object_id: 'line_0', object_type: 'line', confidence: 0.97, angle: 0.0,
+        metadata: { start: { x: 100, y: 100 }, end: { x: 180, y: 100 }, length: 80, max_deviation: 0.4 }
+    },
+    {
+        object_id: 'line_1', object_type: 'line', confidence: 0.95, angle: 90.0,
+        metadata: { start: { x: 410, y: 170 }, end: { x: 410, y: 250 }, length: 80, max_deviation: 1.6 }
+    },
+    {
+        object_id: 'line_2', object_type: 'line', confidence: 0.81, angle: 0.0,
+        metadata: { start: { x: 520, y: 333 }, end: { x: 610, y: 333 }, length: 90, max_deviation: 0.9 }
+    }
+];
+
+/**
+ * Printed text line with one 10x16 px box per character (spaces have none)
+ */
+function textLine(objectId, text, x, y, confidences) {
+    const characters = [];
+    text.split('').forEach((char, i) => {
+        if (char !== ' ') {
+            characters.push({ char: char, bbox: { x: x + i * 10, y: y, width: 10, height: 16 }, confidence: confidences[characters.length] });
+        }
+    });
+    const confidence = Math.min(...confidences);
+    return {
+        object_id: objectId,
+        object_type: 'text',
+        confidence: confidence,
+        bbox: { x: x, y: y, width: text.length * 10, height: 16 },
+        center: { x: x + text.length * 5, y: y + 8 },
+        angle: 0.0,
+        metadata: { text: text, characters: characters }
+    };
+}
+
+const TEXT_LINES = [
+    textLine('text_0', 'LOT 2025-0042', 40, 150, [0.97, 0.98, 0.96, 0.99, 0.95, 0.99, 0.97, 0.9, 0.98, 0.99, 0.97, 0.96]),
+    textLine('text_1', 'EXP 12/2026', 40, 180, [0.95, 0.93, 0.96, 0.91, 0.97, 0.88, 0.94, 0.97, 0.95, 0.42])
+];
+
+const ROTATION = {
+    object_id: 'rotation_0',
+    object_type: 'rotation_analysis',
+    confidence: 0.92,
+    angle: 12.5,
+    metadata: { absolute_angle: 12.5 }
+};
+
+/** Golden image of a good part, taught from the test image */
+const GOLDENS = [
+    { id: 'golden_demo', name: 'Demo Part', description: 'Good part on the test image', size: { width: IMAGE_WIDTH, height: IMAGE_HEIGHT } }
+];
+
+/** Differences to the golden image: the debris and the scratch of BLOBS */
+const DEFECTS = [
+    {
+        object_id: 'defect_0',
+        object_type: 'defect',
+        confidence: 0.71,
+        bbox: { x: 300, y: 380, width: 12, height: 12 },
+        center: { x: 305, y: 387 },
+        contour: [[300, 380], [312, 383], [309, 392], [301, 390]],
+        area: 90,
+        perimeter: 38,
+        metadata: { kind: 'spot', mean_diff: 96.4, max_diff: 181 }
+    },
+    {
+        object_id: 'defect_1',
+        object_type: 'defect',
+        confidence: 0.38,
+        bbox: { x: 520, y: 330, width: 90, height: 6 },
+        center: { x: 565, y: 333 },
+        contour: [[520, 330], [610, 330], [610, 336], [520, 336]],
+        area: 540,
+        perimeter: 192,
+        metadata: { kind: 'scratch', mean_diff: 41.2, max_diff: 97 }
+    }
+];
+
+/** Registration of the test image to the golden image by template match */
+const ALIGNMENT = { method: 'template', dx: 1.5, dy: -0.75, angle: 0.3, score: 0.96 };
+
+/** 0.5 mm per pixel, origin at the center of marker 0 */
+const REFERENCE = {
+    type: 'plane',
+    units: 'mm',
+    homography_matrix: [[0.5, 0, -25], [0, 0.5, -25], [0, 0, 1]],
+    metadata: { marker_ids: [0, 1, 2, 3], reprojection_error: 0.12 }
+};
+
+module.exports = {
+    IMAGE_WIDTH,
+    IMAGE_HEIGHT,
+    TEMPLATES,
+    TEST_IMAGES,
+    CAMERAS,
+    TEMPLATE_MATCHES,
+    EDGE_CONTOURS,
+    COLOR_REGION,
+    ARUCO_MARKERS,
+    BARCODES,
+    BLOBS,
+    CIRCLES,
+    LINES,
+    TEXT_LINES,
+    ROTATION,
+    GOLDENS,
+    DEFECTS,
+    ALIGNMENT,
+    REFERENCE
+};
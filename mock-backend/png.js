@@ -0,0 +1,71 @@
+/**
+ * Minimal PNG encoder for the mock backend
+ *
+ * Produces solid grayscale images so thumbnails and image downloads are
+ * real, viewable files without any image library.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a solid grayscale PNG
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} [gray=128] - Gray level (0-255)
+ * @returns {Buffer} PNG file contents
+ */
+function solidPng(width, height, gray = 128) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;   // bit depth
+    header[9] = 0;   // color type: grayscale
+    header[10] = 0;  // compression
+    header[11] = 0;  // filter
+    header[12] = 0;  // interlace
+
+    // Each scanline: filter byte (0) + one byte per pixel
+    const raw = Buffer.alloc((width + 1) * height, gray);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width + 1)] = 0;
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { solidPng };
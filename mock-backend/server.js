@@ -0,0 +1,1092 @@
+#!/usr/bin/env node
+/**
+ * Mock vision backend
+ *
+ * Stand-in for the Python backend implementing the /api/system, /api/camera,
+ * /api/image, /api/template, /api/golden, /api/test-image and /api/vision endpoints the
+ * nodes call. Responses come from recorded fixtures, so results are the same
+ * on every run. Errors use the backend's shapes: `detail` objects
+ * ({error, details}) for 400/404 and FastAPI validation lists for 422.
+ *
+ * Usage:
+ *   npm run mock-backend -- --port 8000
+ *   mv-mock-backend --host 0.0.0.0 --port 8000
+ *
+ * Then point the mv-config node at http://localhost:8000.
+ */
+
+const http = require('http');
+const fixtures = require('./fixtures');
+const { solidPng } = require('./png');
+
+const DEFAULT_PORT = 8000;
+const DEFAULT_HOST = '127.0.0.1';
+
+/** Fixed clock so image timestamps are reproducible */
+const BASE_TIME = Date.parse('2025-01-01T00:00:00.000Z');
+
+/** Recorded backend processing times per endpoint (ms) */
+const PROCESSING_TIME_MS = {
+    capture: 35,
+    import: 20,
+    extractRoi: 8,
+    draw: 15,
+    export: 30,
+    templateMatch: 120,
+    advancedTemplateMatch: 250,
+    featureTemplateMatch: 180,
+    edgeDetect: 150,
+    colorDetect: 95,
+    arucoDetect: 110,
+    arucoReference: 115,
+    barcodeRead: 70,
+    ocr: 140,
+    blobAnalysis: 90,
+    shapeDetect: 75,
+    caliper: 25,
+    defectDiff: 85,
+    rotationDetect: 130,
+    preprocess: 60
+};
+
+const THUMBNAIL = 'data:image/png;base64,' + solidPng(160, 120).toString('base64');
+const THUMBNAIL_LOW = 'data:image/png;base64,' + solidPng(80, 60).toString('base64');
+const THUMBNAIL_MODES = ['full', 'low', 'none', 'url'];
+const EXPORT_FORMATS = ['png', 'jpeg', 'bmp', 'tiff'];
+const DRAW_SHAPES = ['rect', 'polyline', 'circle', 'line', 'arrow', 'marker', 'text'];
+const BARCODE_SYMBOLOGIES = ['qr', 'datamatrix', 'code128', 'code39', 'ean13', 'ean8', 'upca', 'pdf417', 'aztec'];
+
+/**
+ * Error carrying an HTTP status and backend-style `detail`
+ */
+function httpError(status, detail) {
+    const error = new Error(typeof detail === 'string' ? detail : detail.error);
+    error.status = status;
+    error.detail = detail;
+    return error;
+}
+
+function notFound(what, id) {
+    return httpError(404, { error: `${what} not found`, details: `${what} with ID ${id} not found` });
+}
+
+function missingField(field) {
+    return httpError(422, [{ loc: ['body', field], msg: 'field required', type: 'value_error.missing' }]);
+}
+
+function requireField(body, field) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+        throw missingField(field);
+    }
+    return body[field];
+}
+
+/**
+ * Complete a recorded object to the full VisionObject structure
+ */
+function visionObject(obj, roi = null) {
+    return {
+        object_id: obj.object_id,
+        object_type: obj.object_type,
+        roi: roi,
+        confidence: obj.confidence,
+        coords: 'image',
+        bbox: obj.bbox,
+        center: obj.center,
+        angle: obj.angle !== undefined ? obj.angle : null,
+        real: obj.real || null,
+        contour: obj.contour || null,
+        area: obj.area || null,
+        perimeter: obj.perimeter || null,
+        metadata: Object.assign({}, obj.metadata)
+    };
+}
+
+function insideRoi(obj, roi) {
+    if (!roi) return true;
+    return obj.center.x >= roi.x && obj.center.x <= roi.x + roi.width &&
+        obj.center.y >= roi.y && obj.center.y <= roi.y + roi.height;
+}
+
+/** Map an image point through a reference homography */
+function applyHomography(h, point) {
+    const w = h[2][0] * point.x + h[2][1] * point.y + h[2][2];
+    return {
+        x: (h[0][0] * point.x + h[0][1] * point.y + h[0][2]) / w,
+        y: (h[1][0] * point.x + h[1][1] * point.y + h[1][2]) / w
+    };
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Edges where the search line of a caliper region crosses the fixture blobs
+ *
+ * Blobs are dark on the bright test image, so entering one is a
+ * light-to-dark edge and leaving it a dark-to-light one.
+ */
+function caliperEdges(region) {
+    const rad = region.angle * Math.PI / 180;
+    const dir = { x: Math.cos(rad), y: Math.sin(rad) };
+    const half = region.length / 2;
+    const crossings = [];
+
+    fixtures.BLOBS.forEach(blob => {
+        let tMin = -Infinity;
+        let tMax = Infinity;
+        for (const [axis, start, size] of [['x', blob.bbox.x, blob.bbox.width], ['y', blob.bbox.y, blob.bbox.height]]) {
+            if (Math.abs(dir[axis]) < 1e-9) {
+                if (region.center[axis] < start || region.center[axis] > start + size) return;
+                continue;
+            }
+            const t1 = (start - region.center[axis]) / dir[axis];
+            const t2 = (start + size - region.center[axis]) / dir[axis];
+            tMin = Math.max(tMin, Math.min(t1, t2));
+            tMax = Math.min(tMax, Math.max(t1, t2));
+        }
+        if (tMin > tMax) return;
+        if (tMin > -half && tMin < half) crossings.push({ t: tMin, polarity: 'light_to_dark' });
+        if (tMax > -half && tMax < half) crossings.push({ t: tMax, polarity: 'dark_to_light' });
+    });
+
+    return crossings
+        .sort((a, b) => a.t - b.t)
+        .map(c => ({
+            x: round2(region.center.x + c.t * dir.x),
+            y: round2(region.center.y + c.t * dir.y),
+            position: round2(c.t + half),
+            polarity: c.polarity,
+            contrast: 85
+        }));
+}
+
+/**
+ * Caliper edges or edge pairs as VisionObjects
+ */
+function runCaliper(region, params, reference) {
+    const polarityOk = polarity => !params.polarity || params.polarity === 'any' || polarity === params.polarity;
+    const toReal = reference?.homography_matrix ? point => applyHomography(reference.homography_matrix, point) : null;
+    const edges = caliperEdges(region).filter(e => e.contrast >= (params.min_contrast || 0));
+
+    if (params.mode === 'single') {
+        return edges
+            .filter(e => polarityOk(e.polarity))
+            .slice(0, params.max_results || edges.length)
+            .map((e, i) => visionObject({
+                object_id: `edge_${i}`,
+                object_type: 'caliper_edge',
+                confidence: 1.0,
+                bbox: { x: e.x, y: e.y, width: 0, height: 0 },
+                center: { x: e.x, y: e.y },
+                angle: region.angle,
+                real: toReal ? { center: toReal(e) } : null,
+                metadata: { position: e.position, polarity: e.polarity, contrast: e.contrast }
+            }));
+    }
+
+    const pairs = [];
+    for (let i = 0; i < edges.length - 1; i++) {
+        const [first, second] = [edges[i], edges[i + 1]];
+        if (first.polarity !== second.polarity && polarityOk(first.polarity)) {
+            pairs.push([first, second]);
+        }
+    }
+    if (params.expected_width !== null && params.expected_width !== undefined) {
+        const deviation = ([a, b]) => Math.abs(b.position - a.position - params.expected_width);
+        pairs.sort((p, q) => deviation(p) - deviation(q));
+    }
+
+    return pairs
+        .slice(0, params.max_results || pairs.length)
+        .map(([first, second], i) => {
+            const center = { x: round2((first.x + second.x) / 2), y: round2((first.y + second.y) / 2) };
+            let real = null;
+            if (toReal) {
+                const [a, b] = [toReal(first), toReal(second)];
+                real = { center: toReal(center), width: round2(Math.hypot(b.x - a.x, b.y - a.y)) };
+            }
+            return visionObject({
+                object_id: `pair_${i}`,
+                object_type: 'caliper_pair',
+                confidence: 1.0,
+                bbox: {
+                    x: Math.min(first.x, second.x),
+                    y: Math.min(first.y, second.y),
+                    width: round2(Math.abs(second.x - first.x)),
+                    height: round2(Math.abs(second.y - first.y))
+                },
+                center: center,
+                angle: region.angle,
+                real: real,
+                metadata: {
+                    width: round2(second.position - first.position),
+                    position: round2((first.position + second.position) / 2),
+                    edges: [first, second]
+                }
+            });
+        });
+}
+
+function fullImageBox(image) {
+    return {
+        bbox: { x: 0, y: 0, width: image.width, height: image.height },
+        center: { x: image.width / 2, y: image.height / 2 }
+    };
+}
+
+function visionResponse(objects, processingTime, extra = {}) {
+    return Object.assign({
+        success: true,
+        objects: objects,
+        thumbnail: THUMBNAIL,
+        processing_time_ms: processingTime
+    }, extra);
+}
+
+/**
+ * Apply the requested thumbnail_mode to a response carrying a thumbnail
+ */
+function applyThumbnailMode(result, body) {
+    const mode = body.thumbnail_mode;
+    if (mode === undefined || !result || !('thumbnail' in result)) {
+        return result;
+    }
+    if (!THUMBNAIL_MODES.includes(mode)) {
+        throw httpError(422, [{ loc: ['body', 'thumbnail_mode'], msg: `value is not one of ${THUMBNAIL_MODES.join(', ')}`, type: 'value_error' }]);
+    }
+    const imageId = result.image?.id || body.image_id;
+    const thumbnails = {
+        full: THUMBNAIL,
+        low: THUMBNAIL_LOW,
+        none: null,
+        url: `/api/image/${imageId}/thumbnail`
+    };
+    return Object.assign({}, result, { thumbnail: thumbnails[mode] });
+}
+
+/**
+ * Extract plain fields and the file name from a multipart/form-data body
+ */
+function parseMultipart(body) {
+    const text = body.toString('latin1');
+    const fields = {};
+    const fieldPattern = /name="([^"]+)"(?:; filename="([^"]*)")?\r\n(?:[^\r\n]+\r\n)*\r\n([^\r]*)/g;
+    let match;
+    while ((match = fieldPattern.exec(text)) !== null) {
+        if (match[2] !== undefined) {
+            fields.filename = match[2];
+        } else {
+            fields[match[1]] = match[3];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Create a mock backend instance
+ *
+ * Each instance has its own in-memory image, template and camera state.
+ * Generated IDs are sequential (img_000001, ...) and restart per instance.
+ *
+ * @param {object} [options] - Backend options
+ * @param {number} [options.delayMs=0] - Extra latency added to every response
+ * @param {function} [options.log] - Request logger, called with one line per request
+ * @returns {object} Backend with start(port, host), stop(), url and state
+ */
+function createMockBackend(options = {}) {
+    const { delayMs = 0, log = null } = options;
+
+    const state = {
+        images: new Map(),
+        templates: new Map(fixtures.TEMPLATES.map(t => [t.id, t])),
+        goldens: new Map(fixtures.GOLDENS.map(g => [g.id, g])),
+        testImages: new Map(fixtures.TEST_IMAGES.map(t => [t.id, t])),
+        connectedCameras: new Set(['test']),
+        counter: 0
+    };
+
+    function nextId(prefix) {
+        state.counter++;
+        return `${prefix}_${String(state.counter).padStart(6, '0')}`;
+    }
+
+    function createImage(source, width = fixtures.IMAGE_WIDTH, height = fixtures.IMAGE_HEIGHT) {
+        const id = nextId('img');
+        const image = {
+            id: id,
+            format: 'png',
+            width: width,
+            height: height,
+            source: source,
+            timestamp: new Date(BASE_TIME + state.counter * 1000).toISOString()
+        };
+        state.images.set(id, image);
+        return image;
+    }
+
+    function getImage(body) {
+        const imageId = requireField(body, 'image_id');
+        const image = state.images.get(imageId);
+        if (!image) {
+            throw notFound('Image', imageId);
+        }
+        return image;
+    }
+
+    function getTemplate(params) {
+        const templateId = requireField(params || {}, 'template_id');
+        const template = state.templates.get(templateId);
+        if (!template) {
+            throw notFound('Template', templateId);
+        }
+        return template;
+    }
+
+    function validateRoi(roi, image) {
+        if (!roi) return;
+        if (roi.x < 0 || roi.y < 0 || roi.width <= 0 || roi.height <= 0 ||
+            roi.x + roi.width > image.width || roi.y + roi.height > image.height) {
+            throw httpError(400, { error: 'Invalid ROI', details: `ROI ${JSON.stringify(roi)} is outside image ${image.width}x${image.height}` });
+        }
+    }
+
+    function matchTemplates(body, options) {
+        const image = getImage(body);
+        const template = getTemplate(body.params);
+        validateRoi(body.roi, image);
+
+        const threshold = body.params.threshold !== undefined ? body.params.threshold : 0.8;
+        let matches = fixtures.TEMPLATE_MATCHES
+            .filter(m => m.confidence >= threshold && insideRoi(m, body.roi))
+            .map(m => {
+                const obj = visionObject(m, body.roi || null);
+                obj.metadata.template_id = template.id;
+                Object.assign(obj.metadata, options.metadata);
+                return obj;
+            });
+
+        if (options.single) {
+            matches = matches.slice(0, 1);
+        } else if (body.params.max_matches) {
+            matches = matches.slice(0, body.params.max_matches);
+        }
+        return matches;
+    }
+
+    // Route table: [method, path pattern, handler(body, params, req)]
+    const routes = [
+        ['GET', /^\/api\/system\/health$/, () => ({
+            status: 'healthy',
+            version: 'mock',
+            images: state.images.size
+        })],
+
+        // Camera
+        ['POST', /^\/api\/camera\/list$/, () => fixtures.CAMERAS.map(c => Object.assign({}, c, {
+            connected: state.connectedCameras.has(c.id)
+        }))],
+        ['POST', /^\/api\/camera\/connect$/, (body) => {
+            const cameraId = requireField(body, 'camera_id');
+            if (!fixtures.CAMERAS.some(c => c.id === cameraId) && !cameraId.startsWith('ip_')) {
+                throw httpError(404, { error: 'Failed to open camera', details: `Failed to open camera ${cameraId}` });
+            }
+            state.connectedCameras.add(cameraId);
+            return { success: true, camera_id: cameraId, message: `Camera ${cameraId} connected` };
+        }],
+        ['DELETE', /^\/api\/camera\/disconnect\/(.+)$/, (body, [cameraId]) => {
+            state.connectedCameras.delete(cameraId);
+            return { success: true, camera_id: cameraId };
+        }],
+        ['POST', /^\/api\/camera\/capture$/, (body) => {
+            const cameraId = requireField(body, 'camera_id');
+            if (!state.connectedCameras.has(cameraId)) {
+                throw httpError(400, { error: 'Camera not connected', details: `Camera ${cameraId} is not connected` });
+            }
+            const roi = body.params?.roi || null;
+            const image = roi ? createImage('camera', roi.width, roi.height) : createImage('camera');
+            const obj = visionObject(Object.assign({
+                object_id: `${cameraId}_capture_0`,
+                object_type: 'camera_capture',
+                confidence: 1.0,
+                metadata: { camera_id: cameraId }
+            }, fullImageBox(image)), roi);
+            return visionResponse([obj], PROCESSING_TIME_MS.capture, { image: image });
+        }],
+        ['POST', /^\/api\/camera\/stream\/stop\/(.+)$/, (body, [cameraId]) => ({ success: true, camera_id: cameraId })],
+
+        // Image
+        ['POST', /^\/api\/image\/import$/, (body) => {
+            const filePath = requireField(body, 'file_path');
+            if (!/\.(jpe?g|png|bmp)$/i.test(filePath)) {
+                throw httpError(400, { error: 'Unsupported image format', details: `Cannot import ${filePath}: expected jpg, png or bmp` });
+            }
+            const image = createImage('file');
+            const obj = visionObject(Object.assign({
+                object_id: 'import_0',
+                object_type: 'image_import',
+                confidence: 1.0,
+                metadata: { file_path: filePath }
+            }, fullImageBox(image)));
+            return visionResponse([obj], PROCESSING_TIME_MS.import, { image: image });
+        }],
+        ['POST', /^\/api\/image\/extract-roi$/, (body) => {
+            const image = getImage(body);
+            const roi = requireField(body, 'roi');
+            validateRoi(roi, image);
+            const obj = visionObject({
+                object_id: 'roi_0',
+                object_type: 'roi_extract',
+                confidence: 1.0,
+                bbox: roi,
+                center: { x: roi.x + roi.width / 2, y: roi.y + roi.height / 2 },
+                area: roi.width * roi.height,
+                metadata: {}
+            }, roi);
+            return visionResponse([obj], PROCESSING_TIME_MS.extractRoi);
+        }],
+        ['POST', /^\/api\/image\/draw$/, (body) => {
+            const image = getImage(body);
+            const shapes = body.shapes || [];
+            shapes.forEach((shape, index) => {
+                if (!DRAW_SHAPES.includes(shape.shape)) {
+                    throw httpError(422, [{ loc: ['body', 'shapes', index, 'shape'], msg: `value is not one of ${DRAW_SHAPES.join(', ')}`, type: 'value_error' }]);
+                }
+            });
+            const scale = body.max_width && body.max_width < image.width ? body.max_width / image.width : 1;
+            const width = Math.round(image.width * scale);
+            const height = Math.round(image.height * scale);
+            return {
+                success: true,
+                image: 'data:image/png;base64,' + solidPng(width, height).toString('base64'),
+                width: width,
+                height: height,
+                shape_count: shapes.length,
+                processing_time_ms: PROCESSING_TIME_MS.draw
+            };
+        }],
+        ['POST', /^\/api\/image\/export$/, (body) => {
+            const image = getImage(body);
+            const format = body.format || 'png';
+            if (!EXPORT_FORMATS.includes(format)) {
+                throw httpError(422, [{ loc: ['body', 'format'], msg: `value is not one of ${EXPORT_FORMATS.join(', ')}`, type: 'value_error' }]);
+            }
+            validateRoi(body.roi, image);
+            const width = body.roi ? body.roi.width : image.width;
+            const height = body.roi ? body.roi.height : image.height;
+            // Only PNG is encoded here; other formats carry the same PNG bytes
+            const data = solidPng(width, height);
+            return {
+                success: true,
+                image_id: image.id,
+                format: format,
+                image: `data:image/${format};base64,` + data.toString('base64'),
+                width: width,
+                height: height,
+                size_bytes: data.length,
+                processing_time_ms: PROCESSING_TIME_MS.export
+            };
+        }],
+        ['GET', /^\/api\/image\/([^/]+)\/thumbnail$/, (body, [imageId]) => {
+            if (!state.images.has(imageId)) {
+                throw notFound('Image', imageId);
+            }
+            return { contentType: 'image/png', data: solidPng(160, 120) };
+        }],
+        ['GET', /^\/api\/image\/([^/]+)$/, (body, [imageId]) => {
+            const image = state.images.get(imageId);
+            if (!image) {
+                throw notFound('Image', imageId);
+            }
+            return { contentType: 'image/png', data: solidPng(image.width, image.height) };
+        }],
+
+        // Templates
+        ['GET', /^\/api\/template\/list$/, () => Array.from(state.templates.values())],
+        ['POST', /^\/api\/template\/upload$/, (body) => {
+            // template_id is set for a copy uploaded to another backend of a pool
+            const fields = parseMultipart(body);
+            const id = fields.template_id || nextId('tmpl');
+            const template = {
+                id: id,
+                name: fields.name || (fields.filename || id).replace(/\.[^/.]+$/, ''),
+                description: fields.description || '',
+                size: { width: 50, height: 60 }
+            };
+            state.templates.set(id, template);
+            return { success: true, template_id: id, name: template.name, size: template.size };
+        }, { raw: true }],
+
+        // Golden images
+        ['GET', /^\/api\/golden\/list$/, () => Array.from(state.goldens.values()).map(g => ({
+            id: g.id, name: g.name, description: g.description, size: g.size
+        }))],
+        ['POST', /^\/api\/golden\/teach$/, (body) => {
+            const image = getImage(body);
+            const id = nextId('golden');
+            const golden = {
+                id: id,
+                name: body.name || id,
+                description: '',
+                size: { width: image.width, height: image.height },
+                image_id: image.id
+            };
+            state.goldens.set(id, golden);
+            return { success: true, golden_id: id, name: golden.name, size: golden.size };
+        }],
+        // Copy of a golden image taught on another backend; stored under the given ID
+        ['POST', /^\/api\/golden\/upload$/, (body) => {
+            const fields = parseMultipart(body);
+            const id = fields.golden_id || nextId('golden');
+            const golden = {
+                id: id,
+                name: fields.name || id,
+                description: '',
+                size: { width: fixtures.IMAGE_WIDTH, height: fixtures.IMAGE_HEIGHT },
+                image_id: null
+            };
+            state.goldens.set(id, golden);
+            return { success: true, golden_id: id, name: golden.name, size: golden.size };
+        }, { raw: true }],
+
+        // Test images
+        ['GET', /^\/api\/test-image\/list$/, () => Array.from(state.testImages.values())],
+        ['POST', /^\/api\/test-image\/upload$/, (body) => {
+            // test_id is set for a copy uploaded to another backend of a pool
+            const fields = parseMultipart(body);
+            const id = fields.test_id || nextId('test');
+            const testImage = {
+                id: id,
+                filename: fields.filename || `${id}.png`,
+                size: { width: fixtures.IMAGE_WIDTH, height: fixtures.IMAGE_HEIGHT }
+            };
+            state.testImages.set(id, testImage);
+            return { success: true, test_id: id, filename: testImage.filename, size: testImage.size };
+        }, { raw: true }],
+        ['POST', /^\/api\/test-image\/([^/]+)\/capture$/, (body, [testId]) => {
+            if (!state.testImages.has(testId)) {
+                throw notFound('Test image', testId);
+            }
+            const image = createImage('test');
+            const obj = visionObject(Object.assign({
+                object_id: 'test_capture_0',
+                object_type: 'test_image_capture',
+                confidence: 1.0,
+                metadata: { test_id: testId }
+            }, fullImageBox(image)));
+            return visionResponse([obj], PROCESSING_TIME_MS.capture, { image: image, test_id: testId });
+        }],
+
+        // Vision
+        ['POST', /^\/api\/vision\/template-match$/, (body) => visionResponse(
+            matchTemplates(body, { single: false, metadata: { match_method: body.params?.method || 'TM_CCOEFF_NORMED' } }),
+            PROCESSING_TIME_MS.templateMatch
+        )],
+        ['POST', /^\/api\/vision\/advanced-template-match$/, (body) => visionResponse(
+            matchTemplates(body, { single: !body.params?.find_multiple, metadata: { rotation_angle: 0.0 } }),
+            PROCESSING_TIME_MS.advancedTemplateMatch
+        )],
+        ['POST', /^\/api\/vision\/feature-template-match$/, (body) => visionResponse(
+            matchTemplates(body, { single: !body.params?.find_multiple, metadata: { method: 'ORB', rotation_angle: 0.0, scale: 1.0 } }),
+            PROCESSING_TIME_MS.featureTemplateMatch
+        )],
+        ['POST', /^\/api\/vision\/edge-detect$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const params = body.params || {};
+            const minArea = params.min_contour_area || 0;
+            const maxArea = params.max_contour_area || Infinity;
+            const contours = fixtures.EDGE_CONTOURS
+                .filter(c => c.area >= minArea && c.area <= maxArea && insideRoi(c, body.roi))
+                .slice(0, params.max_contours || undefined)
+                .map(c => {
+                    const obj = visionObject(c, body.roi || null);
+                    obj.metadata.method = params.method || 'canny';
+                    return obj;
+                });
+            return visionResponse(contours, PROCESSING_TIME_MS.edgeDetect);
+        }],
+        ['POST', /^\/api\/vision\/color-detect$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const params = body.params || {};
+            const region = fixtures.COLOR_REGION;
+            const dominant = region.metadata.dominant_color;
+            const mismatch = params.expected_color && params.expected_color !== dominant;
+            const belowMin = params.min_percentage && region.metadata.percentage < params.min_percentage;
+            if (mismatch || belowMin) {
+                return visionResponse([], PROCESSING_TIME_MS.colorDetect);
+            }
+            const obj = visionObject(region, body.roi || null);
+            if (body.roi) {
+                obj.bbox = body.roi;
+                obj.center = { x: body.roi.x + body.roi.width / 2, y: body.roi.y + body.roi.height / 2 };
+                obj.area = body.roi.width * body.roi.height;
+            }
+            obj.metadata.method = params.method || 'histogram';
+            return visionResponse([obj], PROCESSING_TIME_MS.colorDetect);
+        }],
+        ['POST', /^\/api\/vision\/aruco-detect$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const markers = fixtures.ARUCO_MARKERS
+                .filter(m => insideRoi(m, body.roi))
+                .map(m => {
+                    const obj = visionObject(m, body.roi || null);
+                    obj.metadata.dictionary = body.dictionary || 'DICT_4X4_50';
+                    return obj;
+                });
+            return visionResponse(markers, PROCESSING_TIME_MS.arucoDetect);
+        }],
+        ['POST', /^\/api\/vision\/barcode-read$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const symbologies = body.params?.symbologies || [];
+            const unknown = symbologies.filter(s => !BARCODE_SYMBOLOGIES.includes(s));
+            if (unknown.length > 0) {
+                throw httpError(422, { error: 'Invalid symbology', details: `Unknown symbologies: ${unknown.join(', ')}` });
+            }
+            const codes = fixtures.BARCODES
+                .filter(c => symbologies.length === 0 || symbologies.includes(c.metadata.symbology))
+                .filter(c => insideRoi(c, body.roi))
+                .map(c => visionObject(c, body.roi || null));
+            return visionResponse(codes, PROCESSING_TIME_MS.barcodeRead);
+        }],
+        ['POST', /^\/api\/vision\/blob-analysis$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const params = body.params || {};
+            // The test image has dark parts only
+            if (params.polarity === 'bright') {
+                return visionResponse([], PROCESSING_TIME_MS.blobAnalysis);
+            }
+            const filters = params.filters || {};
+            const feature = (blob, name) => (name === 'area' || name === 'perimeter' ? blob[name] : blob.metadata[name]);
+            const blobs = fixtures.BLOBS
+                .filter(b => insideRoi(b, body.roi))
+                .filter(b => Object.keys(filters).every(name => {
+                    const { min, max } = filters[name];
+                    const value = feature(b, name);
+                    return (min === null || min === undefined || value >= min) &&
+                        (max === null || max === undefined || value <= max);
+                }))
+                .slice(0, params.max_blobs || fixtures.BLOBS.length)
+                .map(b => visionObject(b, body.roi || null));
+            return visionResponse(blobs, PROCESSING_TIME_MS.blobAnalysis);
+        }],
+        ['POST', /^\/api\/vision\/shape-detect$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const params = body.params || {};
+            let shapes;
+            if (params.shape === 'lines') {
+                shapes = fixtures.LINES
+                    .filter(l => l.metadata.length >= (params.min_length || 0) &&
+                        (params.max_length === null || params.max_length === undefined || l.metadata.length <= params.max_length))
+                    .map(l => {
+                        const { start, end } = l.metadata;
+                        return Object.assign({}, l, {
+                            bbox: { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), width: Math.abs(end.x - start.x), height: Math.abs(end.y - start.y) },
+                            center: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 }
+                        });
+                    });
+            } else {
+                shapes = fixtures.CIRCLES
+                    .filter(c => c.metadata.radius >= (params.min_radius || 0) && c.metadata.radius <= (params.max_radius || Infinity))
+                    .map(c => {
+                        const r = c.metadata.radius;
+                        return Object.assign({}, c, {
+                            bbox: { x: c.center.x - r, y: c.center.y - r, width: 2 * r, height: 2 * r },
+                            area: Math.round(Math.PI * r * r),
+                            perimeter: Math.round(2 * Math.PI * r)
+                        });
+                    });
+            }
+            shapes = shapes
+                .filter(shape => insideRoi(shape, body.roi))
+                .slice(0, params.max_shapes || shapes.length)
+                .map(shape => visionObject(shape, body.roi || null));
+            return visionResponse(shapes, PROCESSING_TIME_MS.shapeDetect);
+        }],
+        ['POST', /^\/api\/vision\/caliper$/, (body) => {
+            getImage(body);
+            const region = requireField(body, 'region');
+            const objects = runCaliper(region, body.params || {}, body.reference || null);
+            return visionResponse(objects, PROCESSING_TIME_MS.caliper);
+        }],
+        ['POST', /^\/api\/vision\/defect-diff$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const params = body.params || {};
+            const goldenId = requireField(params, 'golden_id');
+            const golden = state.goldens.get(goldenId);
+            if (!golden) {
+                throw notFound('Golden image', goldenId);
+            }
+            if (params.alignment === 'aruco' && !body.reference?.homography_matrix) {
+                throw httpError(400, { error: 'Alignment failed', details: 'ArUco alignment needs a reference with homography_matrix' });
+            }
+
+            const alignment = params.alignment === 'template' || params.alignment === undefined
+                ? fixtures.ALIGNMENT
+                : { method: params.alignment, dx: 0, dy: 0, angle: 0, score: null };
+            // The image the golden image was taught from has no differences
+            const defects = golden.image_id === image.id ? [] : fixtures.DEFECTS
+                .filter(d => d.metadata.max_diff >= (params.threshold || 0) &&
+                    d.area >= (params.min_area || 0) && insideRoi(d, body.roi))
+                .slice(0, params.max_defects || fixtures.DEFECTS.length)
+                .map(d => visionObject(d, body.roi || null));
+            return visionResponse(defects, PROCESSING_TIME_MS.defectDiff, { alignment: alignment });
+        }],
+        ['POST', /^\/api\/vision\/ocr$/, (body) => {
+            const image = getImage(body);
+            validateRoi(body.roi, image);
+            const minConfidence = body.params?.min_confidence || 0;
+            const lines = fixtures.TEXT_LINES
+                .filter(l => l.confidence >= minConfidence && insideRoi(l, body.roi))
+                .map(l => visionObject(l, body.roi || null));
+            return visionResponse(lines, PROCESSING_TIME_MS.ocr);
+        }],
+        ['POST', /^\/api\/vision\/aruco-reference$/, (body) => {
+            getImage(body);
+            const params = requireField(body, 'params');
+            const requiredIds = params.mode === 'single'
+                ? [params.single_config?.marker_id]
+                : (params.plane_config?.marker_ids || []);
+            const found = fixtures.ARUCO_MARKERS.filter(m => requiredIds.includes(m.metadata.marker_id));
+            const missing = requiredIds.filter(id => !found.some(m => m.metadata.marker_id === id));
+            if (missing.length > 0) {
+                throw httpError(404, { error: 'Reference markers not found', details: `Markers not found: ${missing.join(', ')}` });
+            }
+            const reference = Object.assign({}, fixtures.REFERENCE, {
+                type: params.mode === 'single' ? 'single_marker' : 'plane',
+                metadata: Object.assign({}, fixtures.REFERENCE.metadata, { marker_ids: requiredIds })
+            });
+            return {
+                success: true,
+                reference: reference,
+                markers: found.map(m => visionObject(m)),
+                thumbnail: THUMBNAIL,
+                processing_time_ms: PROCESSING_TIME_MS.arucoReference
+            };
+        }],
+        ['POST', /^\/api\/vision\/rotation-detect$/, (body) => {
+            getImage(body);
+            const contour = requireField(body, 'contour');
+            const xs = contour.map(p => p[0]);
+            const ys = contour.map(p => p[1]);
+            const bbox = {
+                x: Math.min(...xs),
+                y: Math.min(...ys),
+                width: Math.max(...xs) - Math.min(...xs),
+                height: Math.max(...ys) - Math.min(...ys)
+            };
+            const center = { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+            const params = body.params || {};
+            const obj = visionObject(Object.assign({}, fixtures.ROTATION, { bbox, center }), body.roi || null);
+            obj.metadata.method = params.method || 'min_area_rect';
+            obj.metadata.angle_range = params.angle_range || '0_360';
+            if (body.reference?.homography_matrix) {
+                const h = body.reference.homography_matrix;
+                obj.real = {
+                    angle: obj.angle,
+                    center: {
+                        x: h[0][0] * center.x + h[0][1] * center.y + h[0][2],
+                        y: h[1][0] * center.x + h[1][1] * center.y + h[1][2]
+                    }
+                };
+            }
+            return visionResponse([obj], PROCESSING_TIME_MS.rotationDetect);
+        }],
+        ['POST', /^\/api\/vision\/preprocess$/, (body) => {
+            const source = getImage(body);
+            validateRoi(body.roi, source);
+            const params = body.params || {};
+            const operations = Object.keys(params)
+                .filter(key => key.endsWith('_enabled') && params[key] === true)
+                .map(key => key.replace(/_enabled$/, ''));
+            const width = body.roi ? body.roi.width : source.width;
+            const height = body.roi ? body.roi.height : source.height;
+            const image = createImage('preprocess', width, height);
+            const obj = visionObject(Object.assign({
+                object_id: 'preprocess_0',
+                object_type: 'preprocessed_image',
+                confidence: 1.0,
+                metadata: { image_id: image.id, source_image_id: source.id, operations_applied: operations }
+            }, fullImageBox(image)), body.roi || null);
+            return visionResponse([obj], PROCESSING_TIME_MS.preprocess);
+        }],
+        ['POST', /^\/api\/vision\/preprocess-preview$/, (body) => {
+            getImage(body);
+            return { success: true, thumbnail_base64: THUMBNAIL, processing_time_ms: PROCESSING_TIME_MS.preprocess };
+        }],
+        ['POST', /^\/api\/vision\/pipeline$/, (body) => runPipeline(body)]
+    ];
+
+    /**
+     * Call another route's handler, as the backend does for pipeline steps
+     */
+    function runRoute(path, body) {
+        const [, pattern, handler] = routes.find(([method, p]) => method === 'POST' && p.test(path));
+        return handler(body, path.match(pattern).slice(1), null);
+    }
+
+    /**
+     * Run the steps of a pipeline request one after another
+     *
+     * Every step's objects become the current objects; rotation-detect and
+     * color-detect run once per current object and merge their result into it
+     * (color-detect drops objects that do not match).
+     */
+    function runPipeline(body) {
+        getImage(body);
+        const steps = requireField(body, 'steps');
+        let imageId = body.image_id;
+        let image = null;
+        let roi = body.roi || null;
+        let objects = [];
+        let total = 0;
+        const results = [];
+
+        for (const step of steps) {
+            let response;
+            if (step.type === 'preprocess') {
+                response = runRoute('/api/vision/preprocess', { image_id: imageId, roi: roi, params: step.params });
+                imageId = response.objects[0].metadata.image_id;
+                image = state.images.get(imageId);
+                roi = null;
+            } else if (step.type === 'roi-extract') {
+                response = runRoute('/api/image/extract-roi', { image_id: imageId, roi: step.roi });
+                roi = step.roi;
+            } else if (step.type === 'edge-detect') {
+                response = runRoute('/api/vision/edge-detect', { image_id: imageId, roi: roi, params: step.params });
+            } else if (step.type === 'rotation-detect') {
+                if (objects.some(obj => !obj.contour)) {
+                    throw httpError(400, { error: 'Invalid pipeline', details: 'rotation-detect needs contours from an edge-detect step' });
+                }
+                response = { objects: [], processing_time_ms: 0 };
+                for (const obj of objects) {
+                    const rotation = runRoute('/api/vision/rotation-detect', {
+                        image_id: imageId, contour: obj.contour, roi: obj.bbox, params: step.params, reference: body.reference || null
+                    });
+                    const result = rotation.objects[0];
+                    response.objects.push(Object.assign({}, obj, {
+                        angle: result.angle,
+                        real: result.real || obj.real,
+                        metadata: Object.assign({}, obj.metadata, {
+                            rotation_method: result.metadata.method,
+                            rotation_angle_range: result.metadata.angle_range,
+                            absolute_angle: result.metadata.absolute_angle
+                        })
+                    }));
+                    response.processing_time_ms += rotation.processing_time_ms;
+                }
+            } else if (step.type === 'color-detect') {
+                response = { objects: [], processing_time_ms: 0 };
+                for (const obj of objects) {
+                    const color = runRoute('/api/vision/color-detect', {
+                        image_id: imageId, roi: obj.bbox, contour: obj.contour, params: step.params
+                    });
+                    if (color.objects.length > 0) {
+                        response.objects.push(Object.assign({}, obj, {
+                            metadata: Object.assign({}, obj.metadata, {
+                                dominant_color: color.objects[0].metadata.dominant_color,
+                                color_percentages: color.objects[0].metadata.color_percentages
+                            })
+                        }));
+                    }
+                    response.processing_time_ms += color.processing_time_ms;
+                }
+            } else {
+                throw httpError(422, [{ loc: ['body', 'steps', 'type'], msg: `unknown step type ${step.type}`, type: 'value_error' }]);
+            }
+
+            objects = response.objects;
+            total += response.processing_time_ms;
+            results.push({ type: step.type, objects: objects, processing_time_ms: response.processing_time_ms });
+        }
+
+        return visionResponse(objects, total, { image: image, steps: results });
+    }
+
+    function sendJson(res, status, data) {
+        const json = JSON.stringify(data);
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+        res.end(json);
+    }
+
+    function sendStreamFrame(res) {
+        const frame = solidPng(fixtures.IMAGE_WIDTH, fixtures.IMAGE_HEIGHT);
+        res.writeHead(200, { 'Content-Type': 'multipart/x-mixed-replace; boundary=frame' });
+        res.write(`--frame\r\nContent-Type: image/png\r\nContent-Length: ${frame.length}\r\n\r\n`);
+        res.write(frame);
+        res.end('\r\n--frame--\r\n');
+    }
+
+    function handle(req, res, rawBody) {
+        const path = req.url.split('?')[0];
+
+        if (req.method === 'GET' && /^\/api\/camera\/stream\/[^/]+$/.test(path)) {
+            sendStreamFrame(res);
+            return 200;
+        }
+
+        const pathMatches = routes.filter(([, pattern]) => pattern.test(path));
+        const route = pathMatches.find(([method]) => method === req.method);
+        if (!route) {
+            const status = pathMatches.length > 0 ? 405 : 404;
+            sendJson(res, status, { detail: status === 405 ? 'Method Not Allowed' : 'Not Found' });
+            return status;
+        }
+
+        const [, pattern, handler, routeOptions = {}] = route;
+        try {
+            let body = rawBody;
+            if (!routeOptions.raw) {
+                try {
+                    body = rawBody.length > 0 ? JSON.parse(rawBody.toString('utf8')) : {};
+                } catch (_e) {
+                    throw httpError(422, [{ loc: ['body'], msg: 'Invalid JSON body', type: 'value_error.jsondecode' }]);
+                }
+            }
+
+            const result = applyThumbnailMode(
+                handler(body || {}, path.match(pattern).slice(1).map(decodeURIComponent), req),
+                body || {}
+            );
+            if (result && Buffer.isBuffer(result.data)) {
+                res.writeHead(200, { 'Content-Type': result.contentType, 'Content-Length': result.data.length });
+                res.end(result.data);
+            } else {
+                sendJson(res, 200, result);
+            }
+            return 200;
+        } catch (error) {
+            const status = error.status || 500;
+            sendJson(res, status, { detail: error.detail || { error: 'Internal server error', details: error.message } });
+            return status;
+        }
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            // Allow editor fetches from the Node-RED origin
+            res.setHeader('Access-Control-Allow-Origin', '*');
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+                    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+                });
+                res.end();
+                return;
+            }
+
+            setTimeout(() => {
+                const status = handle(req, res, Buffer.concat(chunks));
+                if (log) {
+                    log(`${req.method} ${req.url} ${status}`);
+                }
+            }, delayMs);
+        });
+    });
+
+    // Open connections, destroyed on stop() (server.closeAllConnections needs Node 18.2)
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    return {
+        state,
+        server,
+
+        /** Base URL once started, e.g. http://127.0.0.1:8000 */
+        url: null,
+
+        /**
+         * Start listening
+         *
+         * @param {number} [port=8000] - Port (0 picks a free port)
+         * @param {string} [host='127.0.0.1'] - Bind address
+         * @returns {Promise<string>} Base URL
+         */
+        start(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.removeListener('error', reject);
+                    this.url = `http://${host}:${server.address().port}`;
+                    resolve(this.url);
+                });
+            });
+        },
+
+        /**
+         * Stop listening and close open connections
+         *
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise((resolve) => {
+                if (!server.listening) {
+                    resolve();
+                    return;
+                }
+                server.close(() => resolve());
+                for (const socket of sockets) {
+                    socket.destroy();
+                }
+            });
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const args = { port: DEFAULT_PORT, host: DEFAULT_HOST, delayMs: 0, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port' || arg === '-p') {
+            args.port = parseInt(argv[++i], 10);
+        } else if (arg === '--host') {
+            args.host = argv[++i];
+        } else if (arg === '--delay') {
+            args.delayMs = parseInt(argv[++i], 10);
+        } else if (arg === '--quiet' || arg === '-q') {
+            args.quiet = true;
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log('Usage: mv-mock-backend [--port 8000] [--host 127.0.0.1] [--delay ms] [--quiet]');
+        process.exit(0);
+    }
+
+    const backend = createMockBackend({
+        delayMs: args.delayMs,
+        log: args.quiet ? null : (line) => console.log(line)
+    });
+
+    backend.start(args.port, args.host).then((url) => {
+        console.log(`Mock vision backend listening on ${url}`);
+    }).catch((error) => {
+        console.error(`Failed to start mock backend: ${error.message}`);
+        process.exit(1);
+    });
+
+    const shutdown = () => backend.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = { createMockBackend };
@@ -1,6 +1,6 @@
 module.exports = function(RED) {
-    const axios = require('axios');
     const visionUtils = require('../lib/vision-utils');
+    const { cameraKey } = require('../lib/backend-pool');
 
     function MVCameraCaptureNode(config) {
         RED.nodes.createNode(this, config);
@@ -8,6 +8,7 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.sourceType = config.sourceType || 'usb';
@@ -29,6 +30,9 @@ module.exports = function(RED) {
         // Status
         visionUtils.setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
         // Connect to camera on startup if autoConnect (skip for test mode)
         if (node.autoConnect && node.cameraId && node.sourceType !== 'test') {
             // Wait for backend to be ready, then connect
@@ -102,7 +106,8 @@ module.exports = function(RED) {
                         params: roi ? { roi: roi } : null
                     },
                     apiConfig: node.apiConfig,
-                    done: done
+                    done: done,
+                    thumbnail: true
                 });
 
                 // VisionResponse format: {objects: [...], image: {...}, thumbnail: "...", processing_time_ms: ...}
@@ -147,8 +152,9 @@ module.exports = function(RED) {
             // Disconnect camera if needed
             if (node.cameraId && node.cameraId !== 'test') {
                 try {
-                    const {apiUrl, headers} = visionUtils.getApiSettings(node.apiConfig);
-                    await axios.delete(`${apiUrl}/api/camera/disconnect/${node.cameraId}`, {headers});
+                    // Disconnect on the backend the camera is connected on
+                    const {apiUrl, headers} = visionUtils.getApiSettings(node.apiConfig, cameraKey(node.cameraId));
+                    await visionUtils.getHttpClient(node.apiConfig).delete(`${apiUrl}/api/camera/disconnect/${node.cameraId}`, {headers});
                     node.log(`Camera disconnected: ${node.cameraId}`);
                 } catch (error) {
                     // Ignore disconnect errors
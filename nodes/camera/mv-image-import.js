@@ -8,10 +8,14 @@ module.exports = function(RED) {
         // Configuration
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Status
         visionUtils.setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
         // Import image on input
         node.on('input', async function(msg, send, done) {
             // For Node-RED 1.0+ compatibility
@@ -4,6 +4,7 @@
  */
 
 const visionUtils = require('../lib/vision-utils');
+const { cameraKey } = require('../lib/backend-pool');
 
 module.exports = function(RED) {
     function MVLivePreviewNode(config) {
@@ -26,11 +27,14 @@ module.exports = function(RED) {
         // Set initial status
         visionUtils.setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
         function emitState({ streaming, cameraId, timestamp }) {
             const resolvedCamera = cameraId || node.cameraId;
             const isStreaming = Boolean(streaming);
             const messageTimestamp = timestamp || new Date().toISOString();
-            const {apiUrl} = visionUtils.getApiSettings(node.apiConfig);
+            const {apiUrl} = visionUtils.getApiSettings(node.apiConfig, resolvedCamera ? cameraKey(resolvedCamera) : null);
 
             node.send({
                 payload: {
@@ -96,7 +100,8 @@ module.exports = function(RED) {
             node.cameraId = cameraId;
             try {
                 await ensureCameraConnected(cameraId);
-                const {apiUrl} = visionUtils.getApiSettings(node.apiConfig);
+                // Stream from the backend the camera is connected on
+                const {apiUrl} = visionUtils.getApiSettings(node.apiConfig, cameraKey(cameraId));
                 // Build MJPEG stream URL
                 node.streamUrl = `${apiUrl}/api/camera/stream/${cameraId}`;
                 node.streamActive = true;
@@ -128,7 +133,8 @@ module.exports = function(RED) {
                         node: null,  // Don't auto-handle errors
                         endpoint: `/api/camera/stream/stop/${activeCamera}`,
                         requestData: {},
-                        apiConfig: node.apiConfig
+                        apiConfig: node.apiConfig,
+                        cameraId: activeCamera
                     });
                     node.log(`Stopped stream for camera: ${activeCamera}`);
                 } catch (error) {
@@ -1,5 +1,4 @@
 module.exports = function(RED) {
-    const axios = require('axios');
     const visionUtils = require('../lib/vision-utils');
 
     function MVTestImageNode(config) {
@@ -8,6 +7,7 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration - test_id is set when image is uploaded via editor
         node.testId = config.testId || null;
@@ -20,6 +20,9 @@ module.exports = function(RED) {
             visionUtils.setNodeStatus(node, 'error', 'no test image uploaded');
         }
 
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
         // Capture test image on input (trigger)
         node.on('input', async function(msg, send, done) {
             // For Node-RED 1.0+ compatibility
@@ -44,7 +47,8 @@ module.exports = function(RED) {
                     method: 'POST',
                     requestData: {},
                     apiConfig: node.apiConfig,
-                    done: done
+                    done: done,
+                    thumbnail: true
                 });
 
                 // VisionResponse format: {objects: [...], image: {...}, thumbnail: "...", processing_time_ms: ..., test_id: "..."}
@@ -111,6 +115,7 @@ module.exports = function(RED) {
         await visionUtils.handleFileUpload(req, res, {
             backendEndpoint: '/api/test-image/upload',
             apiConfig: node.apiConfig,
+            idField: 'test_id',
             transformResponse: (data) => ({
                 success: true,
                 test_id: data.test_id,
@@ -127,10 +132,11 @@ module.exports = function(RED) {
             // Get API config from query parameter or use default
             let apiUrl = 'http://localhost:8000';
             let headers = {};
+            let apiConfig = null;
 
             const apiConfigId = req.query.apiConfigId;
             if (apiConfigId) {
-                const apiConfig = RED.nodes.getNode(apiConfigId);
+                apiConfig = RED.nodes.getNode(apiConfigId);
                 if (apiConfig) {
                     const settings = visionUtils.getApiSettings(apiConfig);
                     apiUrl = settings.apiUrl;
@@ -139,7 +145,7 @@ module.exports = function(RED) {
             }
 
             // List test images from backend
-            const response = await axios.get(
+            const response = await visionUtils.getHttpClient(apiConfig).get(
                 `${apiUrl}/api/test-image/list`,
                 { headers }
             );
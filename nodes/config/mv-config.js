@@ -1,13 +1,167 @@
 module.exports = function(RED) {
+    const path = require('path');
+    const { createTrafficRecorder } = require('../lib/traffic-recorder');
+    const { createHealthMonitor } = require('../lib/health-monitor');
+    const { createBackendPool } = require('../lib/backend-pool');
+    const { createCircuitBreaker } = require('../lib/circuit-breaker');
+    const { createRequestLimiter } = require('../lib/request-limiter');
+    const { createHttpClient } = require('../lib/http-client');
+    const { checkBackendHealth, CONSTANTS } = require('../lib/vision-utils');
+
     function MVConfigNode(config) {
         RED.nodes.createNode(this, config);
+        const node = this;
 
         // Store configuration
         this.apiUrl = config.apiUrl || 'http://localhost:8000';
         this.timeout = parseInt(config.timeout) || 30000;
 
+        // Additional backend URLs (one per line or comma separated) form a pool
+        // with apiUrl first; the shared HTTP layer picks the backend per request
+        this.strategy = config.strategy || 'failover';
+        this.apiUrls = [this.apiUrl].concat(String(config.additionalUrls || '')
+            .split(/[\s,]+/)
+            .map(url => url.trim().replace(/\/+$/, ''))
+            .filter(url => url && url !== this.apiUrl));
+        this.backendPool = null;
+
+        if (this.apiUrls.length > 1) {
+            try {
+                this.backendPool = createBackendPool({ urls: this.apiUrls, strategy: this.strategy });
+                this.log(`Using ${this.apiUrls.length} backends (${this.strategy}): ${this.apiUrls.join(', ')}`);
+            } catch (error) {
+                this.error(`Multiple backends disabled: ${error.message}`);
+            }
+        }
+
+        // Pooled keep-alive connections shared by all nodes using this config
+        // (see getHttpClient); HTTP/2 only for backends that support it
+        this.maxSockets = parseInt(config.maxSockets) || CONSTANTS.HTTP.MAX_SOCKETS;
+        this.http2 = config.http2 === true;
+        this.httpClient = createHttpClient({
+            maxSockets: this.maxSockets,
+            maxFreeSockets: Math.min(this.maxSockets, CONSTANTS.HTTP.MAX_FREE_SOCKETS),
+            http2: this.http2
+        });
+
+        // Retry policy for vision calls (nodes can override retries)
+        this.retries = config.retries !== undefined && config.retries !== ''
+            ? parseInt(config.retries)
+            : CONSTANTS.RETRY.VISION_RETRIES;
+        this.retryDelay = config.retryDelay !== undefined && config.retryDelay !== ''
+            ? parseInt(config.retryDelay)
+            : CONSTANTS.RETRY.VISION_DELAY_MS;
+        // A timed-out request may still be running on a slow backend
+        this.retryTimeouts = config.retryTimeouts !== undefined
+            ? config.retryTimeouts === true
+            : CONSTANTS.RETRY.VISION_RETRY_TIMEOUTS;
+
+        // Thumbnail mode requested from the backend (nodes can override it)
+        this.thumbnailMode = config.thumbnailMode || CONSTANTS.THUMBNAIL.DEFAULT_MODE;
+
         // Credentials are stored separately by Node-RED
         // Access via this.credentials.apiKey and this.credentials.apiToken
+
+        // Record/replay of backend traffic ('off', 'record', 'replay')
+        // The recorder is picked up by the shared HTTP layer in vision-utils
+        this.trafficMode = config.trafficMode || 'off';
+        this.trafficRecorder = null;
+        this.trafficError = null;
+
+        if (this.trafficMode !== 'off') {
+            const baseDir = (RED.settings && RED.settings.userDir) || process.cwd();
+            const directory = path.resolve(baseDir, config.trafficDir || 'mv-traffic');
+
+            try {
+                this.trafficRecorder = createTrafficRecorder({
+                    mode: this.trafficMode,
+                    directory: directory,
+                    onError: (error) => node.warn(`Traffic recording failed: ${error.message}`)
+                });
+                if (this.trafficMode === 'record') {
+                    this.log(`Recording backend traffic to ${directory}`);
+                } else {
+                    this.log(`Replaying ${this.trafficRecorder.size()} recorded exchanges from ${directory}`);
+                }
+            } catch (error) {
+                // Replay requests still never reach the backend (see sendRequest)
+                this.trafficError = error.message;
+                this.error(`Traffic ${this.trafficMode} disabled: ${error.message}`);
+            }
+        }
+
+        // Health monitoring: polls /api/system/health while any node is subscribed
+        // (see watchBackendHealth); off in replay mode, where no backend is used
+        this.healthInterval = config.healthInterval !== undefined && config.healthInterval !== ''
+            ? parseInt(config.healthInterval)
+            : CONSTANTS.HEALTH.INTERVAL_MS;
+        this.degradedLatency = parseInt(config.degradedLatency) || CONSTANTS.HEALTH.DEGRADED_LATENCY_MS;
+        this.health = null;
+
+        if (this.healthInterval > 0 && this.trafficMode !== 'replay') {
+            this.health = createHealthMonitor({
+                check: () => checkBackendHealth(node, Math.min(node.timeout, CONSTANTS.HEALTH.TIMEOUT_MS)),
+                interval: this.healthInterval,
+                degradedLatencyMs: this.degradedLatency
+            });
+        }
+
+        // Circuit breaker: fail fast after consecutive backend failures
+        // instead of waiting for the timeout on every request (0 = off)
+        this.failureThreshold = config.failureThreshold !== undefined && config.failureThreshold !== ''
+            ? parseInt(config.failureThreshold)
+            : CONSTANTS.CIRCUIT_BREAKER.FAILURE_THRESHOLD;
+        this.circuitResetMs = parseInt(config.circuitResetMs) || CONSTANTS.CIRCUIT_BREAKER.RESET_TIMEOUT_MS;
+        this.circuitBreaker = null;
+
+        if (this.failureThreshold > 0 && this.trafficMode !== 'replay') {
+            this.circuitBreaker = createCircuitBreaker({
+                failureThreshold: this.failureThreshold,
+                resetTimeoutMs: this.circuitResetMs
+            });
+            this.circuitBreaker.subscribe(function(circuit, previous) {
+                if (circuit.state === 'open') {
+                    node.warn(`Circuit open after ${circuit.failures} consecutive backend failures, requests fail fast until ${circuit.retry_at}`);
+                } else if (circuit.state === 'closed') {
+                    node.log(`Circuit closed, backend reachable again (was ${previous})`);
+                }
+            });
+        }
+
+        // Concurrency limit: at most maxConcurrent requests in flight, the rest
+        // wait in a queue of maxQueue handled by queuePolicy (0 = unlimited)
+        this.maxConcurrent = config.maxConcurrent !== undefined && config.maxConcurrent !== ''
+            ? parseInt(config.maxConcurrent)
+            : CONSTANTS.REQUEST_LIMIT.MAX_CONCURRENT;
+        this.maxQueue = config.maxQueue !== undefined && config.maxQueue !== ''
+            ? parseInt(config.maxQueue)
+            : CONSTANTS.REQUEST_LIMIT.MAX_QUEUE;
+        this.queuePolicy = config.queuePolicy || CONSTANTS.REQUEST_LIMIT.POLICY;
+        this.requestLimiter = null;
+
+        if (this.maxConcurrent > 0 && this.trafficMode !== 'replay') {
+            try {
+                this.requestLimiter = createRequestLimiter({
+                    maxConcurrent: this.maxConcurrent,
+                    maxQueue: this.maxQueue,
+                    policy: this.queuePolicy
+                });
+            } catch (error) {
+                this.error(`Request limit disabled: ${error.message}`);
+            }
+        }
+
+        this.on('close', function(done) {
+            if (node.health) {
+                node.health.stop();
+            }
+            node.httpClient.destroy();
+            if (node.trafficRecorder) {
+                node.trafficRecorder.flush().then(() => done());
+            } else {
+                done();
+            }
+        });
     }
 
     RED.nodes.registerType('mv-config', MVConfigNode, {
@@ -16,4 +170,24 @@ module.exports = function(RED) {
             apiToken: {type: 'password'}
         }
     });
+
+    // Runtime state for the editor: health, circuit breaker, request queue, backends and connections
+    RED.httpAdmin.get('/mv-config/:id/state',
+        RED.auth.needsPermission('mv-config.read'),
+        function(req, res) {
+            const node = RED.nodes.getNode(req.params.id);
+            if (!node) {
+                res.sendStatus(404);
+                return;
+            }
+
+            res.json({
+                health: node.health ? node.health.getState() : null,
+                circuit: node.circuitBreaker ? node.circuitBreaker.getState() : null,
+                queue: node.requestLimiter ? node.requestLimiter.getState() : null,
+                backends: node.backendPool ? node.backendPool.getStatus() : null,
+                connections: node.httpClient.getStats()
+            });
+        }
+    );
 };
@@ -0,0 +1,78 @@
+module.exports = function(RED) {
+    const { setNodeStatus, CONSTANTS } = require('../lib/vision-utils');
+
+    function MVHealthNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.topic = config.topic || 'mv/health';
+
+        const monitor = node.apiConfig && node.apiConfig.health;
+
+        function showState(health) {
+            const latency = health.latency_ms !== null ? ` | ${health.latency_ms}ms` : '';
+            if (health.state === 'connected') {
+                setNodeStatus(node, 'success', `connected${latency}`);
+            } else if (health.state === 'degraded') {
+                setNodeStatus(node, 'warning', `degraded${latency}`);
+            } else if (health.state === 'disconnected') {
+                setNodeStatus(node, 'error', 'disconnected');
+            } else {
+                setNodeStatus(node, 'processing', 'checking...');
+            }
+        }
+
+        function buildMessage(health, previous, msg) {
+            const outputMsg = msg ? RED.util.cloneMessage(msg) : {};
+            outputMsg.topic = node.topic;
+            outputMsg.payload = Object.assign({}, health, {
+                previous: previous,
+                api_url: node.apiConfig.apiUrl
+            });
+            return outputMsg;
+        }
+
+        if (!node.apiConfig) {
+            setNodeStatus(node, 'error', CONSTANTS.STATUS_TEXT.NO_CONFIG);
+        } else if (!monitor) {
+            setNodeStatus(node, 'error', 'monitoring off');
+        }
+
+        // Emit on every state transition (the first check reports unknown -> state)
+        const unsubscribe = monitor
+            ? monitor.subscribe(function(health, previous) {
+                showState(health);
+                node.send(buildMessage(health, previous));
+            })
+            : null;
+
+        // Any input triggers an immediate check and reports the current state
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            if (!monitor) {
+                done(new Error(node.apiConfig
+                    ? 'Health monitoring is off in the mv-config node'
+                    : 'Missing API configuration. Please configure mv-config node.'));
+                return;
+            }
+
+            const health = await monitor.checkNow();
+            showState(health);
+            send(buildMessage(health, null, msg));
+            done();
+        });
+
+        node.on('close', function() {
+            if (unsubscribe) {
+                unsubscribe();
+            }
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-health', MVHealthNode);
+};
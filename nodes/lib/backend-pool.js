@@ -0,0 +1,209 @@
+/**
+ * Backend pool for Machine Vision Flow Node-RED nodes
+ *
+ * Selects one of several backend URLs of an mv-config node per request
+ * (failover, round-robin or least-latency) and keeps session affinity:
+ * image IDs are backend-local, so requests on an image go to the backend
+ * that produced it, and requests on a camera go to the backend that
+ * connected it. Used by the shared HTTP layer in vision-utils.
+ */
+
+const CONSTANTS = require('./constants');
+
+const STRATEGIES = ['failover', 'round-robin', 'least-latency'];
+
+/**
+ * Affinity key of a camera, kept apart from image IDs
+ *
+ * @param {string} cameraId - Camera ID
+ * @returns {string} Key for select(), preferred() and reportSuccess()
+ */
+function cameraKey(cameraId) {
+    return `camera:${cameraId}`;
+}
+
+/**
+ * Create a backend pool
+ *
+ * @param {object} options - Pool options
+ * @param {Array<string>} options.urls - Backend base URLs, in priority order
+ * @param {string} [options.strategy='failover'] - 'failover', 'round-robin' or 'least-latency'
+ * @param {number} [options.cooldownMs] - How long a failed backend is skipped
+ * @param {number} [options.maxAffinity] - Number of image and camera bindings remembered
+ * @returns {object} Pool with urls, strategy, select(), preferred(), reportSuccess(), reportFailure(), getStatus()
+ */
+function createBackendPool(options) {
+    const {
+        urls,
+        strategy = 'failover',
+        cooldownMs = CONSTANTS.BACKEND_POOL.COOLDOWN_MS,
+        maxAffinity = CONSTANTS.BACKEND_POOL.MAX_AFFINITY
+    } = options;
+
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid backend strategy: ${strategy}`);
+    }
+    if (!urls || urls.length === 0) {
+        throw new Error('At least one backend URL is required');
+    }
+
+    const backends = urls.map(url => ({ url, downUntil: 0, latency: null }));
+    // image_id or cameraKey() -> backend URL, oldest first
+    const affinity = new Map();
+    let nextIndex = 0;
+
+    function find(url) {
+        return backends.find(backend => backend.url === url);
+    }
+
+    function bind(key, url) {
+        affinity.delete(key);
+        affinity.set(key, url);
+        if (affinity.size > maxAffinity) {
+            affinity.delete(affinity.keys().next().value);
+        }
+    }
+
+    /**
+     * Backends that may be used, preferring those not in cooldown
+     *
+     * @param {Set<string>} exclude - URLs already tried for this request
+     * @returns {Array<object>} Candidate backends (empty when all are excluded)
+     */
+    function candidates(exclude) {
+        const remaining = backends.filter(backend => !exclude.has(backend.url));
+        const now = Date.now();
+        const up = remaining.filter(backend => backend.downUntil <= now);
+        // When every backend failed recently, try them anyway
+        return up.length > 0 ? up : remaining;
+    }
+
+    function fastest(list) {
+        // Backends without a measurement count as fastest so they get probed
+        return list.reduce((best, backend) => {
+            return (backend.latency || 0) < (best.latency || 0) ? backend : best;
+        });
+    }
+
+    /**
+     * Pick the backend for one request
+     *
+     * @param {string|null} key - image_id or cameraKey() of the request, if any
+     * @param {Set<string>} [exclude] - URLs that already failed for this request
+     * @returns {string|null} Backend URL, or null when no backend is left
+     * (including a bound image or camera whose backend is excluded)
+     */
+    function select(key, exclude = new Set()) {
+        if (key && affinity.has(key)) {
+            const url = affinity.get(key);
+            return exclude.has(url) ? null : url;
+        }
+
+        const list = candidates(exclude);
+        if (list.length === 0) {
+            return null;
+        }
+
+        if (strategy === 'round-robin') {
+            const backend = list[nextIndex % list.length];
+            nextIndex = (nextIndex + 1) % backends.length;
+            return backend.url;
+        }
+        if (strategy === 'least-latency') {
+            return fastest(list).url;
+        }
+        return list[0].url;
+    }
+
+    /**
+     * Backend URL for building links (streams, uploads) without advancing
+     * round-robin
+     *
+     * @param {string|null} [key] - image_id or cameraKey() the link refers to, if any
+     * @returns {string} Backend URL
+     */
+    function preferred(key = null) {
+        if (key && affinity.has(key)) {
+            return affinity.get(key);
+        }
+        const list = candidates(new Set());
+        return strategy === 'least-latency' ? fastest(list).url : list[0].url;
+    }
+
+    /**
+     * Record a successful request and bind the images it produced
+     *
+     * @param {string} url - Backend URL
+     * @param {number} latency - Request duration in ms
+     * @param {object} [data] - Response data (image.id and preprocess
+     * metadata.image_id are bound to the backend)
+     * @param {string|null} [key] - Affinity key of the request, bound to the
+     * backend (e.g. cameraKey() of a connected camera)
+     */
+    function reportSuccess(url, latency, data, key = null) {
+        const backend = find(url);
+        if (backend) {
+            const smoothing = CONSTANTS.BACKEND_POOL.LATENCY_SMOOTHING;
+            backend.downUntil = 0;
+            backend.latency = backend.latency === null
+                ? latency
+                : Math.round(backend.latency + smoothing * (latency - backend.latency));
+        }
+
+        if (key) {
+            bind(key, url);
+        }
+        if (data && data.image && data.image.id) {
+            bind(data.image.id, url);
+        }
+        if (data && Array.isArray(data.objects)) {
+            for (const obj of data.objects) {
+                if (obj && obj.metadata && obj.metadata.image_id) {
+                    bind(obj.metadata.image_id, url);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record an unreachable backend; it is skipped for the cooldown period
+     *
+     * @param {string} url - Backend URL
+     */
+    function reportFailure(url) {
+        const backend = find(url);
+        if (backend) {
+            backend.downUntil = Date.now() + cooldownMs;
+        }
+    }
+
+    /**
+     * Get a snapshot of all backends
+     *
+     * @returns {Array<object>} [{url, up, latency_ms}]
+     */
+    function getStatus() {
+        const now = Date.now();
+        return backends.map(backend => ({
+            url: backend.url,
+            up: backend.downUntil <= now,
+            latency_ms: backend.latency
+        }));
+    }
+
+    return {
+        urls: backends.map(backend => backend.url),
+        strategy,
+        select,
+        preferred,
+        reportSuccess,
+        reportFailure,
+        getStatus
+    };
+}
+
+module.exports = {
+    createBackendPool,
+    cameraKey,
+    STRATEGIES
+};
@@ -0,0 +1,138 @@
+/**
+ * Circuit breaker for Machine Vision Flow Node-RED nodes
+ *
+ * Owned by the mv-config node and consulted by the shared HTTP layer in
+ * vision-utils before every backend request. After a number of consecutive
+ * failures the circuit opens and requests fail fast instead of waiting for
+ * the request timeout; after the reset timeout one probe request is let
+ * through (half-open) and its outcome closes or re-opens the circuit.
+ */
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Create a circuit breaker
+ *
+ * @param {object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+ * @param {number} options.resetTimeoutMs - Time the circuit stays open before a probe
+ * @returns {object} Breaker with allowRequest(), recordSuccess(), recordFailure(), getState() and subscribe()
+ */
+function createCircuitBreaker(options) {
+    const {
+        failureThreshold,
+        resetTimeoutMs
+    } = options;
+
+    const listeners = new Set();
+    let state = STATES.CLOSED;
+    let failures = 0;
+    let openedAt = null;
+    let probing = false;
+
+    function transition(next) {
+        const previous = state;
+        state = next;
+        if (next === STATES.OPEN) {
+            openedAt = Date.now();
+        } else if (next === STATES.CLOSED) {
+            openedAt = null;
+        }
+        for (const listener of listeners) {
+            listener(getState(), previous);
+        }
+    }
+
+    /**
+     * Check whether a request may be sent now
+     *
+     * In half-open state only one probe request is allowed at a time; its
+     * outcome must be reported with recordSuccess() or recordFailure().
+     *
+     * @returns {boolean} False when the request must fail fast
+     */
+    function allowRequest() {
+        if (state === STATES.CLOSED) {
+            return true;
+        }
+        if (state === STATES.OPEN) {
+            if (Date.now() - openedAt < resetTimeoutMs) {
+                return false;
+            }
+            transition(STATES.HALF_OPEN);
+        }
+        if (probing) {
+            return false;
+        }
+        probing = true;
+        return true;
+    }
+
+    /**
+     * Report a request that reached a working backend
+     */
+    function recordSuccess() {
+        failures = 0;
+        probing = false;
+        if (state !== STATES.CLOSED) {
+            transition(STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Report a request that failed because of the backend (network, timeout, 5xx)
+     */
+    function recordFailure() {
+        failures++;
+        if (state === STATES.HALF_OPEN) {
+            probing = false;
+            transition(STATES.OPEN);
+        } else if (state === STATES.CLOSED && failures >= failureThreshold) {
+            transition(STATES.OPEN);
+        }
+    }
+
+    /**
+     * Get a copy of the current state
+     *
+     * @returns {object} {state, failures, opened_at, retry_at}
+     */
+    function getState() {
+        return {
+            state: state,
+            failures: failures,
+            opened_at: openedAt !== null ? new Date(openedAt).toISOString() : null,
+            retry_at: openedAt !== null ? new Date(openedAt + resetTimeoutMs).toISOString() : null
+        };
+    }
+
+    /**
+     * Subscribe to state transitions
+     *
+     * @param {function} listener - Called with (state, previousStateName) on every transition
+     * @returns {function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return function unsubscribe() {
+            listeners.delete(listener);
+        };
+    }
+
+    return {
+        allowRequest,
+        recordSuccess,
+        recordFailure,
+        getState,
+        subscribe
+    };
+}
+
+module.exports = {
+    createCircuitBreaker,
+    STATES
+};
@@ -14,6 +14,54 @@ const API = {
     HEALTH_CHECK_TIMEOUT: 1000,  // 1 second for health checks
 };
 
+/**
+ * HTTP Connection Pooling (mv-config)
+ */
+const HTTP = {
+    MAX_SOCKETS: 16,  // Connections per backend
+    MAX_FREE_SOCKETS: 8,  // Idle connections kept open per backend
+    KEEP_ALIVE_MSECS: 1000,  // TCP keep-alive probe delay of idle connections
+    HTTP2_SESSION_TIMEOUT_MS: 60000,  // Close idle HTTP/2 sessions
+};
+
+/**
+ * Backend Health Monitoring (mv-config)
+ */
+const HEALTH = {
+    INTERVAL_MS: 10000,  // Poll every 10 seconds
+    TIMEOUT_MS: 5000,  // Health request timeout
+    DEGRADED_LATENCY_MS: 1000,  // Slower health responses count as degraded
+};
+
+/**
+ * Circuit Breaker (mv-config)
+ */
+const CIRCUIT_BREAKER = {
+    FAILURE_THRESHOLD: 5,  // Consecutive backend failures that open the circuit
+    RESET_TIMEOUT_MS: 30000,  // Fail fast for 30 seconds, then probe
+    ERROR_CODE: 'CIRCUIT_OPEN',  // error.code of fast-failed requests (msg.error.code)
+};
+
+/**
+ * Request Concurrency Limit (mv-config)
+ */
+const REQUEST_LIMIT = {
+    MAX_CONCURRENT: 0,  // Backend requests in flight per config node (0 = no limit)
+    MAX_QUEUE: 20,  // Requests waiting for a slot
+    POLICY: 'block',  // Full queue: 'drop-oldest', 'drop-newest' or 'block' (refuse new requests)
+    ERROR_CODE: 'REQUEST_DROPPED',  // error.code of dropped requests (msg.error.code)
+    QUEUE_FULL_CODE: 'QUEUE_FULL',  // error.code of requests refused by 'block' (msg.error.code)
+};
+
+/**
+ * Multiple Backend URLs (mv-config)
+ */
+const BACKEND_POOL = {
+    COOLDOWN_MS: 10000,  // Skip an unreachable backend for 10 seconds
+    MAX_AFFINITY: 10000,  // Image IDs remembered for session affinity
+    LATENCY_SMOOTHING: 0.3,  // Weight of the newest latency sample
+};
+
 /**
  * Retry Configuration
  */
@@ -21,6 +69,24 @@ const RETRY = {
     MAX_ATTEMPTS: 5,
     DELAY_MS: 2000,  // 2 seconds between retries
     EXPONENTIAL_BASE: 1.5,  // For exponential backoff
+
+    // Vision API retries (mv-config defaults, overridable per node)
+    VISION_RETRIES: 0,  // Retries after the first failed request, off unless configured
+    VISION_RETRY_TIMEOUTS: false,  // Timed-out requests are only retried when enabled
+    VISION_DELAY_MS: 500,  // Delay before the first retry
+    MAX_DELAY_MS: 10000,  // Backoff cap
+    JITTER: 0.25,  // Each delay varies randomly by +/-25%
+    RETRIABLE_STATUSES: [408, 429, 500, 502, 503, 504],
+};
+
+/**
+ * Thumbnail Configuration
+ */
+const THUMBNAIL = {
+    // 'full': base64 thumbnail (backend default), 'low': smaller base64 thumbnail,
+    // 'none': no thumbnail, 'url': link to fetch the thumbnail from the backend
+    MODES: ['full', 'low', 'none', 'url'],
+    DEFAULT_MODE: 'full',
 };
 
 /**
@@ -103,6 +169,38 @@ const ARUCO_DETECT = {
     MARKER_LENGTH: 0.05,  // meters
 };
 
+/**
+ * Barcode Reading Defaults
+ */
+const BARCODE_READ = {
+    // Symbologies the backend decodes; none selected = all of them
+    SYMBOLOGIES: ['qr', 'datamatrix', 'code128', 'code39', 'ean13', 'ean8', 'upca', 'pdf417', 'aztec'],
+};
+
+/**
+ * OCR Defaults
+ */
+const OCR = {
+    MIN_CONFIDENCE: 0.5,  // Lines with a less certain character are not reported
+    // exact: whole text, pattern: # digit, @ letter, ? any character, * any run, regex: JS regex
+    MATCH_MODES: ['exact', 'pattern', 'regex'],
+    DEFAULT_MATCH_MODE: 'exact',
+};
+
+/**
+ * Blob Analysis Defaults
+ */
+const BLOB_ANALYSIS = {
+    // 'none' = the input is already binary (e.g. thresholded by mv-preprocess)
+    THRESHOLD_METHODS: ['otsu', 'fixed', 'adaptive', 'none'],
+    DEFAULT_THRESHOLD_METHOD: 'otsu',
+    THRESHOLD_VALUE: 127,
+    DEFAULT_POLARITY: 'dark',
+    // Shape features with min/max range filters
+    FEATURES: ['area', 'perimeter', 'circularity', 'convexity', 'eccentricity', 'holes'],
+    MAX_BLOBS: 50,
+};
+
 /**
  * Rotation Detection Defaults
  */
@@ -114,6 +212,68 @@ const ROTATION_DETECT = {
     DEFAULT_ANGLE_RANGE: '0_360',
 };
 
+/**
+ * Shape (Hough) Detection Defaults
+ */
+const SHAPE_DETECT = {
+    SHAPES: ['circles', 'lines'],
+    DEFAULT_SHAPE: 'circles',
+    // Circles (HoughCircles)
+    MIN_RADIUS: 5,
+    MAX_RADIUS: 100,
+    MIN_DISTANCE: 20,  // Between circle centers
+    CANNY_HIGH: 100,
+    ACCUMULATOR_THRESHOLD: 30,  // Lower finds more (and more false) circles
+    // Lines (HoughLinesP), same defaults as rotation detection
+    LINE_THRESHOLD: ROTATION_DETECT.THRESHOLD,
+    MIN_LINE_LENGTH: ROTATION_DETECT.MIN_LINE_LENGTH,
+    MAX_LINE_GAP: ROTATION_DETECT.MAX_LINE_GAP,
+    MAX_SHAPES: 50,
+};
+
+/**
+ * Caliper Defaults
+ */
+const CALIPER = {
+    // 'line': x1/y1 to x2/y2, 'rect': rotated rectangle around centerX/centerY
+    REGION_TYPES: ['line', 'rect'],
+    DEFAULT_REGION_TYPE: 'line',
+    REGION_WIDTH: 10,  // Band projected onto the search axis (px)
+    // 'pair': edge pairs with their width, 'single': every edge point
+    MODES: ['pair', 'single'],
+    DEFAULT_MODE: 'pair',
+    // Polarity of the (first) edge along the search direction
+    POLARITIES: ['any', 'light_to_dark', 'dark_to_light'],
+    DEFAULT_POLARITY: 'any',
+    MIN_CONTRAST: 20,  // Gray-level step of an edge
+    SMOOTHING: 2,  // Half-size of the profile filter (px)
+    MAX_RESULTS: 10,
+};
+
+/**
+ * Golden-Image Defect Detection Defaults
+ */
+const DEFECT_DIFF = {
+    // How the image is registered to the golden image before subtracting:
+    // 'template' matches the golden image, 'aruco' uses msg.reference
+    ALIGNMENTS: ['template', 'aruco', 'none'],
+    DEFAULT_ALIGNMENT: 'template',
+    THRESHOLD: 30,  // Gray-level difference that counts as a defect
+    BLUR: 3,  // Blur kernel against noise and residual misalignment (0 = off)
+    MIN_AREA: 20,  // Smaller difference blobs are ignored (px²)
+    MAX_DEFECTS: 50,
+};
+
+/**
+ * Pipeline Defaults
+ */
+const PIPELINE = {
+    STEP_TYPES: ['preprocess', 'roi-extract', 'edge-detect', 'rotation-detect', 'color-detect'],
+    // Steps that run once per object found by the preceding steps
+    OBJECT_STEPS: ['rotation-detect', 'color-detect'],
+    MAX_STEPS: 10,
+};
+
 /**
  * ROI Defaults
  */
@@ -136,6 +296,108 @@ const SIMULATOR = {
     DEFAULT_TEXT: 'Test Image',
 };
 
+/**
+ * Inspection Judge Defaults
+ */
+const INSPECT_JUDGE = {
+    DEFAULT_TIMEOUT: 1000,  // Wait 1 second for all results of one image
+    MAX_PENDING: 100,  // Images collected at once before the oldest is judged early
+    VERDICT_OK: 'OK',
+    VERDICT_NG: 'NG',
+    RULE_TYPES: ['count', 'confidence', 'area', 'perimeter', 'angle'],
+};
+
+/**
+ * Overlay Defaults
+ */
+const OVERLAY = {
+    // 'single': draw every message, 'collect': draw all results of one image together
+    MODES: ['single', 'collect'],
+    DEFAULT_TIMEOUT: 1000,  // Collect mode: wait 1 second for all results of one image
+    MAX_PENDING: 100,  // Collect mode: images collected at once before the oldest is drawn early
+    // Annotations that can be switched on and off per object type
+    FEATURES: ['bbox', 'contour', 'center', 'angle', 'label', 'axes'],
+    THICKNESS: 2,
+    FONT_SIZE: 14,
+    MARKER_SIZE: 6,  // Half-size of the center cross (px)
+    ARROW_LENGTH: 30,  // Angle arrow without a bbox to scale it (px)
+    DEFAULT_COLOR: '#0074D9',
+    PASS_COLOR: '#2ECC40',
+    FAIL_COLOR: '#FF4136',
+    NEUTRAL_COLOR: '#AAAAAA',  // Judged image, object not checked by any rule
+    // ArUco axes in OpenCV's drawFrameAxes colors
+    AXIS_X_COLOR: '#FF0000',
+    AXIS_Y_COLOR: '#00FF00',
+    TYPE_COLORS: {
+        template_match: '#0074D9',
+        feature_template_match: '#0074D9',
+        edge_contour: '#FFDC00',
+        color_region: '#F012BE',
+        aruco_marker: '#39CCCC',
+        barcode: '#B10DC9',
+        text: '#B10DC9',
+        blob: '#FF851B',
+        circle: '#01FF70',
+        line: '#01FF70',
+        caliper_pair: '#7FDBFF',
+        caliper_edge: '#7FDBFF',
+        defect: '#FF4136',
+    },
+};
+
+/**
+ * Image Fetch Defaults
+ */
+const IMAGE_FETCH = {
+    FORMATS: ['png', 'jpeg', 'bmp', 'tiff'],
+    DEFAULT_FORMAT: 'png',
+    JPEG_QUALITY: 95,
+    CONTENT_TYPES: {
+        png: 'image/png',
+        jpeg: 'image/jpeg',
+        bmp: 'image/bmp',
+        tiff: 'image/tiff',
+    },
+    EXTENSIONS: {
+        png: 'png',
+        jpeg: 'jpg',
+        bmp: 'bmp',
+        tiff: 'tif',
+    },
+};
+
+/**
+ * Image Archive Defaults
+ */
+const IMAGE_ARCHIVE = {
+    // What is stored per part: full-resolution image, annotated image or both
+    CONTENTS: ['full', 'annotated', 'both'],
+    DEFAULT_CONTENT: 'both',
+    DEFAULT_DIRECTORY: 'mv-archive',  // Relative to the Node-RED user directory
+    MAX_AGE_DAYS: 90,
+    OK_RATE: 0,  // Store every Nth OK part, 0 = NG only
+    CLEANUP_INTERVAL_MS: 3600000,  // Apply retention rules hourly
+};
+
+/**
+ * Results Log Defaults
+ */
+const RESULTS_LOG = {
+    STORAGES: ['csv', 'sqlite'],
+    DEFAULT_STORAGE: 'csv',
+    // Relative to the Node-RED user directory
+    DEFAULT_LOCATIONS: {
+        csv: 'mv-results',
+        sqlite: 'mv-results.db',
+    },
+    MAX_AGE_DAYS: 90,
+    CLEANUP_INTERVAL_MS: 3600000,  // Apply the maximum age hourly
+    GROUP_BY: ['topic', 'object_type', 'hour', 'day', 'none'],
+    DEFAULT_GROUP_BY: 'topic',
+    DEFAULT_RANGE_HOURS: 8,  // One shift
+    MAX_ROWS: 10000,  // Rows returned without grouping
+};
+
 /**
  * Camera Defaults
  */
@@ -157,6 +419,14 @@ const OBJECT_TYPES = {
     EDGE_CONTOUR: 'edge_contour',
     COLOR_REGION: 'color_region',
     ARUCO_MARKER: 'aruco_marker',
+    BARCODE: 'barcode',
+    TEXT: 'text',
+    BLOB: 'blob',
+    CIRCLE: 'circle',
+    LINE: 'line',
+    CALIPER_PAIR: 'caliper_pair',
+    CALIPER_EDGE: 'caliper_edge',
+    DEFECT: 'defect',
     ROTATION_ANALYSIS: 'rotation_analysis',
     ROI_EXTRACT: 'roi_extract',
 };
@@ -204,6 +474,11 @@ const STATUS_TEXT = {
     SERVER_ERROR: 'server error',
     NETWORK_ERROR: 'network error',
     TIMEOUT: 'timeout',
+    BACKEND_OFFLINE: 'backend offline',
+    BACKEND_DEGRADED: 'backend degraded',
+    CIRCUIT_OPEN: 'circuit open',
+    DROPPED: 'dropped (queue full)',
+    QUEUE_FULL: 'queue full',
 };
 
 /**
@@ -218,15 +493,33 @@ const LIMITS = {
 
 module.exports = {
     API,
+    HTTP,
+    HEALTH,
+    CIRCUIT_BREAKER,
+    REQUEST_LIMIT,
+    BACKEND_POOL,
     RETRY,
+    THUMBNAIL,
     STREAM,
     EDGE_DETECT,
     COLOR_DETECT,
     TEMPLATE_MATCH,
     ARUCO_DETECT,
+    BARCODE_READ,
+    OCR,
+    BLOB_ANALYSIS,
     ROTATION_DETECT,
+    SHAPE_DETECT,
+    CALIPER,
+    DEFECT_DIFF,
+    PIPELINE,
     ROI,
     SIMULATOR,
+    INSPECT_JUDGE,
+    OVERLAY,
+    IMAGE_FETCH,
+    IMAGE_ARCHIVE,
+    RESULTS_LOG,
     CAMERA,
     OBJECT_TYPES,
     PREPROCESS,
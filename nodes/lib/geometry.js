@@ -0,0 +1,195 @@
+/**
+ * Geometry helpers for Machine Vision Flow Node-RED nodes
+ *
+ * Extracts point and line features from VisionObjects and measures
+ * distances, angles and offsets between them, in pixels and - through the
+ * homography of an mv-aruco-reference reference - in real units. Used by
+ * mv-measure.
+ */
+
+/**
+ * Point features of a VisionObject
+ */
+const POINT_FEATURES = {
+    center: obj => obj.center,
+    top_left: obj => obj.bbox && { x: obj.bbox.x, y: obj.bbox.y },
+    top_right: obj => obj.bbox && { x: obj.bbox.x + obj.bbox.width, y: obj.bbox.y },
+    bottom_left: obj => obj.bbox && { x: obj.bbox.x, y: obj.bbox.y + obj.bbox.height },
+    bottom_right: obj => obj.bbox && { x: obj.bbox.x + obj.bbox.width, y: obj.bbox.y + obj.bbox.height },
+    // Line endpoints (mv-shape-detect lines)
+    start: obj => obj.metadata?.start,
+    end: obj => obj.metadata?.end
+};
+
+/**
+ * Line features of a VisionObject as [start, end]
+ */
+const LINE_FEATURES = {
+    // Detected line (mv-shape-detect)
+    line: obj => obj.metadata?.start && obj.metadata?.end && [obj.metadata.start, obj.metadata.end],
+    // Orientation through the center, from VisionObject.angle
+    axis: obj => {
+        if (!obj.center || typeof obj.angle !== 'number') return null;
+        const rad = obj.angle * Math.PI / 180;
+        return [obj.center, { x: obj.center.x + Math.cos(rad), y: obj.center.y + Math.sin(rad) }];
+    },
+    bbox_top: obj => obj.bbox && [POINT_FEATURES.top_left(obj), POINT_FEATURES.top_right(obj)],
+    bbox_bottom: obj => obj.bbox && [POINT_FEATURES.bottom_left(obj), POINT_FEATURES.bottom_right(obj)],
+    bbox_left: obj => obj.bbox && [POINT_FEATURES.top_left(obj), POINT_FEATURES.bottom_left(obj)],
+    bbox_right: obj => obj.bbox && [POINT_FEATURES.top_right(obj), POINT_FEATURES.bottom_right(obj)]
+};
+
+const TYPES = ['distance', 'angle', 'offset'];
+
+/**
+ * Get a feature of a VisionObject
+ *
+ * @param {object} obj - VisionObject
+ * @param {string} name - Key of POINT_FEATURES or LINE_FEATURES
+ * @returns {object} {point} or {line: [start, end]}
+ * @throws {Error} When the feature is unknown or the object does not have it
+ */
+function getFeature(obj, name) {
+    if (POINT_FEATURES[name]) {
+        const point = POINT_FEATURES[name](obj);
+        if (!point) throw new Error(`${obj.object_id} has no ${name}`);
+        return { point: point };
+    }
+    if (LINE_FEATURES[name]) {
+        const line = LINE_FEATURES[name](obj);
+        if (!line) throw new Error(`${obj.object_id} has no ${name}`);
+        return { line: line };
+    }
+    throw new Error(`Unknown feature "${name}"`);
+}
+
+/**
+ * Map an image point through a 3x3 homography
+ *
+ * @param {Array<Array<number>>} h - Homography matrix
+ * @param {object} point - {x, y}
+ * @returns {object} {x, y}
+ */
+function applyHomography(h, point) {
+    const w = h[2][0] * point.x + h[2][1] * point.y + h[2][2];
+    return {
+        x: (h[0][0] * point.x + h[0][1] * point.y + h[0][2]) / w,
+        y: (h[1][0] * point.x + h[1][1] * point.y + h[1][2]) / w
+    };
+}
+
+function mapFeature(feature, h) {
+    return feature.point
+        ? { point: applyHomography(h, feature.point) }
+        : { line: feature.line.map(p => applyHomography(h, p)) };
+}
+
+function midpoint(line) {
+    return { x: (line[0].x + line[1].x) / 2, y: (line[0].y + line[1].y) / 2 };
+}
+
+function pointOf(feature) {
+    return feature.point || midpoint(feature.line);
+}
+
+/**
+ * Distance of a point to the (infinite) line through two points
+ */
+function pointLineDistance(point, line) {
+    const [a, b] = line;
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) {
+        return Math.hypot(point.x - a.x, point.y - a.y);
+    }
+    return Math.abs((b.x - a.x) * (a.y - point.y) - (a.x - point.x) * (b.y - a.y)) / length;
+}
+
+/**
+ * Distance between two features
+ *
+ * Point to point is the straight distance. With a line on either side it is
+ * the perpendicular distance to that line; between two lines, from the
+ * midpoint of the first to the second (the gap of parallel edges).
+ */
+function distance(a, b) {
+    if (b.line) {
+        return pointLineDistance(pointOf(a), b.line);
+    }
+    if (a.line) {
+        return pointLineDistance(b.point, a.line);
+    }
+    return Math.hypot(b.point.x - a.point.x, b.point.y - a.point.y);
+}
+
+/**
+ * Angle from line a to line b in degrees, in (-90, 90]
+ *
+ * Lines have no direction, so 180° apart is parallel (0).
+ */
+function angle(a, b) {
+    if (!a.line || !b.line) {
+        throw new Error('An angle needs two line features');
+    }
+    const direction = line => Math.atan2(line[1].y - line[0].y, line[1].x - line[0].x) * 180 / Math.PI;
+    let value = (direction(b.line) - direction(a.line)) % 180;
+    if (value > 90) value -= 180;
+    if (value <= -90) value += 180;
+    return value;
+}
+
+/**
+ * Offset {dx, dy} from feature a to feature b (lines by their midpoint)
+ */
+function offset(a, b) {
+    const from = pointOf(a);
+    const to = pointOf(b);
+    return { dx: to.x - from.x, dy: to.y - from.y };
+}
+
+function measureFeatures(type, a, b) {
+    if (type === 'angle') {
+        return { value: angle(a, b) };
+    }
+    if (type === 'offset') {
+        const { dx, dy } = offset(a, b);
+        return { value: Math.hypot(dx, dy), dx: dx, dy: dy };
+    }
+    return { value: distance(a, b) };
+}
+
+/**
+ * Measure between two features
+ *
+ * @param {string} type - 'distance', 'angle' or 'offset'
+ * @param {object} a - Feature from getFeature()
+ * @param {object} b - Feature from getFeature()
+ * @param {object|null} [reference] - Reference with homography_matrix and units
+ * @returns {object} {value, dx, dy (offset only), unit, real} where real holds
+ * the same values in reference units (null without a reference)
+ * @throws {Error} On an unknown type or an angle without two lines
+ */
+function measure(type, a, b, reference = null) {
+    if (!TYPES.includes(type)) {
+        throw new Error(`Unknown measurement type "${type}"`);
+    }
+
+    const result = Object.assign(measureFeatures(type, a, b), { unit: type === 'angle' ? 'deg' : 'px' });
+
+    result.real = null;
+    if (reference?.homography_matrix) {
+        const h = reference.homography_matrix;
+        result.real = Object.assign(measureFeatures(type, mapFeature(a, h), mapFeature(b, h)), {
+            unit: type === 'angle' ? 'deg' : (reference.units || 'mm')
+        });
+    }
+    return result;
+}
+
+module.exports = {
+    POINT_FEATURES,
+    LINE_FEATURES,
+    TYPES,
+    getFeature,
+    applyHomography,
+    measure
+};
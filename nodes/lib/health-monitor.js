@@ -0,0 +1,169 @@
+/**
+ * Backend health monitor for Machine Vision Flow Node-RED nodes
+ *
+ * Polls the backend health endpoint and tracks the connection state
+ * (connected, degraded, disconnected) with the latency of the last check.
+ * Owned by the mv-config node; nodes using the config subscribe to state
+ * transitions. Polling only runs while there is at least one subscriber.
+ */
+
+const STATES = {
+    UNKNOWN: 'unknown',
+    CONNECTED: 'connected',
+    DEGRADED: 'degraded',
+    DISCONNECTED: 'disconnected'
+};
+
+/** Backend status values that count as healthy */
+const HEALTHY_STATUSES = ['healthy', 'ok'];
+
+/**
+ * Create a health monitor
+ *
+ * @param {object} options - Monitor options
+ * @param {function} options.check - Async function performing one health request; resolves with the response data
+ * @param {number} options.interval - Milliseconds between checks
+ * @param {number} options.degradedLatencyMs - Latency above which a healthy backend is reported as degraded
+ * @returns {object} Monitor with subscribe(), getState(), checkNow() and stop()
+ */
+function createHealthMonitor(options) {
+    const {
+        check,
+        interval,
+        degradedLatencyMs
+    } = options;
+
+    const listeners = new Set();
+    let timer = null;
+    let checking = null;
+    let state = {
+        state: STATES.UNKNOWN,
+        latency_ms: null,
+        checked_at: null,
+        since: null,
+        error: null
+    };
+
+    function update(next) {
+        const previous = state;
+        const changed = next.state !== previous.state;
+
+        state = Object.assign({}, next, {
+            since: changed ? next.checked_at : previous.since
+        });
+
+        if (changed) {
+            for (const listener of listeners) {
+                listener(getState(), previous.state);
+            }
+        }
+    }
+
+    /**
+     * Run one health check now and update the state
+     *
+     * Concurrent calls share the running check.
+     *
+     * @returns {Promise<object>} State after the check
+     */
+    function checkNow() {
+        if (checking) {
+            return checking;
+        }
+
+        const started = Date.now();
+        checking = Promise.resolve()
+            .then(() => check())
+            .then((data) => {
+                const latency = Date.now() - started;
+                const status = data && data.status;
+                const healthy = !status || HEALTHY_STATUSES.includes(status);
+                let error = null;
+                if (!healthy) {
+                    error = data.unreachable
+                        ? `unreachable: ${data.unreachable.join(', ')}`
+                        : `backend status: ${status}`;
+                } else if (latency > degradedLatencyMs) {
+                    error = `slow response: ${latency}ms`;
+                }
+                update({
+                    state: error ? STATES.DEGRADED : STATES.CONNECTED,
+                    latency_ms: latency,
+                    checked_at: new Date().toISOString(),
+                    error: error
+                });
+            }, (err) => {
+                update({
+                    state: STATES.DISCONNECTED,
+                    latency_ms: null,
+                    checked_at: new Date().toISOString(),
+                    error: err.message
+                });
+            })
+            .then(() => {
+                checking = null;
+                return getState();
+            });
+
+        return checking;
+    }
+
+    function start() {
+        if (timer) {
+            return;
+        }
+        checkNow();
+        timer = setInterval(checkNow, interval);
+        // Polling alone must not keep the process alive
+        if (timer.unref) {
+            timer.unref();
+        }
+    }
+
+    /**
+     * Stop polling (subscribers are kept; the next subscribe restarts it)
+     */
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * Subscribe to state transitions and start polling
+     *
+     * @param {function} listener - Called with (state, previousStateName) on every transition
+     * @returns {function} Unsubscribe function; polling stops with the last subscriber
+     */
+    function subscribe(listener) {
+        listeners.add(listener);
+        start();
+
+        return function unsubscribe() {
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                stop();
+            }
+        };
+    }
+
+    /**
+     * Get a copy of the current state
+     *
+     * @returns {object} {state, latency_ms, checked_at, since, error}
+     */
+    function getState() {
+        return Object.assign({}, state);
+    }
+
+    return {
+        subscribe,
+        getState,
+        checkNow,
+        stop
+    };
+}
+
+module.exports = {
+    createHealthMonitor,
+    STATES
+};
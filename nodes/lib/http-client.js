@@ -0,0 +1,86 @@
+/**
+ * HTTP client for Machine Vision Flow Node-RED nodes
+ *
+ * Each mv-config node owns one axios instance with keep-alive agents, so
+ * backend calls reuse open connections instead of paying TCP (and TLS)
+ * setup on every request. Optionally talks HTTP/2 to backends that
+ * support it.
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const CONSTANTS = require('./constants');
+
+/**
+ * Count the sockets of an agent socket map
+ *
+ * @param {object} sockets - agent.sockets or agent.freeSockets
+ * @returns {number} Number of sockets
+ */
+function countSockets(sockets) {
+    return Object.values(sockets).reduce((sum, list) => sum + list.length, 0);
+}
+
+/**
+ * Create an HTTP client
+ *
+ * @param {object} [options] - Client options
+ * @param {number} [options.maxSockets] - Connections per backend at most
+ * @param {number} [options.maxFreeSockets] - Idle connections kept open per backend
+ * @param {boolean} [options.http2=false] - Use HTTP/2 (backend must support it;
+ * plain http:// URLs use HTTP/2 without upgrade)
+ * @returns {object} Client with axios (the instance), getStats() and destroy()
+ */
+function createHttpClient(options = {}) {
+    const {
+        maxSockets = CONSTANTS.HTTP.MAX_SOCKETS,
+        maxFreeSockets = CONSTANTS.HTTP.MAX_FREE_SOCKETS,
+        http2 = false
+    } = options;
+
+    const agentOptions = {
+        keepAlive: true,
+        keepAliveMsecs: CONSTANTS.HTTP.KEEP_ALIVE_MSECS,
+        maxSockets: maxSockets,
+        maxFreeSockets: maxFreeSockets,
+        // Reuse the most recently used connection so surplus ones can expire
+        scheduling: 'lifo'
+    };
+    const httpAgent = new http.Agent(agentOptions);
+    const httpsAgent = new https.Agent(agentOptions);
+
+    const instance = axios.create(Object.assign(
+        { httpAgent, httpsAgent },
+        http2 ? { httpVersion: 2, http2Options: { sessionTimeout: CONSTANTS.HTTP.HTTP2_SESSION_TIMEOUT_MS } } : {}
+    ));
+
+    return {
+        axios: instance,
+        http2: http2,
+
+        /**
+         * Get the connection counts of the HTTP/1.1 agents
+         *
+         * @returns {object} {active, idle}
+         */
+        getStats() {
+            return {
+                active: countSockets(httpAgent.sockets) + countSockets(httpsAgent.sockets),
+                idle: countSockets(httpAgent.freeSockets) + countSockets(httpsAgent.freeSockets)
+            };
+        },
+
+        /**
+         * Close all pooled connections
+         */
+        destroy() {
+            httpAgent.destroy();
+            httpsAgent.destroy();
+        }
+    };
+}
+
+module.exports = {
+    createHttpClient
+};
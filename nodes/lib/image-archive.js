@@ -0,0 +1,229 @@
+/**
+ * Image archive helpers for Machine Vision Flow Node-RED nodes
+ *
+ * Lays out archived inspection records in a directory tree
+ * (<date>/<product>/<verdict>/) and enforces retention rules on it. A record
+ * is a set of files sharing one stem: <stem>.<ext> (full image),
+ * <stem>_annotated.<ext> and <stem>.json (results), deleted together.
+ * Retention only touches files in this layout, so other files in the
+ * directory are left alone. Used by mv-image-archive.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CONSTANTS = require('./constants');
+
+const ANNOTATED_SUFFIX = '_annotated';
+
+// Layout of a record file relative to the archive root: the folders and stem
+// written by recordPath(), an optional annotated suffix and the extension
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEGMENT_PATTERN = /^[a-zA-Z0-9-][a-zA-Z0-9._-]*$/;
+const FILE_PATTERN = new RegExp(`^(\\d{6}-\\d{3}_[a-zA-Z0-9-][a-zA-Z0-9._-]*?)(?:${ANNOTATED_SUFFIX})?\\.(?:png|jpg|bmp|tif|json)$`);
+
+/**
+ * Make a value safe as a single path segment
+ *
+ * @param {*} value - Product, verdict or image ID
+ * @param {string} fallback - Used for blank values
+ * @returns {string} Segment without path separators or special characters
+ */
+function sanitizeSegment(value, fallback) {
+    const segment = String(value === undefined || value === null ? '' : value)
+        .trim()
+        .replace(/[^a-zA-Z0-9._-]+/g, '_')
+        .replace(/^[._]+/, '');
+    return segment || fallback;
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Directory and file stem of an archive record
+ *
+ * Date and time are local time of the image timestamp, so a day folder
+ * matches a production day.
+ *
+ * @param {object} options - Record properties
+ * @param {string} options.directory - Archive root directory
+ * @param {string} options.timestamp - Image timestamp (ISO)
+ * @param {string} options.product - Product folder name
+ * @param {string} options.verdict - Verdict folder name
+ * @param {string} options.imageId - Image ID
+ * @returns {{directory: string, stem: string}} Record directory and file stem
+ */
+function recordPath(options) {
+    const { directory, timestamp, product, verdict, imageId } = options;
+    const date = new Date(timestamp);
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-${pad(date.getMilliseconds(), 3)}`;
+
+    return {
+        directory: path.join(directory, day, sanitizeSegment(product, 'default'), sanitizeSegment(verdict, 'unjudged')),
+        stem: `${time}_${sanitizeSegment(imageId, 'image')}`
+    };
+}
+
+/**
+ * Record key of an archived file: its directory and stem, or null for files
+ * that are not part of an archive record
+ */
+function recordKey(relative) {
+    const segments = relative.split(path.sep);
+    if (segments.length !== 4 || !DAY_PATTERN.test(segments[0]) ||
+        !SEGMENT_PATTERN.test(segments[1]) || !SEGMENT_PATTERN.test(segments[2])) {
+        return null;
+    }
+    const match = FILE_PATTERN.exec(segments[3]);
+    return match ? path.join(segments[0], segments[1], segments[2], match[1]) : null;
+}
+
+/**
+ * Whether directory is the user directory or one of its parents
+ */
+function containsDirectory(directory, userDir) {
+    const relative = path.relative(path.resolve(directory), path.resolve(userDir));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function listFiles(directory) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(file));
+        } else if (entry.isFile()) {
+            const stat = await fs.promises.stat(file);
+            files.push({ file: file, size: stat.size, mtime: stat.mtimeMs });
+        }
+    }
+    return files;
+}
+
+/**
+ * Remove empty directories below (not including) directory
+ */
+async function removeEmptyDirectories(directory, isRoot = true) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    let remaining = entries.length;
+    for (const entry of entries) {
+        if (entry.isDirectory() && await removeEmptyDirectories(path.join(directory, entry.name), false)) {
+            remaining--;
+        }
+    }
+    if (!isRoot && remaining === 0) {
+        await fs.promises.rmdir(directory);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Apply retention rules to an archive
+ *
+ * Records older than maxAgeMs are deleted first; then the oldest OK and
+ * unjudged records are deleted until the archive fits into maxBytes. NG
+ * records are kept for maxAgeMs even when the archive stays larger than
+ * maxBytes (compare the returned bytes); only without a maximum age are
+ * the oldest NG records deleted for size, after all others. Empty folders
+ * are removed afterwards. Files outside the record layout are neither
+ * deleted nor counted. A directory that is the user directory or one of
+ * its parents is refused.
+ *
+ * @param {object} options - Retention options
+ * @param {string} options.directory - Archive root directory
+ * @param {number} [options.maxAgeMs=0] - Maximum record age (0 = no limit)
+ * @param {number} [options.maxBytes=0] - Maximum archive size (0 = no limit)
+ * @param {string} [options.userDir] - Node-RED user directory
+ * @param {number} [options.now=Date.now()] - Current time
+ * @returns {Promise<object>} {deleted, freedBytes, records, bytes}: deleted
+ * records and bytes, records and bytes left
+ */
+async function applyRetention(options) {
+    const {
+        directory,
+        maxAgeMs = 0,
+        maxBytes = 0,
+        userDir,
+        now = Date.now()
+    } = options;
+
+    if (userDir && containsDirectory(directory, userDir)) {
+        throw new Error(`Refusing to clean up ${directory}: it contains the Node-RED user directory`);
+    }
+
+    const records = new Map();
+    for (const entry of await listFiles(directory)) {
+        const key = recordKey(path.relative(directory, entry.file));
+        if (!key) {
+            continue;
+        }
+        const record = records.get(key) || {
+            files: [], size: 0, mtime: 0,
+            ng: key.split(path.sep)[2] === CONSTANTS.INSPECT_JUDGE.VERDICT_NG
+        };
+        record.files.push(entry.file);
+        record.size += entry.size;
+        record.mtime = Math.max(record.mtime, entry.mtime);
+        records.set(key, record);
+    }
+
+    const sorted = Array.from(records.values()).sort((a, b) => a.mtime - b.mtime);
+    let bytes = sorted.reduce((sum, record) => sum + record.size, 0);
+    let deleted = 0;
+    let freedBytes = 0;
+
+    async function remove(record) {
+        await Promise.all(record.files.map(file => fs.promises.rm(file, { force: true })));
+        record.deleted = true;
+        bytes -= record.size;
+        freedBytes += record.size;
+        deleted++;
+    }
+
+    if (maxAgeMs > 0) {
+        for (const record of sorted) {
+            if (now - record.mtime <= maxAgeMs) {
+                // Sorted oldest first: nothing newer is expired either
+                break;
+            }
+            await remove(record);
+        }
+    }
+
+    if (maxBytes > 0) {
+        // OK and unjudged parts go first; NG parts are kept for the maximum age
+        const left = sorted.filter(record => !record.deleted);
+        const candidates = left.filter(record => !record.ng)
+            .concat(maxAgeMs > 0 ? [] : left.filter(record => record.ng));
+        for (const record of candidates) {
+            if (bytes <= maxBytes) {
+                break;
+            }
+            await remove(record);
+        }
+    }
+
+    if (deleted > 0) {
+        await removeEmptyDirectories(directory);
+    }
+
+    return { deleted, freedBytes, records: sorted.length - deleted, bytes };
+}
+
+module.exports = {
+    ANNOTATED_SUFFIX,
+    sanitizeSegment,
+    recordPath,
+    applyRetention
+};
@@ -0,0 +1,282 @@
+/**
+ * Overlay drawing helpers for Machine Vision Flow Node-RED nodes
+ *
+ * Turns VisionObjects into drawing primitives (rect, polyline, circle, line,
+ * arrow, marker, text) in image coordinates. The backend rasterizes them
+ * onto the full image, so results of several nodes can be combined in one
+ * annotated image. Used by mv-overlay.
+ */
+
+const CONSTANTS = require('./constants');
+
+function isVisionObject(value) {
+    return Boolean(value) && typeof value === 'object' && value.object_id !== undefined;
+}
+
+/**
+ * Collect the VisionObjects of a message
+ *
+ * Accepts a single VisionObject payload, arrays (batch output, join in
+ * automatic mode, also arrays of batch arrays), key/value payloads (join by
+ * msg.topic) and mv-inspect-judge results (msg.objects).
+ *
+ * @param {object} msg - Input message
+ * @returns {Array<object>} VisionObjects
+ */
+function collectObjects(msg) {
+    const objects = [];
+    const visit = value => {
+        if (isVisionObject(value)) {
+            objects.push(value);
+        } else if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(visit);
+        }
+    };
+
+    if (Array.isArray(msg.objects)) {
+        visit(msg.objects);
+    } else if (msg.payload && typeof msg.payload === 'object') {
+        visit(msg.payload);
+    }
+    return objects;
+}
+
+/**
+ * Key of an object in a judged image
+ *
+ * object_ids repeat across tools (blob_0, color_0), so the source topic is
+ * part of the key.
+ */
+function objectKey(topic, objectId) {
+    return JSON.stringify([topic || null, objectId]);
+}
+
+/**
+ * Read the rule results of an mv-inspect-judge message
+ *
+ * @param {object} msg - Input message
+ * @returns {object|null} {topics, checked, failed}: source topic per object,
+ * keys of objects checked and failed by a rule; null when msg is no judge result
+ */
+function readJudgement(msg) {
+    if (!msg || !Array.isArray(msg.objects) || !Array.isArray(msg.payload?.rules)) {
+        return null;
+    }
+    const topics = Array.isArray(msg.object_topics) ? msg.object_topics : [];
+    const keys = field => new Set(msg.payload.rules
+        .flatMap(rule => rule[field] || [])
+        .map(ref => objectKey(ref.topic, ref.object_id)));
+
+    return {
+        topics: new Map(msg.objects.map((obj, index) => [obj, topics[index] || null])),
+        checked: keys('checked_objects'),
+        failed: keys('failed_objects')
+    };
+}
+
+/**
+ * Pass/fail of one object
+ *
+ * In a judged image, objects failing an mv-inspect-judge rule fail, other
+ * objects checked by a rule pass and objects no rule checked are unknown.
+ * Without a judge result, OCR verification (metadata.verified) and color
+ * matching (metadata.match) decide.
+ *
+ * @param {object} obj - VisionObject
+ * @param {object|null} judgement - From readJudgement (null = not judged)
+ * @returns {boolean|null} Pass, fail or null when unknown
+ */
+function objectVerdict(obj, judgement) {
+    if (judgement) {
+        const key = objectKey(judgement.topics.get(obj), obj.object_id);
+        if (judgement.failed.has(key)) return false;
+        return judgement.checked.has(key) ? true : null;
+    }
+    const metadata = obj.metadata || {};
+    if (typeof metadata.verified === 'boolean') return metadata.verified;
+    if (typeof metadata.match === 'boolean') return metadata.match;
+    return null;
+}
+
+/**
+ * Style of an object type
+ *
+ * A style for the exact type wins over the style for all types (blank
+ * objectType). Types without a style are not drawn.
+ *
+ * @param {Array<object>} styles - [{objectType, color, bbox, contour, center, angle, label, axes}]
+ * @param {string} objectType - VisionObject.object_type
+ * @returns {object|null} Style
+ */
+function resolveStyle(styles, objectType) {
+    return styles.find(style => style.objectType === objectType) ||
+        styles.find(style => !style.objectType) ||
+        null;
+}
+
+/**
+ * Label text of an object: its decoded text, marker ID, defect kind or color,
+ * otherwise its type
+ */
+function objectLabel(obj, showConfidence) {
+    const metadata = obj.metadata || {};
+    let label = obj.object_type;
+    if (metadata.text !== undefined) {
+        label = String(metadata.text);
+    } else if (metadata.marker_id !== undefined) {
+        label = `ID ${metadata.marker_id}`;
+    } else if (metadata.kind) {
+        label = metadata.kind;
+    } else if (metadata.dominant_color) {
+        label = metadata.dominant_color;
+    }
+
+    if (showConfidence && typeof obj.confidence === 'number') {
+        label += ` ${Math.round(obj.confidence * 100)}%`;
+    }
+    return label;
+}
+
+function centerOf(obj) {
+    if (obj.center) return obj.center;
+    if (obj.bbox) {
+        return { x: obj.bbox.x + obj.bbox.width / 2, y: obj.bbox.y + obj.bbox.height / 2 };
+    }
+    return null;
+}
+
+/**
+ * Outline of an object: contour, detected line or circle
+ */
+function outlineShapes(obj, pen) {
+    const metadata = obj.metadata || {};
+    if (Array.isArray(obj.contour) && obj.contour.length > 1) {
+        return [Object.assign({ shape: 'polyline', points: obj.contour, closed: true }, pen)];
+    }
+    if (metadata.start && metadata.end) {
+        return [Object.assign({ shape: 'line', from: metadata.start, to: metadata.end }, pen)];
+    }
+    if (typeof metadata.radius === 'number' && obj.center) {
+        return [Object.assign({ shape: 'circle', center: obj.center, radius: metadata.radius }, pen)];
+    }
+    return [];
+}
+
+/**
+ * X (red) and Y (green) axes of an ArUco marker from its corners
+ */
+function axesShapes(obj, thickness) {
+    const corners = obj.metadata?.corners;
+    const center = centerOf(obj);
+    if (!Array.isArray(corners) || corners.length !== 4 || !center) {
+        return [];
+    }
+    const axis = (to, color) => ({
+        shape: 'arrow',
+        from: center,
+        to: { x: center.x + to[0] - corners[0][0], y: center.y + to[1] - corners[0][1] },
+        color: color,
+        thickness: thickness
+    });
+    return [
+        axis(corners[1], CONSTANTS.OVERLAY.AXIS_X_COLOR),
+        axis(corners[3], CONSTANTS.OVERLAY.AXIS_Y_COLOR)
+    ];
+}
+
+/**
+ * Build the drawing primitives for a set of objects
+ *
+ * @param {Array<object>} objects - VisionObjects
+ * @param {object} options - Drawing options
+ * @param {Array<object>} options.styles - Styles per object type (see resolveStyle)
+ * @param {number} [options.thickness] - Line thickness (px)
+ * @param {number} [options.fontSize] - Label size (px)
+ * @param {boolean} [options.showConfidence=true] - Add the confidence to labels
+ * @param {boolean} [options.passFail=true] - Color objects by pass/fail
+ * @param {object|null} [options.judgement=null] - Judge rule results (see readJudgement)
+ * @param {string|null} [options.verdict=null] - Overall verdict, drawn top left
+ * @returns {Array<object>} Drawing primitives in image coordinates
+ */
+function buildShapes(objects, options) {
+    const defaults = CONSTANTS.OVERLAY;
+    const {
+        styles,
+        thickness = defaults.THICKNESS,
+        fontSize = defaults.FONT_SIZE,
+        showConfidence = true,
+        passFail = true,
+        judgement = null,
+        verdict = null
+    } = options;
+
+    const shapes = [];
+    objects.forEach(obj => {
+        const style = resolveStyle(styles, obj.object_type);
+        if (!style) return;
+
+        const pass = passFail ? objectVerdict(obj, judgement) : null;
+        let color = style.color || defaults.TYPE_COLORS[obj.object_type] || defaults.DEFAULT_COLOR;
+        if (pass !== null) {
+            color = pass ? defaults.PASS_COLOR : defaults.FAIL_COLOR;
+        } else if (passFail && judgement) {
+            // Not checked by any rule: neither pass nor fail
+            color = defaults.NEUTRAL_COLOR;
+        }
+        const pen = { color: color, thickness: thickness };
+        const center = centerOf(obj);
+
+        if (style.bbox && obj.bbox && obj.bbox.width > 0 && obj.bbox.height > 0) {
+            shapes.push(Object.assign({ shape: 'rect' }, obj.bbox, pen));
+        }
+        if (style.contour) {
+            shapes.push(...outlineShapes(obj, pen));
+        }
+        if (style.center && center) {
+            shapes.push(Object.assign({ shape: 'marker', x: center.x, y: center.y, size: defaults.MARKER_SIZE }, pen));
+        }
+        if (style.angle && center && typeof obj.angle === 'number') {
+            const length = obj.bbox ? Math.max(obj.bbox.width, obj.bbox.height) / 2 || defaults.ARROW_LENGTH : defaults.ARROW_LENGTH;
+            const rad = obj.angle * Math.PI / 180;
+            shapes.push(Object.assign({
+                shape: 'arrow',
+                from: center,
+                to: { x: center.x + length * Math.cos(rad), y: center.y + length * Math.sin(rad) }
+            }, pen));
+        }
+        if (style.axes && obj.object_type === CONSTANTS.OBJECT_TYPES.ARUCO_MARKER) {
+            shapes.push(...axesShapes(obj, thickness));
+        }
+        if (style.label && (obj.bbox || center)) {
+            // Above the bbox, or next to the center
+            const anchor = obj.bbox ? { x: obj.bbox.x, y: obj.bbox.y - 4 } : { x: center.x + 4, y: center.y - 4 };
+            shapes.push({ shape: 'text', x: anchor.x, y: anchor.y, text: objectLabel(obj, showConfidence), color: color, size: fontSize });
+        }
+    });
+
+    if (verdict) {
+        const pass = verdict === CONSTANTS.INSPECT_JUDGE.VERDICT_OK;
+        shapes.push({
+            shape: 'text',
+            x: 10,
+            y: 10 + fontSize * 2,
+            text: verdict,
+            color: pass ? defaults.PASS_COLOR : defaults.FAIL_COLOR,
+            size: fontSize * 2
+        });
+    }
+
+    return shapes;
+}
+
+module.exports = {
+    collectObjects,
+    objectKey,
+    readJudgement,
+    objectVerdict,
+    resolveStyle,
+    objectLabel,
+    buildShapes
+};
@@ -0,0 +1,133 @@
+/**
+ * Request limiter for Machine Vision Flow Node-RED nodes
+ *
+ * Caps the number of concurrent backend requests of an mv-config node.
+ * Requests above the limit wait in a bounded queue; when the queue is full
+ * the policy decides which request fails. Used by the shared HTTP layer in
+ * vision-utils.
+ */
+
+const CONSTANTS = require('./constants');
+
+const POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+
+/**
+ * Create a request limiter
+ *
+ * @param {object} options - Limiter options
+ * @param {number} options.maxConcurrent - Requests running at the same time
+ * @param {number} options.maxQueue - Requests waiting at most
+ * @param {string} [options.policy='block'] - When the queue is full: 'drop-oldest'
+ * drops the longest waiting request, 'drop-newest' drops the new one, 'block'
+ * refuses the new one (CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE instead of ERROR_CODE)
+ * @returns {object} Limiter with run() and getState()
+ */
+function createRequestLimiter(options) {
+    const {
+        maxConcurrent,
+        maxQueue,
+        policy = 'block'
+    } = options;
+
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Invalid queue policy: ${policy}`);
+    }
+
+    const queue = [];
+    let active = 0;
+    let dropped = 0;
+
+    function start(entry) {
+        active++;
+        if (entry.queued && entry.hooks.onStart) {
+            entry.hooks.onStart();
+        }
+        Promise.resolve()
+            .then(() => entry.task())
+            .then(entry.resolve, entry.reject)
+            .then(() => {
+                active--;
+                if (queue.length > 0) {
+                    start(queue.shift());
+                }
+            });
+    }
+
+    function drop(entry) {
+        const error = new Error(`Request dropped: backend queue full (${queue.length} waiting)`);
+        error.code = CONSTANTS.REQUEST_LIMIT.ERROR_CODE;
+        dropped++;
+        entry.reject(error);
+    }
+
+    function refuse(entry) {
+        const error = new Error(`Request refused: backend overloaded, queue full (${queue.length} waiting)`);
+        error.code = CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE;
+        dropped++;
+        entry.reject(error);
+    }
+
+    /**
+     * Run a request task, now or when a slot is free
+     *
+     * @param {function} task - Async function sending the request
+     * @param {object} [hooks] - {onQueued(depth), onStart()} called when the
+     * task has to wait and when it starts after waiting
+     * @returns {Promise<*>} Result of the task; rejects with the drop or
+     * queue full error when the request is dropped or refused
+     */
+    function run(task, hooks = {}) {
+        return new Promise((resolve, reject) => {
+            const entry = { task, hooks, resolve, reject, queued: false };
+
+            if (active < maxConcurrent) {
+                start(entry);
+                return;
+            }
+
+            if (queue.length >= maxQueue) {
+                if (policy === 'block') {
+                    refuse(entry);
+                    return;
+                }
+                if (policy === 'drop-newest' || maxQueue === 0) {
+                    drop(entry);
+                    return;
+                }
+                drop(queue.shift());
+            }
+
+            entry.queued = true;
+            queue.push(entry);
+            if (hooks.onQueued) {
+                hooks.onQueued(queue.length);
+            }
+        });
+    }
+
+    /**
+     * Get the current load
+     *
+     * @returns {object} {active, queued, dropped (incl. refused), max_concurrent, max_queue, policy}
+     */
+    function getState() {
+        return {
+            active: active,
+            queued: queue.length,
+            dropped: dropped,
+            max_concurrent: maxConcurrent,
+            max_queue: maxQueue,
+            policy: policy
+        };
+    }
+
+    return {
+        run,
+        getState
+    };
+}
+
+module.exports = {
+    createRequestLimiter,
+    POLICIES
+};
@@ -0,0 +1,107 @@
+/**
+ * Result collector for Machine Vision Flow Node-RED nodes
+ *
+ * Groups the messages emitted by vision nodes for the same image
+ * (keyed by msg.image.id) until a completion signal or timeout arrives.
+ * Used by nodes that need to look at all results of one inspection at once.
+ */
+
+/**
+ * Create a result collector
+ *
+ * @param {object} options - Collector options
+ * @param {number} options.timeout - Milliseconds to wait after the first message of a key
+ * @param {number} [options.maxPending=100] - Maximum keys collected at once; oldest is completed early when exceeded
+ * @param {function} options.onComplete - Called with (key, messages, reason) where reason is 'complete', 'timeout' or 'overflow'
+ * @returns {object} Collector with add(), complete(), pending(), size() and clear()
+ */
+function createResultCollector(options) {
+    const {
+        timeout,
+        maxPending = 100,
+        onComplete
+    } = options;
+
+    // Insertion order of the Map doubles as age order for overflow handling
+    const entries = new Map();
+
+    function finish(key, reason) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return;
+        }
+        clearTimeout(entry.timer);
+        entries.delete(key);
+        onComplete(key, entry.messages, reason);
+    }
+
+    /**
+     * Add a message to the group for key, starting the timeout on first use
+     *
+     * @param {string} key - Group key (usually msg.image.id)
+     * @param {object} msg - Message to collect
+     * @returns {number} Number of messages collected for key
+     */
+    function add(key, msg) {
+        let entry = entries.get(key);
+
+        if (!entry) {
+            if (entries.size >= maxPending) {
+                finish(entries.keys().next().value, 'overflow');
+            }
+
+            entry = {
+                messages: [],
+                timer: setTimeout(() => finish(key, 'timeout'), timeout)
+            };
+            entries.set(key, entry);
+        }
+
+        entry.messages.push(msg);
+        return entry.messages.length;
+    }
+
+    /**
+     * Complete the group for key immediately
+     *
+     * @param {string} key - Group key
+     */
+    function complete(key) {
+        finish(key, 'complete');
+    }
+
+    /**
+     * Get the messages collected so far for key
+     *
+     * @param {string} key - Group key
+     * @returns {Array} Collected messages (empty if key unknown)
+     */
+    function pending(key) {
+        return entries.has(key) ? entries.get(key).messages : [];
+    }
+
+    /**
+     * Number of groups currently being collected
+     *
+     * @returns {number} Pending group count
+     */
+    function size() {
+        return entries.size;
+    }
+
+    /**
+     * Drop all groups without completing them (used on node close)
+     */
+    function clear() {
+        for (const entry of entries.values()) {
+            clearTimeout(entry.timer);
+        }
+        entries.clear();
+    }
+
+    return { add, complete, pending, size, clear };
+}
+
+module.exports = {
+    createResultCollector
+};
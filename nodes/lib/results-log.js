@@ -0,0 +1,597 @@
+/**
+ * Results log for Machine Vision Flow Node-RED nodes
+ *
+ * Turns vision messages into flat result rows (one per VisionObject, verdict
+ * or not-found event), stores them in a local SQLite file or in daily CSV
+ * files and aggregates them for reports. Used by mv-results-log and
+ * mv-results-query.
+ *
+ * Timestamps are stored as ISO strings (UTC), so they sort and compare as
+ * text in both stores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectObjects } = require('./overlay');
+
+/** Row columns, in CSV and table order */
+const COLUMNS = [
+    'timestamp', 'image_id', 'topic', 'verdict', 'object_type', 'object_id', 'confidence',
+    'bbox_x', 'bbox_y', 'bbox_width', 'bbox_height', 'real_x', 'real_y', 'real_unit', 'processing_time_ms'
+];
+
+const NUMERIC_COLUMNS = new Set([
+    'confidence', 'bbox_x', 'bbox_y', 'bbox_width', 'bbox_height', 'real_x', 'real_y', 'processing_time_ms'
+]);
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/** Local date of a timestamp as YYYY-MM-DD */
+function localDate(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function numberOrNull(value) {
+    return typeof value === 'number' && !isNaN(value) ? value : null;
+}
+
+/**
+ * Build the result rows of a message
+ *
+ * mv-inspect-judge results give one verdict row; other messages one row per
+ * VisionObject, or one row without object_type when nothing was found.
+ *
+ * @param {object} msg - Vision message
+ * @returns {Array<object>} Rows with the properties of COLUMNS
+ * @throws {Error} When msg.image.timestamp is not a valid date
+ */
+function toRows(msg) {
+    const timestamp = new Date(msg.image?.timestamp || Date.now());
+    if (isNaN(timestamp.getTime())) {
+        throw new Error(`Invalid image timestamp: ${msg.image.timestamp}`);
+    }
+
+    const base = {
+        timestamp: timestamp.toISOString(),
+        image_id: msg.image?.id || null,
+        topic: msg.topic || null,
+        verdict: null,
+        object_type: null,
+        object_id: null,
+        confidence: null,
+        bbox_x: null,
+        bbox_y: null,
+        bbox_width: null,
+        bbox_height: null,
+        real_x: null,
+        real_y: null,
+        real_unit: null,
+        processing_time_ms: numberOrNull(msg.processing_time_ms)
+    };
+
+    if (msg.payload && typeof msg.payload.verdict === 'string') {
+        return [Object.assign(base, { verdict: msg.payload.verdict })];
+    }
+
+    const objects = collectObjects(msg);
+    if (objects.length === 0) {
+        return [base];
+    }
+
+    const unit = msg.reference?.units || null;
+    return objects.map(obj => {
+        const bbox = obj.bbox || {};
+        const real = obj.real?.center || null;
+        return Object.assign({}, base, {
+            object_type: obj.object_type || null,
+            object_id: obj.object_id === undefined ? null : String(obj.object_id),
+            confidence: numberOrNull(obj.confidence),
+            bbox_x: numberOrNull(bbox.x),
+            bbox_y: numberOrNull(bbox.y),
+            bbox_width: numberOrNull(bbox.width),
+            bbox_height: numberOrNull(bbox.height),
+            real_x: real ? numberOrNull(real.x) : null,
+            real_y: real ? numberOrNull(real.y) : null,
+            real_unit: real ? unit : null
+        });
+    });
+}
+
+/**
+ * Group key of a row
+ */
+function groupKey(row, groupBy) {
+    switch (groupBy) {
+    case 'object_type':
+        return row.verdict ? 'verdict' : row.object_type || 'not_found';
+    case 'hour': {
+        const date = new Date(row.timestamp);
+        return `${localDate(date)} ${pad(date.getHours())}:00`;
+    }
+    case 'day':
+        return localDate(row.timestamp);
+    default:
+        return row.topic || '';
+    }
+}
+
+/**
+ * Running count, sum, minimum and maximum of a column
+ */
+function createStats() {
+    return { count: 0, sum: 0, min: null, max: null };
+}
+
+function addValue(stats, value) {
+    if (value === null || value === undefined) return;
+    stats.count++;
+    stats.sum += value;
+    stats.min = stats.min === null ? value : Math.min(stats.min, value);
+    stats.max = stats.max === null ? value : Math.max(stats.max, value);
+}
+
+/**
+ * Report entry of one group from its counts
+ *
+ * Shared by the in-memory and the SQL aggregation, so both stores give the
+ * same rounding and yield.
+ */
+function groupResult(key, counts) {
+    const { ok, ng } = counts;
+    const round = stats => ({
+        avg: stats.avg === null ? null : Math.round(stats.avg * 1000) / 1000,
+        min: stats.min,
+        max: stats.max
+    });
+    return {
+        key: key,
+        rows: counts.rows,
+        images: counts.images,
+        objects: counts.objects,
+        not_found: counts.not_found,
+        ok: ok,
+        ng: ng,
+        yield: ok + ng > 0 ? Math.round(ok / (ok + ng) * 10000) / 10000 : null,
+        confidence: round(counts.confidence),
+        processing_time_ms: round(counts.processing_time_ms)
+    };
+}
+
+/**
+ * Create an aggregator that takes result rows one at a time
+ *
+ * Only the counts of each group are kept, not the rows, so a long time
+ * range can be aggregated while it is read.
+ *
+ * @param {string} groupBy - 'topic', 'object_type', 'hour' or 'day'
+ * @returns {{add: function(object), result: function(): Array<object>}}
+ * add() takes a row, result() gives the groups like aggregate()
+ */
+function createAggregator(groupBy) {
+    const groups = new Map();
+
+    function add(row) {
+        const key = groupKey(row, groupBy);
+        let group = groups.get(key);
+        if (!group) {
+            group = {
+                rows: 0, images: new Set(), objects: 0, not_found: 0, ok: 0, ng: 0,
+                confidence: createStats(), processing_time_ms: createStats()
+            };
+            groups.set(key, group);
+        }
+
+        group.rows++;
+        if (row.image_id) group.images.add(row.image_id);
+        if (row.verdict) {
+            if (row.verdict === 'OK') group.ok++;
+            if (row.verdict === 'NG') group.ng++;
+        } else if (row.object_type) {
+            group.objects++;
+            addValue(group.confidence, row.confidence);
+        } else {
+            group.not_found++;
+        }
+        addValue(group.processing_time_ms, row.processing_time_ms);
+    }
+
+    function result() {
+        const average = stats => ({
+            avg: stats.count > 0 ? stats.sum / stats.count : null,
+            min: stats.min,
+            max: stats.max
+        });
+        return Array.from(groups.keys()).sort().map(key => {
+            const group = groups.get(key);
+            return groupResult(key, Object.assign({}, group, {
+                images: group.images.size,
+                confidence: average(group.confidence),
+                processing_time_ms: average(group.processing_time_ms)
+            }));
+        });
+    }
+
+    return { add, result };
+}
+
+/**
+ * Aggregate result rows for reports
+ *
+ * @param {Array<object>} rows - Result rows
+ * @param {string} groupBy - 'topic', 'object_type', 'hour' or 'day'
+ * @returns {Array<object>} One entry per group, sorted by key:
+ * {key, rows, images, objects, not_found, ok, ng, yield, confidence, processing_time_ms}
+ * where yield is OK / (OK + NG) and confidence and processing_time_ms hold
+ * {avg, min, max}
+ */
+function aggregate(rows, groupBy) {
+    const aggregator = createAggregator(groupBy);
+    rows.forEach(aggregator.add);
+    return aggregator.result();
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Create an incremental CSV parser (RFC 4180 quoting)
+ *
+ * Text can be written in chunks of any size, e.g. from a file stream; a
+ * quoted field may span chunks.
+ *
+ * @param {function(Array<string>)} onRecord - Called with the fields of each record
+ * @returns {{write: function(string), end: function()}}
+ */
+function createCsvParser(onRecord) {
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let quotePending = false;  // Quote at the end of a chunk: closing or escaped
+
+    function write(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                quoted = false;
+            }
+            if (quoted) {
+                if (char === '"') {
+                    quotePending = true;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n') {
+                record.push(field.replace(/\r$/, ''));
+                onRecord(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+    }
+
+    function end() {
+        if (field || record.length > 0) {
+            record.push(field);
+            onRecord(record);
+        }
+        record = [];
+        field = '';
+        quoted = false;
+        quotePending = false;
+    }
+
+    return { write, end };
+}
+
+/**
+ * Parse CSV text into arrays of fields (RFC 4180 quoting)
+ */
+function parseCsv(text) {
+    const records = [];
+    const parser = createCsvParser(record => records.push(record));
+    parser.write(text);
+    parser.end();
+    return records;
+}
+
+function matches(row, query) {
+    return (!query.from || row.timestamp >= query.from) &&
+        (!query.to || row.timestamp < query.to) &&
+        (!query.topics || query.topics.includes(row.topic));
+}
+
+/**
+ * Create a store of daily CSV files (results-YYYY-MM-DD.csv, local date)
+ *
+ * @param {string} directory - Directory holding the CSV files
+ * @returns {object} Store with append(), query(), aggregate(), prune() and close()
+ */
+function createCsvStore(directory) {
+    const FILE_PATTERN = /^results-(\d{4}-\d{2}-\d{2})\.csv$/;
+
+    // Appends run in order, so rows and headers are never interleaved
+    let pending = Promise.resolve();
+
+    function queue(task) {
+        const result = pending.then(task);
+        pending = result.catch(() => {});
+        return result;
+    }
+
+    async function listFiles() {
+        try {
+            return (await fs.promises.readdir(directory))
+                .map(file => FILE_PATTERN.exec(file))
+                .filter(Boolean)
+                .map(match => ({ file: path.join(directory, match[0]), date: match[1] }));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    function append(rows) {
+        return queue(async () => {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const byFile = new Map();
+            rows.forEach(row => {
+                const file = path.join(directory, `results-${localDate(row.timestamp)}.csv`);
+                if (!byFile.has(file)) byFile.set(file, []);
+                byFile.get(file).push(COLUMNS.map(column => csvField(row[column])).join(','));
+            });
+            for (const [file, lines] of byFile) {
+                const exists = fs.existsSync(file);
+                const header = exists ? '' : COLUMNS.join(',') + '\n';
+                await fs.promises.appendFile(file, header + lines.join('\n') + '\n');
+            }
+        });
+    }
+
+    // Pass the matching rows of the queried days to onRow, reading each file
+    // as a stream so no file is held in memory. Appends queued before the
+    // read are written first, so no file is read while a row is half written
+    async function readRows(options, onRow) {
+        await pending;
+        const fromDate = options.from ? localDate(options.from) : null;
+        const toDate = options.to ? localDate(options.to) : null;
+        const files = (await listFiles())
+            .filter(({ date }) => (!fromDate || date >= fromDate) && (!toDate || date <= toDate))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        for (const { file } of files) {
+            let header = null;
+            const parser = createCsvParser(record => {
+                if (!header) {
+                    header = record;
+                    return;
+                }
+                const row = {};
+                header.forEach((column, i) => {
+                    const value = record[i] === undefined || record[i] === '' ? null : record[i];
+                    row[column] = value !== null && NUMERIC_COLUMNS.has(column) ? Number(value) : value;
+                });
+                if (matches(row, options)) onRow(row);
+            });
+            for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+                parser.write(chunk);
+            }
+            parser.end();
+        }
+    }
+
+    async function query(options) {
+        const limit = options.limit || 0;
+        const byTime = (a, b) => a.timestamp.localeCompare(b.timestamp);
+        let rows = [];
+        let total = 0;
+        await readRows(options, row => {
+            total++;
+            rows.push(row);
+            // Only the latest rows are returned: keep at most twice the limit
+            if (limit > 0 && rows.length >= 2 * limit) {
+                rows = rows.sort(byTime).slice(-limit);
+            }
+        });
+        rows.sort(byTime);
+        return { rows: limit > 0 ? rows.slice(-limit) : rows, total: total };
+    }
+
+    async function aggregateRows(options) {
+        const aggregator = createAggregator(options.groupBy);
+        await readRows(options, aggregator.add);
+        return aggregator.result();
+    }
+
+    function prune(before) {
+        return queue(async () => {
+            const cutoff = localDate(before);
+            const expired = (await listFiles()).filter(({ date }) => date < cutoff);
+            await Promise.all(expired.map(({ file }) => fs.promises.rm(file, { force: true })));
+            return expired.length;
+        });
+    }
+
+    return {
+        append,
+        query,
+        aggregate: aggregateRows,
+        prune,
+        close: () => pending
+    };
+}
+
+/**
+ * Create a store in a SQLite file
+ *
+ * Needs the optional better-sqlite3 package.
+ *
+ * @param {string} file - Database file, created when missing
+ * @returns {object} Store with append(), query(), aggregate(), prune() and close()
+ * @throws {Error} When better-sqlite3 is not installed
+ */
+function createSqliteStore(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`CREATE TABLE IF NOT EXISTS results (
+        ${COLUMNS.map(column => `${column} ${NUMERIC_COLUMNS.has(column) ? 'REAL' : 'TEXT'}`).join(',\n        ')}
+    )`);
+    db.exec('CREATE INDEX IF NOT EXISTS results_timestamp ON results (timestamp, topic)');
+
+    const insert = db.prepare(`INSERT INTO results (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`);
+    const insertAll = db.transaction(rows => rows.forEach(row => insert.run(row)));
+
+    function where(options) {
+        const conditions = [];
+        const params = {};
+        if (options.from) {
+            conditions.push('timestamp >= @from');
+            params.from = options.from;
+        }
+        if (options.to) {
+            conditions.push('timestamp < @to');
+            params.to = options.to;
+        }
+        if (options.topics) {
+            conditions.push(`topic IN (${options.topics.map((_, i) => `@topic${i}`).join(', ')})`);
+            options.topics.forEach((topic, i) => { params[`topic${i}`] = topic; });
+        }
+        return { sql: conditions.length ? ' WHERE ' + conditions.join(' AND ') : '', params: params };
+    }
+
+    return {
+        append: async rows => insertAll(rows),
+        query: async options => {
+            const { sql, params } = where(options);
+            const total = db.prepare(`SELECT COUNT(*) AS total FROM results${sql}`).get(params).total;
+
+            // Latest rows first for the limit, then back in time order
+            let limit = '';
+            if (options.limit > 0) {
+                limit = ' LIMIT @limit';
+                params.limit = options.limit;
+            }
+            const rows = db.prepare(`SELECT ${COLUMNS.join(', ')} FROM results${sql} ORDER BY timestamp DESC, rowid DESC${limit}`).all(params);
+            return { rows: rows.reverse(), total: total };
+        },
+        aggregate: async options => {
+            const { sql, params } = where(options);
+            params.groupBy = options.groupBy;
+            // Value of object rows (not verdicts or not-found events), else NULL
+            const ofObjects = value => `CASE WHEN length(verdict) > 0 THEN NULL WHEN length(object_type) > 0 THEN ${value} END`;
+
+            // Group keys match groupKey(); hours and days in local time like the CSV store
+            return db.prepare(`SELECT
+                CASE @groupBy
+                    WHEN 'object_type' THEN CASE WHEN length(verdict) > 0 THEN 'verdict' WHEN length(object_type) > 0 THEN object_type ELSE 'not_found' END
+                    WHEN 'hour' THEN strftime('%Y-%m-%d %H:00', timestamp, 'localtime')
+                    WHEN 'day' THEN date(timestamp, 'localtime')
+                    ELSE COALESCE(topic, '')
+                END AS key,
+                COUNT(*) AS row_count,
+                COUNT(DISTINCT NULLIF(image_id, '')) AS images,
+                COUNT(${ofObjects(1)}) AS objects,
+                COUNT(CASE WHEN length(verdict) > 0 OR length(object_type) > 0 THEN NULL ELSE 1 END) AS not_found,
+                COUNT(CASE WHEN verdict = 'OK' THEN 1 END) AS ok,
+                COUNT(CASE WHEN verdict = 'NG' THEN 1 END) AS ng,
+                AVG(${ofObjects('confidence')}) AS confidence_avg,
+                MIN(${ofObjects('confidence')}) AS confidence_min,
+                MAX(${ofObjects('confidence')}) AS confidence_max,
+                AVG(processing_time_ms) AS time_avg,
+                MIN(processing_time_ms) AS time_min,
+                MAX(processing_time_ms) AS time_max
+                FROM results${sql} GROUP BY key ORDER BY key`).all(params)
+                .map(group => groupResult(group.key, {
+                    rows: group.row_count,
+                    images: group.images,
+                    objects: group.objects,
+                    not_found: group.not_found,
+                    ok: group.ok,
+                    ng: group.ng,
+                    confidence: { avg: group.confidence_avg, min: group.confidence_min, max: group.confidence_max },
+                    processing_time_ms: { avg: group.time_avg, min: group.time_min, max: group.time_max }
+                }));
+        },
+        prune: async before => db.prepare('DELETE FROM results WHERE timestamp < ?').run(new Date(before).toISOString()).changes,
+        close: async () => db.close()
+    };
+}
+
+// Open stores by storage and location, shared by all nodes using them
+const openStores = new Map();
+
+/**
+ * Open a results store
+ *
+ * Nodes using the same storage and location share one store, so appends to
+ * a CSV file never interleave and SQLite has one connection. The store is
+ * closed when its last user closes it.
+ *
+ * @param {string} storage - 'csv' or 'sqlite'
+ * @param {string} location - CSV directory or SQLite file
+ * @returns {object} Store with append(rows), query({from, to, topics, limit}),
+ * aggregate({from, to, topics, groupBy}), prune(before) and close(), all
+ * returning promises. query() resolves to {rows, total}: the last limit rows
+ * in time order (all without limit) and the number of matching rows;
+ * aggregate() to the groups like aggregate(), computed without loading the
+ * rows; prune() to the number of deleted rows (SQLite) or files (CSV)
+ */
+function openResultsStore(storage, location) {
+    const key = `${storage}:${path.resolve(location)}`;
+    let entry = openStores.get(key);
+    if (!entry) {
+        entry = {
+            store: storage === 'sqlite' ? createSqliteStore(location) : createCsvStore(location),
+            users: 0
+        };
+        openStores.set(key, entry);
+    }
+    entry.users++;
+
+    let closed = false;
+    return Object.assign({}, entry.store, {
+        close: async () => {
+            if (closed) return;
+            closed = true;
+            entry.users--;
+            if (entry.users === 0) {
+                openStores.delete(key);
+                await entry.store.close();
+            }
+        }
+    });
+}
+
+module.exports = {
+    COLUMNS,
+    toRows,
+    aggregate,
+    createCsvParser,
+    parseCsv,
+    openResultsStore
+};
@@ -0,0 +1,215 @@
+/**
+ * Traffic recorder for Machine Vision Flow Node-RED nodes
+ *
+ * Records backend request/response pairs to a directory and serves them back
+ * later, so a production run can be replayed against changed node settings
+ * without a backend. Used by the shared HTTP layer in vision-utils when the
+ * mv-config node has record or replay mode selected.
+ *
+ * Each exchange is stored as one JSON file (NNNNNN-<endpoint>.json) holding
+ * method, endpoint, request body and the response status and JSON, including
+ * thumbnails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Serialize a value with sorted object keys, so equal bodies give equal strings
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Build the replay lookup key of a request
+ *
+ * Requests on an image match by image_id and params; other requests
+ * (capture, connect, health) match by their whole body.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint path
+ * @param {object|null} body - Request body (or query params for GET)
+ * @returns {string} Lookup key
+ */
+function requestKey(method, endpoint, body) {
+    const request = body || {};
+    const match = request.image_id !== undefined
+        ? { image_id: request.image_id, params: request.params }
+        : request;
+    return `${method} ${endpoint} ${stableStringify(match)}`;
+}
+
+/**
+ * Create a traffic recorder
+ *
+ * @param {object} options - Recorder options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.directory - Directory holding the recorded exchanges
+ * @param {function} [options.onError] - Called with an Error when a recording cannot be written
+ * @returns {object} Recorder with mode, record(), replay(), flush() and size()
+ */
+function createTrafficRecorder(options) {
+    const {
+        mode,
+        directory,
+        onError = () => {}
+    } = options;
+
+    if (mode !== 'record' && mode !== 'replay') {
+        throw new Error(`Invalid traffic mode: ${mode}`);
+    }
+    if (!directory) {
+        throw new Error('Traffic directory is required');
+    }
+
+    const existing = fs.existsSync(directory)
+        ? fs.readdirSync(directory).filter(file => /^\d+-.*\.json$/.test(file)).sort()
+        : [];
+
+    // Replay: recorded exchanges grouped by key, served in recorded order
+    const recordings = new Map();
+    // Record: continue numbering after files already in the directory
+    let sequence = existing.length > 0 ? parseInt(existing[existing.length - 1], 10) : 0;
+    let recorded = 0;
+    let pendingWrites = Promise.resolve();
+
+    if (mode === 'record') {
+        fs.mkdirSync(directory, { recursive: true });
+    } else {
+        if (existing.length === 0) {
+            throw new Error(`No recordings found in ${directory}`);
+        }
+        for (const file of existing) {
+            const exchange = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            const key = requestKey(exchange.method, exchange.endpoint, exchange.request);
+            if (!recordings.has(key)) {
+                recordings.set(key, []);
+            }
+            recordings.get(key).push({ exchange, used: false });
+        }
+    }
+
+    /**
+     * Save one exchange (record mode)
+     *
+     * Writes are queued and run in order; use flush() to wait for them.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint path
+     * @param {object|null} request - Request body (or query params for GET)
+     * @param {object} response - {status, data} of the backend response
+     */
+    function record(method, endpoint, request, response) {
+        sequence++;
+        recorded++;
+        const slug = endpoint.replace(/^\/api\//, '').replace(/[^a-zA-Z0-9]+/g, '-').replace(/-+$/, '');
+        const file = path.join(directory, `${String(sequence).padStart(6, '0')}-${slug}.json`);
+        const exchange = {
+            method: method,
+            endpoint: endpoint,
+            recorded_at: new Date().toISOString(),
+            request: request || null,
+            response: { status: response.status, data: response.data }
+        };
+
+        pendingWrites = pendingWrites
+            .then(() => fs.promises.writeFile(file, JSON.stringify(exchange, null, 2)))
+            .catch(onError);
+    }
+
+    /**
+     * Serve the recorded response for a request (replay mode)
+     *
+     * Among recordings with the same key, an unused one with an identical
+     * body is preferred, then the next unused one; once all are used the
+     * last one is repeated.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint path
+     * @param {object|null} request - Request body (or query params for GET)
+     * @returns {object} Recorded response data
+     * @throws {Error} With an axios-style error.response for recorded error
+     * responses and for requests without a recording (404)
+     */
+    function replay(method, endpoint, request) {
+        const candidates = recordings.get(requestKey(method, endpoint, request));
+
+        if (!candidates) {
+            const error = new Error(`No recording for ${method} ${endpoint}`);
+            error.response = {
+                status: 404,
+                statusText: 'Not Found',
+                data: {
+                    detail: {
+                        error: 'No recorded response',
+                        details: `No recording for ${method} ${endpoint}${request?.image_id ? ` (image ${request.image_id})` : ''}`
+                    }
+                }
+            };
+            throw error;
+        }
+
+        const body = stableStringify(request || null);
+        const entry = candidates.find(c => !c.used && stableStringify(c.exchange.request) === body) ||
+            candidates.find(c => !c.used) ||
+            candidates[candidates.length - 1];
+        entry.used = true;
+
+        const { status, data } = entry.exchange.response;
+        if (status >= 400) {
+            const error = new Error(`Recorded error ${status} for ${method} ${endpoint}`);
+            error.response = { status, statusText: '', data };
+            throw error;
+        }
+
+        return data;
+    }
+
+    return {
+        mode,
+        directory,
+        record,
+        replay,
+
+        /**
+         * Wait for queued recordings to be written
+         *
+         * @returns {Promise<void>}
+         */
+        flush() {
+            return pendingWrites;
+        },
+
+        /**
+         * Number of exchanges recorded (record mode) or loaded (replay mode)
+         *
+         * @returns {number}
+         */
+        size() {
+            if (mode === 'record') {
+                return recorded;
+            }
+            let count = 0;
+            for (const candidates of recordings.values()) {
+                count += candidates.length;
+            }
+            return count;
+        }
+    };
+}
+
+module.exports = {
+    createTrafficRecorder,
+    requestKey
+};
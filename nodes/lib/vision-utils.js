@@ -7,6 +7,7 @@
 
 const axios = require('axios');
 const CONSTANTS = require('./constants');
+const { cameraKey } = require('./backend-pool');
 
 /**
  * @typedef {Object} VisionObjectMessage
@@ -31,6 +32,7 @@ const CONSTANTS = require('./constants');
  * @property {Object} payload.center - Center point {x, y}
  * @property {number|null} payload.angle - Rotation angle in degrees
  * @property {Object|null} payload.real - Real-world coordinates {center, bbox, angle}
+ * (caliper pairs also width)
  * @property {Array|null} payload.contour - Contour points array
  * @property {number|null} payload.area - Object area in pixels
  * @property {number|null} payload.perimeter - Object perimeter in pixels
@@ -38,7 +40,11 @@ const CONSTANTS = require('./constants');
  * @property {Object|null} reference - Reference coordinate system (set by aruco-reference node)
  * @property {boolean} success - Whether the detection succeeded
  * @property {number} processing_time_ms - Backend processing time in milliseconds
- * @property {string|null} thumbnail - Base64-encoded thumbnail image
+ * @property {string|null} thumbnail - Base64-encoded thumbnail image, or its URL in
+ * thumbnail mode 'url' (null in mode 'none', see getThumbnailMode)
+ * @property {boolean} [found] - Only on "no result" messages: false, with payload null
+ * @property {number} [count] - Only on batch messages: number of VisionObjects in the payload array
+ * @property {Object} [parts] - Only on batch messages: split/join sequence info {id, type, index, count, len}
  */
 
 /**
@@ -49,7 +55,8 @@ const STATUS = {
     PROCESSING: { fill: 'blue', shape: 'dot', text: 'processing...' },
     ERROR: { fill: 'red', shape: 'dot' },
     SUCCESS: { fill: 'green', shape: 'dot' },
-    NO_RESULTS: { fill: 'yellow', shape: 'ring' }
+    NO_RESULTS: { fill: 'yellow', shape: 'ring' },
+    WARNING: { fill: 'yellow', shape: 'ring' }
 };
 
 /**
@@ -59,16 +66,23 @@ const STATUS = {
  * This eliminates the duplicated getApiSettings() pattern found in
  * camera and image nodes.
  *
+ * With multiple backend URLs configured, apiUrl is the backend currently
+ * preferred by the pool, or the backend holding the image or camera.
+ *
  * @param {object} apiConfig - MV config node instance
+ * @param {string|null} [affinityKey] - Image ID, or cameraKey() of the camera,
+ * the request refers to (session affinity)
  * @returns {object} Object with apiUrl, timeout, and headers
  * @throws {Error} If apiConfig is not provided
  */
-function getApiSettings(apiConfig) {
+function getApiSettings(apiConfig, affinityKey = null) {
     if (!apiConfig) {
         throw new Error('Missing API configuration. Please configure mv-config node.');
     }
 
-    const apiUrl = apiConfig.apiUrl || CONSTANTS.API.DEFAULT_URL;
+    const apiUrl = apiConfig.backendPool
+        ? apiConfig.backendPool.preferred(affinityKey)
+        : apiConfig.apiUrl || CONSTANTS.API.DEFAULT_URL;
     const timeout = apiConfig.timeout || CONSTANTS.API.DEFAULT_TIMEOUT;
 
     const headers = {
@@ -88,11 +102,146 @@ function getApiSettings(apiConfig) {
     return { apiUrl, timeout, headers };
 }
 
+/**
+ * Get the backend URLs of a config node (all pool members)
+ *
+ * @param {object} apiConfig - MV config node instance
+ * @returns {Array<string>} Backend URLs
+ */
+function getBackendUrls(apiConfig) {
+    return apiConfig.backendPool
+        ? apiConfig.backendPool.urls
+        : [getApiSettings(apiConfig).apiUrl];
+}
+
+/**
+ * Get the HTTP client of a config node
+ *
+ * Config nodes own an axios instance with keep-alive connection pooling;
+ * without one (e.g. plain config objects) the global axios is used.
+ *
+ * @param {object} apiConfig - MV config node instance
+ * @returns {object} axios instance
+ */
+function getHttpClient(apiConfig) {
+    return (apiConfig && apiConfig.httpClient && apiConfig.httpClient.axios) || axios;
+}
+
+/**
+ * Get the thumbnail mode of a node
+ *
+ * The node's own setting wins; blank falls back to the config node.
+ *
+ * @param {object} node - Node-RED node instance (node.thumbnailMode)
+ * @param {object} apiConfig - MV config node instance (apiConfig.thumbnailMode)
+ * @returns {string} One of CONSTANTS.THUMBNAIL.MODES
+ */
+function getThumbnailMode(node, apiConfig) {
+    const modes = CONSTANTS.THUMBNAIL.MODES;
+    if (node && modes.includes(node.thumbnailMode)) {
+        return node.thumbnailMode;
+    }
+    if (apiConfig && modes.includes(apiConfig.thumbnailMode)) {
+        return apiConfig.thumbnailMode;
+    }
+    return CONSTANTS.THUMBNAIL.DEFAULT_MODE;
+}
+
+/**
+ * Add the thumbnail mode to a request body
+ *
+ * The default mode is not sent, so requests (and recorded traffic) stay
+ * unchanged unless a node opts out of full thumbnails.
+ *
+ * @param {object|null} requestData - Request body
+ * @param {string} mode - Thumbnail mode
+ * @returns {object|null} Request body with thumbnail_mode, or requestData as is
+ */
+function withThumbnailMode(requestData, mode) {
+    if (!requestData || mode === CONSTANTS.THUMBNAIL.DEFAULT_MODE) {
+        return requestData;
+    }
+    return Object.assign({}, requestData, { thumbnail_mode: mode });
+}
+
+/**
+ * Make a backend-relative thumbnail URL absolute
+ *
+ * In thumbnail mode 'url' the backend returns a path like
+ * /api/image/{id}/thumbnail, which is only valid on that backend.
+ *
+ * @param {object} data - Response data
+ * @param {string} baseUrl - URL of the backend that answered
+ * @returns {object} Response data with an absolute thumbnail URL
+ */
+function resolveThumbnailUrl(data, baseUrl) {
+    if (data && typeof data.thumbnail === 'string' && data.thumbnail.startsWith('/')) {
+        return Object.assign({}, data, { thumbnail: `${baseUrl}${data.thumbnail}` });
+    }
+    return data;
+}
+
+/**
+ * Load a thumbnail for display
+ *
+ * Thumbnails of mode 'url' are fetched from the backend; base64 thumbnails
+ * are returned as they are. Only URLs on a backend of the config node (the
+ * default backend without one) are fetched, so credentials never go to
+ * another host. In replay mode nothing is fetched and null is returned.
+ *
+ * @param {string|null} thumbnail - msg.thumbnail
+ * @param {object} [apiConfig] - MV config node instance (HTTP client and credentials)
+ * @returns {Promise<string|null>} Base64 data URI, or null without thumbnail
+ * @throws {Error} For a URL that is not on a backend of the config node
+ */
+async function loadThumbnail(thumbnail, apiConfig = null) {
+    if (typeof thumbnail !== 'string' || !/^https?:\/\//.test(thumbnail)) {
+        return thumbnail || null;
+    }
+    if (apiConfig && apiConfig.trafficMode === 'replay') {
+        // Recordings hold no thumbnail files, and the backend is not called
+        return null;
+    }
+
+    const backends = apiConfig ? getBackendUrls(apiConfig) : [CONSTANTS.API.DEFAULT_URL];
+    const onBackend = backends.some(url => {
+        const base = url.replace(/\/+$/, '');
+        return thumbnail === base || thumbnail.startsWith(`${base}/`);
+    });
+    if (!onBackend) {
+        throw new Error(`Thumbnail URL is not on a configured backend: ${thumbnail}`);
+    }
+
+    const headers = apiConfig ? getApiSettings(apiConfig).headers : {};
+    delete headers['Content-Type'];
+    const response = await getHttpClient(apiConfig).get(thumbnail, {
+        headers: headers,
+        responseType: 'arraybuffer',
+        timeout: (apiConfig && apiConfig.timeout) || CONSTANTS.API.DEFAULT_TIMEOUT
+    });
+    const contentType = response.headers['content-type'] || 'image/jpeg';
+    return `data:${contentType};base64,${Buffer.from(response.data).toString('base64')}`;
+}
+
+/**
+ * Decode a base64 data URL (image results of the backend) into a Buffer
+ *
+ * @param {string} dataUrl - data:<type>;base64,<data>
+ * @returns {{contentType: string|null, data: Buffer}} MIME type and file contents
+ */
+function decodeDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,/.exec(dataUrl);
+    return {
+        contentType: match && match[1] ? match[1] : null,
+        data: Buffer.from(match ? dataUrl.slice(match[0].length) : String(dataUrl), 'base64')
+    };
+}
+
 /**
  * Set node status with consistent formatting
  *
  * @param {object} node - Node-RED node instance
- * @param {string} statusType - Status type: 'ready', 'processing', 'error', 'success', 'no_results', 'clear'
+ * @param {string} statusType - Status type: 'ready', 'processing', 'error', 'success', 'no_results', 'warning', 'clear'
  * @param {string} message - Optional status message
  * @param {number} processingTime - Optional processing time in ms
  */
@@ -127,6 +276,10 @@ function setNodeStatus(node, statusType, message = null, processingTime = null)
             status.text = message || 'no results';
         }
         break;
+    case 'warning':
+        status = { ...STATUS.WARNING };
+        status.text = message || 'warning';
+        break;
     case 'clear':
         status = {};
         break;
@@ -138,23 +291,101 @@ function setNodeStatus(node, statusType, message = null, processingTime = null)
 }
 
 /**
- * Create standardized VisionObject message payload
+ * Request the backend health endpoint
  *
- * Fixed structure — all fields always present (null when not applicable).
- * Backend returns complete objects with null values, so we map them 1:1.
+ * Bypasses traffic record/replay: health checks are not inspection traffic.
+ * With multiple backend URLs every backend is checked and the results feed
+ * the pool; the result is 'degraded' while only some backends are reachable.
  *
- * @param {object} obj - Vision object from API response
- * @param {object|null} imageInfo - ImageInfo object {id, format, width, height, source, timestamp}
- * @param {string|null} thumbnail - Base64 thumbnail
- * @param {object} msg - Original message (for cloning)
- * @param {object} RED - Node-RED instance
- * @returns {object} Cloned message with VisionObject in payload
+ * @param {object} apiConfig - MV config node instance
+ * @param {number} [timeout] - Request timeout in ms (default: CONSTANTS.HEALTH.TIMEOUT_MS)
+ * @returns {Promise<object>} Health response data (e.g. {status: 'healthy'})
+ * @throws {Error} Network or API error (of the first backend when all are unreachable)
  */
-function createVisionObjectMessage(obj, imageInfo, thumbnail, msg, RED) {
-    const outputMsg = RED.util.cloneMessage(msg);
+async function checkBackendHealth(apiConfig, timeout = CONSTANTS.HEALTH.TIMEOUT_MS) {
+    const { apiUrl, headers } = getApiSettings(apiConfig);
+    const pool = apiConfig.backendPool;
 
-    // Payload: fixed structure — all fields always present
-    outputMsg.payload = {
+    if (!pool) {
+        const response = await getHttpClient(apiConfig).get(`${apiUrl}/api/system/health`, { timeout, headers });
+        return response.data;
+    }
+
+    const results = await Promise.allSettled(pool.urls.map(async (url) => {
+        const started = Date.now();
+        try {
+            const response = await getHttpClient(apiConfig).get(`${url}/api/system/health`, { timeout, headers });
+            pool.reportSuccess(url, Date.now() - started);
+            return response.data;
+        } catch (error) {
+            pool.reportFailure(url);
+            throw error;
+        }
+    }));
+
+    const unreachable = pool.urls.filter((url, i) => results[i].status === 'rejected');
+    if (unreachable.length === pool.urls.length) {
+        throw results[0].reason;
+    }
+    if (unreachable.length > 0) {
+        return { status: 'degraded', unreachable: unreachable };
+    }
+    return results[0].value;
+}
+
+/**
+ * Show backend health and circuit breaker transitions in the status of a node
+ *
+ * Subscribes to the health monitor and the circuit breaker of node.apiConfig
+ * (when the config node has them enabled) and unsubscribes when the node
+ * closes. Offline and degraded backends and an open circuit override the
+ * status; recovery resets it to ready.
+ *
+ * @param {object} node - Node-RED node instance with node.apiConfig
+ */
+function watchBackendHealth(node) {
+    const monitor = node.apiConfig && node.apiConfig.health;
+    const breaker = node.apiConfig && node.apiConfig.circuitBreaker;
+    const subscriptions = [];
+
+    if (monitor) {
+        subscriptions.push(monitor.subscribe(function(health, previous) {
+            if (health.state === 'disconnected') {
+                setNodeStatus(node, 'error', CONSTANTS.STATUS_TEXT.BACKEND_OFFLINE);
+            } else if (health.state === 'degraded') {
+                const latency = health.latency_ms !== null ? ` | ${health.latency_ms}ms` : '';
+                setNodeStatus(node, 'warning', `${CONSTANTS.STATUS_TEXT.BACKEND_DEGRADED}${latency}`);
+            } else if (health.state === 'connected' && previous !== 'unknown') {
+                setNodeStatus(node, 'ready');
+            }
+        }));
+    }
+
+    if (breaker) {
+        subscriptions.push(breaker.subscribe(function(circuit) {
+            if (circuit.state === 'open') {
+                setNodeStatus(node, 'error', CONSTANTS.STATUS_TEXT.CIRCUIT_OPEN);
+            } else if (circuit.state === 'closed') {
+                setNodeStatus(node, 'ready');
+            }
+        }));
+    }
+
+    if (subscriptions.length > 0) {
+        node.on('close', function() {
+            subscriptions.forEach(unsubscribe => unsubscribe());
+        });
+    }
+}
+
+/**
+ * Map a vision object from the API response to the fixed VisionObject structure
+ *
+ * @param {object} obj - Vision object from API response
+ * @returns {object} VisionObject with all fields present (null when not applicable)
+ */
+function toVisionObject(obj) {
+    return {
         object_id: obj.object_id,
         object_type: obj.object_type,
         roi: obj.roi || null,
@@ -162,13 +393,33 @@ function createVisionObjectMessage(obj, imageInfo, thumbnail, msg, RED) {
         coords: obj.coords || 'image',
         bbox: obj.bbox,
         center: obj.center,
-        angle: obj.angle || null,
+        angle: obj.angle ?? null,  // 0 is a valid angle (e.g. a horizontal line)
         real: obj.real || null,
         contour: obj.contour || null,
         area: obj.area || null,
         perimeter: obj.perimeter || null,
         metadata: obj.metadata || {}
     };
+}
+
+/**
+ * Create standardized VisionObject message payload
+ *
+ * Fixed structure — all fields always present (null when not applicable).
+ * Backend returns complete objects with null values, so we map them 1:1.
+ *
+ * @param {object} obj - Vision object from API response
+ * @param {object|null} imageInfo - ImageInfo object {id, format, width, height, source, timestamp}
+ * @param {string|null} thumbnail - Base64 thumbnail
+ * @param {object} msg - Original message (for cloning)
+ * @param {object} RED - Node-RED instance
+ * @returns {object} Cloned message with VisionObject in payload
+ */
+function createVisionObjectMessage(obj, imageInfo, thumbnail, msg, RED) {
+    const outputMsg = RED.util.cloneMessage(msg);
+
+    // Payload: fixed structure — all fields always present
+    outputMsg.payload = toVisionObject(obj);
 
     // Root-level: fixed structure
     outputMsg.image = imageInfo || null;
@@ -200,11 +451,392 @@ function addMessageMetadata(outputMsg, node, result) {
     }
 }
 
+/**
+ * Create "no result" message for a detection that returned zero objects
+ *
+ * Same root structure as a VisionObject message, but payload is null and
+ * found is false so downstream nodes can treat absence as a normal event.
+ *
+ * @param {object|null} imageInfo - ImageInfo object of the searched image
+ * @param {object} result - API response (thumbnail, processing_time_ms)
+ * @param {object} msg - Original message (for cloning)
+ * @param {object} RED - Node-RED instance
+ * @returns {object} Cloned message with null payload
+ */
+function createNoResultMessage(imageInfo, result, msg, RED) {
+    const outputMsg = RED.util.cloneMessage(msg);
+
+    outputMsg.payload = null;
+    outputMsg.found = false;
+    outputMsg.image = imageInfo || null;
+    outputMsg.thumbnail = result.thumbnail || null;
+
+    addMessageMetadata(outputMsg, null, result);
+
+    return outputMsg;
+}
+
+/**
+ * Handle a detection that returned zero objects
+ *
+ * Sets the no_results status and, when the node has its "not found" output
+ * enabled (node.notFoundOutput), sends a no-result message on output 2.
+ *
+ * @param {object} options - Handler options
+ * @param {object} options.node - Node-RED node instance
+ * @param {object} options.msg - Original input message
+ * @param {object} options.result - API response
+ * @param {function} options.send - Node-RED send function
+ * @param {string} options.statusText - Status text (e.g., 'not found', 'no edges')
+ * @param {object} options.RED - Node-RED instance
+ */
+function handleNoResults(options) {
+    const { node, msg, result, send, statusText, RED } = options;
+
+    setNodeStatus(node, 'no_results', statusText, result.processing_time_ms);
+
+    if (node.notFoundOutput) {
+        send([null, createNoResultMessage(msg.image, result, msg, RED)]);
+    }
+}
+
+/**
+ * Create one batch message carrying all detected objects
+ *
+ * The input message is cloned once; payload is the array of VisionObjects
+ * and the thumbnail is kept once at root level. msg.parts describes the
+ * payload as one array chunk, like the split node does, so a join node in
+ * automatic mode accepts it; existing parts are kept nested. parts.len is
+ * the chunk size, at least 2: join only flattens chunks when len > 1, and a
+ * chunk may be shorter than len (like the last chunk of a split), so a
+ * single object joins as [obj] instead of [[obj]].
+ *
+ * @param {Array} objects - Vision objects from API response
+ * @param {object|null} imageInfo - ImageInfo object {id, format, width, height, source, timestamp}
+ * @param {string|null} thumbnail - Base64 thumbnail
+ * @param {object} msg - Original message (for cloning)
+ * @param {object} RED - Node-RED instance
+ * @returns {object} Cloned message with VisionObject array in payload and count
+ */
+function createVisionBatchMessage(objects, imageInfo, thumbnail, msg, RED) {
+    const outputMsg = RED.util.cloneMessage(msg);
+
+    outputMsg.payload = objects.map(toVisionObject);
+    outputMsg.count = objects.length;
+    outputMsg.image = imageInfo || null;
+    outputMsg.thumbnail = thumbnail || null;
+
+    const parts = { id: msg._msgid, type: 'array', index: 0, count: 1, len: Math.max(objects.length, 2) };
+    if (msg.parts) {
+        parts.parts = msg.parts;
+    }
+    outputMsg.parts = parts;
+
+    return outputMsg;
+}
+
+/**
+ * Send the detected objects of an API result
+ *
+ * node.outputMode 'batch' sends a single message with an array payload.
+ * Otherwise one message per object is sent.
+ *
+ * @param {object} options - Send options
+ * @param {object} options.node - Node-RED node instance
+ * @param {object} options.msg - Original input message
+ * @param {object} options.result - API response with objects (at least one)
+ * @param {function} options.send - Node-RED send function
+ * @param {object} options.RED - Node-RED instance
+ */
+function sendVisionObjects(options) {
+    const { node, msg, result, send, RED } = options;
+
+    if (node.outputMode === 'batch') {
+        const outputMsg = createVisionBatchMessage(result.objects, msg.image, result.thumbnail, msg, RED);
+        addMessageMetadata(outputMsg, node, result);
+        send(outputMsg);
+        return;
+    }
+
+    for (let i = 0; i < result.objects.length; i++) {
+        const outputMsg = createVisionObjectMessage(result.objects[i], msg.image, result.thumbnail, msg, RED);
+        addMessageMetadata(outputMsg, node, result);
+        send(outputMsg);
+    }
+}
+
+/**
+ * Check whether a failed request may succeed when sent again
+ *
+ * Network errors and CONSTANTS.RETRY.RETRIABLE_STATUSES are transient;
+ * other responses (400, 401, 404, 422, ...) fail the same way every time.
+ * Timeouts only count when enabled: the backend may just be slow and still
+ * working on the request.
+ *
+ * @param {Error} error - axios error
+ * @param {boolean} [retryTimeouts=false] - Whether timeouts are retried
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetriableError(error, retryTimeouts = false) {
+    if (error.response) {
+        return CONSTANTS.RETRY.RETRIABLE_STATUSES.includes(error.response.status);
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return retryTimeouts;
+    }
+    return Boolean(error.request);
+}
+
+/**
+ * Compute the delay before a retry (exponential backoff with jitter)
+ *
+ * @param {number} retry - Retry number (1 = first retry)
+ * @param {number} baseDelay - Delay before the first retry in ms
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(retry, baseDelay) {
+    const { EXPONENTIAL_BASE, MAX_DELAY_MS, JITTER } = CONSTANTS.RETRY;
+    const delay = Math.min(baseDelay * Math.pow(EXPONENTIAL_BASE, retry - 1), MAX_DELAY_MS);
+    return Math.round(delay * (1 + JITTER * (2 * Math.random() - 1)));
+}
+
+/**
+ * Resolve the retry policy of a vision call
+ *
+ * node.retries (per-node setting) overrides the config node retries when
+ * set; a blank value uses the config node.
+ *
+ * @param {object} node - Node-RED node instance
+ * @param {object} apiConfig - MV config node instance
+ * @returns {object} {retries, delayMs, retryTimeouts}
+ */
+function getRetryPolicy(node, apiConfig) {
+    const override = node && node.retries !== undefined && node.retries !== ''
+        ? parseInt(node.retries, 10)
+        : NaN;
+    const retries = Number.isNaN(override) ? (parseInt(apiConfig.retries, 10) || 0) : override;
+
+    return {
+        retries: Math.max(retries, 0),
+        delayMs: apiConfig.retryDelay !== undefined ? apiConfig.retryDelay : CONSTANTS.RETRY.VISION_DELAY_MS,
+        retryTimeouts: apiConfig.retryTimeouts === true
+    };
+}
+
+/**
+ * Check whether a request failed before reaching the backend
+ *
+ * True for the fast-fail codes of the circuit breaker and the request
+ * limiter (dropped or refused with a full queue).
+ *
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the backend was not called
+ */
+function isNotSentError(error) {
+    return error.code === CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE ||
+        error.code === CONSTANTS.REQUEST_LIMIT.ERROR_CODE ||
+        error.code === CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE;
+}
+
+/**
+ * Create the error of a request rejected by an open circuit
+ *
+ * @param {object} breaker - Circuit breaker of the config node
+ * @returns {Error} Error with code CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE
+ */
+function createCircuitOpenError(breaker) {
+    const circuit = breaker.getState();
+    const retryIn = circuit.retry_at
+        ? Math.max(0, Math.ceil((Date.parse(circuit.retry_at) - Date.now()) / 1000))
+        : 0;
+    const error = new Error(`Circuit open: backend unavailable after ${circuit.failures} consecutive failures, next attempt in ${retryIn}s`);
+    error.code = CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE;
+    return error;
+}
+
+/**
+ * Create the error passed to done() for a failed API call
+ *
+ * Keeps the circuit-open, dropped and queue full codes, so catch nodes can tell
+ * requests that never reached the backend apart (msg.error.code).
+ *
+ * @param {Error} error - Original error
+ * @param {string} message - Error message
+ * @returns {Error} Error for done()
+ */
+function createDoneError(error, message) {
+    const doneError = new Error(message);
+    if (isNotSentError(error)) {
+        doneError.code = error.code;
+    }
+    return doneError;
+}
+
+/**
+ * Send one backend request
+ *
+ * Single HTTP path shared by callVisionAPI, callCameraAPI and callImageAPI,
+ * using the pooled connections of the config node (see getHttpClient).
+ * When the config node carries a traffic recorder (mv-config record/replay
+ * mode), exchanges are saved, or served from the recording instead of the
+ * backend. In replay mode without a loaded recording every request fails.
+ *
+ * With multiple backend URLs (apiConfig.backendPool), the pool picks the
+ * backend per request, keeping requests on an image on the backend that
+ * produced it and requests on a camera (camera_id) on the backend that
+ * connected it, and an unreachable backend fails over to the next one.
+ *
+ * With a retry policy, transient failures (see isRetriableError) are sent
+ * again after an exponential backoff. Only the final outcome is recorded.
+ *
+ * With a circuit breaker (apiConfig.circuitBreaker), every attempt is
+ * reported to it, and while the circuit is open requests fail immediately
+ * with error.code CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE.
+ *
+ * With a request limiter (apiConfig.requestLimiter), each attempt waits for
+ * a free slot; requests dropped from a full queue fail with error.code
+ * CONSTANTS.REQUEST_LIMIT.ERROR_CODE, requests refused by the 'block'
+ * policy with CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE.
+ *
+ * Relative thumbnail URLs (thumbnail mode 'url') are made absolute with the
+ * backend that answered; recordings keep them relative.
+ *
+ * @param {object} options - Request options
+ * @param {object} options.apiConfig - MV config node instance
+ * @param {string} options.endpoint - API endpoint path
+ * @param {string} options.url - Full request URL (backend chosen by the pool when configured)
+ * @param {string} [options.method='POST'] - 'GET' or 'POST'
+ * @param {object|null} [options.data] - Request body (POST)
+ * @param {object} options.config - axios request config (timeout, headers, params)
+ * @param {object} [options.retry] - {retries, delayMs, retryTimeouts, onRetry(retry, delay, error)}
+ * @param {object} [options.queue] - {onQueued(depth), onStart()} when waiting for a limiter slot
+ * @param {string} [options.affinityKey] - Pool affinity key, default the image_id
+ * or cameraKey() of the camera_id of the request
+ * @returns {Promise<object>} Response data
+ * @throws {Error} axios error (or replayed error with error.response), with
+ * error.retries set to the number of retries made
+ */
+async function sendRequest(options) {
+    const {
+        apiConfig,
+        endpoint,
+        url,
+        method = 'POST',
+        data = null,
+        config,
+        retry = null,
+        queue = null
+    } = options;
+
+    const recorder = apiConfig.trafficRecorder || null;
+    const pool = apiConfig.backendPool || null;
+    const breaker = apiConfig.circuitBreaker || null;
+    const limiter = apiConfig.requestLimiter || null;
+    const client = getHttpClient(apiConfig);
+    const requestBody = method === 'GET' ? (config.params || null) : data;
+    const cameraId = (requestBody && requestBody.camera_id) || null;
+    const affinityKey = options.affinityKey ||
+        (requestBody && requestBody.image_id) || (cameraId ? cameraKey(cameraId) : null);
+
+    if (apiConfig.trafficMode === 'replay' && !recorder) {
+        throw new Error(`Traffic replay unavailable (${apiConfig.trafficError || 'no recording loaded'}), backend not called`);
+    }
+    if (recorder && recorder.mode === 'replay') {
+        const replayed = await recorder.replay(method, endpoint, requestBody);
+        return resolveThumbnailUrl(replayed, apiConfig.apiUrl || CONSTANTS.API.DEFAULT_URL);
+    }
+
+    // Backends that could not be reached during the current attempt
+    const unreachable = new Set();
+    let attempt = 0;
+    let backendUrl = pool ? pool.select(affinityKey) : null;
+
+    for (;;) {
+        const requestUrl = pool ? `${backendUrl}${endpoint}` : url;
+        let started;
+
+        // Breaker is consulted once a slot is free, so a dropped request
+        // never holds the half-open probe
+        const send = function() {
+            if (breaker && !breaker.allowRequest()) {
+                throw createCircuitOpenError(breaker);
+            }
+            started = Date.now();
+            return method === 'GET'
+                ? client.get(requestUrl, config)
+                : client.post(requestUrl, data, config);
+        };
+
+        try {
+            const response = limiter ? await limiter.run(send, queue || {}) : await send();
+
+            if (breaker) {
+                breaker.recordSuccess();
+            }
+            if (pool) {
+                pool.reportSuccess(backendUrl, Date.now() - started, response.data, affinityKey);
+            }
+            if (recorder) {
+                recorder.record(method, endpoint, requestBody, response);
+            }
+
+            return resolveThumbnailUrl(response.data, requestUrl.slice(0, -endpoint.length));
+
+        } catch (error) {
+            if (isNotSentError(error)) {
+                // Not sent to the backend
+                error.retries = attempt;
+                throw error;
+            }
+
+            if (breaker) {
+                // 4xx responses come from a working backend
+                if (!error.response || error.response.status >= 500) {
+                    breaker.recordFailure();
+                } else {
+                    breaker.recordSuccess();
+                }
+            }
+
+            if (pool && !error.response) {
+                pool.reportFailure(backendUrl);
+                unreachable.add(backendUrl);
+                const next = pool.select(affinityKey, unreachable);
+                if (next) {
+                    backendUrl = next;
+                    continue;
+                }
+            }
+
+            if (retry && attempt < retry.retries && isRetriableError(error, retry.retryTimeouts)) {
+                attempt++;
+                const delay = getRetryDelay(attempt, retry.delayMs);
+                if (retry.onRetry) {
+                    retry.onRetry(attempt, delay, error);
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (pool) {
+                    unreachable.clear();
+                    backendUrl = pool.select(affinityKey);
+                }
+                continue;
+            }
+
+            if (recorder && error.response) {
+                recorder.record(method, endpoint, requestBody, error.response);
+            }
+            error.retries = attempt;
+            throw error;
+        }
+    }
+}
+
 /**
  * Call vision API with consistent error handling
  *
  * Wraps axios calls with standardized error handling, timeout management,
- * and status updates.
+ * and status updates. Vision calls are idempotent, so transient failures
+ * are retried per the config node (or node.retries) retry policy.
  *
  * @param {object} options - API call options
  * @param {object} options.node - Node-RED node instance
@@ -227,7 +859,7 @@ async function callVisionAPI(options) {
     // Extract API settings (validates config node)
     let apiUrl, timeout, headers;
     try {
-        ({ apiUrl, timeout, headers } = getApiSettings(apiConfig));
+        ({ apiUrl, timeout, headers } = getApiSettings(apiConfig, requestData && requestData.image_id));
     } catch (error) {
         setNodeStatus(node, 'error', 'no config');
         if (done) {
@@ -237,17 +869,29 @@ async function callVisionAPI(options) {
     }
 
     const url = `${apiUrl}${endpoint}`;
+    const retry = getRetryPolicy(node, apiConfig);
+
+    retry.onRetry = function(attempt, delay, error) {
+        setNodeStatus(node, 'processing', `retry ${attempt}/${retry.retries}`);
+        node.log(`${endpoint} failed (${error.response ? error.response.status : error.code || error.message}), retry ${attempt}/${retry.retries} in ${delay}ms`);
+    };
 
     try {
         setNodeStatus(node, 'processing');
 
-        const response = await axios.post(url, requestData, {
-            timeout: timeout,
-            headers: headers
+        return await sendRequest({
+            apiConfig: apiConfig,
+            endpoint: endpoint,
+            url: url,
+            data: withThumbnailMode(requestData, getThumbnailMode(node, apiConfig)),
+            config: { timeout: timeout, headers: headers },
+            retry: retry,
+            queue: {
+                onQueued: depth => setNodeStatus(node, 'processing', `queued (${depth})`),
+                onStart: () => setNodeStatus(node, 'processing')
+            }
         });
 
-        return response.data;
-
     } catch (error) {
         // Distinguish between different error types
         let errorMessage;
@@ -284,6 +928,18 @@ async function callVisionAPI(options) {
                 errorMessage = `API error (${status}): ${detail}`;
                 statusMessage = shortDetail || `error ${status}`;
             }
+        } else if (error.code === CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE) {
+            // Failed fast, backend not called
+            errorMessage = error.message;
+            statusMessage = CONSTANTS.STATUS_TEXT.CIRCUIT_OPEN;
+        } else if (error.code === CONSTANTS.REQUEST_LIMIT.ERROR_CODE) {
+            // Dropped from the full request queue, backend not called
+            errorMessage = error.message;
+            statusMessage = CONSTANTS.STATUS_TEXT.DROPPED;
+        } else if (error.code === CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE) {
+            // Refused with a full request queue, backend not called
+            errorMessage = error.message;
+            statusMessage = CONSTANTS.STATUS_TEXT.QUEUE_FULL;
         } else if (error.request) {
             // Network error - no response received
             errorMessage = `Network error: Cannot reach API at ${url}`;
@@ -298,12 +954,16 @@ async function callVisionAPI(options) {
             statusMessage = 'error';
         }
 
+        if (error.retries > 0) {
+            errorMessage += ` (after ${error.retries} ${error.retries === 1 ? 'retry' : 'retries'})`;
+        }
+
         // Update node status
         setNodeStatus(node, 'error', statusMessage);
 
         // Call done with error (this also logs via node.error internally)
         if (done) {
-            done(new Error(errorMessage));
+            done(createDoneError(error, errorMessage));
         }
 
         // Mark error as handled so nodes don't double-call done()
@@ -380,6 +1040,10 @@ function getTimestamp(msg) {
  * @param {object} options.apiConfig - MV config node instance
  * @param {function} options.done - Node-RED done callback (optional)
  * @param {string} options.method - HTTP method (default: 'POST')
+ * @param {boolean} options.thumbnail - Response carries a thumbnail (capture, test image),
+ * so the node's thumbnail mode is sent (default: false)
+ * @param {string} options.cameraId - Camera of a request without camera_id in its
+ * body (e.g. in the endpoint path), sent to the backend that connected it
  * @returns {Promise<object>} API response data
  * @throws {Error} Network or API error
  */
@@ -391,13 +1055,15 @@ async function callCameraAPI(options) {
         params = null,
         apiConfig,
         done = null,
-        method = 'POST'
+        method = 'POST',
+        thumbnail = false,
+        cameraId = null
     } = options;
 
     // Extract API settings
     let apiUrl, timeout, headers;
     try {
-        ({ apiUrl, timeout, headers } = getApiSettings(apiConfig));
+        ({ apiUrl, timeout, headers } = getApiSettings(apiConfig, cameraId ? cameraKey(cameraId) : null));
     } catch (error) {
         if (node) {
             setNodeStatus(node, 'error', CONSTANTS.STATUS_TEXT.NO_CONFIG);
@@ -418,14 +1084,15 @@ async function callCameraAPI(options) {
             config.params = params;
         }
 
-        let response;
-        if (method === 'GET') {
-            response = await axios.get(url, config);
-        } else {
-            response = await axios.post(url, requestData, config);
-        }
-
-        return response.data;
+        return await sendRequest({
+            apiConfig: apiConfig,
+            endpoint: endpoint,
+            url: url,
+            method: method,
+            data: thumbnail ? withThumbnailMode(requestData, getThumbnailMode(node, apiConfig)) : requestData,
+            config: config,
+            affinityKey: cameraId ? cameraKey(cameraId) : null
+        });
 
     } catch (error) {
         // Enhanced error handling
@@ -438,7 +1105,7 @@ async function callCameraAPI(options) {
 
         // done(error) handles logging via node.error() in Node-RED runtime
         if (done) {
-            done(new Error(errorMessage));
+            done(createDoneError(error, errorMessage));
         }
 
         // Mark error as handled so nodes don't double-call done()
@@ -486,13 +1153,14 @@ async function callImageAPI(options) {
     const url = `${apiUrl}${endpoint}`;
 
     try {
-        const response = await axios.post(url, requestData, {
-            timeout: timeout,
-            headers: headers
+        return await sendRequest({
+            apiConfig: apiConfig,
+            endpoint: endpoint,
+            url: url,
+            data: withThumbnailMode(requestData, getThumbnailMode(node, apiConfig)),
+            config: { timeout: timeout, headers: headers }
         });
 
-        return response.data;
-
     } catch (error) {
         // Enhanced error handling
         const errorMessage = extractErrorMessage(error, url, timeout);
@@ -504,7 +1172,7 @@ async function callImageAPI(options) {
 
         // done(error) handles logging via node.error() in Node-RED runtime
         if (done) {
-            done(new Error(errorMessage));
+            done(createDoneError(error, errorMessage));
         }
 
         // Mark error as handled so nodes don't double-call done()
@@ -538,6 +1206,10 @@ function extractErrorMessage(error, url, timeout) {
         return `API error (${status}): ${detail}`;
     }
 
+    if (isNotSentError(error)) {
+        return error.message;
+    }
+
     if (error.request) {
         return `Network error: Cannot reach API at ${url}`;
     }
@@ -578,6 +1250,18 @@ function getStatusMessage(error) {
         return shortDetail || `error ${status}`;
     }
 
+    if (error.code === CONSTANTS.CIRCUIT_BREAKER.ERROR_CODE) {
+        return CONSTANTS.STATUS_TEXT.CIRCUIT_OPEN;
+    }
+
+    if (error.code === CONSTANTS.REQUEST_LIMIT.ERROR_CODE) {
+        return CONSTANTS.STATUS_TEXT.DROPPED;
+    }
+
+    if (error.code === CONSTANTS.REQUEST_LIMIT.QUEUE_FULL_CODE) {
+        return CONSTANTS.STATUS_TEXT.QUEUE_FULL;
+    }
+
     if (error.request) {
         return CONSTANTS.STATUS_TEXT.NETWORK_ERROR;
     }
@@ -851,12 +1535,18 @@ function validateInput(node, msg, done) {
  *
  * Encapsulates: file validation → FormData → axios POST → temp cleanup → error handling.
  *
+ * With multiple backends the file is uploaded to every pool member: the
+ * preferred backend assigns the ID, the others get a copy under the same ID
+ * (sent as form field idField), so the upload can be used on any backend.
+ * The response adds backends (URLs holding the file) and failed ([{url, error}]).
+ *
  * @param {object} req - Express request (with multer-parsed req.file)
  * @param {object} res - Express response
  * @param {object} options - Upload options
  * @param {string} options.backendEndpoint - Backend API path (e.g., '/api/test-image/upload')
  * @param {object} options.apiConfig - MV config node instance
  * @param {object} [options.additionalFormFields={}] - Extra fields to append to FormData
+ * @param {string} [options.idField] - Response field with the assigned ID (e.g. 'template_id')
  * @param {function} [options.transformResponse] - Transform response.data before sending to client
  */
 async function handleFileUpload(req, res, options) {
@@ -864,6 +1554,7 @@ async function handleFileUpload(req, res, options) {
         backendEndpoint,
         apiConfig,
         additionalFormFields = {},
+        idField = null,
         transformResponse
     } = options;
 
@@ -876,30 +1567,42 @@ async function handleFileUpload(req, res, options) {
         }
 
         const file = req.file;
-        const { apiUrl, headers } = getApiSettings(apiConfig);
-
-        // Build multipart form data
-        const formData = new FormData();
-        formData.append('file', fs.createReadStream(file.path), {
-            filename: file.originalname,
-            contentType: file.mimetype
-        });
-
-        for (const [key, value] of Object.entries(additionalFormFields)) {
-            formData.append(key, value);
-        }
+        const { apiUrl, timeout, headers } = getApiSettings(apiConfig);
+        const client = getHttpClient(apiConfig);
+
+        // Build multipart form data and POST it to one backend
+        const upload = function(url, fields) {
+            const formData = new FormData();
+            formData.append('file', fs.createReadStream(file.path), {
+                filename: file.originalname,
+                contentType: file.mimetype
+            });
+
+            for (const [key, value] of Object.entries(fields)) {
+                formData.append(key, value);
+            }
 
-        // POST to backend
-        const response = await axios.post(
-            `${apiUrl}${backendEndpoint}`,
-            formData,
-            {
+            return client.post(`${url}${backendEndpoint}`, formData, {
+                timeout: timeout,
                 headers: {
                     ...headers,
                     ...formData.getHeaders()
                 }
-            }
-        );
+            });
+        };
+
+        const response = await upload(apiUrl, additionalFormFields);
+
+        // Copies on the other pool members, under the ID the first one assigned
+        const copyFields = idField
+            ? Object.assign({}, additionalFormFields, { [idField]: response.data[idField] })
+            : additionalFormFields;
+        const copies = await Promise.all(getBackendUrls(apiConfig)
+            .filter(url => url !== apiUrl)
+            .map(url => upload(url, copyFields).then(
+                () => ({ url, error: null }),
+                error => ({ url, error: extractErrorMessage(error, url, timeout) })
+            )));
 
         // Clean up temp file
         try {
@@ -913,7 +1616,10 @@ async function handleFileUpload(req, res, options) {
             ? transformResponse(response.data, file)
             : response.data;
 
-        res.json(result);
+        res.json(Object.assign({}, result, {
+            backends: [apiUrl].concat(copies.filter(copy => !copy.error).map(copy => copy.url)),
+            failed: copies.filter(copy => copy.error)
+        }));
 
     } catch (error) {
         // Clean up temp file on error
@@ -997,22 +1703,383 @@ function buildEdgeDetectParams(config) {
     };
 }
 
+/**
+ * Preprocess Parameter Builder
+ *
+ * Builds preprocessing parameters with defaults from constants. Operations
+ * are off unless their *Enabled flag is set.
+ *
+ * @param {object} config - Node configuration (mv-preprocess fields, e.g.
+ * grayscaleEnabled, gaussianBlurEnabled, gaussianKernel, thresholdMethod)
+ * @returns {object} Preprocess parameters
+ */
+function buildPreprocessParams(config) {
+    const defaults = CONSTANTS.PREPROCESS;
+
+    return {
+        // Grayscale
+        grayscale_enabled: config.grayscaleEnabled || false,
+
+        // Gaussian Blur
+        gaussian_blur_enabled: config.gaussianBlurEnabled || false,
+        gaussian_kernel: parseInt(config.gaussianKernel || defaults.GAUSSIAN_KERNEL),
+
+        // Median Blur
+        median_blur_enabled: config.medianBlurEnabled || false,
+        median_kernel: parseInt(config.medianKernel || defaults.MEDIAN_KERNEL),
+
+        // Bilateral Filter
+        bilateral_enabled: config.bilateralEnabled || false,
+        bilateral_d: parseInt(config.bilateralD || defaults.BILATERAL_D),
+        bilateral_sigma_color: parseFloat(config.bilateralSigmaColor || defaults.BILATERAL_SIGMA_COLOR),
+        bilateral_sigma_space: parseFloat(config.bilateralSigmaSpace || defaults.BILATERAL_SIGMA_SPACE),
+
+        // Morphology
+        morphology_enabled: config.morphologyEnabled || false,
+        morphology_operation: config.morphologyOperation || 'close',
+        morphology_kernel: parseInt(config.morphologyKernel || defaults.MORPHOLOGY_KERNEL),
+
+        // Threshold
+        threshold_enabled: config.thresholdEnabled || false,
+        threshold_method: config.thresholdMethod || 'binary',
+        threshold_value: parseInt(config.thresholdValue || defaults.THRESHOLD_VALUE),
+        threshold_max_value: parseInt(config.thresholdMaxValue || defaults.THRESHOLD_MAX),
+        adaptive_block_size: parseInt(config.adaptiveBlockSize || defaults.ADAPTIVE_BLOCK_SIZE),
+        adaptive_c: parseFloat(config.adaptiveC || defaults.ADAPTIVE_C),
+
+        // Histogram Equalization
+        hist_equalize_enabled: config.histEqualizeEnabled || false,
+
+        // CLAHE
+        clahe_enabled: config.claheEnabled || false,
+        clahe_clip_limit: parseFloat(config.claheClipLimit || defaults.CLAHE_CLIP_LIMIT),
+        clahe_tile_grid_size: parseInt(config.claheTileGridSize || defaults.CLAHE_TILE_GRID_SIZE),
+
+        // Sharpening
+        sharpen_enabled: config.sharpenEnabled || false,
+        sharpen_strength: parseFloat(config.sharpenStrength || defaults.SHARPEN_STRENGTH),
+
+        // Brightness/Contrast
+        brightness_contrast_enabled: config.brightnessContrastEnabled || false,
+        brightness: parseInt(config.brightness || defaults.BRIGHTNESS),
+        contrast: parseFloat(config.contrast || defaults.CONTRAST)
+    };
+}
+
+/**
+ * Color Detection Parameter Builder
+ *
+ * @param {object} config - Node configuration
+ * @param {string} config.expectedColor - Expected color (empty = any color)
+ * @param {number} config.minPercentage - Minimum share of the color in percent
+ * @param {string} config.method - Detection method
+ * @param {boolean} config.useContourMask - Only count pixels inside the contour (default true)
+ * @returns {object} Color detection parameters
+ */
+function buildColorDetectParams(config) {
+    const defaults = CONSTANTS.COLOR_DETECT;
+
+    return {
+        use_contour_mask: config.useContourMask !== false,
+        expected_color: config.expectedColor || null,
+        min_percentage: parseFloat(config.minPercentage) || defaults.DEFAULT_MIN_PERCENTAGE,
+        method: config.method || defaults.DEFAULT_METHOD
+    };
+}
+
+/**
+ * Rotation Detection Parameter Builder
+ *
+ * @param {object} config - Node configuration
+ * @param {string} config.method - Rotation method
+ * @param {string} config.angleRange - Angle range ('0_360', '-180_180', '0_180')
+ * @param {string} config.asymmetryOrientation - Asymmetry orientation mode ('disabled' by default)
+ * @returns {object} Rotation detection parameters
+ */
+function buildRotationDetectParams(config) {
+    const defaults = CONSTANTS.ROTATION_DETECT;
+
+    return {
+        method: config.method || defaults.DEFAULT_METHOD,
+        angle_range: config.angleRange || defaults.DEFAULT_ANGLE_RANGE,
+        asymmetry_orientation: config.asymmetryOrientation || 'disabled'
+    };
+}
+
+/**
+ * ROI Extract Box Builder
+ *
+ * In relative mode the configured ROI is offset by the bbox of the input
+ * object; without an input bbox (or in absolute mode) it is used as is.
+ *
+ * @param {object} config - Node configuration
+ * @param {object} config.roi - {x, y, width, height}
+ * @param {string} config.roiMode - 'absolute' or 'relative'
+ * @param {object|null} inputBbox - bbox of the input VisionObject
+ * @returns {object} Bounding box {x, y, width, height} to extract
+ */
+function buildRoiExtractBox(config, inputBbox) {
+    const defaults = CONSTANTS.ROI;
+    const roi = config.roi || {};
+    const configRoi = {
+        x: parseInt(roi.x) || defaults.DEFAULT_X,
+        y: parseInt(roi.y) || defaults.DEFAULT_Y,
+        width: parseInt(roi.width) || defaults.DEFAULT_WIDTH,
+        height: parseInt(roi.height) || defaults.DEFAULT_HEIGHT
+    };
+
+    if (config.roiMode === defaults.MODE_RELATIVE && inputBbox) {
+        return {
+            x: inputBbox.x + configRoi.x,
+            y: inputBbox.y + configRoi.y,
+            width: configRoi.width,
+            height: configRoi.height
+        };
+    }
+    return configRoi;
+}
+
+/**
+ * Blob Analysis Parameter Builder
+ *
+ * Feature filters come from min/max field pairs named after the feature
+ * (minArea/maxArea, minCircularity/maxCircularity, ...). A blank bound is
+ * unbounded; features without any bound are not sent.
+ *
+ * @param {object} config - Node configuration (mv-blob-analysis fields)
+ * @param {string} config.thresholdMethod - 'otsu', 'fixed', 'adaptive' or
+ * 'none' (input is already binary, e.g. from mv-preprocess)
+ * @param {number} config.thresholdValue - Threshold for 'fixed'
+ * @param {string} config.polarity - 'dark' or 'bright' blobs
+ * @param {number} config.maxBlobs - Maximum blobs
+ * @returns {object} Blob analysis parameters
+ */
+function buildBlobAnalysisParams(config) {
+    const defaults = CONSTANTS.BLOB_ANALYSIS;
+    const parseBound = value => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    const filters = {};
+    defaults.FEATURES.forEach(feature => {
+        const suffix = feature.charAt(0).toUpperCase() + feature.slice(1);
+        const min = parseBound(config['min' + suffix]);
+        const max = parseBound(config['max' + suffix]);
+        if (min !== null || max !== null) {
+            filters[feature] = { min: min, max: max };
+        }
+    });
+
+    const thresholdValue = parseInt(config.thresholdValue);
+    return {
+        threshold_method: config.thresholdMethod || defaults.DEFAULT_THRESHOLD_METHOD,
+        threshold_value: isNaN(thresholdValue) ? defaults.THRESHOLD_VALUE : thresholdValue,
+        polarity: config.polarity || defaults.DEFAULT_POLARITY,
+        filters: filters,
+        max_blobs: parseInt(config.maxBlobs) || defaults.MAX_BLOBS
+    };
+}
+
+/**
+ * Shape Detection Parameter Builder
+ *
+ * Only the parameters of the selected shape are sent. A blank max line
+ * length is unbounded.
+ *
+ * @param {object} config - Node configuration (mv-shape-detect fields)
+ * @param {string} config.shape - 'circles' or 'lines'
+ * @param {number} config.minRadius - Minimum circle radius (px)
+ * @param {number} config.maxRadius - Maximum circle radius (px)
+ * @param {number} config.minDistance - Minimum distance between circle centers (px)
+ * @param {number} config.accumulatorThreshold - Circle votes needed
+ * @param {number} config.lineThreshold - Line votes needed
+ * @param {number} config.minLength - Minimum line length (px)
+ * @param {number} config.maxLength - Maximum line length (px)
+ * @param {number} config.maxLineGap - Gap bridged within one line (px)
+ * @param {number} config.maxShapes - Maximum shapes
+ * @returns {object} Shape detection parameters
+ */
+function buildShapeDetectParams(config) {
+    const defaults = CONSTANTS.SHAPE_DETECT;
+    const shape = defaults.SHAPES.includes(config.shape) ? config.shape : defaults.DEFAULT_SHAPE;
+    const maxShapes = parseInt(config.maxShapes) || defaults.MAX_SHAPES;
+
+    if (shape === 'lines') {
+        const maxLength = parseFloat(config.maxLength);
+        return {
+            shape: shape,
+            threshold: parseInt(config.lineThreshold) || defaults.LINE_THRESHOLD,
+            min_length: parseFloat(config.minLength) || defaults.MIN_LINE_LENGTH,
+            max_length: isNaN(maxLength) ? null : maxLength,
+            max_line_gap: parseFloat(config.maxLineGap) || defaults.MAX_LINE_GAP,
+            max_shapes: maxShapes
+        };
+    }
+
+    return {
+        shape: shape,
+        min_radius: parseInt(config.minRadius) || defaults.MIN_RADIUS,
+        max_radius: parseInt(config.maxRadius) || defaults.MAX_RADIUS,
+        min_distance: parseInt(config.minDistance) || defaults.MIN_DISTANCE,
+        canny_high: defaults.CANNY_HIGH,
+        accumulator_threshold: parseInt(config.accumulatorThreshold) || defaults.ACCUMULATOR_THRESHOLD,
+        max_shapes: maxShapes
+    };
+}
+
+/**
+ * Caliper Parameter Builder
+ *
+ * @param {object} config - Node configuration (mv-caliper fields)
+ * @param {string} config.mode - 'pair' or 'single'
+ * @param {string} config.polarity - 'any', 'light_to_dark' or 'dark_to_light'
+ * @param {number} config.minContrast - Minimum edge contrast
+ * @param {number} config.smoothing - Profile filter half-size (px)
+ * @param {number} config.expectedWidth - Pairs closest to this width come first (blank = any)
+ * @param {number} config.maxResults - Maximum pairs or edges
+ * @returns {object} Caliper parameters
+ */
+function buildCaliperParams(config) {
+    const defaults = CONSTANTS.CALIPER;
+    const smoothing = parseInt(config.smoothing);
+    const expectedWidth = parseFloat(config.expectedWidth);
+
+    return {
+        mode: defaults.MODES.includes(config.mode) ? config.mode : defaults.DEFAULT_MODE,
+        polarity: defaults.POLARITIES.includes(config.polarity) ? config.polarity : defaults.DEFAULT_POLARITY,
+        min_contrast: parseFloat(config.minContrast) || defaults.MIN_CONTRAST,
+        smoothing: isNaN(smoothing) ? defaults.SMOOTHING : smoothing,
+        expected_width: isNaN(expectedWidth) ? null : expectedWidth,
+        max_results: parseInt(config.maxResults) || defaults.MAX_RESULTS
+    };
+}
+
+/**
+ * Caliper Search Region Builder
+ *
+ * Turns the configured line or rotated rectangle into the rotated rectangle
+ * the backend projects along: edges are searched in the direction of
+ * angle, across length, averaging over width.
+ *
+ * In relative mode the region is given in the frame of the input object:
+ * its offset is rotated by the object's angle and added to the object's
+ * center (bbox center without one), and the angle is added to the region's.
+ * Without an input object (or in absolute mode) it is used as is.
+ *
+ * @param {object} config - Node configuration
+ * @param {string} config.regionType - 'line' (x1, y1, x2, y2) or 'rect'
+ * (centerX, centerY, length, angle)
+ * @param {number} config.width - Width of the band (px)
+ * @param {string} config.regionMode - 'absolute' or 'relative'
+ * @param {object|null} inputObject - VisionObject from upstream (msg.payload)
+ * @returns {object} Region {center: {x, y}, length, width, angle} (angle in degrees)
+ */
+function buildCaliperRegion(config, inputObject) {
+    const defaults = CONSTANTS.CALIPER;
+    const num = value => parseFloat(value) || 0;
+
+    let region;
+    if (config.regionType === 'rect') {
+        region = {
+            center: { x: num(config.centerX), y: num(config.centerY) },
+            length: num(config.length),
+            angle: num(config.angle)
+        };
+    } else {
+        const x1 = num(config.x1);
+        const y1 = num(config.y1);
+        const x2 = num(config.x2);
+        const y2 = num(config.y2);
+        region = {
+            center: { x: (x1 + x2) / 2, y: (y1 + y2) / 2 },
+            length: Math.hypot(x2 - x1, y2 - y1),
+            angle: Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI
+        };
+    }
+    region.width = parseFloat(config.width) || defaults.REGION_WIDTH;
+
+    const origin = inputObject?.center || (inputObject?.bbox && {
+        x: inputObject.bbox.x + inputObject.bbox.width / 2,
+        y: inputObject.bbox.y + inputObject.bbox.height / 2
+    });
+    if (config.regionMode === CONSTANTS.ROI.MODE_RELATIVE && origin) {
+        const objectAngle = inputObject.angle || 0;
+        const rad = objectAngle * Math.PI / 180;
+        const { x, y } = region.center;
+        region.center = {
+            x: origin.x + x * Math.cos(rad) - y * Math.sin(rad),
+            y: origin.y + x * Math.sin(rad) + y * Math.cos(rad)
+        };
+        region.angle += objectAngle;
+    }
+
+    return {
+        center: region.center,
+        length: region.length,
+        width: region.width,
+        angle: region.angle
+    };
+}
+
+/**
+ * Defect Detection Parameter Builder
+ *
+ * The golden image is not part of the configuration parameters: it can be
+ * overridden per message and is added by the node.
+ *
+ * @param {object} config - Node configuration (mv-defect-diff fields)
+ * @param {string} config.alignment - 'template', 'aruco' or 'none'
+ * @param {number} config.threshold - Gray-level difference of a defect
+ * @param {number} config.blur - Blur kernel size (0 = no blur)
+ * @param {number} config.minArea - Minimum defect area (px²)
+ * @param {number} config.maxDefects - Maximum defects
+ * @returns {object} Defect detection parameters
+ */
+function buildDefectDiffParams(config) {
+    const defaults = CONSTANTS.DEFECT_DIFF;
+    const blur = parseInt(config.blur);
+    const minArea = parseFloat(config.minArea);
+
+    return {
+        alignment: defaults.ALIGNMENTS.includes(config.alignment) ? config.alignment : defaults.DEFAULT_ALIGNMENT,
+        threshold: parseInt(config.threshold) || defaults.THRESHOLD,
+        blur: isNaN(blur) ? defaults.BLUR : blur,
+        min_area: isNaN(minArea) ? defaults.MIN_AREA : minArea,
+        max_defects: parseInt(config.maxDefects) || defaults.MAX_DEFECTS
+    };
+}
+
 module.exports = {
     // API and Configuration
     getApiSettings,
+    getBackendUrls,
+    getHttpClient,
+    getThumbnailMode,
+    loadThumbnail,
+    decodeDataUrl,
 
     // Status Management
     setNodeStatus,
     STATUS,
 
+    // Backend Health
+    checkBackendHealth,
+    watchBackendHealth,
+
     // Message Building
     createVisionObjectMessage,
     addMessageMetadata,
+    createVisionBatchMessage,
+    createNoResultMessage,
+    handleNoResults,
+    sendVisionObjects,
 
     // API Wrappers
     callVisionAPI,
     callCameraAPI,
     callImageAPI,
+    extractErrorMessage,
 
     // Field Validation
     validateRequiredFields,
@@ -1043,6 +2110,15 @@ module.exports = {
 
     // Parameter Builders
     buildEdgeDetectParams,
+    buildPreprocessParams,
+    buildColorDetectParams,
+    buildRotationDetectParams,
+    buildRoiExtractBox,
+    buildBlobAnalysisParams,
+    buildShapeDetectParams,
+    buildCaliperParams,
+    buildCaliperRegion,
+    buildDefectDiffParams,
 
     // Constants
     CONSTANTS
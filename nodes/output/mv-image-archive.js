@@ -0,0 +1,223 @@
+module.exports = function(RED) {
+    const fs = require('fs');
+    const path = require('path');
+    const visionUtils = require('../lib/vision-utils');
+    const { collectObjects, readJudgement, buildShapes } = require('../lib/overlay');
+    const { ANNOTATED_SUFFIX, recordPath, applyRetention } = require('../lib/image-archive');
+    const CONSTANTS = require('../lib/constants');
+
+    const { CONTENT_TYPES, EXTENSIONS } = CONSTANTS.IMAGE_FETCH;
+
+    // File extension of an image returned by the backend
+    function extensionOf(contentType) {
+        const format = Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] === contentType);
+        return EXTENSIONS[format || 'png'];
+    }
+
+    function MVImageArchiveNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+
+        // Configuration
+        const defaults = CONSTANTS.IMAGE_ARCHIVE;
+        const baseDir = (RED.settings && RED.settings.userDir) || process.cwd();
+        node.directory = path.resolve(baseDir, config.directory || defaults.DEFAULT_DIRECTORY);
+        node.content = defaults.CONTENTS.includes(config.content) ? config.content : defaults.DEFAULT_CONTENT;
+        node.format = CONSTANTS.IMAGE_FETCH.FORMATS.includes(config.format) ? config.format : CONSTANTS.IMAGE_FETCH.DEFAULT_FORMAT;
+        node.product = config.product || '';  // msg.product overrides it
+
+        // Sampling: every Nth OK part is stored, 0 = NG only
+        node.okRate = config.okRate !== undefined && config.okRate !== '' ? parseInt(config.okRate) : defaults.OK_RATE;
+        node.okCount = 0;
+
+        // Retention: 0 = no limit
+        node.maxAgeDays = config.maxAgeDays !== undefined && config.maxAgeDays !== '' ? parseFloat(config.maxAgeDays) : defaults.MAX_AGE_DAYS;
+        node.maxSizeMb = parseFloat(config.maxSizeMb) || 0;
+
+        node.stored = 0;
+
+        /**
+         * Delete records beyond the retention limits
+         */
+        let cleaning = null;
+        function cleanup() {
+            if (cleaning) return cleaning;
+            cleaning = applyRetention({
+                directory: node.directory,
+                maxAgeMs: node.maxAgeDays * 24 * 3600 * 1000,
+                maxBytes: node.maxSizeMb * 1024 * 1024,
+                userDir: baseDir
+            }).then(result => {
+                if (result.deleted > 0) {
+                    node.log(`Retention: deleted ${result.deleted} record${result.deleted > 1 ? 's' : ''} (${(result.freedBytes / 1048576).toFixed(1)} MB) from ${node.directory}`);
+                }
+                if (node.maxSizeMb > 0 && result.bytes > node.maxSizeMb * 1024 * 1024) {
+                    // Only NG parts younger than the maximum age are left
+                    node.warn(`Retention: archive is ${(result.bytes / 1048576).toFixed(1)} MB, above the maximum size of ${node.maxSizeMb} MB; NG parts are kept for ${node.maxAgeDays} days`);
+                }
+                return result;
+            }).catch(error => {
+                node.warn(`Retention cleanup failed: ${error.message}`);
+            }).finally(() => {
+                cleaning = null;
+            });
+            return cleaning;
+        }
+
+        let cleanupTimer = null;
+        if (node.maxAgeDays > 0 || node.maxSizeMb > 0) {
+            cleanup();
+            cleanupTimer = setInterval(cleanup, defaults.CLEANUP_INTERVAL_MS);
+            if (cleanupTimer.unref) {
+                cleanupTimer.unref();
+            }
+        }
+
+        /**
+         * Whether a part is stored: NG and unjudged always, OK per sampling rate
+         */
+        function sample(verdict) {
+            if (verdict !== CONSTANTS.INSPECT_JUDGE.VERDICT_OK) {
+                return true;
+            }
+            node.okCount++;
+            return node.okRate > 0 && (node.okCount - 1) % node.okRate === 0;
+        }
+
+        visionUtils.setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = visionUtils.validateInput(node, msg, done);
+            if (!valid) return;
+
+            // mv-inspect-judge result, or a verdict set by the flow
+            const verdict = msg.payload?.verdict || msg.verdict || null;
+            const product = msg.product || node.product;
+
+            if (!sample(verdict)) {
+                msg.archive = { stored: false, verdict: verdict };
+                visionUtils.setNodeStatus(node, 'success', `OK skipped (${node.stored} archived)`);
+                send(msg);
+                done();
+                return;
+            }
+
+            try {
+                const images = [];
+
+                if (node.content !== 'annotated') {
+                    const result = await visionUtils.callVisionAPI({
+                        node: node,
+                        endpoint: '/api/image/export',
+                        requestData: {
+                            image_id: imageId,
+                            format: node.format,
+                            quality: node.format === 'jpeg' ? CONSTANTS.IMAGE_FETCH.JPEG_QUALITY : null,
+                            roi: null
+                        },
+                        apiConfig: node.apiConfig,
+                        done: done
+                    });
+                    images.push({ suffix: '', image: visionUtils.decodeDataUrl(result.image) });
+                }
+
+                if (node.content !== 'full') {
+                    // Same drawing as mv-overlay with its defaults: all features, pass/fail colors
+                    const styles = [{ objectType: '' }];
+                    CONSTANTS.OVERLAY.FEATURES.forEach(feature => { styles[0][feature] = true; });
+
+                    const result = await visionUtils.callVisionAPI({
+                        node: node,
+                        endpoint: '/api/image/draw',
+                        requestData: {
+                            image_id: imageId,
+                            shapes: buildShapes(collectObjects(msg), {
+                                styles: styles,
+                                judgement: readJudgement(msg),
+                                verdict: verdict
+                            }),
+                            max_width: null
+                        },
+                        apiConfig: node.apiConfig,
+                        done: done
+                    });
+                    images.push({ suffix: ANNOTATED_SUFFIX, image: visionUtils.decodeDataUrl(result.image) });
+                }
+
+                const record = recordPath({
+                    directory: node.directory,
+                    timestamp: visionUtils.getTimestamp(msg),
+                    product: product,
+                    verdict: verdict,
+                    imageId: imageId
+                });
+
+                const files = images.map(({ suffix, image }) => ({
+                    file: path.join(record.directory, `${record.stem}${suffix}.${extensionOf(image.contentType)}`),
+                    data: image.data
+                }));
+                files.push({
+                    file: path.join(record.directory, `${record.stem}.json`),
+                    data: JSON.stringify({
+                        archived_at: new Date().toISOString(),
+                        image: msg.image,
+                        topic: msg.topic || null,
+                        product: product || null,
+                        verdict: verdict,
+                        payload: Buffer.isBuffer(msg.payload) ? null : msg.payload,
+                        objects: msg.objects || null,
+                        reference: msg.reference || null
+                    }, null, 2)
+                });
+
+                try {
+                    await fs.promises.mkdir(record.directory, { recursive: true });
+                    await Promise.all(files.map(({ file, data }) => fs.promises.writeFile(file, data)));
+                } catch (error) {
+                    visionUtils.setNodeStatus(node, 'error', 'write failed');
+                    done(new Error(`Archive write failed: ${error.message}`));
+                    return;
+                }
+
+                node.stored++;
+                msg.archive = {
+                    stored: true,
+                    verdict: verdict,
+                    directory: record.directory,
+                    files: files.map(({ file }) => file)
+                };
+
+                send(msg);
+                visionUtils.setNodeStatus(node, 'success', `${verdict || 'image'} archived (${node.stored})`);
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function(done) {
+            if (cleanupTimer) {
+                clearInterval(cleanupTimer);
+            }
+            node.status({});
+            // Let a running cleanup finish before a redeploy starts the next one
+            Promise.resolve(cleaning).then(() => done());
+        });
+    }
+
+    RED.nodes.registerType('mv-image-archive', MVImageArchiveNode);
+};
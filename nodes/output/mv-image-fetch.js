@@ -0,0 +1,90 @@
+module.exports = function(RED) {
+    const visionUtils = require('../lib/vision-utils');
+    const CONSTANTS = require('../lib/constants');
+
+    function MVImageFetchNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+
+        // Configuration
+        const formats = CONSTANTS.IMAGE_FETCH.FORMATS;
+        node.format = formats.includes(config.format) ? config.format : CONSTANTS.IMAGE_FETCH.DEFAULT_FORMAT;
+        node.quality = parseInt(config.quality) || CONSTANTS.IMAGE_FETCH.JPEG_QUALITY;
+        node.crop = config.crop === true;  // Crop to msg.payload.bbox
+
+        visionUtils.setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = visionUtils.validateInput(node, msg, done);
+            if (!valid) return;
+
+            // msg.format overrides the configured format per message
+            const format = msg.format || node.format;
+            if (!formats.includes(format)) {
+                visionUtils.setNodeStatus(node, 'error', 'invalid format');
+                return done(new Error(`Invalid format "${format}", use one of: ${formats.join(', ')}`));
+            }
+
+            const roi = node.crop ? msg.payload?.bbox || null : null;
+
+            try {
+                const result = await visionUtils.callVisionAPI({
+                    node: node,
+                    endpoint: '/api/image/export',
+                    requestData: {
+                        image_id: imageId,
+                        format: format,
+                        quality: format === 'jpeg' ? node.quality : null,
+                        roi: roi
+                    },
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // Encoded file as returned by the backend (base64 data URL)
+                const { data } = visionUtils.decodeDataUrl(result.image);
+                const extension = CONSTANTS.IMAGE_FETCH.EXTENSIONS[format];
+
+                msg.payload = data;
+                msg.filename = `${imageId}${roi ? '_crop' : ''}.${extension}`;
+                msg.contentType = CONSTANTS.IMAGE_FETCH.CONTENT_TYPES[format];
+                msg.export = {
+                    format: format,
+                    width: result.width,
+                    height: result.height,
+                    size: data.length,
+                    roi: roi
+                };
+
+                send(msg);
+
+                const kb = Math.round(data.length / 1024);
+                visionUtils.setNodeStatus(node, 'success', `${format} ${result.width}x${result.height}, ${kb} kB`, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-image-fetch', MVImageFetchNode);
+};
@@ -6,13 +6,14 @@ module.exports = function(RED) {
         const node = this;
 
         // Config
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
         node.imageSource = config.imageSource || 'vision';
         node.height = parseInt(config.height) || 160;
         node.active = config.active !== false;
 
         visionUtils.setNodeStatus(node, 'ready');
 
-        node.on('input', function(msg, send, done) {
+        node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
 
@@ -41,6 +42,9 @@ module.exports = function(RED) {
                         source: node.imageSource
                     };
 
+                    // Thumbnail mode 'url': fetch only what is displayed
+                    imageData = await visionUtils.loadThumbnail(imageData, node.apiConfig);
+
                     if (imageData) {
                         // Strip data URI prefix if present
                         data.data = imageData.replace(/^data:image\/[a-z]+;base64,/, '');
@@ -0,0 +1,236 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        validateInput,
+        CONSTANTS
+    } = require('../lib/vision-utils');
+    const { createResultCollector } = require('../lib/result-collector');
+
+    // VisionObject field checked by each per-object rule type
+    const RULE_FIELDS = {
+        confidence: 'confidence',
+        area: 'area',
+        perimeter: 'perimeter',
+        angle: 'angle'
+    };
+
+    /**
+     * Parse an optional numeric rule bound from editor config ('' = unbounded)
+     */
+    function parseBound(value) {
+        if (value === '' || value === null || value === undefined) {
+            return null;
+        }
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    function inRange(value, min, max) {
+        if (typeof value !== 'number' || isNaN(value)) {
+            return false;
+        }
+        return (min === null || value >= min) && (max === null || value <= max);
+    }
+
+    function formatRange(min, max) {
+        return `[${min === null ? '-∞' : min}, ${max === null ? '∞' : max}]`;
+    }
+
+    /**
+     * Extract VisionObjects from a collected message together with their source topic
+     */
+    function extractObjects(msg) {
+        const payload = msg.payload;
+        const objects = Array.isArray(payload) ? payload : [payload];
+
+        return objects
+            .filter(obj => obj && typeof obj === 'object' && obj.object_id !== undefined)
+            .map(obj => ({ object: obj, topic: msg.topic || null }));
+    }
+
+    /**
+     * Reference to a collected object: object_ids repeat across tools
+     * (blob_0, color_0), so the source topic is part of it
+     */
+    function objectRef(entry) {
+        return { topic: entry.topic, object_id: entry.object.object_id };
+    }
+
+    /**
+     * Evaluate one rule against all collected objects
+     *
+     * Count rules check how many objects match the filter. All other rules check
+     * a VisionObject field on every matching object and fail when nothing matches,
+     * so a missing part can never pass a tolerance check. A rule for a topic
+     * fails when no message of that topic was collected: nothing was checked.
+     */
+    function evaluateRule(rule, entries, topics) {
+        const label = rule.name || rule.type;
+        const matching = entries.filter(entry =>
+            (!rule.objectType || entry.object.object_type === rule.objectType) &&
+            (!rule.topic || entry.topic === rule.topic)
+        );
+
+        const result = {
+            name: label,
+            type: rule.type,
+            object_type: rule.objectType || null,
+            topic: rule.topic || null,
+            min: rule.min,
+            max: rule.max,
+            pass: false,
+            value: null,
+            reason: null,
+            checked_objects: matching.map(objectRef),
+            failed_objects: []
+        };
+
+        if (rule.topic && !topics.has(rule.topic)) {
+            result.reason = `${label}: no results from topic '${rule.topic}'`;
+            return result;
+        }
+
+        if (rule.type === 'count') {
+            result.value = matching.length;
+            result.pass = inRange(matching.length, rule.min, rule.max);
+            if (!result.pass) {
+                result.reason = `${label}: count ${matching.length} outside ${formatRange(rule.min, rule.max)}`;
+            }
+            return result;
+        }
+
+        const field = RULE_FIELDS[rule.type];
+        if (!field) {
+            result.reason = `${label}: unknown rule type '${rule.type}'`;
+            return result;
+        }
+
+        if (matching.length === 0) {
+            result.reason = `${label}: no matching objects`;
+            return result;
+        }
+
+        result.value = matching.map(entry => entry.object[field] ?? null);
+        const failing = matching.filter(entry => !inRange(entry.object[field], rule.min, rule.max));
+        result.pass = failing.length === 0;
+        result.failed_objects = failing.map(objectRef);
+
+        if (!result.pass) {
+            const examples = failing
+                .slice(0, 3)
+                .map(entry => `${entry.object.object_id}=${entry.object[field] ?? 'n/a'}`)
+                .join(', ');
+            result.reason = `${label}: ${failing.length}/${matching.length} ${field} outside ` +
+                `${formatRange(rule.min, rule.max)} (${examples})`;
+        }
+
+        return result;
+    }
+
+    function MVInspectJudgeNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        node.timeout = parseInt(config.timeout) || CONSTANTS.INSPECT_JUDGE.DEFAULT_TIMEOUT;
+        node.topic = config.topic || '';
+        node.rules = (config.rules || []).map(rule => ({
+            name: rule.name || '',
+            type: rule.type || 'count',
+            objectType: rule.objectType || '',
+            topic: rule.topic || '',
+            min: parseBound(rule.min),
+            max: parseBound(rule.max)
+        }));
+
+        if (node.rules.length === 0) {
+            node.warn('No rules configured: every image is judged NG');
+        }
+
+        function judge(imageId, messages, reason) {
+            const entries = [];
+            const topics = new Set();
+            let processingTime = 0;
+
+            for (const msg of messages) {
+                entries.push(...extractObjects(msg));
+                topics.add(msg.topic || null);
+                processingTime += msg.processing_time_ms || 0;
+            }
+
+            const results = node.rules.map(rule => evaluateRule(rule, entries, topics));
+            // Without a rule nothing was checked, which must not pass as OK
+            const pass = results.length > 0 && results.every(result => result.pass);
+            const verdict = pass ? CONSTANTS.INSPECT_JUDGE.VERDICT_OK : CONSTANTS.INSPECT_JUDGE.VERDICT_NG;
+            const reasons = results.filter(result => !result.pass).map(result => result.reason);
+            if (results.length === 0) {
+                reasons.push('No rules configured');
+            }
+            const first = messages[0];
+
+            const outputMsg = {
+                topic: node.topic || first.topic || null,
+                image: first.image || null,
+                payload: {
+                    verdict: verdict,
+                    pass: pass,
+                    image_id: imageId,
+                    object_count: entries.length,
+                    message_count: messages.length,
+                    rules: results,
+                    reasons: reasons
+                },
+                objects: entries.map(entry => entry.object),
+                object_topics: entries.map(entry => entry.topic),
+                reference: first.reference || null,
+                success: true,
+                processing_time_ms: processingTime,
+                complete_reason: reason
+            };
+
+            if (pass) {
+                setNodeStatus(node, 'success', verdict);
+            } else if (results.length === 0) {
+                setNodeStatus(node, 'error', `${verdict}: no rules`);
+            } else {
+                const failed = results.filter(result => !result.pass).length;
+                setNodeStatus(node, 'error', `${verdict}: ${failed}/${results.length} rules failed`);
+            }
+
+            node.send(outputMsg);
+        }
+
+        const collector = createResultCollector({
+            timeout: node.timeout,
+            maxPending: CONSTANTS.INSPECT_JUDGE.MAX_PENDING,
+            onComplete: judge
+        });
+
+        setNodeStatus(node, 'ready');
+
+        node.on('input', function(msg, send, done) {
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            collector.add(imageId, msg);
+
+            // msg.complete follows the join node convention for "last part"
+            if (msg.complete === true) {
+                collector.complete(imageId);
+            } else {
+                setNodeStatus(node, 'processing', `collecting: ${collector.size()} image${collector.size() > 1 ? 's' : ''}`);
+            }
+
+            done();
+        });
+
+        node.on('close', function() {
+            collector.clear();
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-inspect-judge', MVInspectJudgeNode);
+};
@@ -0,0 +1,108 @@
+module.exports = function(RED) {
+    const { setNodeStatus } = require('../lib/vision-utils');
+    const { getFeature, measure } = require('../lib/geometry');
+
+    /**
+     * Select a VisionObject from a joined payload
+     *
+     * Arrays (join in automatic mode, batch output) are searched by index
+     * ("0", "1", ...) or object_id; key/value payloads (join by msg.topic) by
+     * key or object_id. A single VisionObject matches index 0 or its object_id.
+     */
+    function selectObject(payload, selector) {
+        const key = String(selector ?? '').trim();
+        if (!payload || typeof payload !== 'object') {
+            return null;
+        }
+
+        if (payload.object_id !== undefined) {
+            return key === '0' || key === String(payload.object_id) ? payload : null;
+        }
+
+        const objects = Array.isArray(payload) ? payload : Object.values(payload);
+        if (Array.isArray(payload) && /^\d+$/.test(key)) {
+            return payload[parseInt(key)] || null;
+        }
+        if (!Array.isArray(payload) && payload[key] && typeof payload[key] === 'object') {
+            return payload[key];
+        }
+        return objects.find(obj => obj && String(obj.object_id) === key) || null;
+    }
+
+    /**
+     * Round the values of a measurement result (dx/dy only exist for offsets)
+     */
+    function rounded(result) {
+        const round = value => Math.round(value * 1000) / 1000;
+        const out = { value: round(result.value) };
+        if (result.dx !== undefined) {
+            out.dx = round(result.dx);
+            out.dy = round(result.dy);
+        }
+        out.unit = result.unit;
+        return out;
+    }
+
+    function MVMeasureNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration: [{name, type, a, aFeature, b, bFeature}]
+        node.measurements = (config.measurements || []).map((m, index) => ({
+            name: m.name || `${m.type || 'distance'}_${index + 1}`,
+            type: m.type || 'distance',
+            a: m.a,
+            aFeature: m.aFeature || 'center',
+            b: m.b,
+            bFeature: m.bFeature || 'center'
+        }));
+
+        setNodeStatus(node, 'ready');
+
+        node.on('input', function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const reference = msg.reference || null;
+            const results = {};
+            const failed = [];
+
+            node.measurements.forEach(m => {
+                try {
+                    const objA = selectObject(msg.payload, m.a);
+                    const objB = selectObject(msg.payload, m.b);
+                    if (!objA) throw new Error(`object "${m.a}" not found`);
+                    if (!objB) throw new Error(`object "${m.b}" not found`);
+
+                    const result = measure(m.type, getFeature(objA, m.aFeature), getFeature(objB, m.bFeature), reference);
+                    results[m.name] = Object.assign({ type: m.type }, rounded(result), {
+                        real: result.real ? rounded(result.real) : null
+                    });
+                } catch (error) {
+                    // A missing part is a result too: keep measuring, report it per measurement
+                    results[m.name] = { type: m.type, value: null, unit: null, real: null, error: error.message };
+                    failed.push(`${m.name}: ${error.message}`);
+                }
+            });
+
+            msg.measurements = results;
+
+            if (failed.length > 0) {
+                setNodeStatus(node, 'warning', `${failed.length}/${node.measurements.length} failed: ${failed[0]}`);
+            } else if (node.measurements.length > 0) {
+                const first = results[node.measurements[0].name];
+                const shown = first.real || first;
+                setNodeStatus(node, 'success', `${node.measurements[0].name}: ${shown.value} ${shown.unit}`);
+            }
+
+            send(msg);
+            done();
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-measure', MVMeasureNode);
+};
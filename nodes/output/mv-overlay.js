@@ -1,25 +1,170 @@
 module.exports = function(RED) {
     const visionUtils = require('../lib/vision-utils');
+    const { collectObjects, readJudgement, buildShapes } = require('../lib/overlay');
+    const { createResultCollector } = require('../lib/result-collector');
+    const CONSTANTS = require('../lib/constants');
 
     function MVOverlayNode(config) {
         RED.nodes.createNode(this, config);
         const node = this;
 
+        // Without an API config the backend thumbnail is passed through (flows
+        // from before overlay rendering)
+        node.apiConfig = config.apiConfig ? RED.nodes.getNode(config.apiConfig) : null;
+        node.retries = config.retries;  // Blank = retry policy of the config node
+
+        // Configuration: what to draw per object type, blank objectType = all types
+        node.styles = (config.styles || [{ objectType: '' }]).map(style => {
+            const normalized = { objectType: style.objectType || '', color: style.color || '' };
+            CONSTANTS.OVERLAY.FEATURES.forEach(feature => {
+                normalized[feature] = style[feature] !== false;
+            });
+            return normalized;
+        });
+        node.thickness = parseInt(config.thickness) || CONSTANTS.OVERLAY.THICKNESS;
+        node.fontSize = parseInt(config.fontSize) || CONSTANTS.OVERLAY.FONT_SIZE;
+        node.showConfidence = config.showConfidence !== false;
+        node.passFail = config.passFail !== false;
+        node.maxWidth = parseInt(config.maxWidth) || null;  // Blank = full resolution
+
+        // 'collect': one picture per image from the results of several nodes
+        node.mode = CONSTANTS.OVERLAY.MODES.includes(config.mode) ? config.mode : 'single';
+        node.timeout = parseInt(config.timeout) || CONSTANTS.OVERLAY.DEFAULT_TIMEOUT;
+
+        /**
+         * Draw the objects of one or more messages of the same image
+         *
+         * An mv-inspect-judge result among them colors the objects of failed
+         * rules and adds the verdict. It already holds the objects of all tool
+         * results of the image, so only its objects are drawn; tool results
+         * collected alongside it would draw every object twice.
+         */
+        async function render(imageId, messages, done) {
+            const judged = messages.find(m => readJudgement(m));
+            const objects = judged ? collectObjects(judged) : messages.flatMap(collectObjects);
+            const shapes = buildShapes(objects, {
+                styles: node.styles,
+                thickness: node.thickness,
+                fontSize: node.fontSize,
+                showConfidence: node.showConfidence,
+                passFail: node.passFail,
+                judgement: readJudgement(judged),
+                verdict: judged && node.passFail ? judged.payload.verdict : null
+            });
+
+            // Drawn on the full image, so results of several nodes fit together
+            const result = await visionUtils.callVisionAPI({
+                node: node,
+                endpoint: '/api/image/draw',
+                requestData: {
+                    image_id: imageId,
+                    shapes: shapes,
+                    max_width: node.maxWidth
+                },
+                apiConfig: node.apiConfig,
+                done: done
+            });
+
+            const count = objects.length;
+            visionUtils.setNodeStatus(node, 'success', `${count} object${count !== 1 ? 's' : ''}`, result.processing_time_ms);
+
+            return {
+                image: result.image,
+                objects: objects,
+                overlay: {
+                    objects: count,
+                    shapes: shapes.length,
+                    width: result.width,
+                    height: result.height
+                }
+            };
+        }
+
+        const collector = node.mode !== 'collect' ? null : createResultCollector({
+            timeout: node.timeout,
+            maxPending: CONSTANTS.OVERLAY.MAX_PENDING,
+            onComplete: async function(imageId, messages, reason) {
+                const first = messages[0];
+                try {
+                    const drawn = await render(imageId, messages, err => node.error(err, first));
+                    node.send({
+                        topic: first.topic || null,
+                        image: first.image || null,
+                        payload: drawn.image,
+                        overlay: Object.assign(drawn.overlay, { message_count: messages.length }),
+                        objects: drawn.objects,
+                        reference: first.reference || null,
+                        complete_reason: reason
+                    });
+                } catch (error) {
+                    // Error already handled by callVisionAPI
+                    if (!error.handledByUtils) {
+                        node.error(error, first);
+                    }
+                }
+            }
+        });
+
         visionUtils.setNodeStatus(node, 'ready');
 
-        node.on('input', function(msg, send, done) {
+        node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
 
-            // Pass through the thumbnail for display
-            if (msg.thumbnail) {
-                msg.payload = msg.thumbnail;
+            if (!node.apiConfig) {
+                // Pass through the thumbnail for display
+                if (msg.thumbnail) {
+                    msg.payload = msg.thumbnail;
+                }
+
+                send(msg);
+                done();
+                return;
             }
 
-            send(msg);
-            done();
+            const { valid, imageId } = visionUtils.validateInput(node, msg, done);
+            if (!valid) return;
+
+            if (collector) {
+                collector.add(imageId, msg);
+
+                // msg.complete follows the join node convention for "last part".
+                // A judge result comes after all tool results of its image, so
+                // it completes the image itself
+                if (msg.complete === true || readJudgement(msg)) {
+                    collector.complete(imageId);
+                } else {
+                    visionUtils.setNodeStatus(node, 'processing', `collecting: ${collector.size()} image${collector.size() > 1 ? 's' : ''}`);
+                }
+
+                done();
+                return;
+            }
+
+            try {
+                const drawn = await render(imageId, [msg], done);
+
+                msg.payload = drawn.image;
+                msg.overlay = drawn.overlay;
+
+                send(msg);
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            if (collector) {
+                collector.clear();
+            }
+            node.status({});
         });
     }
 
     RED.nodes.registerType('mv-overlay', MVOverlayNode);
-};
\ No newline at end of file
+};
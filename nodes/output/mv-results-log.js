@@ -0,0 +1,96 @@
+module.exports = function(RED) {
+    const path = require('path');
+    const { setNodeStatus } = require('../lib/vision-utils');
+    const { toRows, openResultsStore } = require('../lib/results-log');
+    const CONSTANTS = require('../lib/constants');
+
+    function MVResultsLogNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration
+        const defaults = CONSTANTS.RESULTS_LOG;
+        const baseDir = (RED.settings && RED.settings.userDir) || process.cwd();
+        node.storage = defaults.STORAGES.includes(config.storage) ? config.storage : defaults.DEFAULT_STORAGE;
+        node.location = path.resolve(baseDir, config.location || defaults.DEFAULT_LOCATIONS[node.storage]);
+
+        // Rows older than maxAgeDays are deleted, 0 = keep everything
+        node.maxAgeDays = config.maxAgeDays !== undefined && config.maxAgeDays !== '' ? parseFloat(config.maxAgeDays) : defaults.MAX_AGE_DAYS;
+
+        node.logged = 0;
+        node.store = null;
+        try {
+            node.store = openResultsStore(node.storage, node.location);
+        } catch (error) {
+            setNodeStatus(node, 'error', 'storage unavailable');
+            node.error(`Results log disabled: ${error.message}`);
+        }
+
+        /**
+         * Delete rows beyond the maximum age
+         */
+        function cleanup() {
+            return node.store.prune(Date.now() - node.maxAgeDays * 24 * 3600 * 1000)
+                .then(deleted => {
+                    if (deleted > 0) {
+                        node.log(`Retention: deleted ${deleted} ${node.storage === 'sqlite' ? 'row' : 'file'}${deleted > 1 ? 's' : ''} older than ${node.maxAgeDays} days`);
+                    }
+                })
+                .catch(error => node.warn(`Retention cleanup failed: ${error.message}`));
+        }
+
+        let cleanupTimer = null;
+        if (node.store) {
+            setNodeStatus(node, 'ready');
+
+            if (node.maxAgeDays > 0) {
+                cleanup();
+                cleanupTimer = setInterval(cleanup, defaults.CLEANUP_INTERVAL_MS);
+                if (cleanupTimer.unref) {
+                    cleanupTimer.unref();
+                }
+            }
+        }
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            if (!node.store) {
+                return done(new Error('Results log storage is not available'));
+            }
+
+            let rows;
+            try {
+                rows = toRows(msg);
+            } catch (error) {
+                setNodeStatus(node, 'error', 'invalid input');
+                return done(error);
+            }
+
+            try {
+                await node.store.append(rows);
+                node.logged += rows.length;
+
+                setNodeStatus(node, 'success', `${node.logged} row${node.logged !== 1 ? 's' : ''} logged`);
+                send(msg);
+                done();
+
+            } catch (error) {
+                setNodeStatus(node, 'error', 'write failed');
+                done(new Error(`Results log write failed: ${error.message}`));
+            }
+        });
+
+        node.on('close', function(done) {
+            if (cleanupTimer) {
+                clearInterval(cleanupTimer);
+            }
+            node.status({});
+            // Pending appends are written before the store closes
+            Promise.resolve(node.store && node.store.close()).then(() => done(), () => done());
+        });
+    }
+
+    RED.nodes.registerType('mv-results-log', MVResultsLogNode);
+};
@@ -0,0 +1,117 @@
+module.exports = function(RED) {
+    const path = require('path');
+    const { setNodeStatus } = require('../lib/vision-utils');
+    const { openResultsStore } = require('../lib/results-log');
+    const CONSTANTS = require('../lib/constants');
+
+    /**
+     * Parse a time given as Date, epoch milliseconds or date string
+     *
+     * @returns {string|null} ISO timestamp, null when blank
+     * @throws {Error} For values that are not a valid time
+     */
+    function parseTime(value, name) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid ${name} time: ${value}`);
+        }
+        return date.toISOString();
+    }
+
+    function parseTopics(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0 ? value.map(String) : null;
+        }
+        const topics = String(value || '').split(',').map(topic => topic.trim()).filter(Boolean);
+        return topics.length > 0 ? topics : null;
+    }
+
+    function MVResultsQueryNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Configuration: same storage settings as the mv-results-log node
+        const defaults = CONSTANTS.RESULTS_LOG;
+        const baseDir = (RED.settings && RED.settings.userDir) || process.cwd();
+        node.storage = defaults.STORAGES.includes(config.storage) ? config.storage : defaults.DEFAULT_STORAGE;
+        node.location = path.resolve(baseDir, config.location || defaults.DEFAULT_LOCATIONS[node.storage]);
+
+        // Defaults of a query, msg.payload overrides them
+        node.rangeHours = parseFloat(config.rangeHours) || defaults.DEFAULT_RANGE_HOURS;
+        node.topics = parseTopics(config.topics);
+        node.groupBy = defaults.GROUP_BY.includes(config.groupBy) ? config.groupBy : defaults.DEFAULT_GROUP_BY;
+
+        node.store = null;
+        try {
+            node.store = openResultsStore(node.storage, node.location);
+            setNodeStatus(node, 'ready');
+        } catch (error) {
+            setNodeStatus(node, 'error', 'storage unavailable');
+            node.error(`Results query disabled: ${error.message}`);
+        }
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            if (!node.store) {
+                return done(new Error('Results log storage is not available'));
+            }
+
+            // Inject nodes send a timestamp payload: only objects are queries
+            const request = msg.payload && typeof msg.payload === 'object' && !Array.isArray(msg.payload) ? msg.payload : {};
+
+            let query;
+            try {
+                const to = parseTime(request.to, 'to') || new Date().toISOString();
+                const from = parseTime(request.from, 'from') || new Date(Date.parse(to) - node.rangeHours * 3600 * 1000).toISOString();
+                const groupBy = request.groupBy || node.groupBy;
+                if (!defaults.GROUP_BY.includes(groupBy)) {
+                    throw new Error(`Invalid groupBy "${groupBy}", use one of: ${defaults.GROUP_BY.join(', ')}`);
+                }
+                query = {
+                    from: from,
+                    to: to,
+                    topics: request.topic !== undefined ? parseTopics(request.topic) : node.topics,
+                    groupBy: groupBy
+                };
+            } catch (error) {
+                setNodeStatus(node, 'error', 'invalid query');
+                return done(error);
+            }
+
+            try {
+                setNodeStatus(node, 'processing');
+                // Groups are computed by the store; only a row listing returns rows
+                let rows;
+                if (query.groupBy === 'none') {
+                    const result = await node.store.query(Object.assign({ limit: defaults.MAX_ROWS }, query));
+                    msg.payload = result.rows;
+                    rows = result.total;
+                } else {
+                    msg.payload = await node.store.aggregate(query);
+                    rows = msg.payload.reduce((sum, group) => sum + group.rows, 0);
+                }
+                msg.query = Object.assign({}, query, { rows: rows, truncated: query.groupBy === 'none' && rows > defaults.MAX_ROWS });
+
+                setNodeStatus(node, 'success', `${rows} row${rows !== 1 ? 's' : ''}`);
+                send(msg);
+                done();
+
+            } catch (error) {
+                setNodeStatus(node, 'error', 'query failed');
+                done(new Error(`Results query failed: ${error.message}`));
+            }
+        });
+
+        node.on('close', function(done) {
+            node.status({});
+            Promise.resolve(node.store && node.store.close()).then(() => done(), () => done());
+        });
+    }
+
+    RED.nodes.registerType('mv-results-query', MVResultsQueryNode);
+};
@@ -1,8 +1,9 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
-        createVisionObjectMessage,
-        addMessageMetadata,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
         callVisionAPI,
         validateInput,
         CONSTANTS
@@ -14,12 +15,23 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.dictionary = config.dictionary || CONSTANTS.ARUCO_DETECT.DICTIONARY;
 
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -57,31 +69,15 @@ module.exports = function(RED) {
                     done: done
                 });
 
-                // 0 markers = send nothing
+                // 0 markers = no-result message on output 2 (if enabled)
                 if (!result.objects || result.objects.length === 0) {
-                    setNodeStatus(node, 'no_results', 'no markers', result.processing_time_ms);
+                    handleNoResults({ node, msg, result, send, statusText: 'no markers', RED });
                     done();
                     return;
                 }
 
-                // Send N messages for N markers using utility function
-                for (let i = 0; i < result.objects.length; i++) {
-                    const obj = result.objects[i];
-
-                    // Use utility to create standardized VisionObject message
-                    const outputMsg = createVisionObjectMessage(
-                        obj,
-                        msg.image,
-                        result.thumbnail,
-                        msg,
-                        RED
-                    );
-
-                    // Add metadata in root
-                    addMessageMetadata(outputMsg, node, result);
-
-                    send(outputMsg);
-                }
+                // One message per marker, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
 
                 // Update status with count
                 const countMsg = `${result.objects.length} marker${result.objects.length > 1 ? 's' : ''}`;
@@ -1,6 +1,7 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
+        watchBackendHealth,
         addMessageMetadata,
         callVisionAPI,
         validateInput,
@@ -13,6 +14,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.dictionary = config.dictionary || CONSTANTS.ARUCO_DETECT.DICTIONARY;
@@ -39,6 +42,9 @@ module.exports = function(RED) {
 
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
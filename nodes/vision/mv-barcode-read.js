@@ -0,0 +1,112 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        validateInput,
+        CONSTANTS
+    } = require('../lib/vision-utils');
+
+    function MVBarcodeReadNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration: comma-separated symbologies from the editor, blank = all
+        const symbologies = (config.symbologies || '').split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = symbologies.filter(s => !CONSTANTS.BARCODE_READ.SYMBOLOGIES.includes(s));
+        if (unknown.length > 0) {
+            node.warn(`Ignoring unknown symbologies: ${unknown.join(', ')}`);
+        }
+        node.symbologies = symbologies.filter(s => CONSTANTS.BARCODE_READ.SYMBOLOGIES.includes(s));
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            // Extract ROI from payload.bbox (INPUT constraint)
+            let roi = null;
+            if (msg.payload?.bbox) {
+                const bbox = msg.payload.bbox;
+                roi = {
+                    x: bbox.x,
+                    y: bbox.y,
+                    width: bbox.width,
+                    height: bbox.height
+                };
+            }
+
+            // Prepare request
+            const requestData = {
+                image_id: imageId,
+                roi: roi,
+                params: {
+                    symbologies: node.symbologies
+                }
+            };
+
+            try {
+                // Call API with unified error handling
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/barcode-read',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // 0 codes = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg, result, send, statusText: 'no codes', RED });
+                    done();
+                    return;
+                }
+
+                // One message per code, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
+
+                // Show the (shortened) text of a single code, the count otherwise
+                const count = result.objects.length;
+                const text = String(result.objects[0].metadata?.text ?? '');
+                const statusText = count === 1
+                    ? `${result.objects[0].metadata?.symbology}: ${text.length > 30 ? text.slice(0, 29) + '…' : text}`
+                    : `${count} codes`;
+                setNodeStatus(node, 'success', statusText, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-barcode-read', MVBarcodeReadNode);
+};
@@ -0,0 +1,98 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        buildBlobAnalysisParams,
+        validateInput
+    } = require('../lib/vision-utils');
+
+    function MVBlobAnalysisNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration: threshold, polarity and min/max filter per shape feature
+        node.params = buildBlobAnalysisParams(config);
+
+        const inverted = Object.keys(node.params.filters)
+            .filter(feature => {
+                const { min, max } = node.params.filters[feature];
+                return min !== null && max !== null && min > max;
+            });
+        if (inverted.length > 0) {
+            node.warn(`Min is above max for ${inverted.join(', ')}, no blob can pass`);
+        }
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            // Map bbox from previous detection to roi parameter (INPUT constraint)
+            const requestData = {
+                image_id: imageId,
+                roi: msg.payload?.bbox || null,
+                params: node.params
+            };
+
+            try {
+                // Call API with unified error handling
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/blob-analysis',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // 0 blobs passing the filters = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg, result, send, statusText: 'no blobs', RED });
+                    done();
+                    return;
+                }
+
+                // One message per blob, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
+
+                // Update status with count
+                const countMsg = `${result.objects.length} blob${result.objects.length > 1 ? 's' : ''}`;
+                setNodeStatus(node, 'success', countMsg, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-blob-analysis', MVBlobAnalysisNode);
+};
@@ -0,0 +1,123 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        buildCaliperParams,
+        buildCaliperRegion,
+        validateInput
+    } = require('../lib/vision-utils');
+
+    function MVCaliperNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Search region (line or rotated rectangle), resolved per message in relative mode
+        node.region = {
+            regionType: config.regionType,
+            regionMode: config.regionMode,
+            x1: config.x1,
+            y1: config.y1,
+            x2: config.x2,
+            y2: config.y2,
+            centerX: config.centerX,
+            centerY: config.centerY,
+            length: config.length,
+            angle: config.angle,
+            width: config.width
+        };
+
+        // Edge search configuration
+        node.params = buildCaliperParams(config);
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            // Relative regions follow the upstream object (bbox/center and angle)
+            const region = buildCaliperRegion(node.region, msg.payload || null);
+            if (region.length <= 0) {
+                setNodeStatus(node, 'error', 'invalid region');
+                return done(new Error('Caliper region must have a length'));
+            }
+
+            const requestData = {
+                image_id: imageId,
+                region: region,
+                params: node.params,
+                reference: msg.reference || null  // Pass reference for backend transformation
+            };
+
+            try {
+                // Call API with unified error handling
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/caliper',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // No edges = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg, result, send, statusText: 'no edges', RED });
+                    done();
+                    return;
+                }
+
+                // One message per pair or edge, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
+
+                // Show the width of a single pair (with real-world units when available)
+                const count = result.objects.length;
+                const first = result.objects[0];
+                let statusText;
+                if (node.params.mode === 'pair' && count === 1 && typeof first.metadata?.width === 'number') {
+                    statusText = `width ${first.metadata.width.toFixed(2)}px`;
+                    if (typeof first.real?.width === 'number') {
+                        statusText += ` (${first.real.width.toFixed(2)}${msg.reference?.units || 'mm'})`;
+                    }
+                } else {
+                    const noun = node.params.mode === 'pair' ? 'pair' : 'edge';
+                    statusText = `${count} ${noun}${count > 1 ? 's' : ''}`;
+                }
+                setNodeStatus(node, 'success', statusText, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-caliper', MVCaliperNode);
+};
@@ -1,9 +1,12 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
+        watchBackendHealth,
         createVisionObjectMessage,
         addMessageMetadata,
+        handleNoResults,
         callVisionAPI,
+        buildColorDetectParams,
         validateInput,
         CONSTANTS
     } = require('../lib/vision-utils');
@@ -14,6 +17,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.expectedColor = config.expectedColor || '';  // Empty = any color
@@ -21,8 +26,14 @@ module.exports = function(RED) {
         node.method = config.method || CONSTANTS.COLOR_DETECT.DEFAULT_METHOD;
         node.useContourMask = config.useContourMask !== false;  // Default true
 
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -45,12 +56,7 @@ module.exports = function(RED) {
                 image_id: imageId,
                 roi: roi,
                 contour: contour,
-                params: {
-                    use_contour_mask: node.useContourMask,
-                    expected_color: node.expectedColor || null,
-                    min_percentage: node.minPercentage,
-                    method: node.method
-                }
+                params: buildColorDetectParams(node)
             };
 
             try {
@@ -63,10 +69,10 @@ module.exports = function(RED) {
                     done: done
                 });
 
-                // 0 objects = send nothing (color not found or doesn't match)
+                // 0 objects = color not found or doesn't match, no-result message on output 2 (if enabled)
                 if (!result.objects || result.objects.length === 0) {
                     const statusText = node.expectedColor ? 'mismatch' : 'no color';
-                    setNodeStatus(node, 'no_results', statusText, result.processing_time_ms);
+                    handleNoResults({ node, msg, result, send, statusText, RED });
                     done();
                     return;
                 }
@@ -0,0 +1,248 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        buildDefectDiffParams,
+        getApiSettings,
+        getBackendUrls,
+        getHttpClient,
+        decodeDataUrl,
+        extractErrorMessage,
+        validateInput
+    } = require('../lib/vision-utils');
+
+    /**
+     * Copy a taught golden image to other backends of the pool
+     *
+     * Golden images are stored per backend, but the image to inspect can come
+     * from any pool member. The source image is exported from the backend it
+     * lives on and uploaded to each other backend under the same golden_id.
+     *
+     * @param {object} apiConfig - MV config node instance
+     * @param {string} sourceUrl - Backend holding the image
+     * @param {string} imageId - Image the golden image was taught from
+     * @param {object} golden - {golden_id, name} from the teach response
+     * @param {Array<string>} urls - Backends to copy to
+     * @returns {Promise<Array<object>>} [{url, error}] with error null on success
+     */
+    async function copyGoldenImage(apiConfig, sourceUrl, imageId, golden, urls) {
+        const FormData = require('form-data');
+        const { timeout, headers } = getApiSettings(apiConfig);
+        const client = getHttpClient(apiConfig);
+
+        let data;
+        try {
+            const exported = await client.post(`${sourceUrl}/api/image/export`, { image_id: imageId, format: 'png' }, { timeout, headers });
+            data = decodeDataUrl(exported.data.image).data;
+        } catch (error) {
+            const message = extractErrorMessage(error, sourceUrl, timeout);
+            return urls.map(url => ({ url, error: message }));
+        }
+
+        return Promise.all(urls.map(async url => {
+            const formData = new FormData();
+            formData.append('file', data, { filename: `${golden.golden_id}.png`, contentType: 'image/png' });
+            formData.append('golden_id', golden.golden_id);
+            formData.append('name', golden.name);
+            try {
+                await client.post(`${url}/api/golden/upload`, formData, {
+                    timeout: timeout,
+                    headers: { ...headers, ...formData.getHeaders() }
+                });
+                return { url, error: null };
+            } catch (error) {
+                return { url, error: extractErrorMessage(error, url, timeout) };
+            }
+        }));
+    }
+
+    function MVDefectDiffNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration: msg.goldenId overrides the golden image per message
+        node.goldenId = config.goldenId;
+        node.params = buildDefectDiffParams(config);
+
+        // Last image received, taught as golden image from the editor
+        node.lastImageId = null;
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            node.lastImageId = imageId;
+
+            const goldenId = msg.goldenId || node.goldenId;
+            if (!goldenId) {
+                setNodeStatus(node, 'error', 'missing golden image');
+                return done(new Error('No golden image configured'));
+            }
+
+            // ArUco alignment maps both images onto the marker plane
+            if (node.params.alignment === 'aruco' && !msg.reference) {
+                setNodeStatus(node, 'error', 'missing reference');
+                return done(new Error('ArUco alignment needs msg.reference (from mv-aruco-reference)'));
+            }
+
+            // Map bbox from previous detection to roi parameter (INPUT constraint)
+            const requestData = {
+                image_id: imageId,
+                roi: msg.payload?.bbox || null,
+                params: Object.assign({ golden_id: goldenId }, node.params),
+                reference: msg.reference || null
+            };
+
+            try {
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/defect-diff',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // How the image was registered to the golden image goes with every output message
+                const resultMsg = Object.assign({}, msg, { alignment: result.alignment || null });
+
+                // No defects = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg: resultMsg, result, send, statusText: 'no defects', RED });
+                    done();
+                    return;
+                }
+
+                // One message per defect, or one array message in batch mode
+                sendVisionObjects({ node, msg: resultMsg, result, send, RED });
+
+                const count = result.objects.length;
+                setNodeStatus(node, 'success', `${count} defect${count > 1 ? 's' : ''}`, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-defect-diff', MVDefectDiffNode);
+
+    // HTTP endpoints for the editor: golden images of all backends of a config
+    // node, and teaching the last image the deployed node received
+    // Only register if httpAdmin is available (not in test environment)
+    if (RED.httpAdmin) {
+        RED.httpAdmin.get('/mv-defect-diff/goldens',
+            RED.auth.needsPermission('mv-defect-diff.read'),
+            async function(req, res) {
+                const apiConfig = RED.nodes.getNode(req.query.apiConfigId);
+                if (!apiConfig) {
+                    return res.status(400).json({ error: 'Invalid API config' });
+                }
+
+                const { timeout, headers } = getApiSettings(apiConfig);
+                const client = getHttpClient(apiConfig);
+                const urls = getBackendUrls(apiConfig);
+                const lists = await Promise.allSettled(urls.map(url => client.get(`${url}/api/golden/list`, { timeout, headers })));
+
+                if (lists.every(list => list.status === 'rejected')) {
+                    return res.status(502).json({ error: `No backend reachable: ${lists[0].reason.message}` });
+                }
+
+                // One entry per golden_id, with the backends it is missing on
+                const goldens = new Map();
+                lists.forEach((list, index) => {
+                    if (list.status !== 'fulfilled') {
+                        return;
+                    }
+                    for (const golden of list.value.data) {
+                        if (!goldens.has(golden.id)) {
+                            goldens.set(golden.id, Object.assign({}, golden, { backends: [] }));
+                        }
+                        goldens.get(golden.id).backends.push(urls[index]);
+                    }
+                });
+
+                res.json(Array.from(goldens.values()).map(golden => Object.assign(golden, {
+                    missing: urls.filter(url => !golden.backends.includes(url))
+                })));
+            }
+        );
+
+        RED.httpAdmin.post('/mv-defect-diff/:id/teach',
+            RED.auth.needsPermission('mv-defect-diff.write'),
+            async function(req, res) {
+                const node = RED.nodes.getNode(req.params.id);
+                if (!node) {
+                    return res.status(404).json({ error: 'Node not deployed' });
+                }
+                if (!node.lastImageId) {
+                    return res.status(409).json({ error: 'No image received yet' });
+                }
+
+                try {
+                    // The image lives on the backend that created it
+                    const { apiUrl, timeout, headers } = getApiSettings(node.apiConfig, node.lastImageId);
+                    const response = await getHttpClient(node.apiConfig).post(
+                        `${apiUrl}/api/golden/teach`,
+                        {
+                            image_id: node.lastImageId,
+                            name: req.body?.name || node.name || `golden ${node.lastImageId}`
+                        },
+                        { timeout, headers }
+                    );
+
+                    // The other pool members get a copy under the same golden_id
+                    const others = getBackendUrls(node.apiConfig).filter(url => url !== apiUrl);
+                    const copies = others.length > 0
+                        ? await copyGoldenImage(node.apiConfig, apiUrl, node.lastImageId, response.data, others)
+                        : [];
+
+                    res.json({
+                        success: response.data.success,
+                        golden_id: response.data.golden_id,
+                        name: response.data.name,
+                        image_id: node.lastImageId,
+                        backends: [apiUrl].concat(copies.filter(copy => !copy.error).map(copy => copy.url)),
+                        failed: copies.filter(copy => copy.error)
+                    });
+
+                } catch (error) {
+                    res.status(500).json({
+                        error: error.response?.data?.detail || error.message || 'Teaching failed',
+                        details: error.response ? error.response.data : null
+                    });
+                }
+            }
+        );
+    }
+};
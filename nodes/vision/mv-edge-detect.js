@@ -1,8 +1,9 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
-        createVisionObjectMessage,
-        addMessageMetadata,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
         callVisionAPI,
         buildEdgeDetectParams,
         validateInput,
@@ -15,6 +16,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.method = config.method || 'canny';
@@ -28,9 +31,18 @@ module.exports = function(RED) {
         node.maxContourArea = config.maxContourArea || 100000;
         node.maxContours = config.maxContours || 20;
 
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
         // Set initial status
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -65,31 +77,15 @@ module.exports = function(RED) {
                     done: done
                 });
 
-                // 0 objects = send nothing
+                // 0 objects = no-result message on output 2 (if enabled)
                 if (!result.objects || result.objects.length === 0) {
-                    setNodeStatus(node, 'no_results', 'no edges', result.processing_time_ms);
+                    handleNoResults({ node, msg, result, send, statusText: 'no edges', RED });
                     done();
                     return;
                 }
 
-                // Send N messages for N objects using utility function
-                for (let i = 0; i < result.objects.length; i++) {
-                    const obj = result.objects[i];
-
-                    // Use utility to create standardized VisionObject message
-                    const outputMsg = createVisionObjectMessage(
-                        obj,
-                        msg.image,
-                        result.thumbnail,
-                        msg,
-                        RED
-                    );
-
-                    // Add metadata in root
-                    addMessageMetadata(outputMsg, node, result);
-
-                    send(outputMsg);
-                }
+                // One message per object, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
 
                 // Update status with count
                 const countMsg = `${result.objects.length} contour${result.objects.length > 1 ? 's' : ''}`;
@@ -1,8 +1,8 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
-        createVisionObjectMessage,
-        addMessageMetadata,
+        watchBackendHealth,
+        sendVisionObjects,
         callVisionAPI,
         validateInput
     } = require('../lib/vision-utils');
@@ -13,6 +13,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Basic template configuration
         node.templateId = config.templateId;
@@ -26,9 +28,15 @@ module.exports = function(RED) {
         node.findMultiple = config.findMultiple !== undefined ? config.findMultiple : false;
         node.maxMatches = parseInt(config.maxMatches) || 10;
 
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
         // Set initial status
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         // Process input
         node.on('input', async function(msg, send, done) {
             // For Node-RED 1.0+ compatibility
@@ -76,24 +84,8 @@ module.exports = function(RED) {
                     return;
                 }
 
-                // Send N messages for N objects using utility function
-                for (let i = 0; i < result.objects.length; i++) {
-                    const obj = result.objects[i];
-
-                    // Use utility to create standardized VisionObject message
-                    const outputMsg = createVisionObjectMessage(
-                        obj,
-                        msg.image,
-                        result.thumbnail,
-                        msg,
-                        RED
-                    );
-
-                    // Add metadata in root
-                    addMessageMetadata(outputMsg, node, result);
-
-                    send(outputMsg);
-                }
+                // One message per object, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
 
                 // Update status with count
                 let countMsg = `${result.objects.length} match${result.objects.length > 1 ? 'es' : ''}`;
@@ -0,0 +1,163 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        validateInput,
+        CONSTANTS
+    } = require('../lib/vision-utils');
+
+    /**
+     * Build the matcher for an expected text
+     *
+     * @param {string|number|RegExp} expected - Expected text, pattern or regex
+     * @param {string} mode - 'exact', 'pattern' (# digit, @ letter, ? any
+     * character, * any run) or 'regex'; ignored for RegExp values
+     * @returns {RegExp} Regex matching the whole read text
+     * @throws {Error} On an invalid regex
+     */
+    function compileExpected(expected, mode) {
+        if (expected instanceof RegExp) {
+            // Without the global flag, test() keeps no state between lines
+            return new RegExp(expected.source, expected.flags.replace('g', ''));
+        }
+        expected = String(expected);
+        if (mode === 'regex') {
+            return new RegExp(expected);
+        }
+        const escape = char => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        if (mode === 'pattern') {
+            const wildcards = { '#': '\\d', '@': '[A-Za-z]', '?': '.', '*': '.*' };
+            return new RegExp('^' + expected.split('').map(char => wildcards[char] || escape(char)).join('') + '$');
+        }
+        return new RegExp('^' + escape(expected) + '$');
+    }
+
+    function MVOcrNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration
+        node.minConfidence = parseFloat(config.minConfidence) || CONSTANTS.OCR.MIN_CONFIDENCE;
+        node.expected = config.expected || '';  // Blank = read only, msg.expected overrides it
+        node.matchMode = CONSTANTS.OCR.MATCH_MODES.includes(config.matchMode)
+            ? config.matchMode
+            : CONSTANTS.OCR.DEFAULT_MATCH_MODE;
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            // Expected text of this message, checked before calling the backend
+            const expected = msg.expected !== undefined && msg.expected !== '' ? msg.expected : node.expected;
+            let matcher = null;
+            if (expected !== '' && expected !== null && expected !== undefined) {
+                try {
+                    matcher = compileExpected(expected, node.matchMode);
+                } catch (error) {
+                    setNodeStatus(node, 'error', 'invalid pattern');
+                    return done(new Error(`Invalid expected pattern: ${error.message}`));
+                }
+            }
+
+            // Extract ROI from payload.bbox (INPUT constraint)
+            let roi = null;
+            if (msg.payload?.bbox) {
+                const bbox = msg.payload.bbox;
+                roi = {
+                    x: bbox.x,
+                    y: bbox.y,
+                    width: bbox.width,
+                    height: bbox.height
+                };
+            }
+
+            // Prepare request
+            const requestData = {
+                image_id: imageId,
+                roi: roi,
+                params: {
+                    min_confidence: node.minConfidence
+                }
+            };
+
+            try {
+                // Call API with unified error handling
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/ocr',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // No text = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg, result, send, statusText: 'no text', RED });
+                    done();
+                    return;
+                }
+
+                // Verify every line on its own, the result goes into its metadata
+                if (matcher) {
+                    result.objects.forEach(obj => {
+                        obj.metadata = Object.assign({}, obj.metadata, {
+                            expected: String(expected),
+                            verified: matcher.test(obj.metadata?.text ?? '')
+                        });
+                    });
+                }
+
+                // One message per text line, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
+
+                const count = result.objects.length;
+                let statusText = count === 1 ? `"${result.objects[0].metadata?.text}"` : `${count} lines`;
+                let statusType = 'success';
+                if (matcher) {
+                    const verified = result.objects.filter(obj => obj.metadata.verified).length;
+                    statusText += count === 1 ? (verified ? ' OK' : ' NG') : `, ${verified} OK`;
+                    if (verified < count) {
+                        statusType = 'warning';
+                    }
+                }
+                setNodeStatus(node, statusType, statusText, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-ocr', MVOcrNode);
+};
@@ -0,0 +1,163 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        validateInput,
+        validateROI,
+        buildPreprocessParams,
+        buildRoiExtractBox,
+        buildEdgeDetectParams,
+        buildRotationDetectParams,
+        buildColorDetectParams,
+        CONSTANTS
+    } = require('../lib/vision-utils');
+
+    // Backend step fields per step type, built like the single-tool nodes do
+    const STEP_BUILDERS = {
+        'preprocess': options => ({ params: buildPreprocessParams(options) }),
+        'roi-extract': (options, inputBbox) => ({ roi: buildRoiExtractBox(options, inputBbox) }),
+        'edge-detect': options => ({ params: buildEdgeDetectParams(options) }),
+        'rotation-detect': options => ({ params: buildRotationDetectParams(options) }),
+        'color-detect': options => ({ params: buildColorDetectParams(options) })
+    };
+
+    /**
+     * Build the backend steps of a pipeline definition
+     *
+     * Step options use the field names of the matching single-tool node
+     * (e.g. cannyLow for edge-detect), so a pipeline step and a node with the
+     * same settings send the same parameters.
+     *
+     * @param {Array<object>} steps - [{type, options}]
+     * @param {object|null} inputBbox - bbox of the input VisionObject (relative ROI)
+     * @returns {Array<object>} Backend steps [{type, params|roi}]
+     * @throws {Error} On an invalid pipeline definition
+     */
+    function buildPipelineSteps(steps, inputBbox) {
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Pipeline has no steps');
+        }
+        if (steps.length > CONSTANTS.PIPELINE.MAX_STEPS) {
+            throw new Error(`Pipeline has ${steps.length} steps, at most ${CONSTANTS.PIPELINE.MAX_STEPS} are allowed`);
+        }
+
+        let contours = false;
+        return steps.map((step, index) => {
+            const type = step && step.type;
+            if (!CONSTANTS.PIPELINE.STEP_TYPES.includes(type)) {
+                throw new Error(`Step ${index + 1}: unknown type "${type}"`);
+            }
+            if (type === 'rotation-detect' && !contours) {
+                throw new Error(`Step ${index + 1}: rotation-detect needs an edge-detect step before it`);
+            }
+            contours = contours || type === 'edge-detect';
+
+            const built = STEP_BUILDERS[type](step.options || {}, inputBbox);
+            if (built.roi) {
+                const roiValidation = validateROI(built.roi);
+                if (!roiValidation.valid) {
+                    throw new Error(`Step ${index + 1}: ${roiValidation.error}`);
+                }
+            }
+            return Object.assign({ type: type }, built);
+        });
+    }
+
+    function MVPipelineNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration: [{type, options}], msg.pipeline overrides it per message
+        node.steps = config.steps || [];
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            let steps;
+            try {
+                steps = buildPipelineSteps(msg.pipeline || node.steps, msg.payload?.bbox || null);
+            } catch (error) {
+                setNodeStatus(node, 'error', 'invalid pipeline');
+                return done(error);
+            }
+
+            // All steps run on the backend in one request
+            // Map bbox from previous detection to roi parameter (INPUT constraint)
+            const requestData = {
+                image_id: imageId,
+                roi: msg.payload?.bbox || null,
+                steps: steps,
+                reference: msg.reference || null
+            };
+
+            try {
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/pipeline',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // Intermediate results go with every output message; objects
+                // refer to the image of the last preprocess step, if any
+                const resultMsg = Object.assign({}, msg, {
+                    image: result.image || msg.image,
+                    steps: (result.steps || []).map(step => ({
+                        type: step.type,
+                        objects: step.objects || [],
+                        processing_time_ms: step.processing_time_ms
+                    }))
+                });
+
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg: resultMsg, result, send, statusText: 'not found', RED });
+                    done();
+                    return;
+                }
+
+                sendVisionObjects({ node, msg: resultMsg, result, send, RED });
+
+                const count = result.objects.length;
+                setNodeStatus(node, 'success', `${steps.length} steps: ${count} object${count > 1 ? 's' : ''}`, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-pipeline', MVPipelineNode);
+};
@@ -1,9 +1,11 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
+        watchBackendHealth,
         createVisionObjectMessage,
         addMessageMetadata,
         callVisionAPI,
+        buildPreprocessParams,
         validateInput,
         CONSTANTS
     } = require('../lib/vision-utils');
@@ -14,6 +16,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Grayscale
         node.grayscaleEnabled = config.grayscaleEnabled || false;
@@ -65,6 +69,9 @@ module.exports = function(RED) {
         // Set initial status
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -79,54 +86,7 @@ module.exports = function(RED) {
             });
 
             // Build preprocessing parameters
-            const params = {
-                // Grayscale
-                grayscale_enabled: node.grayscaleEnabled,
-
-                // Gaussian Blur
-                gaussian_blur_enabled: node.gaussianBlurEnabled,
-                gaussian_kernel: parseInt(node.gaussianKernel),
-
-                // Median Blur
-                median_blur_enabled: node.medianBlurEnabled,
-                median_kernel: parseInt(node.medianKernel),
-
-                // Bilateral Filter
-                bilateral_enabled: node.bilateralEnabled,
-                bilateral_d: parseInt(node.bilateralD),
-                bilateral_sigma_color: parseFloat(node.bilateralSigmaColor),
-                bilateral_sigma_space: parseFloat(node.bilateralSigmaSpace),
-
-                // Morphology
-                morphology_enabled: node.morphologyEnabled,
-                morphology_operation: node.morphologyOperation,
-                morphology_kernel: parseInt(node.morphologyKernel),
-
-                // Threshold
-                threshold_enabled: node.thresholdEnabled,
-                threshold_method: node.thresholdMethod,
-                threshold_value: parseInt(node.thresholdValue),
-                threshold_max_value: parseInt(node.thresholdMaxValue),
-                adaptive_block_size: parseInt(node.adaptiveBlockSize),
-                adaptive_c: parseFloat(node.adaptiveC),
-
-                // Histogram Equalization
-                hist_equalize_enabled: node.histEqualizeEnabled,
-
-                // CLAHE
-                clahe_enabled: node.claheEnabled,
-                clahe_clip_limit: parseFloat(node.claheClipLimit),
-                clahe_tile_grid_size: parseInt(node.claheTileGridSize),
-
-                // Sharpening
-                sharpen_enabled: node.sharpenEnabled,
-                sharpen_strength: parseFloat(node.sharpenStrength),
-
-                // Brightness/Contrast
-                brightness_contrast_enabled: node.brightnessContrastEnabled,
-                brightness: parseInt(node.brightness),
-                contrast: parseFloat(node.contrast)
-            };
+            const params = buildPreprocessParams(node);
 
             // Prepare request - map bbox from previous detection to roi parameter
             const requestData = {
@@ -7,6 +7,7 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.roi = config.roi || {
@@ -19,6 +20,9 @@ module.exports = function(RED) {
 
         visionUtils.setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        visionUtils.watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -38,27 +42,7 @@ module.exports = function(RED) {
                 visionUtils.setNodeStatus(node, 'processing', visionUtils.CONSTANTS.STATUS_TEXT.EXTRACTING_ROI);
 
                 // Calculate bounding box based on mode
-                let bounding_box;
-                const configRoi = {
-                    x: parseInt(node.roi.x) || visionUtils.CONSTANTS.ROI.DEFAULT_X,
-                    y: parseInt(node.roi.y) || visionUtils.CONSTANTS.ROI.DEFAULT_Y,
-                    width: parseInt(node.roi.width) || visionUtils.CONSTANTS.ROI.DEFAULT_WIDTH,
-                    height: parseInt(node.roi.height) || visionUtils.CONSTANTS.ROI.DEFAULT_HEIGHT
-                };
-
-                if (node.roiMode === visionUtils.CONSTANTS.ROI.MODE_RELATIVE && msg.payload.bbox) {
-                    // Relative mode: add ROI offset to existing bbox
-                    const inputBox = msg.payload.bbox;
-                    bounding_box = {
-                        x: inputBox.x + configRoi.x,
-                        y: inputBox.y + configRoi.y,
-                        width: configRoi.width,
-                        height: configRoi.height
-                    };
-                } else {
-                    // Absolute mode: use ROI as-is
-                    bounding_box = configRoi;
-                }
+                const bounding_box = visionUtils.buildRoiExtractBox(node, msg.payload.bbox);
 
                 // Validate ROI coordinates
                 const roiValidation = visionUtils.validateROI(bounding_box);
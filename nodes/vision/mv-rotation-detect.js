@@ -1,8 +1,10 @@
 module.exports = function(RED) {
     const {
         setNodeStatus,
+        watchBackendHealth,
         addMessageMetadata,
         callVisionAPI,
+        buildRotationDetectParams,
         validateInput,
         CONSTANTS
     } = require('../lib/vision-utils');
@@ -13,6 +15,8 @@ module.exports = function(RED) {
 
         // Get API configuration node
         node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
 
         // Configuration
         node.method = config.method || CONSTANTS.ROTATION_DETECT.DEFAULT_METHOD;
@@ -21,6 +25,9 @@ module.exports = function(RED) {
 
         setNodeStatus(node, 'ready');
 
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
         node.on('input', async function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments); };
             done = done || function(err) { if(err) node.error(err, msg); };
@@ -40,11 +47,7 @@ module.exports = function(RED) {
                 image_id: imageId,
                 contour: contour,
                 roi: msg.payload?.bbox || null,  // For visualization context
-                params: {
-                    method: node.method,
-                    angle_range: node.angleRange,
-                    asymmetry_orientation: node.asymmetryOrientation
-                },
+                params: buildRotationDetectParams(node),
                 reference: msg.reference || null  // Pass reference for backend transformation
             };
 
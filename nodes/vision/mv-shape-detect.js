@@ -0,0 +1,96 @@
+module.exports = function(RED) {
+    const {
+        setNodeStatus,
+        watchBackendHealth,
+        sendVisionObjects,
+        handleNoResults,
+        callVisionAPI,
+        buildShapeDetectParams,
+        validateInput
+    } = require('../lib/vision-utils');
+
+    function MVShapeDetectNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get API configuration node
+        node.apiConfig = RED.nodes.getNode(config.apiConfig);
+        node.retries = config.retries;  // Blank = retry policy of the config node
+        node.thumbnailMode = config.thumbnailMode;  // Blank = thumbnail mode of the config node
+
+        // Configuration: Hough parameters of the selected shape
+        node.params = buildShapeDetectParams(config);
+
+        if (node.params.shape === 'circles' && node.params.min_radius > node.params.max_radius) {
+            node.warn('Min radius is above max radius, no circle can be found');
+        } else if (node.params.shape === 'lines' && node.params.max_length !== null && node.params.min_length > node.params.max_length) {
+            node.warn('Min length is above max length, no line can be found');
+        }
+
+        // Second output for "not found" events (opt-in)
+        node.notFoundOutput = config.notFoundOutput === true;
+
+        // 'single': one message per object, 'batch': one message with an array payload
+        node.outputMode = config.outputMode || 'single';
+
+        setNodeStatus(node, 'ready');
+
+        // Show backend offline/degraded from the config node's health monitor
+        watchBackendHealth(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments); };
+            done = done || function(err) { if(err) node.error(err, msg); };
+
+            const { valid, imageId } = validateInput(node, msg, done);
+            if (!valid) return;
+
+            // Map bbox from previous detection to roi parameter (INPUT constraint)
+            const requestData = {
+                image_id: imageId,
+                roi: msg.payload?.bbox || null,
+                params: node.params
+            };
+
+            try {
+                // Call API with unified error handling
+                const result = await callVisionAPI({
+                    node: node,
+                    endpoint: '/api/vision/shape-detect',
+                    requestData: requestData,
+                    apiConfig: node.apiConfig,
+                    done: done
+                });
+
+                // 0 shapes = no-result message on output 2 (if enabled)
+                if (!result.objects || result.objects.length === 0) {
+                    handleNoResults({ node, msg, result, send, statusText: `no ${node.params.shape}`, RED });
+                    done();
+                    return;
+                }
+
+                // One message per circle or line, or one array message in batch mode
+                sendVisionObjects({ node, msg, result, send, RED });
+
+                // Update status with count
+                const count = result.objects.length;
+                const countMsg = `${count} ${count > 1 ? node.params.shape : node.params.shape.slice(0, -1)}`;
+                setNodeStatus(node, 'success', countMsg, result.processing_time_ms);
+
+                done();
+
+            } catch (error) {
+                // Error already handled by callVisionAPI
+                if (!error.handledByUtils) {
+                    done(error);
+                }
+            }
+        });
+
+        node.on('close', function() {
+            node.status({});
+        });
+    }
+
+    RED.nodes.registerType('mv-shape-detect', MVShapeDetectNode);
+};
@@ -4,6 +4,9 @@
 
 const { expect } = require('chai');
 const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Config Nodes (Mock Integration)', function() {
 
@@ -15,6 +18,12 @@ describe('Config Nodes (Mock Integration)', function() {
             nodes: {
                 createNode: sinon.stub(),
                 registerType: sinon.stub()
+            },
+            httpAdmin: {
+                get: sinon.stub()
+            },
+            auth: {
+                needsPermission: sinon.stub().returns(function(req, res, next) { next(); })
             }
         };
 
@@ -118,6 +127,154 @@ describe('Config Nodes (Mock Integration)', function() {
             expect(nodeInstance.timeout).to.equal(45000);
         });
 
+        it('should create a backend pool from additional URLs', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const single = new NodeConstructor({ apiUrl: 'http://vision-a:8000' });
+            const multiple = new NodeConstructor({
+                apiUrl: 'http://vision-a:8000',
+                additionalUrls: 'http://vision-b:8000/\n\nhttp://vision-c:8000, http://vision-a:8000',
+                strategy: 'round-robin'
+            });
+
+            expect(single.backendPool).to.be.null;
+            expect(multiple.backendPool.urls).to.deep.equal(['http://vision-a:8000', 'http://vision-b:8000', 'http://vision-c:8000']);
+            expect(multiple.backendPool.strategy).to.equal('round-robin');
+        });
+
+        it('should create a circuit breaker unless disabled', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({});
+
+            expect(nodeInstance.failureThreshold).to.equal(5);
+            expect(nodeInstance.circuitResetMs).to.equal(30000);
+            expect(nodeInstance.circuitBreaker.getState().state).to.equal('closed');
+            expect(new NodeConstructor({ failureThreshold: '0' }).circuitBreaker).to.be.null;
+        });
+
+        it('should report runtime state to the editor', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+            const nodeInstance = new NodeConstructor({ healthInterval: '0', maxConcurrent: '4' });
+            RED.nodes.getNode = sinon.stub().returns(nodeInstance);
+            const handler = RED.httpAdmin.get.withArgs('/mv-config/:id/state').lastCall.args[2];
+            const res = { json: sinon.stub(), sendStatus: sinon.stub() };
+
+            handler({ params: { id: 'cfg1' } }, res);
+
+            expect(res.json.getCall(0).args[0]).to.deep.equal({
+                health: null,
+                circuit: { state: 'closed', failures: 0, opened_at: null, retry_at: null },
+                queue: { active: 0, queued: 0, dropped: 0, max_concurrent: 4, max_queue: 20, policy: 'block' },
+                backends: null,
+                connections: { active: 0, idle: 0 }
+            });
+        });
+
+        it('should create a pooled HTTP client', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({ maxSockets: '2', http2: true });
+
+            expect(nodeInstance.maxSockets).to.equal(2);
+            expect(nodeInstance.httpClient.http2).to.be.true;
+            expect(nodeInstance.httpClient.axios.defaults.httpAgent.keepAlive).to.be.true;
+            expect(nodeInstance.httpClient.axios.defaults.httpAgent.maxSockets).to.equal(2);
+            expect(new NodeConstructor({}).httpClient.http2).to.be.false;
+        });
+
+        it('should limit concurrent requests only when configured', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({ maxConcurrent: '2', maxQueue: '5', queuePolicy: 'drop-oldest' });
+
+            expect(nodeInstance.requestLimiter.getState()).to.include({ max_concurrent: 2, max_queue: 5, policy: 'drop-oldest' });
+            expect(new NodeConstructor({ maxConcurrent: '0' }).requestLimiter).to.be.null;
+            expect(new NodeConstructor({}).requestLimiter).to.be.null;
+        });
+
+        it('should use the default retry policy', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({});
+
+            expect(nodeInstance.retries).to.equal(0);
+            expect(nodeInstance.retryDelay).to.equal(500);
+            expect(nodeInstance.retryTimeouts).to.be.false;
+            expect(new NodeConstructor({ retries: '2', retryTimeouts: true })).to.include({ retries: 2, retryTimeouts: true });
+        });
+
+        it('should have traffic recording off by default', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({});
+
+            expect(nodeInstance.trafficMode).to.equal('off');
+            expect(nodeInstance.trafficRecorder).to.be.null;
+        });
+
+        it('should create a traffic recorder in record mode', function() {
+            const directory = path.join(os.tmpdir(), `mv-traffic-config-${process.pid}`);
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            try {
+                const nodeInstance = new NodeConstructor({ trafficMode: 'record', trafficDir: directory });
+
+                expect(nodeInstance.trafficRecorder.mode).to.equal('record');
+                expect(nodeInstance.trafficRecorder.directory).to.equal(directory);
+                expect(fs.existsSync(directory)).to.be.true;
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+
+        it('should report an error and keep replay mode when there are no recordings', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({ trafficMode: 'replay', trafficDir: path.join(os.tmpdir(), 'mv-traffic-missing') });
+
+            expect(nodeInstance.trafficRecorder).to.be.null;
+            expect(nodeInstance.trafficMode).to.equal('replay');
+            expect(nodeInstance.trafficError).to.include('No recordings found');
+            expect(node.error.getCall(0).args[0]).to.include('Traffic replay disabled: No recordings found');
+        });
+
+        it('should create a health monitor by default', function() {
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            const nodeInstance = new NodeConstructor({});
+
+            expect(nodeInstance.healthInterval).to.equal(10000);
+            expect(nodeInstance.degradedLatency).to.equal(1000);
+            expect(nodeInstance.health.getState().state).to.equal('unknown');
+        });
+
+        it('should not monitor health when the interval is 0 or in replay mode', function() {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-traffic-config-'));
+            fs.writeFileSync(path.join(directory, '000001-system-health.json'), JSON.stringify({
+                method: 'GET', endpoint: '/api/system/health', request: null, response: { status: 200, data: {} }
+            }));
+            configNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            try {
+                expect(new NodeConstructor({ healthInterval: '0' }).health).to.be.null;
+                expect(new NodeConstructor({ trafficMode: 'replay', trafficDir: directory }).health).to.be.null;
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+
         it('should handle invalid timeout gracefully', function() {
             configNode(RED);
             const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
@@ -131,4 +288,84 @@ describe('Config Nodes (Mock Integration)', function() {
             expect(nodeInstance.timeout).to.equal(30000);
         });
     });
+
+    describe('mv-health', function() {
+        let healthNode, monitor, listener, unsubscribe;
+
+        beforeEach(function() {
+            healthNode = require('../../nodes/config/mv-health.js');
+            unsubscribe = sinon.stub();
+            monitor = {
+                subscribe: sinon.stub().callsFake(function(fn) {
+                    listener = fn;
+                    return unsubscribe;
+                }),
+                checkNow: sinon.stub().resolves({ state: 'connected', latency_ms: 8, error: null })
+            };
+            RED.nodes.getNode = sinon.stub().returns({ apiUrl: 'http://localhost:8000', health: monitor });
+            RED.util = { cloneMessage: msg => JSON.parse(JSON.stringify(msg)) };
+        });
+
+        function createHealthNode(config) {
+            healthNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+            return new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config' }, config));
+        }
+
+        it('should register with Node-RED', function() {
+            healthNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-health')).to.be.true;
+        });
+
+        it('should emit state transitions', function() {
+            createHealthNode({});
+
+            listener({ state: 'disconnected', latency_ms: null, error: 'connect ECONNREFUSED' }, 'connected');
+
+            const msg = node.send.getCall(0).args[0];
+            expect(msg.topic).to.equal('mv/health');
+            expect(msg.payload).to.include({
+                state: 'disconnected',
+                previous: 'connected',
+                error: 'connect ECONNREFUSED',
+                api_url: 'http://localhost:8000'
+            });
+            expect(node.status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'disconnected' });
+        });
+
+        it('should check and send the current state on input', async function() {
+            createHealthNode({ topic: 'line1/backend' });
+            const inputHandler = node.on.withArgs('input').lastCall.args[1];
+            const send = sinon.stub();
+            const done = sinon.stub();
+
+            await inputHandler({ payload: 'check' }, send, done);
+
+            expect(monitor.checkNow.calledOnce).to.be.true;
+            expect(send.getCall(0).args[0].topic).to.equal('line1/backend');
+            expect(send.getCall(0).args[0].payload).to.include({ state: 'connected', latency_ms: 8, previous: null });
+            expect(done.calledOnce).to.be.true;
+            expect(done.getCall(0).args).to.be.empty;
+        });
+
+        it('should report an error when monitoring is off', async function() {
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', health: null });
+            createHealthNode({});
+            const inputHandler = node.on.withArgs('input').lastCall.args[1];
+            const done = sinon.stub();
+
+            await inputHandler({}, sinon.stub(), done);
+
+            expect(node.status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'monitoring off' });
+            expect(done.getCall(0).args[0].message).to.equal('Health monitoring is off in the mv-config node');
+        });
+
+        it('should unsubscribe on close', function() {
+            createHealthNode({});
+
+            node.on.withArgs('close').lastCall.args[1]();
+
+            expect(unsubscribe.calledOnce).to.be.true;
+        });
+    });
 });
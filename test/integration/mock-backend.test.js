@@ -0,0 +1,513 @@
+/**
+ * Integration tests for the mock vision backend
+ *
+ * Runs the bundled mock server on a free port and drives real nodes and
+ * API wrappers against it over HTTP.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createMockBackend } = require('../../mock-backend/server');
+const { solidPng } = require('../../mock-backend/png');
+const visionUtils = require('../../nodes/lib/vision-utils');
+const { createTrafficRecorder } = require('../../nodes/lib/traffic-recorder');
+const { createBackendPool, cameraKey } = require('../../nodes/lib/backend-pool');
+
+describe('Mock Backend (Integration)', function() {
+
+    // Default 160x120 thumbnail of the mock backend
+    const FULL_THUMBNAIL = 'data:image/png;base64,' + solidPng(160, 120).toString('base64');
+
+    let backend, apiConfig, RED, node;
+
+    beforeEach(async function() {
+        backend = createMockBackend();
+        const url = await backend.start(0);
+        apiConfig = { apiUrl: url, timeout: 5000 };
+
+        RED = {
+            nodes: {
+                createNode: sinon.stub(),
+                registerType: sinon.stub(),
+                getNode: sinon.stub().returns(apiConfig)
+            },
+            util: {
+                cloneMessage: msg => JSON.parse(JSON.stringify(msg))
+            },
+            httpAdmin: {
+                get: sinon.stub(),
+                post: sinon.stub()
+            },
+            auth: {
+                needsPermission: sinon.stub().returns((req, res, next) => next())
+            }
+        };
+
+        node = {
+            on: sinon.stub(),
+            send: sinon.stub(),
+            error: sinon.stub(),
+            status: sinon.stub(),
+            log: sinon.stub(),
+            warn: sinon.stub()
+        };
+
+        RED.nodes.createNode.callsFake(function(nodeInstance, _config) {
+            Object.assign(nodeInstance, node);
+        });
+    });
+
+    afterEach(async function() {
+        await backend.stop();
+        sinon.restore();
+    });
+
+    function runNode(nodeModule, config, msg) {
+        nodeModule(RED);
+        const NodeConstructor = RED.nodes.registerType.getCall(RED.nodes.registerType.callCount - 1).args[1];
+        const nodeInstance = new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config' }, config));
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+        return new Promise((resolve) => {
+            const send = sinon.stub();
+            inputHandler.call(nodeInstance, msg, send, (err) => resolve({ err, send, node: nodeInstance }));
+        });
+    }
+
+    it('should report healthy', async function() {
+        const response = await axios.get(`${apiConfig.apiUrl}/api/system/health`);
+
+        expect(response.data.status).to.equal('healthy');
+    });
+
+    it('should run a test image through edge detection', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        expect(capture.err).to.be.undefined;
+
+        const imageMsg = capture.send.getCall(0).args[0];
+        expect(imageMsg.image).to.include({ id: 'img_000001', source: 'test', width: 640, height: 480 });
+        expect(imageMsg.thumbnail).to.match(/^data:image\/png;base64,/);
+
+        const edges = await runNode(require('../../nodes/vision/mv-edge-detect.js'), { minContourArea: 1000 }, imageMsg);
+        expect(edges.err).to.be.undefined;
+        expect(edges.send.callCount).to.equal(2);
+        expect(edges.send.getCall(0).args[0].payload).to.include({ object_id: 'contour_0', area: 5600 });
+    });
+
+    it('should return the same results from every instance', async function() {
+        const other = createMockBackend();
+        const otherUrl = await other.start(0);
+
+        try {
+            const request = { camera_id: 'test' };
+            const first = await axios.post(`${apiConfig.apiUrl}/api/camera/capture`, request);
+            const second = await axios.post(`${otherUrl}/api/camera/capture`, request);
+
+            expect(second.data).to.deep.equal(first.data);
+        } finally {
+            await other.stop();
+        }
+    });
+
+    it('should return detail objects for unknown images', async function() {
+        const done = sinon.stub();
+
+        try {
+            await visionUtils.callVisionAPI({
+                node: node,
+                endpoint: '/api/vision/template-match',
+                requestData: { image_id: 'img_missing', params: { template_id: 'tmpl_demo' } },
+                apiConfig: apiConfig,
+                done: done
+            });
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.response.status).to.equal(404);
+            expect(error.response.data.detail).to.deep.equal({
+                error: 'Image not found',
+                details: 'Image with ID img_missing not found'
+            });
+            expect(done.getCall(0).args[0].message).to.equal('Not found: Image with ID img_missing not found');
+        }
+    });
+
+    it('should return validation errors for missing fields', async function() {
+        try {
+            await axios.post(`${apiConfig.apiUrl}/api/vision/edge-detect`, {});
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.response.status).to.equal(422);
+            expect(error.response.data.detail[0].loc).to.deep.equal(['body', 'image_id']);
+        }
+    });
+
+    it('should replay a recorded run without the backend', async function() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-traffic-'));
+        const edgeDetect = require('../../nodes/vision/mv-edge-detect.js');
+
+        try {
+            apiConfig.trafficRecorder = createTrafficRecorder({ mode: 'record', directory });
+            const capture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'test' }, apiConfig });
+            const recorded = await runNode(edgeDetect, {}, { image: capture.image });
+            await apiConfig.trafficRecorder.flush();
+            await backend.stop();
+
+            apiConfig.trafficRecorder = createTrafficRecorder({ mode: 'replay', directory });
+            const replayedCapture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'test' }, apiConfig });
+            const replayed = await runNode(edgeDetect, {}, { image: replayedCapture.image });
+
+            expect(replayedCapture.image).to.deep.equal(capture.image);
+            expect(replayed.err).to.be.undefined;
+            expect(replayed.send.args).to.deep.equal(recorded.send.args);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    describe('multiple backends', function() {
+        let secondary;
+
+        beforeEach(async function() {
+            secondary = createMockBackend();
+            const secondaryUrl = await secondary.start(0);
+            apiConfig.backendPool = createBackendPool({ urls: [apiConfig.apiUrl, secondaryUrl] });
+        });
+
+        afterEach(async function() {
+            await secondary.stop();
+        });
+
+        it('should fail over to the next backend when one is down', async function() {
+            await backend.stop();
+
+            const capture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'test' }, apiConfig });
+
+            expect(capture.image.id).to.equal('img_000001');
+            expect(secondary.state.images.size).to.equal(1);
+        });
+
+        it('should process an image on the backend that produced it', async function() {
+            await backend.stop();
+            const capture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'test' }, apiConfig });
+            // Primary is back, but only the secondary knows the image
+            await backend.start(new URL(apiConfig.apiUrl).port);
+            apiConfig.backendPool.reportSuccess(apiConfig.apiUrl, 1);
+
+            const edges = await runNode(require('../../nodes/vision/mv-edge-detect.js'), { minContourArea: 1000 }, { image: capture.image });
+
+            expect(edges.err).to.be.undefined;
+            expect(edges.send.callCount).to.equal(2);
+        });
+
+        it('should keep a camera on the backend that connected it', async function() {
+            apiConfig.backendPool = createBackendPool({ urls: [apiConfig.apiUrl, secondary.url], strategy: 'round-robin' });
+
+            await visionUtils.callCameraAPI({ endpoint: '/api/camera/connect', requestData: { camera_id: 'ip_line1' }, apiConfig });
+            for (let i = 0; i < 3; i++) {
+                const capture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'ip_line1' }, apiConfig });
+                expect(capture.objects[0].metadata.camera_id).to.equal('ip_line1');
+            }
+
+            expect(backend.state.images.size).to.equal(3);
+            expect(secondary.state.images.size).to.equal(0);
+            expect(visionUtils.getApiSettings(apiConfig, cameraKey('ip_line1')).apiUrl).to.equal(apiConfig.apiUrl);
+        });
+
+        it('should upload templates to every backend under one ID', async function() {
+            require('../../nodes/vision/mv-template-match.js')(RED);
+            const upload = RED.httpAdmin.post.withArgs('/mv-template/upload').lastCall.args[2];
+            const file = path.join(os.tmpdir(), `mv-template-${process.pid}.png`);
+            fs.writeFileSync(file, solidPng(50, 60));
+
+            const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await upload({
+                query: { apiConfigId: 'mock-api-config' },
+                body: { name: 'Hole' },
+                file: { path: file, originalname: 'hole.png', mimetype: 'image/png' }
+            }, res);
+
+            const uploaded = res.json.getCall(0).args[0];
+            expect(uploaded).to.include({ success: true, name: 'Hole' });
+            expect(uploaded.backends).to.deep.equal(apiConfig.backendPool.urls);
+            expect(uploaded.failed).to.deep.equal([]);
+            expect(backend.state.templates.get(uploaded.template_id)).to.include({ name: 'Hole' });
+            expect(secondary.state.templates.get(uploaded.template_id)).to.include({ name: 'Hole' });
+            expect(fs.existsSync(file)).to.be.false;
+        });
+
+        // Teach the golden image from a test image captured on the primary
+        async function teachGolden() {
+            const defectDiff = require('../../nodes/vision/mv-defect-diff.js');
+            const good = (await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {})).send.getCall(0).args[0];
+            const untaught = await runNode(defectDiff, {}, good);
+
+            RED.nodes.getNode.withArgs('defect-node').returns(untaught.node);
+            const teach = RED.httpAdmin.post.withArgs('/mv-defect-diff/:id/teach').lastCall.args[2];
+            const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await teach({ params: { id: 'defect-node' }, body: { name: 'Good part' } }, res);
+            return res.json.getCall(0).args[0];
+        }
+
+        async function listGoldens() {
+            const list = RED.httpAdmin.get.withArgs('/mv-defect-diff/goldens').lastCall.args[2];
+            const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await list({ query: { apiConfigId: 'mock-api-config' } }, res);
+            return res.json.getCall(0).args[0];
+        }
+
+        it('should copy a taught golden image to every backend', async function() {
+            const taught = await teachGolden();
+
+            expect(taught.backends).to.deep.equal(apiConfig.backendPool.urls);
+            expect(taught.failed).to.deep.equal([]);
+            expect(secondary.state.goldens.get(taught.golden_id)).to.include({ name: 'Good part' });
+            expect((await listGoldens()).map(golden => [golden.id, golden.missing])).to.deep.equal([
+                ['golden_demo', []],
+                [taught.golden_id, []]
+            ]);
+
+            // A part captured on the secondary is compared with the copy
+            await backend.stop();
+            const capture = await visionUtils.callCameraAPI({ endpoint: '/api/camera/capture', requestData: { camera_id: 'test' }, apiConfig });
+            const diff = await runNode(require('../../nodes/vision/mv-defect-diff.js'), { goldenId: taught.golden_id, outputMode: 'batch' }, { image: capture.image });
+
+            expect(diff.err).to.be.undefined;
+            expect(diff.send.getCall(0).args[0].payload).to.have.length(2);
+        });
+
+        it('should report backends the golden image could not be copied to', async function() {
+            const secondaryUrl = secondary.url;
+            await secondary.stop();
+
+            const taught = await teachGolden();
+
+            expect(taught.backends).to.deep.equal([apiConfig.apiUrl]);
+            expect(taught.failed).to.have.length(1);
+            expect(taught.failed[0].url).to.equal(secondaryUrl);
+            expect(taught.failed[0].error).to.match(/^Network error/);
+            expect((await listGoldens()).find(golden => golden.id === taught.golden_id).missing).to.deep.equal([secondaryUrl]);
+        });
+    });
+
+    it('should run a multi-step pipeline in one request', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const steps = [
+            { type: 'preprocess', options: { grayscaleEnabled: true } },
+            { type: 'edge-detect', options: { minContourArea: 1000 } },
+            { type: 'rotation-detect', options: {} },
+            { type: 'color-detect', options: { expectedColor: 'red' } }
+        ];
+
+        const result = await runNode(require('../../nodes/vision/mv-pipeline.js'), { steps: steps }, capture.send.getCall(0).args[0]);
+
+        expect(result.err).to.be.undefined;
+        expect(result.send.callCount).to.equal(2);
+        const out = result.send.getCall(0).args[0];
+        expect(out.image).to.include({ id: 'img_000002', source: 'preprocess' });
+        expect(out.payload).to.include({ object_id: 'contour_0', angle: 12.5 });
+        expect(out.payload.metadata).to.include({ dominant_color: 'red', rotation_method: 'min_area_rect' });
+        expect(out.steps.map(step => step.objects.length)).to.deep.equal([1, 2, 2, 2]);
+    });
+
+    it('should separate good parts from debris and scratches by blob features', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const imageMsg = capture.send.getCall(0).args[0];
+
+        const all = await runNode(require('../../nodes/vision/mv-blob-analysis.js'), { outputMode: 'batch' }, imageMsg);
+        expect(all.send.getCall(0).args[0].count).to.equal(5);
+
+        const parts = await runNode(
+            require('../../nodes/vision/mv-blob-analysis.js'),
+            { outputMode: 'batch', minArea: 1000, minConvexity: 0.9, maxEccentricity: 0.9, maxHoles: 0 },
+            imageMsg
+        );
+        expect(parts.err).to.be.undefined;
+        expect(parts.send.getCall(0).args[0].payload.map(b => b.object_id)).to.deep.equal(['blob_0', 'blob_1']);
+    });
+
+    it('should find the washer hole by radius', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const washer = Object.assign({ payload: { bbox: { x: 240, y: 290, width: 70, height: 70 } } }, capture.send.getCall(0).args[0]);
+
+        const result = await runNode(require('../../nodes/vision/mv-shape-detect.js'), { minRadius: 5, maxRadius: 10 }, washer);
+
+        expect(result.err).to.be.undefined;
+        expect(result.send.callCount).to.equal(1);
+        const payload = result.send.getCall(0).args[0].payload;
+        expect(payload.center).to.deep.equal({ x: 275, y: 325 });
+        expect(payload.metadata.radius).to.equal(8);
+    });
+
+    it('should measure a part with the caliper, also relative to the part', async function() {
+        const { REFERENCE } = require('../../mock-backend/fixtures');
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const imageMsg = Object.assign({}, capture.send.getCall(0).args[0], { reference: REFERENCE });
+
+        const across = await runNode(
+            require('../../nodes/vision/mv-caliper.js'),
+            { x1: 80, y1: 130, x2: 200, y2: 130, polarity: 'light_to_dark' },
+            imageMsg
+        );
+        expect(across.err).to.be.undefined;
+        expect(across.send.callCount).to.equal(1);
+        const pair = across.send.getCall(0).args[0].payload;
+        expect(pair.metadata.width).to.equal(80);
+        expect(pair.center).to.deep.equal({ x: 140, y: 130 });
+        expect(pair.real.width).to.equal(40);
+
+        // Rotated by the part angle: the same line now runs down the part
+        const part = Object.assign({}, imageMsg, { payload: { center: { x: 140, y: 130 }, angle: 90 } });
+        const along = await runNode(
+            require('../../nodes/vision/mv-caliper.js'),
+            { regionType: 'rect', regionMode: 'relative', centerX: 0, centerY: 0, length: 100, angle: 0, polarity: 'light_to_dark' },
+            part
+        );
+        expect(along.send.getCall(0).args[0].payload.metadata.width).to.equal(60);
+    });
+
+    it('should teach a golden image and find the defects of the next part', async function() {
+        const defectDiff = require('../../nodes/vision/mv-defect-diff.js');
+        const testImage = require('../../nodes/camera/mv-test-image.js');
+        const good = (await runNode(testImage, { testId: 'test_demo' }, {})).send.getCall(0).args[0];
+
+        // Not taught yet: the node still remembers the image
+        const untaught = await runNode(defectDiff, {}, good);
+        expect(untaught.err.message).to.equal('No golden image configured');
+
+        RED.nodes.getNode.withArgs('defect-node').returns(untaught.node);
+        const teach = RED.httpAdmin.post.withArgs('/mv-defect-diff/:id/teach').lastCall.args[2];
+        const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+        await teach({ params: { id: 'defect-node' }, body: { name: 'Good part' } }, res);
+        const taught = res.json.getCall(0).args[0];
+        expect(taught).to.deep.equal({
+            success: true, golden_id: 'golden_000002', name: 'Good part', image_id: good.image.id,
+            backends: [apiConfig.apiUrl], failed: []
+        });
+
+        const same = await runNode(defectDiff, { goldenId: taught.golden_id, notFoundOutput: true }, good);
+        expect(same.err).to.be.undefined;
+        expect(same.send.getCall(0).args[0][1]).to.include({ found: false });
+        expect(same.send.getCall(0).args[0][1].alignment).to.include({ method: 'template', score: 0.96 });
+
+        const next = (await runNode(testImage, { testId: 'test_demo' }, {})).send.getCall(0).args[0];
+        const all = await runNode(defectDiff, { goldenId: taught.golden_id, outputMode: 'batch' }, next);
+        expect(all.send.getCall(0).args[0].payload.map(d => d.metadata.kind)).to.deep.equal(['spot', 'scratch']);
+
+        const strong = await runNode(defectDiff, { goldenId: taught.golden_id, threshold: 100, outputMode: 'batch' }, next);
+        expect(strong.send.getCall(0).args[0].payload.map(d => d.object_id)).to.deep.equal(['defect_0']);
+    });
+
+    it('should draw blob results scaled down for an HMI', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const blobs = await runNode(require('../../nodes/vision/mv-blob-analysis.js'), { outputMode: 'batch' }, capture.send.getCall(0).args[0]);
+
+        const overlay = await runNode(require('../../nodes/output/mv-overlay.js'), { maxWidth: 320 }, blobs.send.getCall(0).args[0]);
+
+        expect(overlay.err).to.be.undefined;
+        const out = overlay.send.getCall(0).args[0];
+        expect(out.payload).to.equal('data:image/png;base64,' + solidPng(320, 240).toString('base64'));
+        // bbox, contour, center and label per blob (no angles)
+        expect(out.overlay).to.deep.equal({ objects: 5, shapes: 20, width: 320, height: 240 });
+    });
+
+    it('should download a detected part as a cropped image file', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const part = Object.assign({}, capture.send.getCall(0).args[0], { payload: { bbox: { x: 100, y: 280, width: 100, height: 100 } } });
+
+        const fetched = await runNode(require('../../nodes/output/mv-image-fetch.js'), { crop: true }, part);
+
+        expect(fetched.err).to.be.undefined;
+        const out = fetched.send.getCall(0).args[0];
+        expect(out.payload.equals(solidPng(100, 100))).to.be.true;
+        expect(out.filename).to.equal(`${part.image.id}_crop.png`);
+        expect(out.export).to.include({ format: 'png', width: 100, height: 100 });
+    });
+
+    it('should draw the results of several tools on one picture per part', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const imageMsg = capture.send.getCall(0).args[0];
+        const blobs = await runNode(require('../../nodes/vision/mv-blob-analysis.js'), { outputMode: 'batch', maxArea: 1000 }, imageMsg);
+        const circles = await runNode(require('../../nodes/vision/mv-shape-detect.js'), { outputMode: 'batch' }, imageMsg);
+
+        const overlayNode = require('../../nodes/output/mv-overlay.js');
+        const first = await runNode(overlayNode, { mode: 'collect' }, blobs.send.getCall(0).args[0]);
+        expect(first.send.called).to.be.false;
+
+        const drawn = new Promise(resolve => first.node.send = resolve);
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+        inputHandler.call(first.node, Object.assign({}, circles.send.getCall(0).args[0], { complete: true }), sinon.stub(), sinon.stub());
+        const out = await drawn;
+
+        expect(out.objects.map(obj => obj.object_id)).to.deep.equal(['blob_3', 'blob_4', 'circle_0', 'circle_1', 'circle_2']);
+        expect(out.overlay).to.include({ objects: 5, message_count: 2, width: 640, height: 480 });
+    });
+
+    it('should read the DataMatrix code of a part', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+        const imageMsg = capture.send.getCall(0).args[0];
+        const part = Object.assign({ payload: { bbox: { x: 100, y: 280, width: 100, height: 100 } } }, imageMsg);
+
+        const result = await runNode(require('../../nodes/vision/mv-barcode-read.js'), { symbologies: 'datamatrix' }, part);
+
+        expect(result.err).to.be.undefined;
+        expect(result.send.callCount).to.equal(1);
+        expect(result.send.getCall(0).args[0].payload.metadata).to.include({ symbology: 'datamatrix', text: 'LOT-2025-0042;SN-000317' });
+    });
+
+    it('should read and verify the lot code, skipping uncertain lines', async function() {
+        const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+
+        const result = await runNode(
+            require('../../nodes/vision/mv-ocr.js'),
+            { expected: 'LOT ####-####', matchMode: 'pattern' },
+            capture.send.getCall(0).args[0]
+        );
+
+        expect(result.err).to.be.undefined;
+        expect(result.send.callCount).to.equal(1);
+        const metadata = result.send.getCall(0).args[0].payload.metadata;
+        expect(metadata).to.include({ text: 'LOT 2025-0042', verified: true });
+        expect(metadata.characters).to.have.length(12);
+    });
+
+    describe('thumbnails', function() {
+        it('should leave out thumbnails when the config asks for none', async function() {
+            apiConfig.thumbnailMode = 'none';
+
+            const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo' }, {});
+            const edges = await runNode(require('../../nodes/vision/mv-edge-detect.js'), { minContourArea: 1000, thumbnailMode: 'low' }, capture.send.getCall(0).args[0]);
+
+            expect(capture.send.getCall(0).args[0].thumbnail).to.be.null;
+            const lowThumbnail = edges.send.getCall(0).args[0].thumbnail;
+            expect(lowThumbnail).to.match(/^data:image\/png;base64,/);
+            expect(lowThumbnail.length).to.be.below(FULL_THUMBNAIL.length);
+        });
+
+        it('should return a thumbnail URL to fetch on demand', async function() {
+            const capture = await runNode(require('../../nodes/camera/mv-test-image.js'), { testId: 'test_demo', thumbnailMode: 'url' }, {});
+            const imageMsg = capture.send.getCall(0).args[0];
+
+            expect(imageMsg.thumbnail).to.equal(`${apiConfig.apiUrl}/api/image/img_000001/thumbnail`);
+            expect(await visionUtils.loadThumbnail(imageMsg.thumbnail, apiConfig)).to.match(/^data:image\/png;base64,/);
+        });
+    });
+
+    it('should report a color mismatch as not found', async function() {
+        const capture = await axios.post(`${apiConfig.apiUrl}/api/camera/capture`, { camera_id: 'test' });
+
+        const result = await runNode(
+            require('../../nodes/vision/mv-color-detect.js'),
+            { expectedColor: 'blue', notFoundOutput: true },
+            { image: capture.data.image }
+        );
+
+        expect(result.err).to.be.undefined;
+        const [found, notFound] = result.send.getCall(0).args[0];
+        expect(found).to.be.null;
+        expect(notFound.found).to.be.false;
+    });
+});
@@ -0,0 +1,220 @@
+/**
+ * Integration tests for mv-image-archive node
+ *
+ * Note: These are mock-based integration tests that test node behavior
+ * without requiring full Node-RED runtime.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('mv-image-archive Node (Mock Integration)', function() {
+
+    let RED, archiveNode, node, userDir;
+
+    const timestamp = new Date(2025, 2, 14, 9, 5, 7, 42).toISOString();
+    const image = { id: 'img_part', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: timestamp };
+    const blob = {
+        object_id: 'blob_0', object_type: 'blob', confidence: 1.0,
+        bbox: { x: 100, y: 100, width: 80, height: 60 }, center: { x: 140, y: 130 }, angle: null, metadata: {}
+    };
+    const judged = verdict => ({
+        image: image,
+        topic: 'inspection',
+        payload: { verdict: verdict, rules: [{
+            name: 'count',
+            pass: verdict === 'OK',
+            checked_objects: [{ topic: 'blobs', object_id: 'blob_0' }],
+            failed_objects: verdict === 'OK' ? [] : [{ topic: 'blobs', object_id: 'blob_0' }]
+        }] },
+        objects: [blob],
+        object_topics: ['blobs']
+    });
+
+    function create(config) {
+        archiveNode(RED);
+        const NodeConstructor = RED.nodes.registerType.lastCall.args[1];
+        const instance = new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config', maxAgeDays: '' }, config));
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+        return {
+            instance: instance,
+            input: inputMsg => new Promise(resolve => {
+                const send = sinon.stub();
+                inputHandler.call(instance, inputMsg, send, err => resolve({ err, send }));
+            })
+        };
+    }
+
+    function replyImages() {
+        const requests = [];
+        nock('http://localhost:8000')
+            .persist()
+            .post('/api/image/export', body => { requests.push(['export', body]); return true; })
+            .reply(200, { success: true, image: 'data:image/png;base64,AQID', width: 640, height: 480, processing_time_ms: 30 })
+            .post('/api/image/draw', body => { requests.push(['draw', body]); return true; })
+            .reply(200, { success: true, image: 'data:image/png;base64,BAUG', width: 640, height: 480, processing_time_ms: 15 });
+        return requests;
+    }
+
+    beforeEach(function() {
+        userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-archive-node-'));
+
+        // Mock Node-RED runtime
+        RED = {
+            settings: { userDir: userDir },
+            nodes: {
+                createNode: sinon.stub(),
+                registerType: sinon.stub(),
+                getNode: sinon.stub().returns({ apiUrl: 'http://localhost:8000', timeout: 30000 })
+            }
+        };
+
+        // Load the node
+        archiveNode = require('../../nodes/output/mv-image-archive.js');
+
+        // Create mock node instance
+        node = {
+            on: sinon.stub(),
+            send: sinon.stub(),
+            error: sinon.stub(),
+            status: sinon.stub(),
+            log: sinon.stub(),
+            warn: sinon.stub()
+        };
+
+        // Make createNode return our mock node
+        RED.nodes.createNode.callsFake(function(nodeInstance, _config) {
+            Object.assign(nodeInstance, node);
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+        nock.cleanAll();
+        fs.rmSync(userDir, { recursive: true, force: true });
+    });
+
+    it('should register with Node-RED', function() {
+        archiveNode(RED);
+
+        expect(RED.nodes.registerType.calledWith('mv-image-archive')).to.be.true;
+    });
+
+    it('should store full and annotated image with the results by date, product and verdict', async function() {
+        const requests = replyImages();
+        const { input } = create({ product: 'housing' });
+
+        const { err, send } = await input(judged('NG'));
+
+        expect(err).to.be.undefined;
+        const recordDir = path.join(userDir, 'mv-archive', '2025-03-14', 'housing', 'NG');
+        const stem = path.join(recordDir, '090507-042_img_part');
+        const out = send.getCall(0).args[0];
+        expect(out.archive).to.deep.equal({
+            stored: true,
+            verdict: 'NG',
+            directory: recordDir,
+            files: [`${stem}.png`, `${stem}_annotated.png`, `${stem}.json`]
+        });
+        expect(fs.readFileSync(`${stem}.png`).equals(Buffer.from([1, 2, 3]))).to.be.true;
+        expect(fs.readFileSync(`${stem}_annotated.png`).equals(Buffer.from([4, 5, 6]))).to.be.true;
+
+        const result = JSON.parse(fs.readFileSync(`${stem}.json`, 'utf8'));
+        expect(result).to.include({ topic: 'inspection', product: 'housing', verdict: 'NG' });
+        expect(result.objects).to.deep.equal([blob]);
+
+        // Failed object red, verdict drawn
+        const draw = requests.find(([endpoint]) => endpoint === 'draw')[1];
+        expect(draw.shapes[0]).to.include({ shape: 'rect', color: '#FF4136' });
+        expect(draw.shapes[draw.shapes.length - 1]).to.include({ shape: 'text', text: 'NG' });
+        expect(node.status.lastCall.args[0].text).to.equal('NG archived (1)');
+    });
+
+    it('should store NG parts only and sample OK parts per rate', async function() {
+        replyImages();
+        const ngOnly = create({ content: 'full' });
+
+        const ok = await ngOnly.input(judged('OK'));
+        expect(ok.send.getCall(0).args[0].archive).to.deep.equal({ stored: false, verdict: 'OK' });
+        expect(fs.existsSync(path.join(userDir, 'mv-archive'))).to.be.false;
+
+        const sampled = create({ content: 'full', okRate: '2' });
+        const stored = [];
+        for (let i = 0; i < 4; i++) {
+            const { send } = await sampled.input(judged('OK'));
+            stored.push(send.getCall(0).args[0].archive.stored);
+        }
+        expect(stored).to.deep.equal([true, false, true, false]);
+    });
+
+    it('should store messages without verdict as unjudged in the product of msg.product', async function() {
+        replyImages();
+        const { input } = create({ content: 'annotated', product: 'housing' });
+
+        const { send } = await input({ image: image, product: 'cover', payload: blob });
+
+        const out = send.getCall(0).args[0];
+        expect(out.archive.directory).to.equal(path.join(userDir, 'mv-archive', '2025-03-14', 'cover', 'unjudged'));
+        expect(out.archive.files.map(file => path.basename(file))).to.deep.equal(['090507-042_img_part_annotated.png', '090507-042_img_part.json']);
+    });
+
+    it('should apply the retention rules on deploy', async function() {
+        const old = path.join(userDir, 'mv-archive', '2024-01-01', 'default', 'NG');
+        fs.mkdirSync(old, { recursive: true });
+        const file = path.join(old, '080000-000_img_old.png');
+        fs.writeFileSync(file, 'x');
+        const time = new Date(Date.now() - 100 * 24 * 3600 * 1000);
+        fs.utimesSync(file, time, time);
+
+        const { instance } = create({ maxAgeDays: '90' });
+        const closeHandler = node.on.withArgs('close').lastCall.args[1];
+        await new Promise(resolve => closeHandler.call(instance, resolve));
+
+        expect(fs.existsSync(path.join(userDir, 'mv-archive', '2024-01-01'))).to.be.false;
+        expect(node.log.lastCall.args[0]).to.match(/^Retention: deleted 1 record \(0\.0 MB\)/);
+    });
+
+    it('should warn when NG parts within the maximum age exceed the maximum size', async function() {
+        const ng = path.join(userDir, 'mv-archive', '2025-03-31', 'default', 'NG');
+        fs.mkdirSync(ng, { recursive: true });
+        fs.writeFileSync(path.join(ng, '080000-000_img_ng.png'), Buffer.alloc(2 * 1024 * 1024));
+
+        const { instance } = create({ maxAgeDays: '90', maxSizeMb: '1' });
+        const closeHandler = node.on.withArgs('close').lastCall.args[1];
+        await new Promise(resolve => closeHandler.call(instance, resolve));
+
+        expect(fs.existsSync(path.join(ng, '080000-000_img_ng.png'))).to.be.true;
+        expect(node.warn.lastCall.args[0]).to.equal('Retention: archive is 2.0 MB, above the maximum size of 1 MB; NG parts are kept for 90 days');
+    });
+
+    it('should not clean up the user directory itself', async function() {
+        const file = path.join(userDir, 'flows.json');
+        fs.writeFileSync(file, '[]');
+        const time = new Date(Date.now() - 100 * 24 * 3600 * 1000);
+        fs.utimesSync(file, time, time);
+
+        const { instance } = create({ directory: '.', maxAgeDays: '90' });
+        const closeHandler = node.on.withArgs('close').lastCall.args[1];
+        await new Promise(resolve => closeHandler.call(instance, resolve));
+
+        expect(fs.existsSync(file)).to.be.true;
+        expect(node.warn.lastCall.args[0]).to.equal(`Retention cleanup failed: Refusing to clean up ${userDir}: it contains the Node-RED user directory`);
+    });
+
+    it('should report backend errors without writing files', async function() {
+        nock('http://localhost:8000')
+            .post('/api/image/export')
+            .reply(404, { detail: { error: 'Image not found', details: 'Image with ID img_part not found' } });
+
+        const { err, send } = await create({ retries: '0' }).input(judged('NG'));
+
+        expect(err.message).to.equal('Not found: Image with ID img_part not found');
+        expect(send.called).to.be.false;
+        expect(fs.existsSync(path.join(userDir, 'mv-archive'))).to.be.false;
+    });
+});
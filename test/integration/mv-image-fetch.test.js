@@ -0,0 +1,141 @@
+/**
+ * Integration tests for mv-image-fetch node
+ *
+ * Note: These are mock-based integration tests that test node behavior
+ * without requiring full Node-RED runtime.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const nock = require('nock');
+
+describe('mv-image-fetch Node (Mock Integration)', function() {
+
+    let RED, fetchNode, node;
+
+    const image = { id: 'img_part', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' };
+    const fileData = Buffer.from('not really an image');
+
+    function run(config, inputMsg) {
+        fetchNode(RED);
+        const NodeConstructor = RED.nodes.registerType.lastCall.args[1];
+        new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config' }, config));
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+        return new Promise(resolve => {
+            const send = sinon.stub();
+            inputHandler.call(node, inputMsg, send, err => resolve({ err, send }));
+        });
+    }
+
+    function replyExport(onBody, width = 640, height = 480) {
+        nock('http://localhost:8000')
+            .post('/api/image/export', body => { onBody(body); return true; })
+            .reply(200, body => ({
+                success: true,
+                image_id: body.image_id,
+                format: body.format,
+                image: `data:image/${body.format};base64,` + fileData.toString('base64'),
+                width: width,
+                height: height,
+                size_bytes: fileData.length,
+                processing_time_ms: 30
+            }));
+    }
+
+    beforeEach(function() {
+        // Mock Node-RED runtime
+        RED = {
+            nodes: {
+                createNode: sinon.stub(),
+                registerType: sinon.stub(),
+                getNode: sinon.stub().returns({ apiUrl: 'http://localhost:8000', timeout: 30000 })
+            }
+        };
+
+        // Load the node
+        fetchNode = require('../../nodes/output/mv-image-fetch.js');
+
+        // Create mock node instance
+        node = {
+            on: sinon.stub(),
+            send: sinon.stub(),
+            error: sinon.stub(),
+            status: sinon.stub(),
+            log: sinon.stub(),
+            warn: sinon.stub()
+        };
+
+        // Make createNode return our mock node
+        RED.nodes.createNode.callsFake(function(nodeInstance, _config) {
+            Object.assign(nodeInstance, node);
+        });
+    });
+
+    afterEach(function() {
+        sinon.restore();
+        nock.cleanAll();
+    });
+
+    it('should register with Node-RED', function() {
+        fetchNode(RED);
+
+        expect(RED.nodes.registerType.calledWith('mv-image-fetch')).to.be.true;
+    });
+
+    it('should download the full image as a PNG Buffer', async function() {
+        let requestBody;
+        replyExport(body => { requestBody = body; });
+
+        const { err, send } = await run({}, { image: image, topic: 'cam1', payload: { object_id: 'blob_0', bbox: { x: 10, y: 10, width: 50, height: 50 } } });
+
+        expect(err).to.be.undefined;
+        expect(requestBody).to.deep.equal({ image_id: 'img_part', format: 'png', quality: null, roi: null });
+        const out = send.getCall(0).args[0];
+        expect(Buffer.isBuffer(out.payload)).to.be.true;
+        expect(out.payload.equals(fileData)).to.be.true;
+        expect(out).to.include({ topic: 'cam1', filename: 'img_part.png', contentType: 'image/png' });
+        expect(out.image).to.deep.equal(image);
+        expect(out.export).to.deep.equal({ format: 'png', width: 640, height: 480, size: fileData.length, roi: null });
+        expect(node.status.lastCall.args[0].text).to.equal('png 640x480, 0 kB | 30ms');
+    });
+
+    it('should crop to payload.bbox and encode JPEG with the configured quality', async function() {
+        let requestBody;
+        const bbox = { x: 100, y: 280, width: 100, height: 100 };
+        replyExport(body => { requestBody = body; }, 100, 100);
+
+        const { err, send } = await run({ format: 'jpeg', quality: '80', crop: true }, { image: image, payload: { bbox: bbox } });
+
+        expect(err).to.be.undefined;
+        expect(requestBody).to.deep.equal({ image_id: 'img_part', format: 'jpeg', quality: 80, roi: bbox });
+        const out = send.getCall(0).args[0];
+        expect(out).to.include({ filename: 'img_part_crop.jpg', contentType: 'image/jpeg' });
+        expect(out.export).to.include({ width: 100, height: 100, roi: bbox });
+    });
+
+    it('should take the format from msg.format and reject unknown formats', async function() {
+        let requestBody;
+        replyExport(body => { requestBody = body; });
+
+        const tiff = await run({}, { image: image, format: 'tiff' });
+        expect(tiff.err).to.be.undefined;
+        expect(requestBody.format).to.equal('tiff');
+        expect(tiff.send.getCall(0).args[0].filename).to.equal('img_part.tif');
+
+        const gif = await run({}, { image: image, format: 'gif' });
+        expect(gif.err.message).to.equal('Invalid format "gif", use one of: png, jpeg, bmp, tiff');
+        expect(gif.send.called).to.be.false;
+    });
+
+    it('should report backend errors', async function() {
+        nock('http://localhost:8000')
+            .post('/api/image/export')
+            .reply(404, { detail: { error: 'Image not found', details: 'Image with ID img_part not found' } });
+
+        const { err, send } = await run({ retries: '0' }, { image: image });
+
+        expect(err.message).to.equal('Not found: Image with ID img_part not found');
+        expect(send.called).to.be.false;
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * Integration tests for mv-inspect-judge node
+ *
+ * Note: These are mock-based integration tests that test node behavior
+ * without requiring full Node-RED runtime.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+describe('mv-inspect-judge Node (Mock Integration)', function() {
+
+    let RED, judgeNode, node, clock;
+
+    const image = { id: 'img_123', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' };
+
+    function visionMsg(payload, extra = {}) {
+        return Object.assign({
+            image: image,
+            topic: 'mv/test',
+            payload: Object.assign({
+                object_id: 'obj_0',
+                object_type: 'template_match',
+                confidence: 0.9,
+                bbox: { x: 0, y: 0, width: 10, height: 10 },
+                center: { x: 5, y: 5 },
+                angle: null,
+                area: null,
+                perimeter: null,
+                metadata: {}
+            }, payload),
+            success: true,
+            processing_time_ms: 10
+        }, extra);
+    }
+
+    function createJudge(config) {
+        judgeNode(RED);
+        const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+        const nodeInstance = new NodeConstructor(config);
+        const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+        return { nodeInstance, input: (msg) => inputHandler.call(nodeInstance, msg, sinon.stub(), sinon.stub()) };
+    }
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+
+        RED = {
+            nodes: {
+                createNode: sinon.stub(),
+                registerType: sinon.stub()
+            }
+        };
+
+        judgeNode = require('../../nodes/output/mv-inspect-judge.js');
+
+        node = {
+            on: sinon.stub(),
+            send: sinon.stub(),
+            error: sinon.stub(),
+            status: sinon.stub(),
+            log: sinon.stub(),
+            warn: sinon.stub()
+        };
+
+        RED.nodes.createNode.callsFake(function(nodeInstance, _config) {
+            Object.assign(nodeInstance, node);
+        });
+    });
+
+    afterEach(function() {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should register with Node-RED', function() {
+        judgeNode(RED);
+
+        expect(RED.nodes.registerType.calledOnce).to.be.true;
+        expect(RED.nodes.registerType.calledWith('mv-inspect-judge')).to.be.true;
+    });
+
+    it('should emit one OK verdict per image after the timeout', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [
+                { type: 'count', objectType: 'template_match', min: '2', max: '2' },
+                { type: 'confidence', min: '0.8', max: '' }
+            ]
+        });
+
+        input(visionMsg({ object_id: 'm1' }));
+        input(visionMsg({ object_id: 'm2', confidence: 0.95 }));
+        expect(node.send.called).to.be.false;
+
+        clock.tick(200);
+
+        expect(node.send.calledOnce).to.be.true;
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload.verdict).to.equal('OK');
+        expect(out.payload.pass).to.be.true;
+        expect(out.payload.object_count).to.equal(2);
+        expect(out.payload.reasons).to.deep.equal([]);
+        expect(out.objects).to.have.length(2);
+        expect(out.image).to.deep.equal(image);
+        expect(out.processing_time_ms).to.equal(20);
+        expect(out.complete_reason).to.equal('timeout');
+    });
+
+    it('should report NG with per-rule reasons', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [
+                { name: 'two holes', type: 'count', objectType: 'edge_contour', min: '2', max: '2' },
+                { name: 'hole size', type: 'area', objectType: 'edge_contour', min: '90', max: '110' }
+            ]
+        });
+
+        input(visionMsg({ object_id: 'c1', object_type: 'edge_contour', area: 150 }));
+        clock.tick(200);
+
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload.verdict).to.equal('NG');
+        expect(out.payload.rules[0]).to.include({ name: 'two holes', pass: false, value: 1 });
+        expect(out.payload.rules[1]).to.include({ name: 'hole size', pass: false });
+        expect(out.payload.rules[1].checked_objects).to.deep.equal([{ topic: 'mv/test', object_id: 'c1' }]);
+        expect(out.payload.rules[1].failed_objects).to.deep.equal([{ topic: 'mv/test', object_id: 'c1' }]);
+        expect(out.object_topics).to.deep.equal(['mv/test']);
+        expect(out.payload.reasons[0]).to.include('count 1 outside [2, 2]');
+        expect(out.payload.reasons[1]).to.include('c1=150');
+    });
+
+    it('should fail per-object rules when no object matches', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [{ type: 'angle', objectType: 'rotation_analysis', min: '-5', max: '5' }]
+        });
+
+        input(visionMsg({}));
+        clock.tick(200);
+
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload.pass).to.be.false;
+        expect(out.payload.reasons[0]).to.include('no matching objects');
+    });
+
+    it('should count not-found messages as zero objects', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [{ type: 'count', objectType: 'template_match', min: '1', max: '' }]
+        });
+
+        input({ image: image, payload: null, found: false, success: true, processing_time_ms: 30 });
+        clock.tick(200);
+
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload.verdict).to.equal('NG');
+        expect(out.payload.message_count).to.equal(1);
+        expect(out.payload.object_count).to.equal(0);
+        expect(out.processing_time_ms).to.equal(30);
+    });
+
+    it('should filter rules by topic', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [{ type: 'count', topic: 'mv/color/left', min: '1', max: '1' }]
+        });
+
+        input(visionMsg({ object_id: 'a' }, { topic: 'mv/color/left' }));
+        input(visionMsg({ object_id: 'b' }, { topic: 'mv/color/right' }));
+        clock.tick(200);
+
+        expect(node.send.getCall(0).args[0].payload.pass).to.be.true;
+    });
+
+    it('should fail a topic rule when no result of its topic arrived', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [{ name: 'no scratches', type: 'count', topic: 'mv/defects', min: '', max: '0' }]
+        });
+
+        input(visionMsg({ object_id: 'a' }, { topic: 'mv/color/left' }));
+        clock.tick(200);
+
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload.verdict).to.equal('NG');
+        expect(out.payload.reasons).to.deep.equal(["no scratches: no results from topic 'mv/defects'"]);
+    });
+
+    it('should judge NG and warn without rules', function() {
+        const { input } = createJudge({ timeout: 200, rules: [] });
+
+        expect(node.warn.calledWith('No rules configured: every image is judged NG')).to.be.true;
+
+        input(visionMsg({}, { complete: true }));
+
+        const out = node.send.getCall(0).args[0];
+        expect(out.payload).to.include({ verdict: 'NG', pass: false });
+        expect(out.payload.reasons).to.deep.equal(['No rules configured']);
+        expect(node.status.lastCall.args[0].text).to.equal('NG: no rules');
+    });
+
+    it('should judge immediately when msg.complete is set', function() {
+        const { input } = createJudge({
+            timeout: 5000,
+            rules: [{ type: 'count', min: '1', max: '' }]
+        });
+
+        input(visionMsg({}, { complete: true }));
+
+        expect(node.send.calledOnce).to.be.true;
+        expect(node.send.getCall(0).args[0].complete_reason).to.equal('complete');
+    });
+
+    it('should keep images separate', function() {
+        const { input } = createJudge({
+            timeout: 200,
+            rules: [{ type: 'count', min: '1', max: '1' }]
+        });
+
+        input(visionMsg({}));
+        input(visionMsg({}, { image: Object.assign({}, image, { id: 'img_456' }) }));
+        clock.tick(200);
+
+        expect(node.send.calledTwice).to.be.true;
+        expect(node.send.getCall(0).args[0].payload.image_id).to.equal('img_123');
+        expect(node.send.getCall(1).args[0].payload.image_id).to.equal('img_456');
+        expect(node.send.getCall(1).args[0].payload.pass).to.be.true;
+    });
+
+    it('should reject messages without image.id', function() {
+        judgeNode(RED);
+        const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+        const nodeInstance = new NodeConstructor({ rules: [] });
+        const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+
+        const mockDone = sinon.stub();
+        inputHandler.call(nodeInstance, { payload: {} }, sinon.stub(), mockDone);
+
+        expect(mockDone.calledOnce).to.be.true;
+        expect(mockDone.getCall(0).args[0].message).to.equal('No image.id provided');
+    });
+
+    it('should drop pending images on close', function() {
+        const { nodeInstance, input } = createJudge({ timeout: 200, rules: [] });
+        const closeHandler = node.on.withArgs('close').getCall(0).args[1];
+
+        input(visionMsg({}));
+        closeHandler.call(nodeInstance);
+        clock.tick(200);
+
+        expect(node.send.called).to.be.false;
+    });
+});
@@ -7,6 +7,7 @@
 
 const { expect } = require('chai');
 const sinon = require('sinon');
+const nock = require('nock');
 
 describe('mv-overlay Node (Mock Integration)', function() {
 
@@ -17,7 +18,8 @@ describe('mv-overlay Node (Mock Integration)', function() {
         RED = {
             nodes: {
                 createNode: sinon.stub(),
-                registerType: sinon.stub()
+                registerType: sinon.stub(),
+                getNode: sinon.stub()
             }
         };
 
@@ -42,8 +44,23 @@ describe('mv-overlay Node (Mock Integration)', function() {
 
     afterEach(function() {
         sinon.restore();
+        nock.cleanAll();
     });
 
+    // Create an overlay node with an API config and pass it one input message
+    function run(config, inputMsg) {
+        RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        overlayNode(RED);
+        const NodeConstructor = RED.nodes.registerType.lastCall.args[1];
+        new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config' }, config));
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+        return new Promise(resolve => {
+            const send = sinon.stub();
+            inputHandler.call(node, inputMsg, send, err => resolve({ err, send }));
+        });
+    }
+
     it('should register with Node-RED', function() {
         // Initialize the node module
         overlayNode(RED);
@@ -199,4 +216,140 @@ describe('mv-overlay Node (Mock Integration)', function() {
         expect(sendSpy.calledOnce).to.be.true;
         expect(sendSpy.getCall(0).args[0].payload).to.equal('test_thumbnail');
     });
+
+    describe('rendering', function() {
+        const image = { id: 'img_hmi', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' };
+        const blob = {
+            object_id: 'blob_0', object_type: 'blob', confidence: 1.0,
+            bbox: { x: 100, y: 100, width: 80, height: 60 }, center: { x: 140, y: 130 }, angle: null, metadata: {}
+        };
+        const text = {
+            object_id: 'text_0', object_type: 'text', confidence: 0.97,
+            bbox: { x: 40, y: 150, width: 130, height: 20 }, center: { x: 105, y: 160 }, angle: null, metadata: { text: 'LOT 2025-0042' }
+        };
+
+        function replyDraw(onBody) {
+            nock('http://localhost:8000')
+                .post('/api/image/draw', body => { onBody(body); return true; })
+                .reply(200, { success: true, image: 'data:image/png;base64,AAAA', width: 320, height: 240, processing_time_ms: 15 });
+        }
+
+        it('should draw the objects of joined results on the image', async function() {
+            let requestBody;
+            replyDraw(body => { requestBody = body; });
+
+            const { err, send } = await run(
+                { styles: [{ objectType: 'blob', bbox: true, contour: false, center: false, angle: false, label: false }], maxWidth: '320' },
+                { image: image, payload: { blobs: [blob], ocr: text } }
+            );
+
+            expect(err).to.be.undefined;
+            expect(requestBody).to.include({ image_id: 'img_hmi', max_width: 320 });
+            expect(requestBody.shapes).to.deep.equal([
+                { shape: 'rect', x: 100, y: 100, width: 80, height: 60, color: '#FF851B', thickness: 2 }
+            ]);
+            const out = send.getCall(0).args[0];
+            expect(out.payload).to.equal('data:image/png;base64,AAAA');
+            expect(out.overlay).to.deep.equal({ objects: 2, shapes: 1, width: 320, height: 240 });
+            expect(node.status.lastCall.args[0].text).to.equal('2 objects | 15ms');
+        });
+
+        it('should color inspect-judge results and draw the verdict', async function() {
+            let requestBody;
+            replyDraw(body => { requestBody = body; });
+
+            // blob_0 of the color tool has the same ID as the failing blob, the OCR result was not checked
+            const color = Object.assign({}, blob, { object_type: 'color_region' });
+            await run({ styles: [{ objectType: '', center: false, angle: false, label: false }] }, {
+                image: image,
+                payload: { verdict: 'NG', rules: [{
+                    name: 'size',
+                    pass: false,
+                    checked_objects: [{ topic: 'blobs', object_id: 'blob_0' }, { topic: 'colors', object_id: 'blob_0' }],
+                    failed_objects: [{ topic: 'blobs', object_id: 'blob_0' }]
+                }] },
+                objects: [blob, color, text],
+                object_topics: ['blobs', 'colors', 'ocr']
+            });
+
+            const colors = requestBody.shapes.map(s => [s.shape, s.color]);
+            expect(colors).to.deep.equal([
+                ['rect', '#FF4136'],
+                ['rect', '#2ECC40'],
+                ['rect', '#AAAAAA'],
+                ['text', '#FF4136']
+            ]);
+            expect(requestBody.shapes[3].text).to.equal('NG');
+        });
+
+        it('should require an image to draw on', async function() {
+            const { err } = await run({}, { payload: blob });
+
+            expect(err.message).to.equal('No image.id provided');
+        });
+
+        it('should collect the results of one image into a single picture', async function() {
+            let requestBody;
+            replyDraw(body => { requestBody = body; });
+            await run({ mode: 'collect', styles: [{ objectType: '', contour: false, center: false, angle: false, label: false }] }, { image: image, topic: 'blobs', payload: [blob] });
+            const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+            expect(node.send.called).to.be.false;
+            expect(node.status.lastCall.args[0].text).to.equal('collecting: 1 image');
+
+            const sent = new Promise(resolve => node.send.callsFake(resolve));
+            inputHandler.call(node, { image: image, topic: 'ocr', payload: text, complete: true }, sinon.stub(), sinon.stub());
+            const out = await sent;
+
+            expect(requestBody.shapes.map(shape => shape.x)).to.deep.equal([100, 40]);
+            expect(out).to.include({ topic: 'blobs', payload: 'data:image/png;base64,AAAA', complete_reason: 'complete' });
+            expect(out.image).to.deep.equal(image);
+            expect(out.objects).to.deep.equal([blob, text]);
+            expect(out.overlay).to.include({ objects: 2, shapes: 2, message_count: 2 });
+        });
+
+        it('should draw the objects of a collected judge result once and complete with it', async function() {
+            let requestBody;
+            replyDraw(body => { requestBody = body; });
+            await run({ mode: 'collect', styles: [{ objectType: '', contour: false, center: false, angle: false, label: false }] }, { image: image, topic: 'blobs', payload: [blob] });
+            const inputHandler = node.on.withArgs('input').lastCall.args[1];
+            inputHandler.call(node, { image: image, topic: 'ocr', payload: text }, sinon.stub(), sinon.stub());
+
+            expect(node.send.called).to.be.false;
+
+            const sent = new Promise(resolve => node.send.callsFake(resolve));
+            inputHandler.call(node, {
+                image: image,
+                topic: 'judge',
+                payload: { verdict: 'OK', rules: [{ name: 'count', pass: true, checked_objects: [{ topic: 'blobs', object_id: 'blob_0' }], failed_objects: [] }] },
+                objects: [blob, text],
+                object_topics: ['blobs', 'ocr']
+            }, sinon.stub(), sinon.stub());
+            const out = await sent;
+
+            expect(requestBody.shapes.map(shape => [shape.x, shape.color])).to.deep.equal([
+                [100, '#2ECC40'],
+                [40, '#AAAAAA'],
+                [10, '#2ECC40']
+            ]);
+            expect(out).to.include({ complete_reason: 'complete' });
+            expect(out.objects).to.deep.equal([blob, text]);
+            expect(out.overlay).to.include({ objects: 2, shapes: 3, message_count: 3 });
+        });
+
+        it('should draw collected results after the timeout and report backend errors', async function() {
+            nock('http://localhost:8000')
+                .post('/api/image/draw')
+                .reply(404, { detail: { error: 'Image not found', details: 'Image with ID img_hmi not found' } });
+
+            const { err } = await run({ mode: 'collect', timeout: '20', retries: '0' }, { image: image, payload: blob });
+            expect(err).to.be.undefined;
+
+            const logged = new Promise(resolve => node.error.callsFake(resolve));
+            const error = await logged;
+
+            expect(error.message).to.equal('Not found: Image with ID img_hmi not found');
+            expect(node.send.called).to.be.false;
+        });
+    });
 });
@@ -0,0 +1,147 @@
+/**
+ * Integration tests for mv-results-log and mv-results-query nodes
+ *
+ * Note: These are mock-based integration tests that test node behavior
+ * without requiring full Node-RED runtime.
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('mv-results-log / mv-results-query Nodes (Mock Integration)', function() {
+
+    let RED, userDir, instances;
+
+    const image = { id: 'img_1', timestamp: new Date(Date.now() - 3600 * 1000).toISOString() };
+    const blob = {
+        object_id: 'blob_0', object_type: 'blob', confidence: 0.9,
+        bbox: { x: 10, y: 20, width: 30, height: 40 }, center: { x: 25, y: 40 }, real: null, metadata: {}
+    };
+
+    // Create a node of a module; returns the instance with input() and close()
+    function create(nodeModule, config) {
+        const node = {
+            on: sinon.stub(),
+            send: sinon.stub(),
+            error: sinon.stub(),
+            status: sinon.stub(),
+            log: sinon.stub(),
+            warn: sinon.stub()
+        };
+        RED.nodes.createNode.callsFake(function(nodeInstance, _config) {
+            Object.assign(nodeInstance, node);
+        });
+
+        nodeModule(RED);
+        const NodeConstructor = RED.nodes.registerType.lastCall.args[1];
+        const instance = new NodeConstructor(config);
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+        const closeHandler = node.on.withArgs('close').lastCall.args[1];
+
+        instance.input = msg => new Promise(resolve => {
+            const send = sinon.stub();
+            inputHandler.call(instance, msg, send, err => resolve({ err, send }));
+        });
+        instance.close = () => new Promise(resolve => closeHandler.call(instance, resolve));
+        instances.push(instance);
+        return instance;
+    }
+
+    beforeEach(function() {
+        userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-results-node-'));
+        instances = [];
+
+        // Mock Node-RED runtime
+        RED = {
+            settings: { userDir: userDir },
+            nodes: {
+                createNode: sinon.stub(),
+                registerType: sinon.stub()
+            }
+        };
+    });
+
+    afterEach(async function() {
+        for (const instance of instances) {
+            await instance.close();
+        }
+        sinon.restore();
+        fs.rmSync(userDir, { recursive: true, force: true });
+    });
+
+    it('should register with Node-RED', function() {
+        require('../../nodes/output/mv-results-log.js')(RED);
+        require('../../nodes/output/mv-results-query.js')(RED);
+
+        expect(RED.nodes.registerType.calledWith('mv-results-log')).to.be.true;
+        expect(RED.nodes.registerType.calledWith('mv-results-query')).to.be.true;
+    });
+
+    it('should log results and verdicts and aggregate them by topic', async function() {
+        const log = create(require('../../nodes/output/mv-results-log.js'), {});
+        const resultMsg = { image: image, topic: 'holes', payload: [blob, blob], processing_time_ms: 40 };
+
+        const logged = await log.input(resultMsg);
+        await log.input({ image: image, topic: 'judge', payload: { verdict: 'NG', rules: [] } });
+
+        expect(logged.err).to.be.undefined;
+        expect(logged.send.getCall(0).args[0]).to.equal(resultMsg);
+        expect(log.status.lastCall.args[0].text).to.equal('3 rows logged');
+        expect(fs.readdirSync(path.join(userDir, 'mv-results'))).to.have.length(1);
+
+        const query = create(require('../../nodes/output/mv-results-query.js'), {});
+        const { err, send } = await query.input({ payload: Date.now() });
+
+        expect(err).to.be.undefined;
+        const out = send.getCall(0).args[0];
+        expect(out.payload.map(group => [group.key, group.objects, group.ng])).to.deep.equal([
+            ['holes', 2, 0],
+            ['judge', 0, 1]
+        ]);
+        expect(out.query).to.include({ topics: null, groupBy: 'topic', rows: 3, truncated: false });
+        expect(Date.parse(out.query.to) - Date.parse(out.query.from)).to.equal(8 * 3600 * 1000);
+    });
+
+    it('should report an invalid image timestamp as an input error', async function() {
+        const log = create(require('../../nodes/output/mv-results-log.js'), {});
+
+        const { err, send } = await log.input({ image: { id: 'img_1', timestamp: 'not a date' }, topic: 'holes', payload: blob });
+
+        expect(err.message).to.equal('Invalid image timestamp: not a date');
+        expect(send.called).to.be.false;
+        expect(log.status.lastCall.args[0].text).to.equal('invalid input');
+    });
+
+    it('should take the time range, topics and grouping from msg.payload', async function() {
+        const log = create(require('../../nodes/output/mv-results-log.js'), { maxAgeDays: '' });
+        await log.input({ image: image, topic: 'holes', payload: blob });
+        await log.input({ image: { id: 'img_0', timestamp: '2020-01-01T00:00:00.000Z' }, topic: 'holes', payload: blob });
+        await log.input({ image: image, topic: 'label', payload: null, found: false });
+
+        const query = create(require('../../nodes/output/mv-results-query.js'), { topics: 'label' });
+        const rows = await query.input({ payload: { from: '2019-12-31T00:00:00Z', topic: ['holes'], groupBy: 'none' } });
+
+        expect(rows.send.getCall(0).args[0].payload.map(row => row.image_id)).to.deep.equal(['img_0', 'img_1']);
+
+        const configured = await query.input({ payload: { groupBy: 'object_type' } });
+        expect(configured.send.getCall(0).args[0].payload.map(group => group.key)).to.deep.equal(['not_found']);
+
+        const invalid = await query.input({ payload: { from: 'yesterday' } });
+        expect(invalid.err.message).to.equal('Invalid from time: yesterday');
+    });
+
+    it('should delete CSV files beyond the maximum age on deploy', async function() {
+        const directory = path.join(userDir, 'mv-results');
+        fs.mkdirSync(directory);
+        fs.writeFileSync(path.join(directory, 'results-2020-01-01.csv'), 'timestamp\n');
+
+        const log = create(require('../../nodes/output/mv-results-log.js'), { maxAgeDays: '30' });
+        await log.input({ image: image, topic: 'holes', payload: blob });
+
+        expect(fs.existsSync(path.join(directory, 'results-2020-01-01.csv'))).to.be.false;
+        expect(log.log.lastCall.args[0]).to.equal('Retention: deleted 1 file older than 30 days');
+    });
+});
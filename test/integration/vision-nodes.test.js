@@ -47,6 +47,19 @@ describe('Vision Nodes (Mock Integration)', function() {
         nock.cleanAll();
     });
 
+    // Create a node of nodeModule and pass it one input message
+    function run(nodeModule, config, inputMsg) {
+        nodeModule(RED);
+        const NodeConstructor = RED.nodes.registerType.lastCall.args[1];
+        const nodeInstance = new NodeConstructor(Object.assign({ apiConfig: 'mock-api-config' }, config));
+        const inputHandler = node.on.withArgs('input').lastCall.args[1];
+
+        return new Promise(resolve => {
+            const send = sinon.stub();
+            inputHandler.call(nodeInstance, inputMsg, send, err => resolve({ err, send, nodeInstance }));
+        });
+    }
+
     describe('mv-template-match', function() {
         let templateMatchNode;
 
@@ -194,6 +207,51 @@ describe('Vision Nodes (Mock Integration)', function() {
             const msg = { image: { id: 'img_123', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
             inputHandler.call(nodeInstance, msg, send, mockDone);
         });
+
+        it('should send no-result message on second output when enabled', function(done) {
+            templateMatchNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+
+            nock('http://localhost:8000')
+                .post('/api/vision/template-match')
+                .reply(200, {
+                    success: true,
+                    objects: [],
+                    thumbnail: 'data:image/jpeg;base64,/9j/none',
+                    processing_time_ms: 80
+                });
+
+            const nodeInstance = new NodeConstructor({
+                apiConfig: 'mock-api-config',
+                templateId: 'tmpl_test',
+                notFoundOutput: true
+            });
+
+            const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+
+            const send = sinon.stub();
+            const mockDone = sinon.stub().callsFake(function(err) {
+                try {
+                    expect(err).to.be.undefined;
+                    expect(send.calledOnce).to.be.true;
+                    const [matchMsg, notFoundMsg] = send.getCall(0).args[0];
+                    expect(matchMsg).to.be.null;
+                    expect(notFoundMsg.payload).to.be.null;
+                    expect(notFoundMsg.found).to.be.false;
+                    expect(notFoundMsg.image.id).to.equal('img_123');
+                    expect(notFoundMsg.thumbnail).to.equal('data:image/jpeg;base64,/9j/none');
+                    expect(notFoundMsg.processing_time_ms).to.equal(80);
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+
+            const msg = { image: { id: 'img_123', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+            inputHandler.call(nodeInstance, msg, send, mockDone);
+        });
     });
 
     describe('mv-edge-detect', function() {
@@ -273,6 +331,53 @@ describe('Vision Nodes (Mock Integration)', function() {
             };
             inputHandler.call(nodeInstance, msg, send, mockDone);
         });
+
+        it('should send all contours in one message in batch mode', function(done) {
+            edgeDetectNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+
+            const contour = (i) => ({
+                object_id: `contour_${i}`,
+                object_type: 'edge_contour',
+                bbox: { x: i, y: i, width: 10, height: 10 },
+                center: { x: i + 5, y: i + 5 },
+                confidence: 1.0,
+                metadata: { method: 'canny' }
+            });
+
+            nock('http://localhost:8000')
+                .post('/api/vision/edge-detect', () => true)
+                .reply(200, {
+                    success: true,
+                    objects: [contour(0), contour(1), contour(2)],
+                    thumbnail: 'data:image/jpeg;base64,/9j/edges',
+                    processing_time_ms: 150
+                });
+
+            const nodeInstance = new NodeConstructor({ apiConfig: 'mock-api-config', method: 'canny', outputMode: 'batch' });
+            const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+
+            const send = sinon.stub();
+            const mockDone = sinon.stub().callsFake(function(err) {
+                try {
+                    expect(err).to.be.undefined;
+                    expect(send.calledOnce).to.be.true;
+                    const out = send.getCall(0).args[0];
+                    expect(out.payload.map(o => o.object_id)).to.deep.equal(['contour_0', 'contour_1', 'contour_2']);
+                    expect(out.count).to.equal(3);
+                    expect(out.thumbnail).to.equal('data:image/jpeg;base64,/9j/edges');
+                    expect(RED.util.cloneMessage.calledOnce).to.be.true;
+                    done();
+                } catch (e) {
+                    done(e);
+                }
+            });
+
+            const msg = { image: { id: 'img_456', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+            inputHandler.call(nodeInstance, msg, send, mockDone);
+        });
     });
 
     describe('mv-color-detect', function() {
@@ -411,6 +516,467 @@ describe('Vision Nodes (Mock Integration)', function() {
         });
     });
 
+    describe('mv-blob-analysis', function() {
+        let blobAnalysisNode;
+
+        beforeEach(function() {
+            blobAnalysisNode = require('../../nodes/vision/mv-blob-analysis.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            blobAnalysisNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-blob-analysis')).to.be.true;
+        });
+
+        it('should send feature filters and output blobs with contour, area and perimeter', function(done) {
+            blobAnalysisNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/vision/blob-analysis', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'blob_0',
+                        object_type: 'blob',
+                        bbox: { x: 100, y: 100, width: 80, height: 60 },
+                        center: { x: 140, y: 130 },
+                        confidence: 1.0,
+                        contour: [[100, 100], [180, 100], [180, 160], [100, 160]],
+                        area: 4800,
+                        perimeter: 280,
+                        metadata: { circularity: 0.77, convexity: 0.98, eccentricity: 0.66, holes: 0 }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 90
+                });
+
+            const nodeInstance = new NodeConstructor({ apiConfig: 'mock-api-config', minArea: '1000', minConvexity: '0.9' });
+            const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+            const send = sinon.stub();
+
+            const msg = { image: { id: 'img_blob', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+            inputHandler.call(nodeInstance, msg, send, function(err) {
+                expect(err).to.be.undefined;
+                expect(requestBody.params.filters).to.deep.equal({
+                    area: { min: 1000, max: null },
+                    convexity: { min: 0.9, max: null }
+                });
+                const payload = send.getCall(0).args[0].payload;
+                expect(payload).to.include({ object_type: 'blob', area: 4800, perimeter: 280 });
+                expect(payload.contour).to.have.length(4);
+                expect(payload.metadata).to.include({ holes: 0 });
+                done();
+            });
+        });
+
+        it('should warn when a range can never match', function() {
+            blobAnalysisNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+            new NodeConstructor({ apiConfig: 'mock-api-config', minCircularity: '0.9', maxCircularity: '0.5' });
+
+            expect(node.warn.calledWithMatch('circularity')).to.be.true;
+        });
+    });
+
+    describe('mv-shape-detect', function() {
+        let shapeDetectNode;
+
+        beforeEach(function() {
+            shapeDetectNode = require('../../nodes/vision/mv-shape-detect.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            shapeDetectNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-shape-detect')).to.be.true;
+        });
+
+        it('should output lines with endpoints and angle', function(done) {
+            shapeDetectNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/vision/shape-detect', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'line_0',
+                        object_type: 'line',
+                        bbox: { x: 100, y: 100, width: 80, height: 0 },
+                        center: { x: 140, y: 100 },
+                        confidence: 0.97,
+                        angle: 0.0,
+                        metadata: { start: { x: 100, y: 100 }, end: { x: 180, y: 100 }, length: 80, max_deviation: 0.4 }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 75
+                });
+
+            const nodeInstance = new NodeConstructor({ apiConfig: 'mock-api-config', shape: 'lines', minLength: '60', maxLength: '100' });
+            const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+            const send = sinon.stub();
+
+            const msg = { image: { id: 'img_shape', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+            inputHandler.call(nodeInstance, msg, send, function(err) {
+                expect(err).to.be.undefined;
+                expect(requestBody.params).to.include({ shape: 'lines', min_length: 60, max_length: 100 });
+                const payload = send.getCall(0).args[0].payload;
+                expect(payload).to.include({ object_type: 'line', angle: 0 });
+                expect(payload.metadata.end).to.deep.equal({ x: 180, y: 100 });
+                expect(node.status.lastCall.args[0].text).to.equal('1 line | 75ms');
+                done();
+            });
+        });
+
+        it('should warn when the radius range is empty', function() {
+            shapeDetectNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+            new NodeConstructor({ apiConfig: 'mock-api-config', minRadius: '50', maxRadius: '20' });
+
+            expect(node.warn.calledWithMatch('radius')).to.be.true;
+        });
+    });
+
+    describe('mv-caliper', function() {
+        let caliperNode;
+        const image = { id: 'img_gauge', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' };
+
+        beforeEach(function() {
+            caliperNode = require('../../nodes/vision/mv-caliper.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            caliperNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-caliper')).to.be.true;
+        });
+
+        it('should send the region and reference and report the pair width', async function() {
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/vision/caliper', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'pair_0',
+                        object_type: 'caliper_pair',
+                        bbox: { x: 100, y: 130, width: 80.25, height: 0 },
+                        center: { x: 140.13, y: 130 },
+                        confidence: 1.0,
+                        angle: 0,
+                        real: { center: { x: 45.06, y: 40 }, width: 40.13 },
+                        metadata: { width: 80.25, position: 60.13, edges: [] }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 25
+                });
+
+            const reference = { type: 'plane', units: 'mm', homography_matrix: [[0.5, 0, -25], [0, 0.5, -25], [0, 0, 1]] };
+            const { err, send } = await run(caliperNode,
+                { x1: 80, y1: 130, x2: 200, y2: 130, polarity: 'light_to_dark' },
+                { image: image, reference: reference }
+            );
+
+            expect(err).to.be.undefined;
+            expect(requestBody.region).to.deep.equal({ center: { x: 140, y: 130 }, length: 120, width: 10, angle: 0 });
+            expect(requestBody.params).to.include({ mode: 'pair', polarity: 'light_to_dark' });
+            expect(requestBody.reference).to.deep.equal(reference);
+            expect(send.getCall(0).args[0].payload.real.width).to.equal(40.13);
+            expect(node.status.lastCall.args[0].text).to.equal('width 80.25px (40.13mm) | 25ms');
+        });
+
+        it('should count the pair when the backend sends no width', async function() {
+            nock('http://localhost:8000')
+                .post('/api/vision/caliper')
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'pair_0',
+                        object_type: 'caliper_pair',
+                        bbox: { x: 100, y: 130, width: 80, height: 0 },
+                        center: { x: 140, y: 130 },
+                        confidence: 1.0,
+                        metadata: { edges: [] }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 25
+                });
+
+            const { err, send } = await run(caliperNode, { x1: 80, y1: 130, x2: 200, y2: 130 }, { image: image });
+
+            expect(err).to.be.undefined;
+            expect(send.calledOnce).to.be.true;
+            expect(node.status.lastCall.args[0].text).to.equal('1 pair | 25ms');
+        });
+
+        it('should reject a region without length', async function() {
+            const { err } = await run(caliperNode, { x1: 50, y1: 50, x2: 50, y2: 50 }, { image: image });
+
+            expect(err.message).to.equal('Caliper region must have a length');
+        });
+    });
+
+    describe('mv-defect-diff', function() {
+        let defectDiffNode;
+        const image = { id: 'img_part', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' };
+
+        beforeEach(function() {
+            defectDiffNode = require('../../nodes/vision/mv-defect-diff.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            defectDiffNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-defect-diff')).to.be.true;
+        });
+
+        it('should compare with the golden image and pass the alignment on', async function() {
+            let requestBody;
+            const alignment = { method: 'template', dx: 1.5, dy: -0.75, angle: 0.3, score: 0.96 };
+            nock('http://localhost:8000')
+                .post('/api/vision/defect-diff', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'defect_0',
+                        object_type: 'defect',
+                        bbox: { x: 300, y: 380, width: 12, height: 12 },
+                        center: { x: 305, y: 387 },
+                        confidence: 0.71,
+                        area: 90,
+                        metadata: { kind: 'spot', mean_diff: 96.4, max_diff: 181 }
+                    }],
+                    alignment: alignment,
+                    thumbnail: null,
+                    processing_time_ms: 85
+                });
+
+            const { err, send } = await run(defectDiffNode,
+                { goldenId: 'golden_cfg', threshold: '40' },
+                { image: image, goldenId: 'golden_msg', payload: { bbox: { x: 0, y: 0, width: 400, height: 400 } } }
+            );
+
+            expect(err).to.be.undefined;
+            expect(requestBody.roi).to.deep.equal({ x: 0, y: 0, width: 400, height: 400 });
+            expect(requestBody.params).to.include({ golden_id: 'golden_msg', alignment: 'template', threshold: 40 });
+            const out = send.getCall(0).args[0];
+            expect(out.payload.metadata.kind).to.equal('spot');
+            expect(out.alignment).to.deep.equal(alignment);
+            expect(node.status.lastCall.args[0].text).to.equal('1 defect | 85ms');
+        });
+
+        it('should require a golden image and a reference for ArUco alignment', async function() {
+            const noGolden = await run(defectDiffNode, {}, { image: image });
+            expect(noGolden.err.message).to.equal('No golden image configured');
+
+            const noReference = await run(defectDiffNode, { goldenId: 'golden_cfg', alignment: 'aruco' }, { image: image });
+            expect(noReference.err.message).to.include('needs msg.reference');
+            expect(node.status.lastCall.args[0].text).to.equal('missing reference');
+        });
+
+        it('should teach the last received image as golden image', async function() {
+            RED.httpAdmin = { get: sinon.stub(), post: sinon.stub() };
+            RED.auth = { needsPermission: sinon.stub().returns('permission') };
+            const { nodeInstance } = await run(defectDiffNode, {}, { image: image });
+            const teachRoute = RED.httpAdmin.post.withArgs('/mv-defect-diff/:id/teach').lastCall;
+            const teach = teachRoute.args[2];
+            expect(teachRoute.args[1]).to.equal('permission');
+            expect(RED.auth.needsPermission.calledWith('mv-defect-diff.write')).to.be.true;
+
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/golden/teach', body => { requestBody = body; return true; })
+                .reply(200, { success: true, golden_id: 'golden_000001', name: 'Cover', size: { width: 640, height: 480 } });
+
+            RED.nodes.getNode.withArgs('dd1').returns(nodeInstance);
+            const res = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await teach({ params: { id: 'dd1' }, body: { name: 'Cover' } }, res);
+
+            expect(requestBody).to.deep.equal({ image_id: 'img_part', name: 'Cover' });
+            expect(res.json.getCall(0).args[0]).to.deep.equal({
+                success: true, golden_id: 'golden_000001', name: 'Cover', image_id: 'img_part',
+                backends: ['http://localhost:8000'], failed: []
+            });
+
+            // Deployed but no image yet
+            nodeInstance.lastImageId = null;
+            await teach({ params: { id: 'dd1' }, body: {} }, res);
+            expect(res.status.calledWith(409)).to.be.true;
+        });
+
+        it('should time out teaching and listing on a backend that stops responding', async function() {
+            RED.httpAdmin = { get: sinon.stub(), post: sinon.stub() };
+            RED.auth = { needsPermission: sinon.stub().returns('permission') };
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 50 });
+            const { nodeInstance } = await run(defectDiffNode, {}, { image: image });
+            const teach = RED.httpAdmin.post.withArgs('/mv-defect-diff/:id/teach').lastCall.args[2];
+            const list = RED.httpAdmin.get.withArgs('/mv-defect-diff/goldens').lastCall.args[2];
+            nock('http://localhost:8000')
+                .post('/api/golden/teach').delay(300).reply(200, {})
+                .get('/api/golden/list').delay(300).reply(200, []);
+
+            RED.nodes.getNode.withArgs('dd1').returns(nodeInstance);
+            const taught = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await teach({ params: { id: 'dd1' }, body: {} }, taught);
+            const listed = { status: sinon.stub().returnsThis(), json: sinon.stub() };
+            await list({ query: { apiConfigId: 'mock-api-config' } }, listed);
+
+            expect(taught.status.calledWith(500)).to.be.true;
+            expect(taught.json.getCall(0).args[0].error).to.equal('timeout of 50ms exceeded');
+            expect(listed.status.calledWith(502)).to.be.true;
+            expect(listed.json.getCall(0).args[0].error).to.equal('No backend reachable: timeout of 50ms exceeded');
+        });
+    });
+
+    describe('mv-barcode-read', function() {
+        let barcodeReadNode;
+        const msg = { image: { id: 'img_code', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+
+        beforeEach(function() {
+            barcodeReadNode = require('../../nodes/vision/mv-barcode-read.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            barcodeReadNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-barcode-read')).to.be.true;
+        });
+
+        it('should read codes within the input bbox and send VisionObject messages', function(done) {
+            barcodeReadNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/vision/barcode-read', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'barcode_0',
+                        object_type: 'barcode',
+                        bbox: { x: 120, y: 300, width: 40, height: 40 },
+                        center: { x: 140, y: 320 },
+                        confidence: 1.0,
+                        metadata: { text: 'LOT-2025-0042', symbology: 'datamatrix', corners: [[120, 300], [160, 300], [160, 340], [120, 340]] }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 70
+                });
+
+            const nodeInstance = new NodeConstructor({ apiConfig: 'mock-api-config', symbologies: 'datamatrix,qr' });
+            const inputHandler = node.on.withArgs('input').getCall(0).args[1];
+
+            const send = sinon.stub();
+
+            const input = Object.assign({ payload: { bbox: { x: 100, y: 280, width: 100, height: 100 } } }, msg);
+            inputHandler.call(nodeInstance, input, send, function(err) {
+                expect(err).to.be.undefined;
+                expect(requestBody.params.symbologies).to.deep.equal(['datamatrix', 'qr']);
+                expect(requestBody.roi).to.deep.equal({ x: 100, y: 280, width: 100, height: 100 });
+                const out = send.getCall(0).args[0];
+                expect(out.payload.metadata).to.include({ text: 'LOT-2025-0042', symbology: 'datamatrix' });
+                expect(out.payload.metadata.corners).to.have.length(4);
+                expect(node.status.lastCall.args[0].text).to.equal('datamatrix: LOT-2025-0042 | 70ms');
+                done();
+            });
+        });
+
+        it('should warn about and drop unknown symbologies', function() {
+            barcodeReadNode(RED);
+            const NodeConstructor = RED.nodes.registerType.getCall(0).args[1];
+            const nodeInstance = new NodeConstructor({ apiConfig: 'mock-api-config', symbologies: 'qr, barcode39' });
+
+            expect(nodeInstance.symbologies).to.deep.equal(['qr']);
+            expect(node.warn.calledWithMatch('barcode39')).to.be.true;
+        });
+    });
+
+    describe('mv-ocr', function() {
+        let ocrNode;
+        const msg = { image: { id: 'img_text', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+
+        beforeEach(function() {
+            ocrNode = require('../../nodes/vision/mv-ocr.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        function replyText(text) {
+            nock('http://localhost:8000')
+                .post('/api/vision/ocr')
+                .reply(200, {
+                    success: true,
+                    objects: [{
+                        object_id: 'text_0',
+                        object_type: 'text',
+                        bbox: { x: 40, y: 150, width: 130, height: 16 },
+                        center: { x: 105, y: 158 },
+                        confidence: 0.9,
+                        metadata: { text: text, characters: [{ char: text[0], bbox: { x: 40, y: 150, width: 10, height: 16 }, confidence: 0.9 }] }
+                    }],
+                    thumbnail: null,
+                    processing_time_ms: 140
+                });
+        }
+
+        it('should register with Node-RED', function() {
+            ocrNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-ocr')).to.be.true;
+        });
+
+        it('should read text without verification when nothing is expected', async function() {
+            replyText('LOT 2025-0042');
+
+            const { err, send } = await run(ocrNode, {}, msg);
+
+            expect(err).to.be.undefined;
+            const metadata = send.getCall(0).args[0].payload.metadata;
+            expect(metadata.text).to.equal('LOT 2025-0042');
+            expect(metadata.characters[0]).to.have.property('confidence', 0.9);
+            expect(metadata).to.not.have.property('verified');
+        });
+
+        it('should verify the text against a configured pattern', async function() {
+            replyText('LOT 2025-0042');
+            const ok = await run(ocrNode, { expected: 'LOT ####-####', matchMode: 'pattern' }, msg);
+            expect(ok.send.getCall(0).args[0].payload.metadata).to.include({ verified: true, expected: 'LOT ####-####' });
+            expect(node.status.lastCall.args[0].text).to.equal('"LOT 2025-0042" OK | 140ms');
+
+            replyText('LOT 2O25-0042');
+            const ng = await run(ocrNode, { expected: 'LOT ####-####', matchMode: 'pattern' }, msg);
+            expect(ng.send.getCall(0).args[0].payload.metadata.verified).to.be.false;
+            expect(node.status.lastCall.args[0]).to.deep.equal({ fill: 'yellow', shape: 'ring', text: '"LOT 2O25-0042" NG' });
+        });
+
+        it('should prefer msg.expected, taking strings in the match mode and RegExp as is', async function() {
+            replyText('EXP 12/2026');
+            const exact = await run(ocrNode, { expected: 'LOT ####-####', matchMode: 'exact' }, Object.assign({ expected: 'EXP 12/2026' }, msg));
+            expect(exact.send.getCall(0).args[0].payload.metadata.verified).to.be.true;
+
+            replyText('EXP 12/2026');
+            const regex = await run(ocrNode, {}, Object.assign({ expected: /^EXP \d\d\/\d{4}$/ }, msg));
+            expect(regex.send.getCall(0).args[0].payload.metadata.verified).to.be.true;
+        });
+
+        it('should take a numeric msg.expected as text', async function() {
+            replyText('20250042');
+            const { err, send } = await run(ocrNode, { matchMode: 'exact' }, Object.assign({ expected: 20250042 }, msg));
+
+            expect(err).to.be.undefined;
+            expect(send.getCall(0).args[0].payload.metadata).to.include({ verified: true, expected: '20250042' });
+        });
+
+        it('should reject an invalid regex before calling the backend', async function() {
+            const { err } = await run(ocrNode, { expected: 'LOT (', matchMode: 'regex' }, msg);
+
+            expect(err.message).to.match(/^Invalid expected pattern/);
+            expect(node.status.lastCall.args[0]).to.deep.include({ text: 'invalid pattern' });
+        });
+    });
+
     describe('mv-rotation-detect', function() {
         let rotationDetectNode;
 
@@ -699,6 +1265,64 @@ describe('Vision Nodes (Mock Integration)', function() {
         });
     });
 
+    describe('mv-pipeline', function() {
+        let pipelineNode;
+        const visionUtils = require('../../nodes/lib/vision-utils');
+        const msg = { image: { id: 'img_456', format: 'jpeg', width: 640, height: 480, source: 'camera', timestamp: '2025-01-01T00:00:00Z' } };
+
+        beforeEach(function() {
+            pipelineNode = require('../../nodes/vision/mv-pipeline.js');
+            RED.nodes.getNode.returns({ apiUrl: 'http://localhost:8000', timeout: 30000 });
+        });
+
+        it('should register with Node-RED', function() {
+            pipelineNode(RED);
+            expect(RED.nodes.registerType.calledWith('mv-pipeline')).to.be.true;
+        });
+
+        it('should send all steps in one request with the params of the single-tool nodes', async function() {
+            let requestBody;
+            nock('http://localhost:8000')
+                .post('/api/vision/pipeline', body => { requestBody = body; return true; })
+                .reply(200, {
+                    success: true,
+                    objects: [{ object_id: 'contour_0', object_type: 'edge_contour', bbox: { x: 0, y: 0, width: 10, height: 10 }, center: { x: 5, y: 5 }, confidence: 1.0, angle: 12.5, metadata: {} }],
+                    steps: [
+                        { type: 'edge-detect', objects: [{ object_id: 'contour_0' }], processing_time_ms: 150 },
+                        { type: 'rotation-detect', objects: [{ object_id: 'contour_0' }], processing_time_ms: 130 }
+                    ],
+                    thumbnail: null,
+                    processing_time_ms: 280
+                });
+
+            const steps = [
+                { type: 'edge-detect', options: { cannyLow: '30', minContourArea: '500' } },
+                { type: 'rotation-detect', options: { method: 'pca' } }
+            ];
+            const { err, send } = await run(pipelineNode, { steps: steps }, msg);
+
+            expect(err).to.be.undefined;
+            expect(requestBody.steps).to.deep.equal([
+                { type: 'edge-detect', params: visionUtils.buildEdgeDetectParams({ cannyLow: '30', minContourArea: '500' }) },
+                { type: 'rotation-detect', params: visionUtils.buildRotationDetectParams({ method: 'pca' }) }
+            ]);
+            const out = send.getCall(0).args[0];
+            expect(out.payload).to.include({ object_id: 'contour_0', angle: 12.5 });
+            expect(out.steps.map(step => step.type)).to.deep.equal(['edge-detect', 'rotation-detect']);
+            expect(out.processing_time_ms).to.equal(280);
+        });
+
+        it('should prefer msg.pipeline and reject invalid pipelines without a request', async function() {
+            const { err } = await run(pipelineNode, { steps: [{ type: 'edge-detect' }] }, Object.assign({ pipeline: [{ type: 'rotation-detect' }] }, msg));
+
+            expect(err.message).to.equal('Step 1: rotation-detect needs an edge-detect step before it');
+            expect(node.status.lastCall.args[0]).to.deep.include({ text: 'invalid pipeline' });
+
+            const unknown = await run(pipelineNode, { steps: [{ type: 'blob-detect' }] }, msg);
+            expect(unknown.err.message).to.equal('Step 1: unknown type "blob-detect"');
+        });
+    });
+
     describe('Close handlers', function() {
         it('should clear status on template-match node close', function(done) {
             const templateMatchNode = require('../../nodes/vision/mv-template-match.js');
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for backend-pool.js
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { createBackendPool, cameraKey } = require('../../nodes/lib/backend-pool');
+
+describe('backend-pool', function() {
+
+    const A = 'http://vision-a:8000';
+    const B = 'http://vision-b:8000';
+    const C = 'http://vision-c:8000';
+
+    afterEach(function() {
+        sinon.restore();
+    });
+
+    it('should reject an unknown strategy', function() {
+        expect(() => createBackendPool({ urls: [A, B], strategy: 'random' })).to.throw('Invalid backend strategy: random');
+    });
+
+    describe('failover', function() {
+        it('should use the first URL until it fails', function() {
+            const pool = createBackendPool({ urls: [A, B, C] });
+
+            expect(pool.select(null)).to.equal(A);
+            pool.reportFailure(A);
+            expect(pool.select(null)).to.equal(B);
+        });
+
+        it('should return to a failed URL after the cooldown', function() {
+            const clock = sinon.useFakeTimers();
+            const pool = createBackendPool({ urls: [A, B], cooldownMs: 10000 });
+
+            pool.reportFailure(A);
+            clock.tick(10000);
+
+            expect(pool.select(null)).to.equal(A);
+        });
+
+        it('should skip URLs already tried for the request', function() {
+            const pool = createBackendPool({ urls: [A, B] });
+
+            expect(pool.select(null, new Set([A]))).to.equal(B);
+            expect(pool.select(null, new Set([A, B]))).to.be.null;
+        });
+
+        it('should still try failed URLs when all are in cooldown', function() {
+            const pool = createBackendPool({ urls: [A, B] });
+
+            pool.reportFailure(A);
+            pool.reportFailure(B);
+
+            expect(pool.select(null)).to.equal(A);
+        });
+    });
+
+    it('should alternate between reachable URLs in round-robin', function() {
+        const pool = createBackendPool({ urls: [A, B, C], strategy: 'round-robin' });
+
+        expect([1, 2, 3, 4].map(() => pool.select(null))).to.deep.equal([A, B, C, A]);
+        expect(pool.preferred()).to.equal(A);
+        expect(pool.select(null)).to.equal(B);
+    });
+
+    it('should pick the fastest URL in least-latency', function() {
+        const pool = createBackendPool({ urls: [A, B], strategy: 'least-latency' });
+
+        pool.reportSuccess(A, 120);
+        expect(pool.select(null)).to.equal(B);
+
+        pool.reportSuccess(B, 300);
+        expect(pool.select(null)).to.equal(A);
+        expect(pool.getStatus()).to.deep.equal([
+            { url: A, up: true, latency_ms: 120 },
+            { url: B, up: true, latency_ms: 300 }
+        ]);
+    });
+
+    describe('session affinity', function() {
+        it('should send requests on an image to the backend that produced it', function() {
+            const pool = createBackendPool({ urls: [A, B], strategy: 'round-robin' });
+
+            pool.reportSuccess(B, 10, { image: { id: 'img_1' } });
+
+            expect([1, 2, 3].map(() => pool.select('img_1'))).to.deep.equal([B, B, B]);
+            expect(pool.preferred('img_1')).to.equal(B);
+        });
+
+        it('should bind preprocessed images to the backend of the source', function() {
+            const pool = createBackendPool({ urls: [A, B] });
+
+            pool.reportSuccess(B, 10, { objects: [{ metadata: { image_id: 'img_2', source_image_id: 'img_1' } }] });
+
+            expect(pool.select('img_2')).to.equal(B);
+        });
+
+        it('should send requests on a camera to the backend that connected it', function() {
+            const pool = createBackendPool({ urls: [A, B], strategy: 'round-robin' });
+
+            pool.reportSuccess(B, 10, { success: true }, cameraKey('cam_1'));
+
+            expect([1, 2, 3].map(() => pool.select(cameraKey('cam_1')))).to.deep.equal([B, B, B]);
+            expect(pool.preferred(cameraKey('cam_1'))).to.equal(B);
+            expect(pool.select('cam_1')).to.equal(A);
+        });
+
+        it('should not fail over bound images', function() {
+            const pool = createBackendPool({ urls: [A, B] });
+
+            pool.reportSuccess(A, 10, { image: { id: 'img_1' } });
+            pool.reportFailure(A);
+
+            expect(pool.select('img_1')).to.equal(A);
+            expect(pool.select('img_1', new Set([A]))).to.be.null;
+        });
+
+        it('should forget the oldest images', function() {
+            const pool = createBackendPool({ urls: [A, B], strategy: 'round-robin', maxAffinity: 2 });
+
+            pool.reportSuccess(B, 10, { image: { id: 'img_1' } });
+            pool.reportSuccess(B, 10, { image: { id: 'img_2' } });
+            pool.reportSuccess(B, 10, { image: { id: 'img_3' } });
+
+            expect(pool.select('img_1')).to.equal(A);
+            expect(pool.select('img_3')).to.equal(B);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit tests for circuit-breaker.js
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { createCircuitBreaker, STATES } = require('../../nodes/lib/circuit-breaker');
+
+describe('circuit-breaker', function() {
+
+    let clock, breaker;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+        breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 30000 });
+    });
+
+    afterEach(function() {
+        clock.restore();
+    });
+
+    function fail(times) {
+        for (let i = 0; i < times; i++) {
+            breaker.allowRequest();
+            breaker.recordFailure();
+        }
+    }
+
+    it('should open after consecutive failures', function() {
+        fail(2);
+        expect(breaker.getState().state).to.equal(STATES.CLOSED);
+
+        fail(1);
+        expect(breaker.getState()).to.deep.equal({
+            state: STATES.OPEN,
+            failures: 3,
+            opened_at: new Date(0).toISOString(),
+            retry_at: new Date(30000).toISOString()
+        });
+        expect(breaker.allowRequest()).to.be.false;
+    });
+
+    it('should reset the failure count on success', function() {
+        fail(2);
+        breaker.recordSuccess();
+        fail(2);
+
+        expect(breaker.getState()).to.include({ state: STATES.CLOSED, failures: 2 });
+    });
+
+    it('should let one probe through after the reset timeout', function() {
+        fail(3);
+        clock.tick(30000);
+
+        expect(breaker.allowRequest()).to.be.true;
+        expect(breaker.getState().state).to.equal(STATES.HALF_OPEN);
+        expect(breaker.allowRequest()).to.be.false;
+    });
+
+    it('should close when the probe succeeds', function() {
+        fail(3);
+        clock.tick(30000);
+        breaker.allowRequest();
+        breaker.recordSuccess();
+
+        expect(breaker.getState()).to.include({ state: STATES.CLOSED, failures: 0, opened_at: null });
+        expect(breaker.allowRequest()).to.be.true;
+    });
+
+    it('should open again when the probe fails', function() {
+        fail(3);
+        clock.tick(30000);
+        breaker.allowRequest();
+        breaker.recordFailure();
+
+        expect(breaker.getState()).to.include({ state: STATES.OPEN, retry_at: new Date(60000).toISOString() });
+        expect(breaker.allowRequest()).to.be.false;
+    });
+
+    it('should notify subscribers on transitions', function() {
+        const listener = sinon.stub();
+        const unsubscribe = breaker.subscribe(listener);
+
+        fail(3);
+        clock.tick(30000);
+        breaker.allowRequest();
+        breaker.recordSuccess();
+        unsubscribe();
+        fail(3);
+
+        expect(listener.args.map(([circuit, previous]) => `${previous}->${circuit.state}`))
+            .to.deep.equal(['closed->open', 'open->half-open', 'half-open->closed']);
+    });
+});
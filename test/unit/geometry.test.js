@@ -0,0 +1,80 @@
+/**
+ * Unit tests for geometry.js
+ */
+
+const { expect } = require('chai');
+const { getFeature, applyHomography, measure } = require('../../nodes/lib/geometry');
+
+describe('geometry', function() {
+
+    const part = {
+        object_id: 'part_0',
+        bbox: { x: 100, y: 100, width: 80, height: 60 },
+        center: { x: 140, y: 130 },
+        angle: 30
+    };
+    const line = {
+        object_id: 'line_0',
+        bbox: { x: 0, y: 200, width: 100, height: 0 },
+        center: { x: 50, y: 200 },
+        angle: 0,
+        metadata: { start: { x: 0, y: 200 }, end: { x: 100, y: 200 } }
+    };
+    // 0.5 mm per pixel, origin at (50, 50)
+    const reference = { units: 'mm', homography_matrix: [[0.5, 0, -25], [0, 0.5, -25], [0, 0, 1]] };
+
+    describe('getFeature', function() {
+
+        it('should return points and lines of an object', function() {
+            expect(getFeature(part, 'bottom_right')).to.deep.equal({ point: { x: 180, y: 160 } });
+            expect(getFeature(part, 'bbox_left')).to.deep.equal({ line: [{ x: 100, y: 100 }, { x: 100, y: 160 }] });
+            expect(getFeature(line, 'line').line[1]).to.deep.equal({ x: 100, y: 200 });
+        });
+
+        it('should throw for unknown or missing features', function() {
+            expect(() => getFeature(part, 'corner')).to.throw('Unknown feature "corner"');
+            expect(() => getFeature(part, 'start')).to.throw('part_0 has no start');
+            expect(() => getFeature(Object.assign({}, part, { angle: null }), 'axis')).to.throw('part_0 has no axis');
+        });
+    });
+
+    describe('measure', function() {
+
+        it('should measure point to point and point to line distances', function() {
+            expect(measure('distance', getFeature(part, 'top_left'), getFeature(part, 'bottom_right')).value).to.equal(100);
+            expect(measure('distance', getFeature(part, 'center'), getFeature(line, 'line')).value).to.equal(70);
+            expect(measure('distance', getFeature(line, 'line'), getFeature(part, 'center')).value).to.equal(70);
+        });
+
+        it('should measure the gap between parallel lines from the first midpoint', function() {
+            const result = measure('distance', getFeature(part, 'bbox_bottom'), getFeature(line, 'line'));
+
+            expect(result).to.deep.equal({ value: 40, unit: 'px', real: null });
+        });
+
+        it('should measure undirected angles between lines', function() {
+            const result = measure('angle', getFeature(line, 'line'), getFeature(part, 'axis'));
+            expect(result.value).to.be.closeTo(30, 1e-9);
+            expect(result.unit).to.equal('deg');
+
+            const reversed = { object_id: 'r', metadata: { start: { x: 100, y: 200 }, end: { x: 0, y: 201 } } };
+            expect(measure('angle', getFeature(line, 'line'), getFeature(reversed, 'line')).value).to.be.closeTo(-0.573, 1e-3);
+        });
+
+        it('should reject angles without two lines and unknown types', function() {
+            expect(() => measure('angle', getFeature(part, 'center'), getFeature(line, 'line'))).to.throw('two line features');
+            expect(() => measure('area', getFeature(part, 'center'), getFeature(line, 'line'))).to.throw('Unknown measurement type');
+        });
+
+        it('should measure offsets and convert to reference units', function() {
+            const result = measure('offset', getFeature(part, 'center'), getFeature(line, 'start'), reference);
+
+            expect(result).to.deep.include({ value: Math.hypot(140, 70), dx: -140, dy: 70, unit: 'px' });
+            expect(result.real).to.deep.equal({ value: Math.hypot(70, 35), dx: -70, dy: 35, unit: 'mm' });
+        });
+    });
+
+    it('should apply a perspective homography', function() {
+        expect(applyHomography([[1, 0, 0], [0, 1, 0], [0, 0, 2]], { x: 10, y: 4 })).to.deep.equal({ x: 5, y: 2 });
+    });
+});
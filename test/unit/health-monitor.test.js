@@ -0,0 +1,113 @@
+/**
+ * Unit tests for health-monitor.js
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { createHealthMonitor, STATES } = require('../../nodes/lib/health-monitor');
+
+describe('health-monitor', function() {
+
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+        clock.restore();
+        sinon.restore();
+    });
+
+    function createMonitor(check) {
+        return createHealthMonitor({ check, interval: 10000, degradedLatencyMs: 1000 });
+    }
+
+    it('should start in unknown state without polling', async function() {
+        const check = sinon.stub().resolves({ status: 'healthy' });
+        const monitor = createMonitor(check);
+
+        await clock.tickAsync(30000);
+
+        expect(monitor.getState().state).to.equal(STATES.UNKNOWN);
+        expect(check.called).to.be.false;
+    });
+
+    it('should report connected for a healthy backend', async function() {
+        const monitor = createMonitor(sinon.stub().resolves({ status: 'healthy' }));
+
+        const state = await monitor.checkNow();
+
+        expect(state).to.include({ state: STATES.CONNECTED, latency_ms: 0, error: null });
+        expect(state.since).to.equal(state.checked_at);
+    });
+
+    it('should report degraded for an unhealthy status', async function() {
+        const monitor = createMonitor(sinon.stub().resolves({ status: 'busy' }));
+
+        const state = await monitor.checkNow();
+
+        expect(state).to.include({ state: STATES.DEGRADED, error: 'backend status: busy' });
+    });
+
+    it('should report degraded for a slow response', async function() {
+        const monitor = createMonitor(() => new Promise(resolve => setTimeout(() => resolve({ status: 'ok' }), 1500)));
+
+        const pending = monitor.checkNow();
+        await clock.tickAsync(1500);
+        const state = await pending;
+
+        expect(state).to.include({ state: STATES.DEGRADED, latency_ms: 1500, error: 'slow response: 1500ms' });
+    });
+
+    it('should report disconnected when the check fails', async function() {
+        const monitor = createMonitor(sinon.stub().rejects(new Error('connect ECONNREFUSED')));
+
+        const state = await monitor.checkNow();
+
+        expect(state).to.include({ state: STATES.DISCONNECTED, latency_ms: null, error: 'connect ECONNREFUSED' });
+    });
+
+    it('should notify subscribers on transitions only', async function() {
+        const check = sinon.stub().resolves({ status: 'healthy' });
+        const monitor = createMonitor(check);
+        const listener = sinon.stub();
+
+        monitor.subscribe(listener);
+        await clock.tickAsync(0);
+        await clock.tickAsync(20000);
+        check.rejects(new Error('timeout of 5000ms exceeded'));
+        await clock.tickAsync(10000);
+
+        expect(check.callCount).to.equal(4);
+        expect(listener.callCount).to.equal(2);
+        expect(listener.getCall(0).args[0].state).to.equal(STATES.CONNECTED);
+        expect(listener.getCall(0).args[1]).to.equal(STATES.UNKNOWN);
+        expect(listener.getCall(1).args[0].state).to.equal(STATES.DISCONNECTED);
+        expect(listener.getCall(1).args[1]).to.equal(STATES.CONNECTED);
+    });
+
+    it('should stop polling when the last subscriber leaves', async function() {
+        const check = sinon.stub().resolves({ status: 'healthy' });
+        const monitor = createMonitor(check);
+
+        const unsubscribeA = monitor.subscribe(sinon.stub());
+        const unsubscribeB = monitor.subscribe(sinon.stub());
+        await clock.tickAsync(0);
+        unsubscribeA();
+        await clock.tickAsync(10000);
+        unsubscribeB();
+        await clock.tickAsync(30000);
+
+        expect(check.callCount).to.equal(2);
+    });
+
+    it('should share a running check between concurrent calls', async function() {
+        const check = sinon.stub().resolves({ status: 'healthy' });
+        const monitor = createMonitor(check);
+
+        await Promise.all([monitor.checkNow(), monitor.checkNow()]);
+
+        expect(check.callCount).to.equal(1);
+    });
+});
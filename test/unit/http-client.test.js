@@ -0,0 +1,75 @@
+/**
+ * Unit tests for http-client.js
+ */
+
+const { expect } = require('chai');
+const http = require('http');
+const { createHttpClient } = require('../../nodes/lib/http-client');
+
+describe('http-client', function() {
+    let server;
+    let baseUrl;
+    let connections;
+    let client;
+
+    beforeEach(function(done) {
+        connections = 0;
+        server = http.createServer((req, res) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ status: 'healthy' }));
+        });
+        server.on('connection', () => connections++);
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        if (client) {
+            client.destroy();
+            client = null;
+        }
+        server.close(() => done());
+    });
+
+    it('should reuse one connection for sequential requests', async function() {
+        client = createHttpClient();
+
+        for (let i = 0; i < 3; i++) {
+            const response = await client.axios.get(`${baseUrl}/api/system/health`);
+            expect(response.data.status).to.equal('healthy');
+        }
+
+        expect(connections).to.equal(1);
+        expect(client.getStats()).to.deep.equal({ active: 0, idle: 1 });
+    });
+
+    it('should open at most maxSockets connections', async function() {
+        client = createHttpClient({ maxSockets: 2 });
+
+        await Promise.all([1, 2, 3, 4].map(() => client.axios.get(`${baseUrl}/api/system/health`)));
+
+        expect(connections).to.equal(2);
+    });
+
+    it('should close idle connections on destroy', async function() {
+        client = createHttpClient();
+        await client.axios.get(`${baseUrl}/api/system/health`);
+
+        client.destroy();
+        // Sockets leave the pool on their close event
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(client.getStats()).to.deep.equal({ active: 0, idle: 0 });
+    });
+
+    it('should configure HTTP/2 only when enabled', function() {
+        client = createHttpClient({ http2: true });
+        expect(client.axios.defaults.httpVersion).to.equal(2);
+
+        client.destroy();
+        client = createHttpClient();
+        expect(client.axios.defaults.httpVersion).to.be.undefined;
+    });
+});
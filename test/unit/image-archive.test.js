@@ -0,0 +1,163 @@
+/**
+ * Unit tests for image-archive.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sanitizeSegment, recordPath, applyRetention } = require('../../nodes/lib/image-archive');
+
+describe('image-archive', function() {
+
+    let directory;
+
+    const DAY = 24 * 3600 * 1000;
+    const now = Date.parse('2025-04-01T12:00:00Z');
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-archive-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Write the files of one record with the given age
+    function writeRecord(relative, files, ageDays) {
+        const time = new Date(now - ageDays * DAY);
+        fs.mkdirSync(path.join(directory, path.dirname(relative)), { recursive: true });
+        for (const [suffix, size] of Object.entries(files)) {
+            const file = path.join(directory, relative + suffix);
+            fs.writeFileSync(file, Buffer.alloc(size));
+            fs.utimesSync(file, time, time);
+        }
+    }
+
+    function listRecords(relative = '') {
+        return fs.readdirSync(path.join(directory, relative), { withFileTypes: true })
+            .flatMap(entry => {
+                const file = relative ? `${relative}/${entry.name}` : entry.name;
+                return entry.isDirectory() ? listRecords(file) : [file];
+            })
+            .filter(file => file.endsWith('.json'))
+            .sort();
+    }
+
+    describe('sanitizeSegment', function() {
+        it('should replace path separators and special characters', function() {
+            expect(sanitizeSegment('Housing A/B', 'default')).to.equal('Housing_A_B');
+            expect(sanitizeSegment('../etc', 'default')).to.equal('etc');
+            expect(sanitizeSegment('img_1', 'image')).to.equal('img_1');
+        });
+
+        it('should use the fallback for blank values', function() {
+            expect(sanitizeSegment('', 'default')).to.equal('default');
+            expect(sanitizeSegment(null, 'unjudged')).to.equal('unjudged');
+        });
+    });
+
+    describe('recordPath', function() {
+        it('should lay out records by local date, product and verdict', function() {
+            const timestamp = new Date(2025, 2, 14, 9, 5, 7, 42).toISOString();
+
+            const record = recordPath({ directory: '/archive', timestamp, product: 'housing', verdict: 'NG', imageId: 'img_1' });
+
+            expect(record.directory).to.equal(path.join('/archive', '2025-03-14', 'housing', 'NG'));
+            expect(record.stem).to.equal('090507-042_img_1');
+        });
+
+        it('should fall back to default product and unjudged verdict', function() {
+            const record = recordPath({ directory: '/archive', timestamp: new Date(2025, 0, 2).toISOString(), product: '', verdict: null, imageId: 'img_2' });
+
+            expect(record.directory).to.equal(path.join('/archive', '2025-01-02', 'default', 'unjudged'));
+        });
+    });
+
+    describe('applyRetention', function() {
+        it('should delete records older than the maximum age with their folders', async function() {
+            writeRecord('2025-01-01/default/NG/080000-000_img_old', { '.png': 100, '_annotated.png': 100, '.json': 10 }, 91);
+            writeRecord('2025-03-31/default/NG/080000-000_img_new', { '.png': 100, '.json': 10 }, 1);
+
+            const result = await applyRetention({ directory, maxAgeMs: 90 * DAY, now });
+
+            expect(result).to.deep.equal({ deleted: 1, freedBytes: 210, records: 1, bytes: 110 });
+            expect(listRecords()).to.deep.equal(['2025-03-31/default/NG/080000-000_img_new.json']);
+            expect(fs.existsSync(path.join(directory, '2025-01-01'))).to.be.false;
+        });
+
+        it('should delete the oldest OK and unjudged records first until the archive fits the maximum size', async function() {
+            writeRecord('2025-03-28/default/NG/080000-000_img_0', { '.png': 400, '.json': 100 }, 4);
+            writeRecord('2025-03-29/default/unjudged/080000-000_img_1', { '.png': 400, '.json': 100 }, 3);
+            writeRecord('2025-03-30/default/OK/080000-000_img_2', { '.png': 400, '.json': 100 }, 2);
+            writeRecord('2025-03-31/default/NG/080000-000_img_3', { '.png': 400, '.json': 100 }, 1);
+
+            const result = await applyRetention({ directory, maxBytes: 1200, now });
+
+            expect(result).to.include({ deleted: 2, records: 2, bytes: 1000 });
+            expect(listRecords()).to.deep.equal([
+                '2025-03-28/default/NG/080000-000_img_0.json',
+                '2025-03-31/default/NG/080000-000_img_3.json'
+            ]);
+
+            // Without a maximum age the oldest NG records go last
+            expect(await applyRetention({ directory, maxBytes: 600, now })).to.include({ deleted: 1, bytes: 500 });
+            expect(listRecords()).to.deep.equal(['2025-03-31/default/NG/080000-000_img_3.json']);
+        });
+
+        it('should keep NG records for the maximum age even above the maximum size', async function() {
+            writeRecord('2025-01-01/default/NG/080000-000_img_0', { '.png': 400, '.json': 100 }, 91);
+            writeRecord('2025-03-29/default/NG/080000-000_img_1', { '.png': 400, '.json': 100 }, 3);
+            writeRecord('2025-03-30/default/OK/080000-000_img_2', { '.png': 400, '.json': 100 }, 2);
+            writeRecord('2025-03-31/default/NG/080000-000_img_3', { '.png': 400, '.json': 100 }, 1);
+
+            const result = await applyRetention({ directory, maxAgeMs: 90 * DAY, maxBytes: 500, now });
+
+            expect(result).to.deep.equal({ deleted: 2, freedBytes: 1000, records: 2, bytes: 1000 });
+            expect(listRecords()).to.deep.equal([
+                '2025-03-29/default/NG/080000-000_img_1.json',
+                '2025-03-31/default/NG/080000-000_img_3.json'
+            ]);
+        });
+
+        it('should leave files outside the record layout alone', async function() {
+            writeRecord('2025-01-01/default/NG/080000-000_img_old', { '.png': 100, '.json': 10 }, 91);
+            writeRecord('notes', { '.txt': 1000 }, 365);
+            writeRecord('2025-01-01/default/NG/readme', { '.txt': 10 }, 365);
+            writeRecord('backup/default/NG/080000-000_img_1', { '.png': 100 }, 365);
+
+            const result = await applyRetention({ directory, maxAgeMs: 90 * DAY, maxBytes: 50, now });
+
+            expect(result).to.deep.equal({ deleted: 1, freedBytes: 110, records: 0, bytes: 0 });
+            expect(fs.existsSync(path.join(directory, 'notes.txt'))).to.be.true;
+            expect(fs.existsSync(path.join(directory, '2025-01-01/default/NG/readme.txt'))).to.be.true;
+            expect(fs.existsSync(path.join(directory, 'backup/default/NG/080000-000_img_1.png'))).to.be.true;
+            expect(fs.existsSync(path.join(directory, '2025-01-01/default/NG/080000-000_img_old.png'))).to.be.false;
+        });
+
+        it('should refuse the user directory and its parents', async function() {
+            writeRecord('2025-01-01/default/NG/080000-000_img_old', { '.png': 100, '.json': 10 }, 91);
+            const userDir = path.join(directory, 'node-red');
+
+            for (const target of [directory, userDir]) {
+                try {
+                    await applyRetention({ directory: target, maxAgeMs: DAY, userDir, now });
+                    expect.fail('should have refused');
+                } catch (error) {
+                    expect(error.message).to.equal(`Refusing to clean up ${target}: it contains the Node-RED user directory`);
+                }
+            }
+            expect(listRecords()).to.have.length(1);
+            expect(await applyRetention({ directory: path.join(userDir, 'mv-archive'), maxAgeMs: DAY, userDir, now }))
+                .to.include({ deleted: 0 });
+        });
+
+        it('should keep everything without limits and handle a missing directory', async function() {
+            writeRecord('2025-01-01/default/NG/080000-000_img_1', { '.png': 100, '.json': 10 }, 365);
+
+            expect(await applyRetention({ directory, now })).to.include({ deleted: 0, records: 1 });
+            expect(await applyRetention({ directory: path.join(directory, 'missing'), maxAgeMs: DAY, now }))
+                .to.deep.equal({ deleted: 0, freedBytes: 0, records: 0, bytes: 0 });
+        });
+    });
+});
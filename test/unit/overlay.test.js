@@ -0,0 +1,139 @@
+/**
+ * Unit tests for overlay.js
+ */
+
+const { expect } = require('chai');
+const { collectObjects, readJudgement, objectVerdict, resolveStyle, objectLabel, buildShapes } = require('../../nodes/lib/overlay');
+const CONSTANTS = require('../../nodes/lib/constants');
+
+describe('overlay', function() {
+
+    const ALL = { objectType: '', color: '', bbox: true, contour: true, center: true, angle: true, label: true, axes: true };
+    const contour = {
+        object_id: 'contour_0',
+        object_type: 'edge_contour',
+        confidence: 0.9,
+        bbox: { x: 100, y: 100, width: 80, height: 60 },
+        center: { x: 140, y: 130 },
+        angle: 90,
+        contour: [[100, 100], [180, 100], [180, 160], [100, 160]],
+        metadata: {}
+    };
+    const marker = {
+        object_id: 'aruco_0',
+        object_type: 'aruco_marker',
+        confidence: 1.0,
+        bbox: { x: 20, y: 20, width: 60, height: 60 },
+        center: { x: 50, y: 50 },
+        angle: null,
+        metadata: { marker_id: 0, corners: [[20, 20], [80, 20], [80, 80], [20, 80]] }
+    };
+
+    describe('collectObjects', function() {
+
+        it('should collect single, batch, joined and keyed payloads', function() {
+            expect(collectObjects({ payload: contour })).to.deep.equal([contour]);
+            expect(collectObjects({ payload: [[contour], [marker]] })).to.deep.equal([contour, marker]);
+            expect(collectObjects({ payload: { edges: contour, markers: [marker] } })).to.deep.equal([contour, marker]);
+            expect(collectObjects({ payload: null, thumbnail: 'x' })).to.deep.equal([]);
+        });
+
+        it('should take the objects of an inspect-judge result', function() {
+            expect(collectObjects({ payload: { verdict: 'OK', rules: [] }, objects: [marker] })).to.deep.equal([marker]);
+        });
+    });
+
+    describe('objectVerdict / resolveStyle / objectLabel', function() {
+
+        const judged = (checked, failed) => readJudgement({
+            payload: { verdict: 'NG', rules: [{ checked_objects: checked, failed_objects: failed }] },
+            objects: [contour, marker],
+            object_topics: ['edges', 'markers']
+        });
+
+        it('should judge by rule objects, then by verification and color match', function() {
+            const judgement = judged([{ topic: 'edges', object_id: 'contour_0' }, { topic: 'markers', object_id: 'aruco_0' }], [{ topic: 'edges', object_id: 'contour_0' }]);
+
+            expect(objectVerdict(contour, judgement)).to.be.false;
+            expect(objectVerdict(marker, judgement)).to.be.true;
+            expect(objectVerdict({ metadata: { verified: false } }, null)).to.be.false;
+            expect(objectVerdict({ metadata: { match: true } }, null)).to.be.true;
+            expect(objectVerdict(contour, null)).to.be.null;
+            expect(readJudgement({ payload: contour })).to.be.null;
+        });
+
+        it('should match judged objects by source topic and object_id', function() {
+            const judgement = judged([{ topic: 'markers', object_id: 'contour_0' }], [{ topic: 'other', object_id: 'aruco_0' }]);
+
+            expect(objectVerdict(contour, judgement)).to.be.null;
+            expect(objectVerdict(marker, judgement)).to.be.null;
+        });
+
+        it('should prefer the style of the exact type', function() {
+            const own = Object.assign({}, ALL, { objectType: 'aruco_marker' });
+
+            expect(resolveStyle([ALL, own], 'aruco_marker')).to.equal(own);
+            expect(resolveStyle([ALL, own], 'blob')).to.equal(ALL);
+            expect(resolveStyle([own], 'blob')).to.be.null;
+        });
+
+        it('should label with decoded text, marker ID or type', function() {
+            expect(objectLabel({ object_type: 'text', confidence: 0.876, metadata: { text: 'LOT 42' } }, true)).to.equal('LOT 42 88%');
+            expect(objectLabel(marker, false)).to.equal('ID 0');
+            expect(objectLabel(contour, false)).to.equal('edge_contour');
+        });
+    });
+
+    describe('buildShapes', function() {
+
+        it('should draw bbox, contour, center, angle and label in the type color', function() {
+            const shapes = buildShapes([contour], { styles: [ALL] });
+            const color = CONSTANTS.OVERLAY.TYPE_COLORS.edge_contour;
+
+            expect(shapes.map(s => s.shape)).to.deep.equal(['rect', 'polyline', 'marker', 'arrow', 'text']);
+            expect(shapes[0]).to.deep.equal({ shape: 'rect', x: 100, y: 100, width: 80, height: 60, color: color, thickness: 2 });
+            expect(shapes[3].to.x).to.be.closeTo(140, 1e-9);
+            expect(shapes[3].to.y).to.be.closeTo(170, 1e-9);
+            expect(shapes[4]).to.include({ text: 'edge_contour 90%', x: 100, y: 96, size: 14 });
+        });
+
+        it('should draw lines, circles and ArUco axes', function() {
+            const line = { object_id: 'line_0', object_type: 'line', center: { x: 50, y: 10 }, bbox: { x: 0, y: 10, width: 100, height: 0 }, metadata: { start: { x: 0, y: 10 }, end: { x: 100, y: 10 } } };
+            const circle = { object_id: 'circle_0', object_type: 'circle', center: { x: 20, y: 20 }, metadata: { radius: 5 } };
+            const outlines = Object.assign({}, ALL, { bbox: false, center: false, label: false });
+
+            const shapes = buildShapes([line, circle, marker], { styles: [outlines] });
+
+            expect(shapes[0]).to.include({ shape: 'line', from: line.metadata.start, to: line.metadata.end });
+            expect(shapes[1]).to.include({ shape: 'circle', radius: 5 });
+            expect(shapes.slice(2).map(s => [s.to, s.color])).to.deep.equal([
+                [{ x: 110, y: 50 }, CONSTANTS.OVERLAY.AXIS_X_COLOR],
+                [{ x: 50, y: 110 }, CONSTANTS.OVERLAY.AXIS_Y_COLOR]
+            ]);
+        });
+
+        it('should color by pass/fail and draw the verdict', function() {
+            const custom = Object.assign({}, ALL, { color: '#123456', contour: false, center: false, angle: false, label: false, axes: false });
+            const unchecked = Object.assign({}, contour, { object_id: 'contour_1' });
+            const judgement = readJudgement({
+                payload: { verdict: 'NG', rules: [{
+                    checked_objects: [{ topic: 'edges', object_id: 'contour_0' }, { topic: 'markers', object_id: 'aruco_0' }],
+                    failed_objects: [{ topic: 'markers', object_id: 'aruco_0' }]
+                }] },
+                objects: [contour, marker, unchecked],
+                object_topics: ['edges', 'markers', 'edges']
+            });
+            const options = { styles: [custom], judgement: judgement, verdict: 'NG' };
+
+            const shapes = buildShapes([contour, marker, unchecked], options);
+
+            expect(shapes[0].color).to.equal(CONSTANTS.OVERLAY.PASS_COLOR);
+            expect(shapes[1].color).to.equal(CONSTANTS.OVERLAY.FAIL_COLOR);
+            expect(shapes[2].color).to.equal(CONSTANTS.OVERLAY.NEUTRAL_COLOR);
+            expect(shapes[3]).to.include({ shape: 'text', text: 'NG', color: CONSTANTS.OVERLAY.FAIL_COLOR, size: 28 });
+
+            const plain = buildShapes([contour], Object.assign({}, options, { passFail: false, verdict: null }));
+            expect(plain.map(s => s.color)).to.deep.equal(['#123456']);
+        });
+    });
+});
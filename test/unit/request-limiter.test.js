@@ -0,0 +1,114 @@
+/**
+ * Unit tests for request-limiter.js
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { createRequestLimiter } = require('../../nodes/lib/request-limiter');
+
+describe('request-limiter', function() {
+
+    // Task that finishes when release() of the returned handle is called
+    function deferredTask(value) {
+        let release;
+        const finished = new Promise(resolve => { release = resolve; });
+        return { task: () => finished.then(() => value), release: () => release() };
+    }
+
+    it('should reject an unknown policy', function() {
+        expect(() => createRequestLimiter({ maxConcurrent: 1, maxQueue: 1, policy: 'fifo' })).to.throw('Invalid queue policy: fifo');
+    });
+
+    it('should run at most maxConcurrent tasks at a time', async function() {
+        const limiter = createRequestLimiter({ maxConcurrent: 2, maxQueue: 10 });
+        const tasks = [1, 2, 3].map(deferredTask);
+        const onQueued = sinon.stub();
+        const onStart = sinon.stub();
+
+        const results = tasks.map((t, i) => limiter.run(t.task, i === 2 ? { onQueued, onStart } : {}));
+        await Promise.resolve();
+
+        expect(limiter.getState()).to.include({ active: 2, queued: 1 });
+        expect(onQueued.calledWith(1)).to.be.true;
+
+        tasks[0].release();
+        expect(await results[0]).to.equal(1);
+        await new Promise(setImmediate);
+
+        expect(onStart.calledOnce).to.be.true;
+        expect(limiter.getState()).to.include({ active: 2, queued: 0 });
+
+        tasks[1].release();
+        tasks[2].release();
+        expect(await Promise.all(results)).to.deep.equal([1, 2, 3]);
+        await new Promise(setImmediate);
+        expect(limiter.getState()).to.include({ active: 0, queued: 0 });
+    });
+
+    it('should drop the oldest waiting request when the queue is full', async function() {
+        const limiter = createRequestLimiter({ maxConcurrent: 1, maxQueue: 1, policy: 'drop-oldest' });
+        const running = deferredTask('a');
+
+        limiter.run(running.task);
+        const oldest = limiter.run(() => 'b');
+        const newest = limiter.run(() => 'c');
+        running.release();
+
+        try {
+            await oldest;
+            expect.fail('should have been dropped');
+        } catch (error) {
+            expect(error.code).to.equal('REQUEST_DROPPED');
+        }
+        expect(await newest).to.equal('c');
+        expect(limiter.getState().dropped).to.equal(1);
+    });
+
+    it('should drop the new request when the queue is full', async function() {
+        const limiter = createRequestLimiter({ maxConcurrent: 1, maxQueue: 1, policy: 'drop-newest' });
+        const running = deferredTask('a');
+
+        limiter.run(running.task);
+        const oldest = limiter.run(() => 'b');
+        const newest = limiter.run(() => 'c');
+        running.release();
+
+        expect(await oldest).to.equal('b');
+        try {
+            await newest;
+            expect.fail('should have been dropped');
+        } catch (error) {
+            expect(error.message).to.equal('Request dropped: backend queue full (1 waiting)');
+        }
+    });
+
+    it('should refuse new requests when the queue is full and blocking', async function() {
+        const limiter = createRequestLimiter({ maxConcurrent: 1, maxQueue: 1, policy: 'block' });
+        const running = deferredTask('a');
+
+        limiter.run(running.task);
+        const waiting = limiter.run(() => 'b');
+        const refused = limiter.run(() => 'c').catch(error => error);
+        expect(limiter.getState()).to.include({ queued: 1, dropped: 1 });
+        running.release();
+
+        expect(await waiting).to.equal('b');
+        const error = await refused;
+        expect(error.code).to.equal('QUEUE_FULL');
+        expect(error.message).to.equal('Request refused: backend overloaded, queue full (1 waiting)');
+    });
+
+    it('should free the slot when a task fails', async function() {
+        const limiter = createRequestLimiter({ maxConcurrent: 1, maxQueue: 1 });
+
+        const failed = limiter.run(() => Promise.reject(new Error('ECONNRESET')));
+        const next = limiter.run(() => 'ok');
+
+        try {
+            await failed;
+        } catch (error) {
+            expect(error.message).to.equal('ECONNRESET');
+        }
+        expect(await next).to.equal('ok');
+    });
+});
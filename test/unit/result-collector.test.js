@@ -0,0 +1,96 @@
+/**
+ * Unit tests for result-collector.js
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { createResultCollector } = require('../../nodes/lib/result-collector');
+
+describe('result-collector', function() {
+
+    let clock;
+
+    beforeEach(function() {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function() {
+        clock.restore();
+        sinon.restore();
+    });
+
+    it('should group messages by key and complete on timeout', function() {
+        const onComplete = sinon.stub();
+        const collector = createResultCollector({ timeout: 500, onComplete });
+
+        collector.add('img_1', { n: 1 });
+        collector.add('img_1', { n: 2 });
+        collector.add('img_2', { n: 3 });
+
+        expect(collector.size()).to.equal(2);
+        expect(onComplete.called).to.be.false;
+
+        clock.tick(500);
+
+        expect(onComplete.calledTwice).to.be.true;
+        expect(onComplete.getCall(0).args).to.deep.equal(['img_1', [{ n: 1 }, { n: 2 }], 'timeout']);
+        expect(onComplete.getCall(1).args).to.deep.equal(['img_2', [{ n: 3 }], 'timeout']);
+        expect(collector.size()).to.equal(0);
+    });
+
+    it('should complete a key immediately and cancel its timer', function() {
+        const onComplete = sinon.stub();
+        const collector = createResultCollector({ timeout: 500, onComplete });
+
+        collector.add('img_1', { n: 1 });
+        collector.complete('img_1');
+        clock.tick(1000);
+
+        expect(onComplete.calledOnce).to.be.true;
+        expect(onComplete.getCall(0).args[2]).to.equal('complete');
+    });
+
+    it('should ignore complete for unknown key', function() {
+        const onComplete = sinon.stub();
+        const collector = createResultCollector({ timeout: 500, onComplete });
+
+        collector.complete('missing');
+
+        expect(onComplete.called).to.be.false;
+    });
+
+    it('should complete the oldest key when maxPending is exceeded', function() {
+        const onComplete = sinon.stub();
+        const collector = createResultCollector({ timeout: 500, maxPending: 2, onComplete });
+
+        collector.add('img_1', {});
+        collector.add('img_2', {});
+        collector.add('img_3', {});
+
+        expect(onComplete.calledOnce).to.be.true;
+        expect(onComplete.getCall(0).args[0]).to.equal('img_1');
+        expect(onComplete.getCall(0).args[2]).to.equal('overflow');
+        expect(collector.size()).to.equal(2);
+    });
+
+    it('should expose pending messages', function() {
+        const collector = createResultCollector({ timeout: 500, onComplete: sinon.stub() });
+
+        collector.add('img_1', { n: 1 });
+
+        expect(collector.pending('img_1')).to.deep.equal([{ n: 1 }]);
+        expect(collector.pending('img_2')).to.deep.equal([]);
+    });
+
+    it('should drop everything on clear without completing', function() {
+        const onComplete = sinon.stub();
+        const collector = createResultCollector({ timeout: 500, onComplete });
+
+        collector.add('img_1', {});
+        collector.clear();
+        clock.tick(1000);
+
+        expect(onComplete.called).to.be.false;
+        expect(collector.size()).to.equal(0);
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for results-log.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { COLUMNS, toRows, aggregate, createCsvParser, parseCsv, openResultsStore } = require('../../nodes/lib/results-log');
+
+describe('results-log', function() {
+
+    const image = { id: 'img_1', timestamp: '2025-03-14T09:00:00.000Z' };
+    const blob = {
+        object_id: 'blob_0', object_type: 'blob', confidence: 0.9,
+        bbox: { x: 10, y: 20, width: 30, height: 40 }, center: { x: 25, y: 40 },
+        real: { center: { x: 5.5, y: 8 } }, metadata: {}
+    };
+    const circle = {
+        object_id: 'circle_0', object_type: 'circle', confidence: 0.7,
+        bbox: { x: 50, y: 50, width: 20, height: 20 }, center: { x: 60, y: 60 }, real: null, metadata: { radius: 10 }
+    };
+
+    // Rows of one inspection: two objects, a not-found and a verdict
+    function inspection(imageId, timestamp, verdict) {
+        const img = { id: imageId, timestamp: timestamp };
+        return [
+            ...toRows({ image: img, topic: 'holes', payload: [blob, circle], processing_time_ms: 40 }),
+            ...toRows({ image: img, topic: 'label', payload: null, found: false, processing_time_ms: 60 }),
+            ...toRows({ image: img, topic: 'judge', payload: { verdict: verdict, rules: [] } })
+        ];
+    }
+
+    describe('toRows', function() {
+        it('should give one row per VisionObject with bbox and real center', function() {
+            const rows = toRows({ image: image, topic: 'holes', payload: [blob, circle], reference: { units: 'mm' }, processing_time_ms: 40 });
+
+            expect(rows).to.have.length(2);
+            expect(Object.keys(rows[0])).to.deep.equal(COLUMNS);
+            expect(rows[0]).to.deep.equal({
+                timestamp: '2025-03-14T09:00:00.000Z', image_id: 'img_1', topic: 'holes', verdict: null,
+                object_type: 'blob', object_id: 'blob_0', confidence: 0.9,
+                bbox_x: 10, bbox_y: 20, bbox_width: 30, bbox_height: 40,
+                real_x: 5.5, real_y: 8, real_unit: 'mm', processing_time_ms: 40
+            });
+            expect(rows[1]).to.include({ object_type: 'circle', real_x: null, real_unit: null });
+        });
+
+        it('should give one row for verdicts and not-found messages', function() {
+            const judged = toRows({ image: image, payload: { verdict: 'NG', rules: [] }, objects: [blob, circle] });
+            const notFound = toRows({ image: image, topic: 'label', payload: null, found: false });
+
+            expect(judged).to.have.length(1);
+            expect(judged[0]).to.include({ verdict: 'NG', object_type: null });
+            expect(notFound).to.have.length(1);
+            expect(notFound[0]).to.include({ topic: 'label', verdict: null, object_type: null });
+        });
+
+        it('should reject invalid image timestamps', function() {
+            expect(() => toRows({ image: { id: 'img_1', timestamp: 'yesterday' }, payload: blob }))
+                .to.throw('Invalid image timestamp: yesterday');
+            expect(toRows({ image: { id: 'img_1' }, payload: blob })[0].timestamp).to.match(/^\d{4}-\d{2}-\d{2}T/);
+        });
+    });
+
+    describe('aggregate', function() {
+        const rows = [
+            ...inspection('img_1', '2025-03-14T09:00:00.000Z', 'OK'),
+            ...inspection('img_2', '2025-03-14T09:30:00.000Z', 'NG'),
+            ...inspection('img_3', '2025-03-14T10:10:00.000Z', 'OK')
+        ];
+
+        it('should count objects, not-found events and verdicts per topic', function() {
+            const groups = aggregate(rows, 'topic');
+
+            expect(groups.map(group => group.key)).to.deep.equal(['holes', 'judge', 'label']);
+            expect(groups[0]).to.deep.include({ rows: 6, images: 3, objects: 6, not_found: 0, ok: 0, ng: 0, yield: null });
+            expect(groups[0].confidence).to.deep.equal({ avg: 0.8, min: 0.7, max: 0.9 });
+            expect(groups[0].processing_time_ms).to.deep.equal({ avg: 40, min: 40, max: 40 });
+            expect(groups[1]).to.deep.include({ ok: 2, ng: 1, yield: 0.6667 });
+            expect(groups[2]).to.deep.include({ not_found: 3, objects: 0 });
+        });
+
+        it('should group by object type and by local hour', function() {
+            expect(aggregate(rows, 'object_type').map(group => [group.key, group.rows])).to.deep.equal([
+                ['blob', 3], ['circle', 3], ['not_found', 3], ['verdict', 3]
+            ]);
+
+            const hours = aggregate(rows, 'hour');
+            const hourOf = timestamp => `${String(new Date(timestamp).getHours()).padStart(2, '0')}:00`;
+            expect(hours).to.have.length(2);
+            expect(hours[0].key.endsWith(hourOf('2025-03-14T09:00:00.000Z'))).to.be.true;
+            expect(hours[0]).to.include({ images: 2, ok: 1, ng: 1 });
+        });
+    });
+
+    describe('parseCsv', function() {
+        it('should handle quoted fields with commas, quotes and newlines', function() {
+            expect(parseCsv('a,b\n"x, y","say ""hi""\nthere"\r\n1,\n')).to.deep.equal([
+                ['a', 'b'],
+                ['x, y', 'say "hi"\nthere'],
+                ['1', '']
+            ]);
+        });
+
+        it('should parse text written in chunks of any size', function() {
+            const text = 'a,b\n"x, y","say ""hi""\nthere"\r\n1,\n';
+            for (const size of [1, 2, 5]) {
+                const records = [];
+                const parser = createCsvParser(record => records.push(record));
+                for (let i = 0; i < text.length; i += size) {
+                    parser.write(text.slice(i, i + size));
+                }
+                parser.end();
+                expect(records).to.deep.equal(parseCsv(text));
+            }
+        });
+    });
+
+    describe('stores', function() {
+        let directory;
+
+        beforeEach(function() {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-results-'));
+        });
+
+        afterEach(function() {
+            fs.rmSync(directory, { recursive: true, force: true });
+        });
+
+        async function roundTrip(store) {
+            await store.append(inspection('img_1', '2025-03-13T12:00:00.000Z', 'OK'));
+            await store.append(inspection('img_2', '2025-03-14T12:00:00.000Z', 'NG'));
+
+            const { rows: all } = await store.query({});
+            const { rows: day } = await store.query({ from: '2025-03-14T00:00:00.000Z', to: '2025-03-15T00:00:00.000Z', topics: ['holes', 'judge'] });
+            const last = await store.query({ topics: ['holes'], limit: 3 });
+
+            // The store aggregates like aggregate() on all its rows
+            for (const groupBy of ['topic', 'object_type', 'hour', 'day']) {
+                expect(await store.aggregate({ groupBy: groupBy })).to.deep.equal(aggregate(all, groupBy));
+            }
+            expect(await store.aggregate({ from: '2025-03-14T00:00:00.000Z', topics: ['judge'], groupBy: 'topic' }))
+                .to.deep.equal([aggregate(day, 'topic')[1]]);
+
+            const pruned = await store.prune(Date.parse('2025-03-14T12:00:00.000Z'));
+            const { rows: left } = await store.query({});
+            await store.close();
+            return { all, day, last, pruned, left };
+        }
+
+        it('should store rows in daily CSV files and query them by time and topic', async function() {
+            const location = path.join(directory, 'csv');
+            const { all, day, last, pruned, left } = await roundTrip(openResultsStore('csv', location));
+
+            expect(all).to.have.length(8);
+            expect(all[0]).to.deep.equal(toRows({ image: { id: 'img_1', timestamp: '2025-03-13T12:00:00.000Z' }, topic: 'holes', payload: [blob], processing_time_ms: 40 })[0]);
+            expect(day.map(row => [row.image_id, row.topic])).to.deep.equal([
+                ['img_2', 'holes'], ['img_2', 'holes'], ['img_2', 'judge']
+            ]);
+            expect(last.total).to.equal(4);
+            expect(last.rows.map(row => [row.image_id, row.object_type])).to.deep.equal([
+                ['img_1', 'circle'], ['img_2', 'blob'], ['img_2', 'circle']
+            ]);
+            expect(fs.readdirSync(location).sort()).to.have.length(1);
+            expect(pruned).to.equal(1);
+            expect(left).to.have.length(4);
+        });
+
+        it('should store rows in SQLite and query them by time and topic', async function() {
+            try {
+                require('better-sqlite3');
+            } catch (error) {
+                this.skip();  // Optional dependency not installed
+            }
+            const { all, day, last, pruned, left } = await roundTrip(openResultsStore('sqlite', path.join(directory, 'results.db')));
+
+            expect(all).to.have.length(8);
+            expect(all[0]).to.deep.include({ image_id: 'img_1', object_type: 'blob', confidence: 0.9, bbox_width: 30, real_x: 5.5 });
+            expect(day).to.have.length(3);
+            expect(last.total).to.equal(4);
+            expect(last.rows.map(row => [row.image_id, row.object_type])).to.deep.equal([
+                ['img_1', 'circle'], ['img_2', 'blob'], ['img_2', 'circle']
+            ]);
+            expect(pruned).to.equal(4);
+            expect(left).to.have.length(4);
+        });
+
+        it('should share one store per location', async function() {
+            const location = path.join(directory, 'csv');
+            const writer = openResultsStore('csv', location);
+            const reader = openResultsStore('csv', location);
+
+            await Promise.all([
+                writer.append(inspection('img_1', '2025-03-14T12:00:00.000Z', 'OK')),
+                reader.append(inspection('img_2', '2025-03-14T12:00:01.000Z', 'OK'))
+            ]);
+            await writer.close();
+
+            const { rows } = await reader.query({});
+            expect(rows).to.have.length(8);
+            expect(fs.readFileSync(path.join(location, fs.readdirSync(location)[0]), 'utf8').split('\n')[1]).to.match(/^2025-03-14T12:00:00/);
+            await reader.close();
+        });
+
+        it('should read CSV rows after the appends queued before', async function() {
+            const store = openResultsStore('csv', path.join(directory, 'csv'));
+
+            const appended = store.append(inspection('img_1', '2025-03-14T12:00:00.000Z', 'OK'));
+            const { rows } = await store.query({});
+            await appended;
+
+            expect(rows).to.have.length(4);
+            await store.close();
+        });
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Unit tests for traffic-recorder.js
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTrafficRecorder, requestKey } = require('../../nodes/lib/traffic-recorder');
+
+describe('traffic-recorder', function() {
+
+    let directory;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mv-traffic-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    async function recordExchanges(exchanges) {
+        const recorder = createTrafficRecorder({ mode: 'record', directory });
+        for (const [method, endpoint, request, response] of exchanges) {
+            recorder.record(method, endpoint, request, response);
+        }
+        await recorder.flush();
+        return recorder;
+    }
+
+    describe('requestKey', function() {
+        it('should ignore key order', function() {
+            const a = requestKey('POST', '/api/vision/edge-detect', { image_id: 'img_1', params: { a: 1, b: 2 } });
+            const b = requestKey('POST', '/api/vision/edge-detect', { params: { b: 2, a: 1 }, image_id: 'img_1' });
+
+            expect(a).to.equal(b);
+        });
+
+        it('should match image requests by image_id and params only', function() {
+            const a = requestKey('POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: { x: 0 } });
+            const b = requestKey('POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: null });
+
+            expect(a).to.equal(b);
+        });
+    });
+
+    it('should reject an unknown mode', function() {
+        expect(() => createTrafficRecorder({ mode: 'live', directory })).to.throw('Invalid traffic mode: live');
+    });
+
+    it('should write one numbered file per exchange', async function() {
+        const recorder = await recordExchanges([
+            ['POST', '/api/camera/capture', { camera_id: 'test' }, { status: 200, data: { objects: [], thumbnail: 'data:x' } }],
+            ['POST', '/api/vision/edge-detect', { image_id: 'img_1', params: {} }, { status: 200, data: { objects: [] } }]
+        ]);
+
+        expect(recorder.size()).to.equal(2);
+        expect(fs.readdirSync(directory)).to.deep.equal(['000001-camera-capture.json', '000002-vision-edge-detect.json']);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(directory, '000001-camera-capture.json'), 'utf8'));
+        expect(saved).to.include({ method: 'POST', endpoint: '/api/camera/capture' });
+        expect(saved.request).to.deep.equal({ camera_id: 'test' });
+        expect(saved.response).to.deep.equal({ status: 200, data: { objects: [], thumbnail: 'data:x' } });
+    });
+
+    it('should continue numbering in an existing directory', async function() {
+        await recordExchanges([['GET', '/api/system/health', null, { status: 200, data: {} }]]);
+        await recordExchanges([['GET', '/api/system/health', null, { status: 200, data: {} }]]);
+
+        expect(fs.readdirSync(directory)).to.deep.equal(['000001-system-health.json', '000002-system-health.json']);
+    });
+
+    it('should replay responses by image_id and params', async function() {
+        await recordExchanges([
+            ['POST', '/api/vision/edge-detect', { image_id: 'img_1', params: { method: 'canny' } }, { status: 200, data: { objects: ['a'] } }],
+            ['POST', '/api/vision/edge-detect', { image_id: 'img_2', params: { method: 'canny' } }, { status: 200, data: { objects: ['b'] } }]
+        ]);
+        const recorder = createTrafficRecorder({ mode: 'replay', directory });
+
+        expect(recorder.size()).to.equal(2);
+        expect(recorder.replay('POST', '/api/vision/edge-detect', { image_id: 'img_2', params: { method: 'canny' } }))
+            .to.deep.equal({ objects: ['b'] });
+    });
+
+    it('should serve repeated requests in recorded order and then repeat the last', async function() {
+        await recordExchanges([
+            ['POST', '/api/camera/capture', { camera_id: 'test' }, { status: 200, data: { image: { id: 'img_1' } } }],
+            ['POST', '/api/camera/capture', { camera_id: 'test' }, { status: 200, data: { image: { id: 'img_2' } } }]
+        ]);
+        const recorder = createTrafficRecorder({ mode: 'replay', directory });
+
+        const ids = [1, 2, 3].map(() => recorder.replay('POST', '/api/camera/capture', { camera_id: 'test' }).image.id);
+
+        expect(ids).to.deep.equal(['img_1', 'img_2', 'img_2']);
+    });
+
+    it('should prefer the recording with an identical body', async function() {
+        const roiA = { x: 0, y: 0, width: 10, height: 10 };
+        const roiB = { x: 50, y: 50, width: 10, height: 10 };
+        await recordExchanges([
+            ['POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: roiA }, { status: 200, data: { roi: 'A' } }],
+            ['POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: roiB }, { status: 200, data: { roi: 'B' } }]
+        ]);
+        const recorder = createTrafficRecorder({ mode: 'replay', directory });
+
+        expect(recorder.replay('POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: roiB })).to.deep.equal({ roi: 'B' });
+        expect(recorder.replay('POST', '/api/vision/color-detect', { image_id: 'img_1', params: {}, roi: roiA })).to.deep.equal({ roi: 'A' });
+    });
+
+    it('should replay recorded error responses', async function() {
+        const detail = { error: 'Image not found', details: 'Image with ID img_9 not found' };
+        await recordExchanges([
+            ['POST', '/api/vision/edge-detect', { image_id: 'img_9', params: {} }, { status: 404, data: { detail } }]
+        ]);
+        const recorder = createTrafficRecorder({ mode: 'replay', directory });
+
+        try {
+            recorder.replay('POST', '/api/vision/edge-detect', { image_id: 'img_9', params: {} });
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.response.status).to.equal(404);
+            expect(error.response.data.detail).to.deep.equal(detail);
+        }
+    });
+
+    it('should fail with a 404 detail when nothing was recorded for a request', async function() {
+        await recordExchanges([['GET', '/api/system/health', null, { status: 200, data: {} }]]);
+        const recorder = createTrafficRecorder({ mode: 'replay', directory });
+
+        try {
+            recorder.replay('POST', '/api/vision/edge-detect', { image_id: 'img_1', params: { method: 'sobel' } });
+            expect.fail('should have thrown');
+        } catch (error) {
+            expect(error.response.status).to.equal(404);
+            expect(error.response.data.detail.details).to.equal('No recording for POST /api/vision/edge-detect (image img_1)');
+        }
+    });
+
+    it('should refuse to replay an empty directory', function() {
+        expect(() => createTrafficRecorder({ mode: 'replay', directory })).to.throw('No recordings found');
+    });
+});
@@ -456,6 +456,394 @@ describe('vision-utils', function() {
         });
     });
 
+    describe('buildPreprocessParams', function() {
+
+        it('should disable all operations by default', function() {
+            const params = visionUtils.buildPreprocessParams({});
+
+            const enabled = Object.keys(params).filter(key => key.endsWith('_enabled') && params[key]);
+            expect(enabled).to.be.empty;
+            expect(params.gaussian_kernel).to.equal(CONSTANTS.PREPROCESS.GAUSSIAN_KERNEL);
+            expect(params.contrast).to.equal(CONSTANTS.PREPROCESS.CONTRAST);
+        });
+
+        it('should parse editor strings', function() {
+            const params = visionUtils.buildPreprocessParams({ thresholdEnabled: true, thresholdValue: '90', claheClipLimit: '3.5' });
+
+            expect(params).to.include({ threshold_enabled: true, threshold_value: 90, clahe_clip_limit: 3.5 });
+        });
+    });
+
+    describe('buildColorDetectParams / buildRotationDetectParams', function() {
+
+        it('should apply the node defaults', function() {
+            expect(visionUtils.buildColorDetectParams({})).to.deep.equal({
+                use_contour_mask: true,
+                expected_color: null,
+                min_percentage: CONSTANTS.COLOR_DETECT.DEFAULT_MIN_PERCENTAGE,
+                method: CONSTANTS.COLOR_DETECT.DEFAULT_METHOD
+            });
+            expect(visionUtils.buildRotationDetectParams({})).to.deep.equal({
+                method: CONSTANTS.ROTATION_DETECT.DEFAULT_METHOD,
+                angle_range: CONSTANTS.ROTATION_DETECT.DEFAULT_ANGLE_RANGE,
+                asymmetry_orientation: 'disabled'
+            });
+        });
+
+        it('should keep configured values', function() {
+            expect(visionUtils.buildColorDetectParams({ expectedColor: 'blue', minPercentage: '20', useContourMask: false }))
+                .to.include({ expected_color: 'blue', min_percentage: 20, use_contour_mask: false });
+            expect(visionUtils.buildRotationDetectParams({ method: 'pca', angleRange: '0_180' }))
+                .to.include({ method: 'pca', angle_range: '0_180' });
+        });
+    });
+
+    describe('buildBlobAnalysisParams', function() {
+
+        it('should apply defaults and send no filters without bounds', function() {
+            expect(visionUtils.buildBlobAnalysisParams({ minArea: '', maxArea: '' })).to.deep.equal({
+                threshold_method: 'otsu',
+                threshold_value: CONSTANTS.BLOB_ANALYSIS.THRESHOLD_VALUE,
+                polarity: 'dark',
+                filters: {},
+                max_blobs: CONSTANTS.BLOB_ANALYSIS.MAX_BLOBS
+            });
+        });
+
+        it('should build one range per feature with a bound, keeping zero', function() {
+            const params = visionUtils.buildBlobAnalysisParams({
+                thresholdMethod: 'fixed', thresholdValue: '0', minArea: '500', maxEccentricity: '0.9', minHoles: '0', maxHoles: '0'
+            });
+
+            expect(params.threshold_value).to.equal(0);
+            expect(params.filters).to.deep.equal({
+                area: { min: 500, max: null },
+                eccentricity: { min: null, max: 0.9 },
+                holes: { min: 0, max: 0 }
+            });
+        });
+    });
+
+    describe('buildShapeDetectParams', function() {
+
+        it('should build circle parameters by default', function() {
+            const params = visionUtils.buildShapeDetectParams({ minRadius: '8', maxRadius: '30' });
+
+            expect(params).to.include({ shape: 'circles', min_radius: 8, max_radius: 30, min_distance: CONSTANTS.SHAPE_DETECT.MIN_DISTANCE });
+            expect(params).to.not.have.property('min_length');
+        });
+
+        it('should build line parameters with the rotation detection Hough defaults', function() {
+            const params = visionUtils.buildShapeDetectParams({ shape: 'lines', maxLength: '' });
+
+            expect(params).to.deep.equal({
+                shape: 'lines',
+                threshold: CONSTANTS.ROTATION_DETECT.THRESHOLD,
+                min_length: CONSTANTS.ROTATION_DETECT.MIN_LINE_LENGTH,
+                max_length: null,
+                max_line_gap: CONSTANTS.ROTATION_DETECT.MAX_LINE_GAP,
+                max_shapes: CONSTANTS.SHAPE_DETECT.MAX_SHAPES
+            });
+        });
+    });
+
+    describe('buildCaliperParams / buildCaliperRegion', function() {
+
+        it('should apply caliper defaults', function() {
+            expect(visionUtils.buildCaliperParams({ smoothing: '0', expectedWidth: '' })).to.deep.equal({
+                mode: 'pair',
+                polarity: 'any',
+                min_contrast: CONSTANTS.CALIPER.MIN_CONTRAST,
+                smoothing: 0,
+                expected_width: null,
+                max_results: CONSTANTS.CALIPER.MAX_RESULTS
+            });
+        });
+
+        it('should turn a line into a rotated rectangle', function() {
+            const region = visionUtils.buildCaliperRegion({ x1: '100', y1: '50', x2: '100', y2: '150', width: '6' }, null);
+
+            expect(region).to.deep.equal({ center: { x: 100, y: 100 }, length: 100, width: 6, angle: 90 });
+        });
+
+        it('should place relative regions in the frame of the input object', function() {
+            const config = { regionType: 'rect', regionMode: 'relative', centerX: '10', centerY: '0', length: '40', angle: '0' };
+            const region = visionUtils.buildCaliperRegion(config, { center: { x: 200, y: 100 }, angle: 90 });
+
+            expect(region.center.x).to.be.closeTo(200, 1e-9);
+            expect(region.center.y).to.be.closeTo(110, 1e-9);
+            expect(region).to.include({ length: 40, width: CONSTANTS.CALIPER.REGION_WIDTH, angle: 90 });
+        });
+
+        it('should use bbox centers and ignore the input object in absolute mode', function() {
+            const config = { regionType: 'rect', regionMode: 'relative', centerX: '0', centerY: '0', length: '40' };
+            expect(visionUtils.buildCaliperRegion(config, { bbox: { x: 0, y: 0, width: 50, height: 20 } }).center)
+                .to.deep.equal({ x: 25, y: 10 });
+
+            const absolute = Object.assign({}, config, { regionMode: 'absolute' });
+            expect(visionUtils.buildCaliperRegion(absolute, { center: { x: 200, y: 100 }, angle: 90 }))
+                .to.include({ angle: 0 });
+        });
+    });
+
+    describe('buildDefectDiffParams', function() {
+
+        it('should apply defect detection defaults', function() {
+            expect(visionUtils.buildDefectDiffParams({ alignment: 'rigid', blur: '0', minArea: '' })).to.deep.equal({
+                alignment: 'template',
+                threshold: CONSTANTS.DEFECT_DIFF.THRESHOLD,
+                blur: 0,
+                min_area: CONSTANTS.DEFECT_DIFF.MIN_AREA,
+                max_defects: CONSTANTS.DEFECT_DIFF.MAX_DEFECTS
+            });
+        });
+
+        it('should parse configured values', function() {
+            expect(visionUtils.buildDefectDiffParams({ alignment: 'aruco', threshold: '45', blur: '5', minArea: '0', maxDefects: '3' }))
+                .to.deep.equal({ alignment: 'aruco', threshold: 45, blur: 5, min_area: 0, max_defects: 3 });
+        });
+    });
+
+    describe('buildRoiExtractBox', function() {
+        const roi = { x: '10', y: '20', width: '50', height: '40' };
+
+        it('should use the ROI as is in absolute mode', function() {
+            expect(visionUtils.buildRoiExtractBox({ roi, roiMode: 'absolute' }, { x: 100, y: 100 }))
+                .to.deep.equal({ x: 10, y: 20, width: 50, height: 40 });
+        });
+
+        it('should offset the ROI by the input bbox in relative mode', function() {
+            expect(visionUtils.buildRoiExtractBox({ roi, roiMode: 'relative' }, { x: 100, y: 200 }))
+                .to.deep.equal({ x: 110, y: 220, width: 50, height: 40 });
+            expect(visionUtils.buildRoiExtractBox({ roi, roiMode: 'relative' }, null))
+                .to.deep.equal({ x: 10, y: 20, width: 50, height: 40 });
+        });
+    });
+
+    describe('createNoResultMessage', function() {
+
+        const RED = { util: { cloneMessage: msg => JSON.parse(JSON.stringify(msg)) } };
+
+        it('should keep image info, thumbnail and processing time with null payload', function() {
+            const msg = { topic: 'mv/test', payload: { bbox: { x: 1, y: 2, width: 3, height: 4 } } };
+            const image = { id: 'img_1', width: 640, height: 480 };
+
+            const out = visionUtils.createNoResultMessage(image, { thumbnail: 'thumb', processing_time_ms: 12 }, msg, RED);
+
+            expect(out.payload).to.be.null;
+            expect(out.found).to.be.false;
+            expect(out.image).to.deep.equal(image);
+            expect(out.thumbnail).to.equal('thumb');
+            expect(out.processing_time_ms).to.equal(12);
+            expect(out.success).to.be.true;
+            expect(out.topic).to.equal('mv/test');
+            expect(out.reference).to.be.null;
+            // Original message must not be mutated
+            expect(msg.payload).to.have.property('bbox');
+        });
+    });
+
+    describe('handleNoResults', function() {
+
+        const RED = { util: { cloneMessage: msg => JSON.parse(JSON.stringify(msg)) } };
+        const result = { objects: [], thumbnail: null, processing_time_ms: 8 };
+
+        it('should only set status when not found output is disabled', function() {
+            const node = { status: sinon.stub(), notFoundOutput: false };
+            const send = sinon.stub();
+
+            visionUtils.handleNoResults({ node, msg: { image: { id: 'img_1' } }, result, send, statusText: 'not found', RED });
+
+            expect(send.called).to.be.false;
+            expect(node.status.getCall(0).args[0]).to.deep.equal({ fill: 'yellow', shape: 'ring', text: 'not found | 8ms' });
+        });
+
+        it('should send no-result message on second output when enabled', function() {
+            const node = { status: sinon.stub(), notFoundOutput: true };
+            const send = sinon.stub();
+
+            visionUtils.handleNoResults({ node, msg: { image: { id: 'img_1' } }, result, send, statusText: 'not found', RED });
+
+            expect(send.calledOnce).to.be.true;
+            const outputs = send.getCall(0).args[0];
+            expect(outputs).to.have.length(2);
+            expect(outputs[0]).to.be.null;
+            expect(outputs[1].found).to.be.false;
+            expect(outputs[1].image.id).to.equal('img_1');
+        });
+    });
+
+    describe('sendVisionObjects', function() {
+
+        const RED = { util: { cloneMessage: msg => JSON.parse(JSON.stringify(msg)) } };
+        const result = {
+            objects: [
+                { object_id: 'c0', object_type: 'edge_contour', confidence: 1, bbox: { x: 0, y: 0, width: 5, height: 5 }, center: { x: 2, y: 2 } },
+                { object_id: 'c1', object_type: 'edge_contour', confidence: 1, bbox: { x: 9, y: 9, width: 5, height: 5 }, center: { x: 11, y: 11 } }
+            ],
+            thumbnail: 'data:image/jpeg;base64,/9j/thumb',
+            processing_time_ms: 12
+        };
+        const msg = { _msgid: 'm1', image: { id: 'img_1' }, thumbnail: 'data:image/jpeg;base64,/9j/old' };
+
+        it('should send one message per object', function() {
+            const send = sinon.stub();
+            const parts = { id: 'outer', index: 3, count: 4 };
+
+            visionUtils.sendVisionObjects({ node: {}, msg: Object.assign({}, msg, { parts }), result, send, RED });
+
+            expect(send.calledTwice).to.be.true;
+            const second = send.getCall(1).args[0];
+            expect(second.payload.object_id).to.equal('c1');
+            expect(second.parts).to.deep.equal(parts);
+            expect(second.count).to.be.undefined;
+        });
+
+        it('should send a single array message in batch mode', function() {
+            const send = sinon.stub();
+
+            visionUtils.sendVisionObjects({ node: { outputMode: 'batch' }, msg, result, send, RED });
+
+            expect(send.calledOnce).to.be.true;
+            const out = send.getCall(0).args[0];
+            expect(out.payload).to.be.an('array').with.length(2);
+            expect(out.payload[1]).to.include({ object_id: 'c1', coords: 'image', area: null });
+            expect(out.count).to.equal(2);
+            expect(out.thumbnail).to.equal('data:image/jpeg;base64,/9j/thumb');
+            expect(out.image.id).to.equal('img_1');
+            expect(out.success).to.be.true;
+            expect(out.processing_time_ms).to.equal(12);
+            expect(out.parts).to.deep.equal({ id: 'm1', type: 'array', index: 0, count: 1, len: 2 });
+        });
+
+        it('should keep existing parts nested in batch mode', function() {
+            const send = sinon.stub();
+            const parts = { id: 'outer', index: 3, count: 4 };
+
+            visionUtils.sendVisionObjects({ node: { outputMode: 'batch' }, msg: Object.assign({}, msg, { parts }), result, send, RED });
+
+            expect(send.getCall(0).args[0].parts.parts).to.deep.equal(parts);
+        });
+
+        it('should join single-object and multi-object batches into flat arrays', function() {
+            // Array assembly of the Node-RED join node in automatic mode
+            const join = out => {
+                const payload = [];
+                payload[out.parts.index] = out.payload;
+                return out.parts.len > 1 ? [].concat(...payload) : payload;
+            };
+            const batch = objects => {
+                const send = sinon.stub();
+                visionUtils.sendVisionObjects({ node: { outputMode: 'batch' }, msg, result: Object.assign({}, result, { objects }), send, RED });
+                return send.getCall(0).args[0];
+            };
+
+            const single = batch(result.objects.slice(0, 1));
+            expect(single.parts).to.include({ count: 1, len: 2 });
+            expect(join(single).map(obj => obj.object_id)).to.deep.equal(['c0']);
+            expect(join(batch(result.objects)).map(obj => obj.object_id)).to.deep.equal(['c0', 'c1']);
+        });
+    });
+
+    describe('checkBackendHealth', function() {
+
+        const API_URL = 'http://localhost:8000';
+
+        it('should return the health response', async function() {
+            nock(API_URL)
+                .get('/api/system/health')
+                .reply(200, { status: 'healthy' });
+
+            const data = await visionUtils.checkBackendHealth({ apiUrl: API_URL, timeout: 5000 });
+
+            expect(data).to.deep.equal({ status: 'healthy' });
+        });
+
+        it('should check every backend of a pool', async function() {
+            const { createBackendPool } = require('../../nodes/lib/backend-pool');
+            const backendPool = createBackendPool({ urls: [API_URL, 'http://vision-b:8000'] });
+            nock(API_URL)
+                .get('/api/system/health')
+                .reply(200, { status: 'healthy' });
+            nock('http://vision-b:8000')
+                .get('/api/system/health')
+                .replyWithError({ code: 'ECONNREFUSED' });
+
+            const data = await visionUtils.checkBackendHealth({ apiUrl: API_URL, backendPool });
+
+            expect(data).to.deep.equal({ status: 'degraded', unreachable: ['http://vision-b:8000'] });
+            expect(backendPool.getStatus()[1].up).to.be.false;
+        });
+
+        it('should bypass the traffic recorder', async function() {
+            const replay = sinon.stub();
+            nock(API_URL)
+                .get('/api/system/health')
+                .reply(200, { status: 'healthy' });
+
+            await visionUtils.checkBackendHealth({ apiUrl: API_URL, trafficRecorder: { mode: 'replay', replay } });
+
+            expect(replay.called).to.be.false;
+        });
+    });
+
+    describe('watchBackendHealth', function() {
+
+        let mockNode, listener, unsubscribe;
+
+        beforeEach(function() {
+            unsubscribe = sinon.stub();
+            mockNode = {
+                on: sinon.stub(),
+                status: sinon.stub(),
+                apiConfig: {
+                    health: {
+                        subscribe: sinon.stub().callsFake(function(fn) {
+                            listener = fn;
+                            return unsubscribe;
+                        })
+                    }
+                }
+            };
+        });
+
+        it('should do nothing when monitoring is off', function() {
+            mockNode.apiConfig = { apiUrl: 'http://localhost:8000' };
+
+            visionUtils.watchBackendHealth(mockNode);
+
+            expect(mockNode.on.called).to.be.false;
+        });
+
+        it('should show offline and degraded states', function() {
+            visionUtils.watchBackendHealth(mockNode);
+
+            listener({ state: 'disconnected', latency_ms: null }, 'connected');
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'backend offline' });
+
+            listener({ state: 'degraded', latency_ms: 1500 }, 'disconnected');
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ fill: 'yellow', shape: 'ring', text: 'backend degraded | 1500ms' });
+        });
+
+        it('should keep the node status on the first connected check', function() {
+            visionUtils.watchBackendHealth(mockNode);
+
+            listener({ state: 'connected', latency_ms: 12 }, 'unknown');
+            expect(mockNode.status.called).to.be.false;
+
+            listener({ state: 'connected', latency_ms: 12 }, 'disconnected');
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ fill: 'grey', text: 'ready' });
+        });
+
+        it('should unsubscribe when the node closes', function() {
+            visionUtils.watchBackendHealth(mockNode);
+
+            mockNode.on.withArgs('close').lastCall.args[1]();
+
+            expect(unsubscribe.calledOnce).to.be.true;
+        });
+    });
+
     describe('callVisionAPI', function() {
 
         const API_URL = 'http://localhost:8000';
@@ -515,6 +903,407 @@ describe('vision-utils', function() {
                 expect(mockDone.calledOnce).to.be.true;
             }
         });
+
+        it('should record exchanges through the config traffic recorder', async function() {
+            const recorder = { mode: 'record', record: sinon.stub() };
+            const apiConfig = { apiUrl: API_URL, timeout: 5000, trafficRecorder: recorder };
+
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .reply(200, { objects: [] });
+
+            await visionUtils.callVisionAPI({
+                node: mockNode,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'test' },
+                apiConfig: apiConfig,
+                done: mockDone
+            });
+
+            const [method, endpoint, request, response] = recorder.record.getCall(0).args;
+            expect(method).to.equal('POST');
+            expect(endpoint).to.equal('/api/vision/edge-detect');
+            expect(request).to.deep.equal({ image_id: 'test' });
+            expect(response.status).to.equal(200);
+            expect(response.data).to.deep.equal({ objects: [] });
+        });
+
+        it('should serve replayed responses without calling the backend', async function() {
+            const recorder = { mode: 'replay', replay: sinon.stub().returns({ objects: ['replayed'] }) };
+            const apiConfig = { apiUrl: 'http://nonexistent:9999', timeout: 1000, trafficRecorder: recorder };
+
+            const result = await visionUtils.callVisionAPI({
+                node: mockNode,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'test' },
+                apiConfig: apiConfig,
+                done: mockDone
+            });
+
+            expect(result).to.deep.equal({ objects: ['replayed'] });
+            expect(recorder.replay.calledWith('POST', '/api/vision/edge-detect', { image_id: 'test' })).to.be.true;
+        });
+
+        it('should fail without calling the backend when the replay recording did not load', async function() {
+            const apiConfig = { apiUrl: API_URL, timeout: 1000, trafficMode: 'replay', trafficRecorder: null, trafficError: 'No recordings found in /tmp/x' };
+            const scope = nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .reply(200, { objects: [] });
+
+            try {
+                await visionUtils.callVisionAPI({
+                    node: mockNode,
+                    endpoint: '/api/vision/edge-detect',
+                    requestData: { image_id: 'test' },
+                    apiConfig: apiConfig,
+                    done: mockDone
+                });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.handledByUtils).to.be.true;
+                expect(mockDone.getCall(0).args[0].message).to.equal('Error: Traffic replay unavailable (No recordings found in /tmp/x), backend not called');
+                expect(scope.isDone()).to.be.false;
+            }
+        });
+    });
+
+    describe('callVisionAPI retries', function() {
+
+        const API_URL = 'http://localhost:8000';
+        let mockNode, mockDone;
+
+        beforeEach(function() {
+            mockNode = {
+                error: sinon.stub(),
+                status: sinon.stub(),
+                log: sinon.stub()
+            };
+            mockDone = sinon.stub();
+        });
+
+        function callEdgeDetect(apiConfig) {
+            return visionUtils.callVisionAPI({
+                node: mockNode,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'img_1', params: {} },
+                apiConfig: apiConfig,
+                done: mockDone
+            });
+        }
+
+        it('should retry transient failures and return the successful response', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect').reply(503, { detail: 'Busy' })
+                .post('/api/vision/edge-detect').replyWithError({ code: 'ECONNRESET' })
+                .post('/api/vision/edge-detect').reply(200, { objects: [] });
+
+            const result = await callEdgeDetect({ apiUrl: API_URL, retries: 2, retryDelay: 0 });
+
+            expect(result).to.deep.equal({ objects: [] });
+            expect(mockDone.called).to.be.false;
+            expect(mockNode.status.calledWithMatch({ text: 'retry 2/2' })).to.be.true;
+            expect(nock.isDone()).to.be.true;
+        });
+
+        it('should not retry client errors', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .reply(404, { detail: 'Image not found' });
+
+            try {
+                await callEdgeDetect({ apiUrl: API_URL, retries: 2, retryDelay: 0 });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.response.status).to.equal(404);
+                expect(mockDone.getCall(0).args[0].message).to.equal('Not found: Image not found');
+            }
+        });
+
+        it('should report the number of retries when all attempts fail', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .times(3)
+                .reply(502, { detail: 'Bad gateway' });
+
+            try {
+                await callEdgeDetect({ apiUrl: API_URL, retries: 2, retryDelay: 0 });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(mockDone.getCall(0).args[0].message).to.equal('Server error: Bad gateway (after 2 retries)');
+                expect(nock.isDone()).to.be.true;
+            }
+        });
+
+        it('should retry timeouts only when enabled', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect').delay(100).reply(200, { objects: [] });
+
+            try {
+                await callEdgeDetect({ apiUrl: API_URL, timeout: 20, retries: 2, retryDelay: 0 });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.code).to.equal('ECONNABORTED');
+                expect(error.retries).to.equal(0);
+            }
+
+            nock(API_URL)
+                .post('/api/vision/edge-detect').delay(100).reply(200, { objects: [] })
+                .post('/api/vision/edge-detect').reply(200, { objects: [] });
+
+            const result = await callEdgeDetect({ apiUrl: API_URL, timeout: 20, retries: 2, retryDelay: 0, retryTimeouts: true });
+
+            expect(result).to.deep.equal({ objects: [] });
+            expect(mockNode.status.calledWithMatch({ text: 'retry 1/2' })).to.be.true;
+        });
+
+        it('should let the node override the config retries', async function() {
+            mockNode.retries = '0';
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .reply(500, { detail: 'Internal error' });
+
+            try {
+                await callEdgeDetect({ apiUrl: API_URL, retries: 2, retryDelay: 0 });
+                expect.fail('Should have thrown error');
+            } catch (error) {
+                expect(error.retries).to.equal(0);
+                expect(mockNode.log.called).to.be.false;
+            }
+        });
+
+        it('should back off exponentially', async function() {
+            sinon.stub(Math, 'random').returns(0.5);
+            nock(API_URL)
+                .post('/api/vision/edge-detect').times(2).reply(503, {})
+                .post('/api/vision/edge-detect').reply(200, { objects: [] });
+
+            const result = await callEdgeDetect({ apiUrl: API_URL, retries: 2, retryDelay: 20 });
+
+            expect(result).to.deep.equal({ objects: [] });
+            expect(mockNode.log.getCall(0).args[0]).to.include('(503), retry 1/2 in 20ms');
+            expect(mockNode.log.getCall(1).args[0]).to.include('(503), retry 2/2 in 30ms');
+        });
+    });
+
+    describe('callVisionAPI circuit breaker', function() {
+
+        const API_URL = 'http://localhost:8000';
+        const { createCircuitBreaker } = require('../../nodes/lib/circuit-breaker');
+        let mockNode, mockDone, apiConfig;
+
+        beforeEach(function() {
+            mockNode = {
+                error: sinon.stub(),
+                status: sinon.stub(),
+                log: sinon.stub()
+            };
+            mockDone = sinon.stub();
+            apiConfig = {
+                apiUrl: API_URL,
+                circuitBreaker: createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 30000 })
+            };
+        });
+
+        function callEdgeDetect() {
+            return visionUtils.callVisionAPI({
+                node: mockNode,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'img_1', params: {} },
+                apiConfig: apiConfig,
+                done: mockDone
+            }).catch(error => error);
+        }
+
+        it('should fail fast once the circuit is open', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .times(2)
+                .replyWithError({ code: 'ECONNREFUSED' });
+
+            await callEdgeDetect();
+            await callEdgeDetect();
+            const error = await callEdgeDetect();
+
+            expect(error.code).to.equal('CIRCUIT_OPEN');
+            expect(nock.isDone()).to.be.true;
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'circuit open' });
+            const doneError = mockDone.lastCall.args[0];
+            expect(doneError.code).to.equal('CIRCUIT_OPEN');
+            expect(doneError.message).to.match(/^Circuit open: backend unavailable after 2 consecutive failures/);
+        });
+
+        it('should not count client errors as backend failures', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .times(3)
+                .reply(404, { detail: 'Image not found' });
+
+            await callEdgeDetect();
+            await callEdgeDetect();
+            await callEdgeDetect();
+
+            expect(apiConfig.circuitBreaker.getState()).to.include({ state: 'closed', failures: 0 });
+            expect(mockDone.lastCall.args[0].code).to.be.undefined;
+        });
+
+        it('should show circuit transitions on watching nodes', function() {
+            mockNode.on = sinon.stub();
+            mockNode.apiConfig = apiConfig;
+            visionUtils.watchBackendHealth(mockNode);
+
+            apiConfig.circuitBreaker.recordFailure();
+            apiConfig.circuitBreaker.recordFailure();
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ text: 'circuit open' });
+
+            apiConfig.circuitBreaker.recordSuccess();
+            expect(mockNode.status.lastCall.args[0]).to.deep.include({ text: 'ready' });
+        });
+    });
+
+    describe('callVisionAPI request limit', function() {
+
+        const API_URL = 'http://localhost:8000';
+        const { createRequestLimiter } = require('../../nodes/lib/request-limiter');
+
+        function createMockNode() {
+            return { error: sinon.stub(), status: sinon.stub(), log: sinon.stub() };
+        }
+
+        it('should queue requests above the limit and drop when the queue is full', async function() {
+            const apiConfig = {
+                apiUrl: API_URL,
+                requestLimiter: createRequestLimiter({ maxConcurrent: 1, maxQueue: 1, policy: 'drop-newest' })
+            };
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .times(2)
+                .delay(20)
+                .reply(200, { objects: [] });
+            const nodes = [createMockNode(), createMockNode(), createMockNode()];
+            const done = sinon.stub();
+
+            const results = await Promise.all(nodes.map(node => visionUtils.callVisionAPI({
+                node: node,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'img_1', params: {} },
+                apiConfig: apiConfig,
+                done: done
+            }).catch(error => error)));
+
+            expect(results[0]).to.deep.equal({ objects: [] });
+            expect(results[1]).to.deep.equal({ objects: [] });
+            expect(nodes[1].status.calledWithMatch({ text: 'queued (1)' })).to.be.true;
+            expect(results[2].code).to.equal('REQUEST_DROPPED');
+            expect(nodes[2].status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'dropped (queue full)' });
+            expect(done.getCall(0).args[0].code).to.equal('REQUEST_DROPPED');
+        });
+
+        it('should refuse requests with a full queue when blocking', async function() {
+            const apiConfig = {
+                apiUrl: API_URL,
+                requestLimiter: createRequestLimiter({ maxConcurrent: 1, maxQueue: 0, policy: 'block' })
+            };
+            nock(API_URL)
+                .post('/api/vision/edge-detect')
+                .delay(20)
+                .reply(200, { objects: [] });
+            const nodes = [createMockNode(), createMockNode()];
+            const done = sinon.stub();
+
+            const results = await Promise.all(nodes.map(node => visionUtils.callVisionAPI({
+                node: node,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'img_1', params: {} },
+                apiConfig: apiConfig,
+                done: done
+            }).catch(error => error)));
+
+            expect(results[0]).to.deep.equal({ objects: [] });
+            expect(results[1].code).to.equal('QUEUE_FULL');
+            expect(nodes[1].status.lastCall.args[0]).to.deep.include({ fill: 'red', text: 'queue full' });
+            expect(done.getCall(0).args[0].code).to.equal('QUEUE_FULL');
+        });
+    });
+
+    describe('thumbnail mode', function() {
+
+        const API_URL = 'http://localhost:8000';
+
+        function callEdgeDetect(node, apiConfig) {
+            return visionUtils.callVisionAPI({
+                node: node,
+                endpoint: '/api/vision/edge-detect',
+                requestData: { image_id: 'img_1', params: {} },
+                apiConfig: apiConfig,
+                done: sinon.stub()
+            });
+        }
+
+        it('should prefer the node setting over the config node', function() {
+            expect(visionUtils.getThumbnailMode({ thumbnailMode: 'low' }, { thumbnailMode: 'none' })).to.equal('low');
+            expect(visionUtils.getThumbnailMode({ thumbnailMode: '' }, { thumbnailMode: 'none' })).to.equal('none');
+            expect(visionUtils.getThumbnailMode({}, {})).to.equal('full');
+        });
+
+        it('should not send the default mode', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect', body => !('thumbnail_mode' in body))
+                .reply(200, { objects: [], thumbnail: 'data:image/png;base64,AAAA' });
+
+            const result = await callEdgeDetect({ status: sinon.stub() }, { apiUrl: API_URL });
+
+            expect(result.thumbnail).to.equal('data:image/png;base64,AAAA');
+        });
+
+        it('should send the mode and resolve thumbnail URLs against the backend', async function() {
+            nock(API_URL)
+                .post('/api/vision/edge-detect', { image_id: 'img_1', params: {}, thumbnail_mode: 'url' })
+                .reply(200, { objects: [], thumbnail: '/api/image/img_1/thumbnail' });
+
+            const result = await callEdgeDetect({ status: sinon.stub(), thumbnailMode: 'url' }, { apiUrl: API_URL, thumbnailMode: 'none' });
+
+            expect(result.thumbnail).to.equal(`${API_URL}/api/image/img_1/thumbnail`);
+        });
+
+        it('should load thumbnail URLs as data URIs', async function() {
+            nock(API_URL)
+                .get('/api/image/img_1/thumbnail')
+                .reply(200, Buffer.from([1, 2, 3]), { 'Content-Type': 'image/png' });
+
+            expect(await visionUtils.loadThumbnail(`${API_URL}/api/image/img_1/thumbnail`, { apiUrl: API_URL }))
+                .to.equal('data:image/png;base64,AQID');
+            expect(await visionUtils.loadThumbnail('data:image/png;base64,AQID')).to.equal('data:image/png;base64,AQID');
+            expect(await visionUtils.loadThumbnail(null)).to.be.null;
+        });
+
+        it('should only fetch thumbnail URLs of the configured backends', async function() {
+            const apiConfig = { apiUrl: API_URL, credentials: { apiKey: 'secret' } };
+            const foreign = nock('http://evil.example').get(/.*/).reply(200, Buffer.from([1]));
+
+            for (const url of ['http://evil.example/api/image/img_1/thumbnail', `${API_URL}.evil.example/api/image/img_1/thumbnail`]) {
+                try {
+                    await visionUtils.loadThumbnail(url, apiConfig);
+                    expect.fail('should have refused');
+                } catch (error) {
+                    expect(error.message).to.equal(`Thumbnail URL is not on a configured backend: ${url}`);
+                }
+            }
+            expect(foreign.isDone()).to.be.false;
+        });
+
+        it('should not fetch thumbnail URLs in replay mode', async function() {
+            const apiConfig = { apiUrl: API_URL, trafficMode: 'replay', trafficRecorder: {} };
+
+            expect(await visionUtils.loadThumbnail(`${API_URL}/api/image/img_1/thumbnail`, apiConfig)).to.be.null;
+        });
+
+        it('should decode data URLs into Buffers', function() {
+            const decoded = visionUtils.decodeDataUrl('data:image/png;base64,AQID');
+
+            expect(decoded.contentType).to.equal('image/png');
+            expect(decoded.data.equals(Buffer.from([1, 2, 3]))).to.be.true;
+            expect(visionUtils.decodeDataUrl('AQID').contentType).to.be.null;
+        });
     });
 
     describe('validateInput', function() {